@@ -0,0 +1,41 @@
+// lib/ancestryCache.js
+// 「このファイル/フォルダは案件ルート X の配下」と確認できた結果のキャッシュ（確認できた組のみ、TTL 付き）
+// /files/preview 等で毎回 parents を辿る（最大 10 回の files.get）のを避ける
+// 移動を検知したら invalidate（フォルダの移動は配下すべてに効くので clear）
+
+/**
+ * @param {{ ttlMs?: number, max?: number }} opts max を超えたら古いものから捨てる
+ */
+function createAncestryCache({ ttlMs = 10 * 60 * 1000, max = 10000 } = {}) {
+  const entries = new Map(); // `${itemId}\n${rootId}` → 期限（ms）
+  const keyOf = (itemId, rootId) => `${itemId}\n${rootId}`;
+
+  function has(itemId, rootId, now = Date.now()) {
+    const key = keyOf(itemId, rootId);
+    const exp = entries.get(key);
+    if (exp == null) return false;
+    if (exp > now) return true;
+    entries.delete(key);
+    return false;
+  }
+
+  function add(itemIds, rootId, now = Date.now()) {
+    for (const itemId of itemIds) {
+      const key = keyOf(itemId, rootId);
+      entries.delete(key); // 挿入順 = 古い順を保つ
+      entries.set(key, now + ttlMs);
+    }
+    while (entries.size > max) entries.delete(entries.keys().next().value);
+  }
+
+  function invalidate(itemId) {
+    const prefix = `${itemId}\n`;
+    for (const key of entries.keys()) if (key.startsWith(prefix)) entries.delete(key);
+  }
+
+  const clear = () => entries.clear();
+
+  return { has, add, invalidate, clear };
+}
+
+module.exports = { createAncestryCache };
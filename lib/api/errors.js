@@ -0,0 +1,248 @@
+// lib/api/errors.js
+// エラー応答の共通形式（すべてのルートで同じ形）
+//   { code, message, requestId, details?, error }
+//     code      … 機械判定用の固定コード（ERROR_CODES のいずれか）
+//     message   … 人が読む説明（日本語 / 英語はルートによる）
+//     requestId … X-Request-Id（ログと突き合わせる用）
+//     details   … コードごとの補足（retryAfter / received / errors など）
+//     error     … message と同じ（従来の { error } を読むクライアント向け）
+// 各ルートは従来どおり res.status(4xx/5xx).json({ error | message, code?, ...補足 }) を返してよい。
+// errorEnvelope() が res.json を包んで上の形に揃える（code が無ければ status ごとの既定）
+const crypto = require('crypto');
+const { RATE_LIMIT_REASONS, retryAfterMs } = require('../storage/driveCalls');
+
+/** コード → { status（代表的な HTTP ステータス）, description } */
+const ERROR_CODES = {
+  // ---- 共通 ----
+  BAD_REQUEST: { status: 400, description: '要求が不正です' },
+  VALIDATION_FAILED: { status: 400, description: 'パラメータ・本文の検証に失敗しました（details.errors にスキーマ検証の結果）' },
+  INVALID_JSON: { status: 400, description: 'JSON 本文を解析できません' },
+  AUTH_REQUIRED: { status: 401, description: 'token がありません' },
+  AUTH_INVALID: { status: 401, description: '審査者トークンが不正です' },
+  INVALID_CREDENTIALS: { status: 401, description: 'email または password が違います' },
+  REVIEWER_INACTIVE: { status: 401, description: '審査者アカウントが無効です' },
+  TOKEN_INVALID: { status: 401, description: 'ポータルトークンが不正です' },
+  TOKEN_EXPIRED: { status: 401, description: 'ポータルトークンの有効期限切れ' },
+  TOKEN_REVOKED: { status: 401, description: 'ポータルトークンの失効・案件の共有停止' },
+  FORBIDDEN: { status: 403, description: '権限がありません（ロール不足など）' },
+  CASE_ACCESS_DENIED: { status: 403, description: '担当外の案件です' },
+  SCOPE_REQUIRED: { status: 403, description: 'ポータルトークンに必要な scope がありません' },
+  SIGNED_LINK_INVALID: { status: 403, description: '署名 URL の署名が不正です' },
+  SIGNED_LINK_EXPIRED: { status: 403, description: '署名 URL の有効期限切れ' },
+  QUARANTINED: { status: 403, description: '隔離中のファイルです' },
+  NOT_FOUND: { status: 404, description: '対象が見つかりません' },
+  ROUTE_NOT_FOUND: { status: 404, description: '存在しない API です' },
+  CASE_NOT_FOUND: { status: 404, description: '案件が見つかりません' },
+  DOCUMENT_NOT_FOUND: { status: 404, description: '書類が見つかりません' },
+  CONFLICT: { status: 409, description: '現在の状態では実行できません' },
+  CASE_CLOSED: { status: 409, description: '終了した案件です' },
+  NO_FOLDERS: { status: 409, description: 'フォルダが作成されていない案件です' },
+  PAYLOAD_TOO_LARGE: { status: 413, description: '要求・対象が大きすぎます' },
+  UNSUPPORTED_MEDIA_TYPE: { status: 415, description: '対応していない形式です' },
+  RANGE_NOT_SATISFIABLE: { status: 416, description: 'Range が範囲外です' },
+  UNPROCESSABLE: { status: 422, description: '処理できない要求です' },
+  RATE_LIMITED: { status: 429, description: 'リクエストが多すぎます（Retry-After 秒後に再試行）' },
+  INTERNAL_ERROR: { status: 500, description: 'サーバ内部のエラー' },
+  NOT_CONFIGURED: { status: 500, description: 'サーバの設定が不足しています' },
+  PROVISIONING_FAILED: { status: 500, description: '案件フォルダの生成に失敗しました（details.rolledBack）' },
+  NOT_IMPLEMENTED: { status: 501, description: 'この環境では使えない機能です' },
+  UPSTREAM_ERROR: { status: 502, description: '外部サービスのエラー' },
+  // ---- ストレージ（Google Drive / local）----
+  DRIVE_BAD_REQUEST: { status: 400, description: 'Drive が要求を受け付けませんでした（id の誤りなど）' },
+  DRIVE_PERMISSION_DENIED: { status: 403, description: 'Drive の対象にアクセスできません' },
+  DRIVE_FILE_NOT_FOUND: { status: 404, description: 'Drive のファイル・フォルダが見つかりません' },
+  DRIVE_RATE_LIMITED: { status: 429, description: 'Drive の利用上限（再試行しても解消しなかった）' },
+  DRIVE_UNAVAILABLE: { status: 502, description: 'Drive の一時的な障害・通信エラー' },
+  DRIVE_ERROR: { status: 502, description: 'Drive のその他のエラー' },
+  // ---- 提出（アップロード）----
+  FILE_REQUIRED: { status: 400, description: 'file がありません' },
+  EMPTY_FILE: { status: 400, description: '空のファイルです' },
+  UPLOAD_INVALID: { status: 400, description: 'multipart の形式が不正です' },
+  DOC_TYPE_REQUIRED: { status: 400, description: 'docType がありません' },
+  DOC_TYPE_NOT_FOUND: { status: 400, description: '提出先の docType フォルダがありません' },
+  PENDING_FOLDER_NOT_FOUND: { status: 400, description: '提出物（pending）フォルダがありません' },
+  DOC_TYPE_NOT_ALLOWED: { status: 403, description: 'この token では提出できない docType です' },
+  TOO_MANY_FILES: { status: 409, description: 'この書類の提出数の上限' },
+  FILE_TOO_LARGE: { status: 413, description: 'ファイルサイズの上限超過' },
+  FILE_TYPE_NOT_ALLOWED: { status: 415, description: '提出できないファイル形式です' },
+  MALWARE_DETECTED: { status: 422, description: 'ウイルスが検出されました' },
+  UPLOAD_QUOTA_EXCEEDED: { status: 429, description: '案件の 1 日の提出上限' },
+  UPLOAD_SESSION_NOT_FOUND: { status: 404, description: 'upload session が見つかりません（期限切れを含む）' },
+  UPLOAD_SESSION_CLOSED: { status: 409, description: 'upload session は完了・中止済みです' },
+  OFFSET_MISMATCH: { status: 409, description: 'offset が受信済みバイト数と一致しません（details.received から再開）' },
+  UPLOAD_INCOMPLETE: { status: 409, description: '未受信のデータがあります' },
+  CHUNK_TOO_LARGE: { status: 413, description: 'チャンクサイズの上限超過' },
+  SIZE_EXCEEDED: { status: 413, description: '宣言された size を超えています' },
+  // ---- サムネイル ----
+  THUMBNAIL_UNSUPPORTED: { status: 415, description: 'サムネイルに対応していない形式です' },
+  THUMBNAIL_FAILED: { status: 422, description: 'サムネイルを生成できませんでした' },
+  THUMBNAIL_NOT_CONFIGURED: { status: 501, description: 'PDF のサムネイル生成は未設定です' },
+  // ---- Idempotency-Key ----
+  IDEMPOTENCY_KEY_INVALID: { status: 400, description: 'Idempotency-Key が不正です' },
+  IDEMPOTENCY_IN_PROGRESS: { status: 409, description: '同じ Idempotency-Key の要求を処理中です' },
+  IDEMPOTENCY_KEY_REUSED: { status: 422, description: '同じ Idempotency-Key で別の要求が送られています' },
+  // ---- 案件の終了・保存期間 ----
+  INVALID_MODE: { status: 400, description: 'purge の mode が不正です' },
+  ARCHIVE_NOT_CONFIGURED: { status: 500, description: 'CASE_ARCHIVE_PARENT_ID が未設定です' },
+  RETENTION_NOT_CONFIGURED: { status: 500, description: 'CASE_RETENTION_DAYS が未設定です' },
+};
+
+// code の無い応答・例外の既定（status ごと）
+const DEFAULT_CODES = {
+  400: 'VALIDATION_FAILED',
+  401: 'AUTH_REQUIRED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  416: 'RANGE_NOT_SATISFIABLE',
+  422: 'UNPROCESSABLE',
+  429: 'RATE_LIMITED',
+  501: 'NOT_IMPLEMENTED',
+  502: 'UPSTREAM_ERROR',
+};
+
+const defaultCode = (status) => DEFAULT_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+// 一覧にないコードは既定に寄せる（ログに出して一覧への追加を促す）
+function normalizeCode(code, status) {
+  if (typeof code === 'string' && ERROR_CODES[code]) return code;
+  if (code === 'LIMIT_FILE_SIZE') return 'FILE_TOO_LARGE';
+  if (typeof code === 'string' && code.startsWith('LIMIT_')) return 'UPLOAD_INVALID'; // multer
+  if (code != null) console.warn(`unknown error code: ${code} (status ${status})`);
+  return defaultCode(status);
+}
+
+class ApiError extends Error {
+  /**
+   * @param {number} status
+   * @param {string} code ERROR_CODES のキー
+   * @param {string} message
+   * @param {object} [details]
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    if (details) this.details = details;
+  }
+}
+
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ESOCKETTIMEDOUT', 'ECONNREFUSED'];
+
+// Drive（gaxios）のエラー → ApiError（Drive 由来でなければ null）
+// local バックエンドの「見つからない」（code: 404）も同じコードで返す
+function fromDriveError(err) {
+  if (err?.code === 404 && err.status == null && !err.response) {
+    return new ApiError(404, 'DRIVE_FILE_NOT_FOUND', err.message || 'file not found');
+  }
+  if (!err?.config) return null;
+  const status = err.response?.status;
+  const message = err.response?.data?.error?.message || err.message || 'Google Drive API error';
+  const reasons = (err.response?.data?.error?.errors || err.errors || []).map((e) => e.reason);
+  if (!status) {
+    return TRANSIENT_CODES.includes(err.code) ? new ApiError(502, 'DRIVE_UNAVAILABLE', message) : null;
+  }
+  if (status === 429 || (status === 403 && reasons.some((r) => RATE_LIMIT_REASONS.includes(r)))) {
+    const wait = Math.ceil(retryAfterMs(err) / 1000);
+    return new ApiError(429, 'DRIVE_RATE_LIMITED', message, wait ? { retryAfter: wait } : undefined);
+  }
+  if (status === 404) return new ApiError(404, 'DRIVE_FILE_NOT_FOUND', message);
+  if (status === 401 || status === 403) return new ApiError(403, 'DRIVE_PERMISSION_DENIED', message, { reasons });
+  if (status === 400) return new ApiError(400, 'DRIVE_BAD_REQUEST', message, { reasons });
+  if (status >= 500) return new ApiError(502, 'DRIVE_UNAVAILABLE', message);
+  return new ApiError(502, 'DRIVE_ERROR', message, { status });
+}
+
+// 例外に載っている補足（各 lib のエラーの追加プロパティ）
+function errorDetails(err) {
+  const extra = {};
+  for (const key of ['received', 'size', 'retryAfter', 'rolledBack']) {
+    if (err[key] !== undefined) extra[key] = err[key];
+  }
+  const details = err.details && typeof err.details === 'object' ? { ...err.details, ...extra } : extra;
+  return Object.keys(details).length ? details : undefined;
+}
+
+/**
+ * 例外 → ApiError
+ *   status を持つもの（httpError・各 lib のエラー）はそのまま、Drive / body-parser / Prisma のエラーはコードを付ける
+ *   それ以外は 500 INTERNAL_ERROR（fallbackMessage を返し、内部のメッセージは出さない）
+ */
+function toApiError(err, fallbackMessage = 'internal server error') {
+  if (err instanceof ApiError) return err;
+  const drive = fromDriveError(err);
+  if (drive) return drive;
+  if (err?.type === 'entity.parse.failed') return new ApiError(400, 'INVALID_JSON', 'JSON 本文を解析できません');
+  if (err?.type === 'entity.too.large') return new ApiError(413, 'PAYLOAD_TOO_LARGE', '本文が大きすぎます');
+  if (Number.isInteger(err?.status) && err.status >= 400 && err.status < 600) {
+    return new ApiError(err.status, normalizeCode(err.code, err.status), err.message || fallbackMessage, errorDetails(err));
+  }
+  if (err?.code === 'P2025') return new ApiError(404, 'NOT_FOUND', 'not found');
+  if (err?.code === 'P2002') return new ApiError(409, 'CONFLICT', 'already exists');
+  return new ApiError(500, 'INTERNAL_ERROR', fallbackMessage);
+}
+
+// ---- request id ----
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const isSaneRequestId = (v) => typeof v === 'string' && /^[\w.:-]{1,128}$/.test(v);
+
+// 受け取った X-Request-Id（英数字と _ . : - の 128 文字以内）を引き継ぎ、無ければ採番。req.id と応答ヘッダに入れる
+function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = isSaneRequestId(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader(REQUEST_ID_HEADER, req.id);
+    next();
+  };
+}
+
+// 共通形式の本文
+function buildEnvelope(req, status, { code, message, details }) {
+  return {
+    code: normalizeCode(code, status),
+    message,
+    requestId: req.id ?? null,
+    ...(details && Object.keys(details).length ? { details } : {}),
+    error: message,
+  };
+}
+
+// 従来の応答（{ error } / { message } + code + 補足）→ 共通形式
+function toEnvelope(req, status, body) {
+  if (body && typeof body === 'object' && body.requestId !== undefined && body.code && typeof body.message === 'string') {
+    return body; // 変換済み
+  }
+  const { error, message, code, details, ...rest } = body && typeof body === 'object' ? body : { error: body };
+  const text = typeof error === 'string' ? error : typeof message === 'string' ? message : ERROR_CODES[defaultCode(status)].description;
+  const merged = { ...rest, ...(details && typeof details === 'object' ? details : {}) };
+  return buildEnvelope(req, status, { code, message: text, details: merged });
+}
+
+// res.json を包み、4xx / 5xx の本文を共通形式に揃える（ルートより前に登録する）
+function errorEnvelope() {
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => json(res.statusCode >= 400 ? toEnvelope(req, res.statusCode, body) : body);
+    next();
+  };
+}
+
+/** 例外 → エラー応答（fallbackMessage は原因不明の 500 で返す文言） */
+function sendError(res, err, fallbackMessage) {
+  const e = toApiError(err, fallbackMessage);
+  if (e.status === 429 && e.details?.retryAfter) res.setHeader('Retry-After', String(e.details.retryAfter));
+  return res.status(e.status).json({ error: e.message, code: e.code, ...(e.details ? { details: e.details } : {}) });
+}
+
+module.exports = {
+  ERROR_CODES,
+  REQUEST_ID_HEADER,
+  ApiError,
+  defaultCode,
+  toApiError,
+  requestId,
+  errorEnvelope,
+  sendError,
+};
@@ -0,0 +1,16 @@
+// lib/api/index.js
+// API の定義（OpenAPI）・要求の検証・エラー応答の共通形式
+const errors = require('./errors');
+const { validateValue } = require('./validate');
+const { buildOpenApiSpec } = require('./spec');
+const { createMatcher, validateRequests, checkResponses, findUndocumentedRoutes } = require('./openapi');
+
+module.exports = {
+  ...errors,
+  validateValue,
+  buildOpenApiSpec,
+  createMatcher,
+  validateRequests,
+  checkResponses,
+  findUndocumentedRoutes,
+};
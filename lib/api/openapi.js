@@ -0,0 +1,153 @@
+// lib/api/openapi.js
+// lib/api/spec.js の定義を実際のルートに当てる
+//   validateRequests … パス・クエリ・ヘッダ・JSON 本文を検証し、違反は 400 VALIDATION_FAILED（認証の後・ルートの前で止める）
+//   checkResponses   … 応答 JSON を定義と照合してずれを console.warn（応答は変えない。開発・テスト用）
+//   findUndocumentedRoutes … Express に登録されたルートと定義の突き合わせ（起動時の警告用）
+const { validateValue } = require('./validate');
+
+// 同じ長さのパスは静的なセグメントが多い定義を優先する
+function createMatcher(spec) {
+  const routes = [];
+  for (const [path, methods] of Object.entries(spec.paths)) {
+    const segments = path.split('/').filter(Boolean);
+    for (const [method, op] of Object.entries(methods)) {
+      routes.push({ path, method, op, segments, statics: segments.filter((s) => !s.startsWith('{')).length });
+    }
+  }
+  routes.sort((a, b) => b.statics - a.statics);
+
+  return (method, urlPath) => {
+    const parts = urlPath.split('/').filter(Boolean);
+    for (const r of routes) {
+      if (r.method !== method || r.segments.length !== parts.length) continue;
+      const params = {};
+      const ok = r.segments.every((s, i) => {
+        if (!s.startsWith('{')) return s === parts[i];
+        try {
+          params[s.slice(1, -1)] = decodeURIComponent(parts[i]);
+        } catch {
+          params[s.slice(1, -1)] = parts[i];
+        }
+        return true;
+      });
+      if (ok) return { path: r.path, op: r.op, params };
+    }
+    return null;
+  };
+}
+
+const methodOf = (req) => (req.method === 'HEAD' ? 'get' : req.method.toLowerCase());
+
+function paramValue(req, p, params) {
+  if (p.in === 'path') return params[p.name];
+  if (p.in === 'query') return req.query[p.name];
+  if (p.in === 'header') return req.get(p.name);
+  return undefined;
+}
+
+// パラメータ・JSON 本文の検証（違反は 400 で応答し、問題なければ next）
+function validateInput(req, res, next, { op, params }, components) {
+  const errors = [];
+  for (const p of op.parameters || []) {
+    const value = paramValue(req, p, params);
+    const where = `${p.in}.${p.name}`;
+    if (value === undefined || value === '') {
+      if (p.required) errors.push({ path: where, message: '必須です' });
+      continue;
+    }
+    errors.push(...validateValue(p.schema, value, { components, coerce: true, path: where }));
+  }
+  const schema = op.requestBody?.content?.['application/json']?.schema;
+  if (schema && req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+    errors.push(...validateValue(schema, req.body, { components, path: 'body' }));
+  }
+  if (!errors.length) return next();
+  const summary = errors.slice(0, 3).map((e) => `${e.path}: ${e.message}`).join(', ');
+  res.status(400).json({
+    error: `入力が不正です: ${summary}${errors.length > 3 ? ` ほか ${errors.length - 3} 件` : ''}`,
+    code: 'VALIDATION_FAILED',
+    details: { errors },
+  });
+}
+
+/**
+ * 要求の検証ミドルウェア（定義に無いルートは素通り）
+ * express.json() の後に置く。multipart / octet-stream の本文は検証しない
+ * x-auth が none 以外の操作はここでは検証せず req.validateRequest(res, next) を置いて素通りする。
+ * 認証ミドルウェアが成功時にこれを呼ぶ（未認証の要求には検証の詳細ではなく 401 / 403 を返す）
+ */
+function validateRequests(spec) {
+  const match = createMatcher(spec);
+  const { components } = spec;
+  return (req, res, next) => {
+    const found = match(methodOf(req), req.path);
+    if (!found) return next();
+    if ((found.op['x-auth'] || 'none') === 'none') return validateInput(req, res, next, found, components);
+    req.validateRequest = (res, next) => validateInput(req, res, next, found, components);
+    next();
+  };
+}
+
+// Date / BigInt を JSON にした後の形で照合する
+const toPlain = (body) => JSON.parse(JSON.stringify(body, (k, v) => (typeof v === 'bigint' ? v.toString() : v)) ?? 'null');
+
+function responseSchema(spec, op, status) {
+  const r = op.responses[status] || op.responses[`${String(status)[0]}XX`] || op.responses.default;
+  const resolved = r?.$ref ? spec.components.responses[r.$ref.split('/').pop()] : r;
+  return { defined: Boolean(resolved), schema: resolved?.content?.['application/json']?.schema };
+}
+
+/**
+ * 応答の照合ミドルウェア（OPENAPI_VALIDATE_RESPONSES=true のときだけ使う想定）
+ * errorEnvelope() より前に置く（res.json の包みは後に置いたものが外側になるので、整形後の本文を照合できる）
+ */
+function checkResponses(spec) {
+  const match = createMatcher(spec);
+  const { components } = spec;
+  return (req, res, next) => {
+    const found = match(methodOf(req), req.path);
+    if (!found) return next();
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const label = `${req.method} ${found.path} → ${res.statusCode}`;
+      try {
+        const { defined, schema } = responseSchema(spec, found.op, res.statusCode);
+        if (!defined) console.warn(`openapi: 未定義の応答 ${label}`);
+        else if (schema) {
+          const errors = validateValue(schema, toPlain(body), { components });
+          if (errors.length) console.warn(`openapi: 応答が定義と一致しません ${label}:`, errors.slice(0, 10));
+        }
+      } catch (err) {
+        console.warn(`openapi: 応答の照合に失敗 ${label}:`, err);
+      }
+      return json(body);
+    };
+    next();
+  };
+}
+
+/**
+ * Express のルートと定義の差分
+ * @returns {{ undocumented: string[], unrouted: string[] }} 'METHOD /path' の配列
+ *   undocumented … 登録済みだが定義が無い / unrouted … 定義はあるがルートが無い
+ */
+function findUndocumentedRoutes(app, spec) {
+  const registered = new Set();
+  for (const layer of app._router?.stack || []) {
+    if (!layer.route || typeof layer.route.path !== 'string') continue;
+    const path = layer.route.path.replace(/:(\w+)/g, '{$1}');
+    for (const method of Object.keys(layer.route.methods)) {
+      if (method !== '_all' && method !== 'options') registered.add(`${method.toUpperCase()} ${path}`);
+    }
+  }
+  const documented = new Set();
+  for (const [path, methods] of Object.entries(spec.paths)) {
+    for (const method of Object.keys(methods)) documented.add(`${method.toUpperCase()} ${path}`);
+  }
+  return {
+    undocumented: [...registered].filter((r) => !documented.has(r)),
+    unrouted: [...documented].filter((r) => !registered.has(r)),
+  };
+}
+
+module.exports = { createMatcher, validateRequests, checkResponses, findUndocumentedRoutes };
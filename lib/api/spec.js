@@ -0,0 +1,933 @@
+// lib/api/spec.js
+// OpenAPI 3.0 の API 定義（GET /openapi.json で配布。lib/api/openapi.js の要求検証も同じ定義を使う）
+// 列挙値（status / role / scope / action など）は各 lib の定数から作るので、lib 側を変えれば定義も追従する
+// ルートを追加・変更したらここも更新する（起動時に未定義のルートを警告する。findUndocumentedRoutes）
+const { ERROR_CODES, REQUEST_ID_HEADER } = require('./errors');
+const { STAFF_ROLES } = require('../auth');
+const { PORTAL_SCOPES } = require('../portalTokens');
+const { AUDIT_ACTIONS } = require('../audit');
+const { STATUS_KEYS, SHARE_MODES } = require('../caseTemplates');
+const { DOCUMENT_FILE_STATUSES } = require('../documentIndex');
+const { NOTIFY_EVENTS, NOTIFY_AUDIENCES, NOTIFICATION_STATUSES } = require('../notifications');
+const { FILE_SORT_FIELDS } = require('../pagination');
+const { THUMBNAIL_WIDTHS } = require('../thumbnails');
+const { CASE_STATUSES } = require('../dashboard');
+
+// ---- スキーマの組み立て ----
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const str = (extra = {}) => ({ type: 'string', ...extra });
+const int = (extra = {}) => ({ type: 'integer', ...extra });
+const bool = (extra = {}) => ({ type: 'boolean', ...extra });
+const arr = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const obj = (properties, required = [], extra = {}) => ({
+  type: 'object',
+  properties,
+  ...(required.length ? { required } : {}),
+  ...extra,
+});
+const map = (values) => ({ type: 'object', additionalProperties: values });
+const nullable = (s) => ({ ...s, nullable: true });
+const dateTime = (extra = {}) => str({ format: 'date-time', ...extra });
+const oneOf = (...options) => ({ oneOf: options });
+
+const ID = str({ pattern: '^\\d+$', description: 'DB の id（数字の文字列）' });
+const ID_LIKE = oneOf(str({ pattern: '^\\d+$' }), int({ minimum: 0 }));
+const NON_EMPTY = str({ minLength: 1 });
+const CSV = (description) => str({ description: `${description}（カンマ区切り）` });
+const CSV_OR_LIST = (description) => oneOf(CSV(description), arr(str()));
+const LIMIT = (max) => int({ minimum: 1, maximum: max });
+const PAGE = (max) => ({ limit: LIMIT(max), cursor: str({ description: '前ページの nextCursor' }) });
+const FILE_LIST_QUERY = {
+  ...PAGE(1000),
+  sort: str({ enum: FILE_SORT_FIELDS }),
+  order: str({ enum: ['asc', 'desc'] }),
+  name: str({ description: '部分一致' }),
+  mimeType: str({ description: '完全一致' }),
+  modifiedFrom: dateTime(),
+  modifiedTo: dateTime(),
+};
+const EXPIRES_IN = oneOf(str({ description: '30d / 12h / 15m など' }), int({ minimum: 1, description: '秒' }));
+
+// 応答の content（JSON 以外）
+const content = (type, schema = str({ format: 'binary' })) => ({ __content: { [type]: { schema } } });
+const BINARY = str({ format: 'binary' });
+
+const SCHEMAS = {
+  ErrorEnvelope: obj({
+    code: str({ enum: Object.keys(ERROR_CODES), description: '機械判定用の固定コード' }),
+    message: str(),
+    requestId: nullable(str({ description: `${REQUEST_ID_HEADER} と同じ値` })),
+    details: obj({}, [], { description: 'コードごとの補足（retryAfter / received / errors など）' }),
+    error: str({ description: 'message と同じ（従来のクライアント向け）' }),
+  }, ['code', 'message', 'requestId', 'error']),
+  Message: obj({ message: str() }, ['message']),
+  Reviewer: obj({
+    id: ID, email: str(), name: nullable(str()), role: str({ enum: STAFF_ROLES }), isActive: bool(), createdAt: dateTime(),
+  }, ['id', 'email', 'role', 'isActive']),
+  ReviewerRef: nullable(obj({ id: ID, name: nullable(str()), email: str() })),
+  DriveItem: obj({
+    id: str(), name: str(), mimeType: str(), parents: arr(str()), webViewLink: nullable(str()), description: nullable(str()),
+  }, ['id']),
+  FileLinks: obj({
+    viewUrl: str(), previewUrl: str(), downloadUrl: str(),
+    expiresAt: dateTime({ description: '署名 URL（FILE_SHARING=private）の有効期限' }),
+  }),
+  ListedFile: {
+    allOf: [ref('DriveItem'), ref('FileLinks')],
+    properties: {
+      thumbnailUrl: nullable(str()), version: int(), versionLabel: str(),
+      createdTime: dateTime(), modifiedTime: dateTime(), size: str(),
+    },
+  },
+  FileList: obj({ files: arr(ref('ListedFile')), nextCursor: nullable(str()) }, ['files', 'nextCursor']),
+  ChecklistInput: obj({
+    docType: NON_EMPTY,
+    required: bool(),
+    dueDate: nullable(dateTime()),
+    notes: nullable(str()),
+  }, ['docType']),
+  ChecklistFields: obj({ required: bool(), dueDate: nullable(dateTime()), notes: nullable(str()) }),
+  DocTypeEntry: oneOf(NON_EMPTY, ref('ChecklistInput')),
+  ChecklistItem: obj({
+    docType: str(), required: bool(), dueDate: nullable(dateTime()), notes: nullable(str()),
+    status: str({ enum: ['missing', 'pending', 'approved', 'rejected'] }), state: str(), overdue: bool(),
+    submittedAt: nullable(dateTime()), decidedAt: nullable(dateTime()), reason: nullable(str()), fileId: nullable(str()),
+  }, ['docType', 'status']),
+  ChecklistSummary: obj({
+    total: int(), required: int(), missing: int(), submitted: int(), approved: int(), needsResubmission: int(),
+    overdue: int(), requiredApproved: int(), requiredOutstanding: int(), complete: bool(),
+  }),
+  Checklist: obj({
+    caseId: ID, status: str({ enum: CASE_STATUSES }), summary: ref('ChecklistSummary'), items: arr(ref('ChecklistItem')),
+  }, ['caseId', 'status', 'summary', 'items']),
+  FolderNode: obj({ name: NON_EMPTY, children: arr(ref('FolderNode')) }, ['name']),
+  CaseTemplateInput: obj({
+    description: nullable(str()),
+    statusFolders: arr(obj({ key: str({ enum: STATUS_KEYS }), name: NON_EMPTY, share: str({ enum: SHARE_MODES }) }, ['key', 'name']), {
+      minItems: STATUS_KEYS.length, maxItems: STATUS_KEYS.length,
+    }),
+    docTypes: arr(ref('DocTypeEntry')),
+    folders: arr(ref('FolderNode')),
+  }, ['statusFolders']),
+  CaseTemplate: obj({
+    id: nullable(ID), name: str(), description: nullable(str()),
+    statusFolders: arr(obj({ key: str({ enum: STATUS_KEYS }), name: str(), share: str({ enum: SHARE_MODES }) })),
+    docTypes: arr(ref('DocTypeEntry')), folders: arr(ref('FolderNode')), builtIn: bool(),
+  }, ['name', 'statusFolders', 'builtIn']),
+  CaseFolders: obj({
+    root: ref('DriveItem'),
+    template: str(),
+    statusFolders: map(ref('DriveItem')),
+    docFolders: map(arr(ref('DriveItem'))),
+    folders: arr(obj({})),
+    sharedFolderIds: arr(str()),
+    caseId: ID,
+  }, ['root', 'template', 'statusFolders', 'docFolders']),
+  AuditEntry: obj({
+    id: ID, createdAt: dateTime(), action: str({ enum: AUDIT_ACTIONS }), actorType: str(), actorId: nullable(str()),
+    caseId: nullable(ID), rootId: nullable(str()), fileId: nullable(str()), ip: nullable(str()), userAgent: nullable(str()),
+    details: nullable(obj({})),
+  }, ['id', 'createdAt', 'action']),
+  Notification: obj({
+    id: ID, event: str({ enum: NOTIFY_EVENTS }), channel: str(), recipient: str(), caseId: nullable(ID), subject: nullable(str()),
+    status: str({ enum: NOTIFICATION_STATUSES }), attempts: int(), nextAttemptAt: nullable(dateTime()),
+    lastError: nullable(str()), sentAt: nullable(dateTime()), createdAt: dateTime(),
+  }, ['id', 'event', 'status']),
+  NotificationTemplate: obj({
+    id: ID, caseType: str(), event: str({ enum: NOTIFY_EVENTS }), audience: str({ enum: NOTIFY_AUDIENCES }),
+    subject: str(), body: str(), updatedAt: dateTime(),
+  }, ['id', 'caseType', 'event', 'audience']),
+  DocumentFile: obj({
+    id: ID, fileId: str(), fileName: str(), docType: str(), status: str({ enum: DOCUMENT_FILE_STATUSES }),
+    mimeType: nullable(str()), size: nullable(int()), uploader: nullable(str()), reviewer: nullable(str()), reason: nullable(str()),
+    uploadedAt: nullable(dateTime()), decidedAt: nullable(dateTime()), removedAt: nullable(dateTime()),
+    version: int(), previousId: nullable(ID), supersededAt: nullable(dateTime()),
+    case: obj({ id: ID, debtorName: nullable(str()) }),
+  }, ['id', 'fileId', 'docType', 'status']),
+  MessageAttachment: obj({ fileId: str(), fileName: nullable(str()), docType: nullable(str()) }, ['fileId']),
+  ThreadMessage: obj({
+    id: ID, caseId: ID, documentId: nullable(ID), docType: nullable(str()), kind: str({ enum: ['message', 'rejection'] }),
+    author: obj({ type: str({ enum: ['reviewer', 'debtor'] }), name: nullable(str()), reviewerId: nullable(ID) }),
+    body: str(), attachments: arr(ref('MessageAttachment')), readAt: nullable(dateTime()), readBy: nullable(str()),
+    createdAt: dateTime(),
+  }, ['id', 'caseId', 'kind', 'author', 'body', 'createdAt']),
+  UnreadCounts: obj({ total: int(), case: int(), documents: map(int()) }, ['total', 'case', 'documents']),
+  MessageList: obj({
+    caseId: ID, messages: arr(ref('ThreadMessage')), nextCursor: nullable(str()), unread: ref('UnreadCounts'),
+  }, ['messages', 'nextCursor', 'unread']),
+  ReadResult: obj({ read: int(), unread: ref('UnreadCounts') }, ['read', 'unread']),
+  PortalToken: obj({
+    id: str(), caseId: nullable(ID), rootId: str(), debtorName: nullable(str()), docTypes: arr(str()),
+    scopes: arr(str({ enum: PORTAL_SCOPES })), createdAt: dateTime(), expiresAt: dateTime(), revokedAt: nullable(dateTime()),
+    status: str({ enum: ['active', 'expired', 'revoked'] }),
+  }, ['id', 'status']),
+  SharingResult: obj({ scanned: int(), revoked: int(), failed: int() }),
+  Lifecycle: obj({
+    caseId: ID, status: str({ enum: CASE_STATUSES }), closedAt: nullable(dateTime()), closeReason: nullable(str()),
+    archivedAt: nullable(dateTime()), legalHold: bool(), legalHoldReason: nullable(str()),
+  }, ['caseId', 'status', 'legalHold']),
+  LifecycleResult: {
+    allOf: [ref('Lifecycle')],
+    properties: { moved: bool(), deactivatedLinks: int(), revokedTokens: int(), sharing: ref('SharingResult') },
+  },
+  RetentionEntry: {
+    allOf: [ref('Lifecycle')],
+    properties: { rootId: nullable(str()), purgeAfter: nullable(dateTime()), counts: nullable(map(int())) },
+  },
+  DashboardCase: obj({
+    caseId: ID, debtorName: nullable(str()), caseType: nullable(str()), status: str({ enum: CASE_STATUSES }),
+    createdAt: dateTime(), rootId: nullable(str()), reviewer: ref('ReviewerRef'),
+    documents: obj({ total: int(), pending: int(), approved: int(), rejected: int(), missing: int(), overdue: int() }),
+    oldestPendingAt: nullable(dateTime()), oldestPendingHours: nullable(int()), slaBreached: bool(),
+  }, ['caseId', 'status', 'documents', 'slaBreached']),
+  QueueItem: obj({
+    documentId: ID, caseId: ID, debtorName: nullable(str()), caseStatus: str({ enum: CASE_STATUSES }), rootId: nullable(str()),
+    reviewer: ref('ReviewerRef'), docType: str(), fileId: nullable(str()), submittedAt: nullable(dateTime()),
+    dueDate: nullable(dateTime()), ageHours: nullable(int()), slaBreached: bool(),
+  }, ['documentId', 'caseId', 'docType', 'slaBreached']),
+  QuarantineItem: obj({
+    id: ID, caseId: nullable(ID), rootId: str(), fileId: str(), fileName: str(), docType: str(), uploader: nullable(str()),
+    verdict: str({ enum: ['infected', 'error'] }), signature: nullable(str()), message: nullable(str()),
+    status: str({ enum: ['quarantined', 'released', 'deleted'] }), createdAt: dateTime(), resolvedAt: nullable(dateTime()),
+    resolvedById: nullable(ID),
+  }, ['id', 'fileId', 'status']),
+  UploadSession: obj({
+    uploadId: str(), docType: str(), fileName: str(), mimeType: str(), size: int(), received: int(),
+    status: str({ enum: ['uploading', 'completed'] }), expiresAt: dateTime(), chunkMaxBytes: int(), file: obj({}),
+  }, ['uploadId', 'size', 'received', 'status']),
+  UploadResult: obj({
+    message: str(), result: str({ enum: ['accepted', 'quarantined'] }), code: str({ enum: ['SCAN_FAILED'] }),
+    file: { allOf: [ref('DriveItem'), ref('FileLinks')], properties: { isPublic: bool(), version: int(), versionLabel: str() } },
+  }, ['message', 'result']),
+  FilePolicy: obj({ allowedTypes: arr(str()), maxBytes: nullable(int()), maxFiles: nullable(int()) }),
+  IdempotencyRecord: obj({
+    key: str(), status: str({ enum: ['in_progress', 'completed'] }), progress: nullable(obj({})),
+    responseStatus: int(), createdAt: dateTime(), updatedAt: dateTime(), expiresAt: dateTime(),
+  }, ['key', 'status']),
+  ManifestRow: obj({
+    fileId: str(), fileName: str(), docType: str(), status: str(), reason: str(), uploader: str(), reviewer: str(),
+    createdAt: str(), decidedAt: str(), version: str(),
+  }, ['fileId']),
+};
+
+// ---- ルート定義 ----
+// auth: none | reviewer | admin | debtor:<scope?> | preview（審査者 / ポータル preview / 署名 URL）
+// path / query は { 名前: schema }（queryRequired で必須を指定）、body は JSON（multipart / raw は別指定）
+// responses は { status: schema | content(type, schema) | null }、errors は想定されるエラーの status
+const DEBTOR_QUERY = { token: str({ description: 'Authorization ヘッダの代わり' }) };
+const PREVIEW_QUERY = {
+  ...DEBTOR_QUERY,
+  exp: str({ description: '署名 URL の期限（UNIX 秒）' }),
+  sig: str({ description: '署名 URL の署名' }),
+};
+const CASE_ID = { id: ID };
+
+const ROUTES = {
+  '/': {
+    get: { tags: ['system'], auth: 'none', summary: '稼働確認', responses: { 200: obj({ ok: bool(), service: str(), ts: dateTime() }) } },
+  },
+  '/healthz': {
+    get: { tags: ['system'], auth: 'none', summary: 'ヘルスチェック', responses: { 200: content('text/plain', str()) } },
+  },
+  '/openapi.json': {
+    get: { tags: ['system'], auth: 'none', summary: 'この API 定義（OpenAPI 3.0）', responses: { 200: obj({}) } },
+  },
+  '/idempotency-keys/{key}': {
+    get: {
+      tags: ['cases'], auth: 'reviewer', summary: 'Idempotency-Key の処理状況（進捗）',
+      path: { key: str({ maxLength: 255 }) },
+      responses: { 200: ref('IdempotencyRecord') }, errors: [404],
+    },
+  },
+
+  // ---- 案件フォルダ ----
+  '/create-case-folders': {
+    post: {
+      tags: ['folders'], auth: 'reviewer', idempotent: true,
+      summary: '案件フォルダ一式の作成（失敗時は削除して 500 PROVISIONING_FAILED）',
+      body: obj({
+        rootName: NON_EMPTY, template: str(), docTypes: arr(ref('DocTypeEntry')), makePublic: bool(),
+        parentId: str(), createManifest: bool(), caseId: ID_LIKE,
+      }, ['rootName']),
+      responses: { 200: ref('CaseFolders') }, errors: [404, 409, 422],
+    },
+  },
+  '/case-structure': {
+    get: {
+      tags: ['folders'], auth: 'reviewer', summary: '案件フォルダの構成（docType → folderId）',
+      query: { rootId: NON_EMPTY }, queryRequired: ['rootId'],
+      responses: {
+        200: obj({
+          template: str(), statusFolders: map(ref('DriveItem')), docFolders: map(arr(ref('DriveItem'))),
+          byKey: map(nullable(obj({}))),
+        }),
+      },
+    },
+  },
+  '/upload-to-folder': {
+    post: {
+      tags: ['files'], auth: 'reviewer', summary: 'フォルダへのアップロード（multipart。file は最後に）',
+      multipart: obj({ folderId: NON_EMPTY, namePrefix: str(), file: BINARY }, ['folderId', 'file']),
+      responses: { 200: obj({ message: str(), file: ref('ListedFile') }) }, errors: [413],
+    },
+  },
+  '/files-in-folder': {
+    get: {
+      tags: ['files'], auth: 'reviewer', summary: 'フォルダ内のファイル一覧',
+      query: { folderId: NON_EMPTY, ...FILE_LIST_QUERY }, queryRequired: ['folderId'],
+      responses: { 200: ref('FileList') },
+    },
+  },
+  '/move-file': {
+    post: {
+      tags: ['files'], auth: 'reviewer', summary: 'ファイル移動',
+      body: obj({ fileId: NON_EMPTY, sourceFolderId: NON_EMPTY, destinationFolderId: NON_EMPTY }, ['fileId', 'sourceFolderId', 'destinationFolderId']),
+      responses: { 200: obj({ message: str(), file: ref('DriveItem') }) }, errors: [404],
+    },
+  },
+  '/move-file-smart': {
+    post: {
+      tags: ['files'], auth: 'reviewer', summary: 'ファイル移動（現在の親は自動で解決）',
+      body: obj({ fileId: NON_EMPTY, destinationFolderId: NON_EMPTY }, ['fileId', 'destinationFolderId']),
+      responses: { 200: obj({ message: str(), file: ref('DriveItem') }) }, errors: [404],
+    },
+  },
+  '/comment': {
+    post: {
+      tags: ['review'], auth: 'reviewer', summary: 'ファイルへのコメント（書類 / 案件全体のスレッドへ投稿。案件外のファイルは description）',
+      body: obj({ fileId: NON_EMPTY, message: NON_EMPTY }, ['fileId', 'message']),
+      responses: { 200: obj({ message: str(), comment: nullable(ref('ThreadMessage')), file: ref('DriveItem') }) }, errors: [404],
+    },
+  },
+  '/review/decision': {
+    post: {
+      tags: ['review'], auth: 'reviewer', summary: '審査判定（承認 / 差し戻し。差し戻しは reason 必須）',
+      body: obj({ fileId: NON_EMPTY, decision: str({ enum: ['approve', 'reject'] }), reason: str(), caseId: ID_LIKE }, ['fileId', 'decision']),
+      responses: {
+        200: obj({
+          message: str(), decision: str(), docType: str(), from: str(), to: str(), reason: nullable(str()),
+          decidedAt: dateTime(), caseDocumentsUpdated: nullable(int()), file: ref('DriveItem'),
+        }),
+      },
+      errors: [404, 409],
+    },
+  },
+  '/case-manifest': {
+    get: {
+      tags: ['folders'], auth: 'reviewer', summary: 'manifest.csv の取得',
+      query: { rootId: NON_EMPTY, format: str({ enum: ['json', 'csv'] }) }, queryRequired: ['rootId'],
+      responses: { 200: { 'application/json': obj({ file: ref('DriveItem'), rows: arr(ref('ManifestRow')) }), 'text/csv': str() } },
+      errors: [404],
+    },
+  },
+  '/case-manifest/rebuild': {
+    post: {
+      tags: ['folders'], auth: 'reviewer', summary: 'manifest.csv を現在のフォルダ構成から作り直す',
+      body: obj({ rootId: NON_EMPTY }, ['rootId']),
+      responses: {
+        200: obj({ message: str(), file: ref('DriveItem'), count: int(), removed: int(), rows: arr(ref('ManifestRow')) }),
+      },
+    },
+  },
+
+  // ---- 審査者 ----
+  '/auth/login': {
+    post: {
+      tags: ['auth'], auth: 'none', summary: '審査者ログイン（トークン発行）',
+      body: obj({ email: NON_EMPTY, password: NON_EMPTY }, ['email', 'password']),
+      responses: { 200: obj({ token: str(), expiresIn: str(), reviewer: ref('Reviewer') }, ['token']) }, errors: [401],
+    },
+  },
+  '/auth/me': {
+    get: { tags: ['auth'], auth: 'reviewer', summary: 'ログイン中の審査者', responses: { 200: obj({ reviewer: ref('Reviewer') }) } },
+  },
+  '/reviewers': {
+    get: {
+      tags: ['auth'], auth: 'admin', summary: '審査者の一覧', query: PAGE(500),
+      responses: { 200: obj({ reviewers: arr(ref('Reviewer')), nextCursor: nullable(str()) }) },
+    },
+    post: {
+      tags: ['auth'], auth: 'admin', summary: '審査者の登録',
+      body: obj({ email: NON_EMPTY, password: NON_EMPTY, role: str({ enum: STAFF_ROLES }), name: nullable(str()) }, ['email', 'password']),
+      responses: { 201: obj({ reviewer: ref('Reviewer') }) }, errors: [409],
+    },
+  },
+  '/reviewers/{id}': {
+    patch: {
+      tags: ['auth'], auth: 'admin', summary: '審査者の更新（ロール・無効化・パスワード）', path: CASE_ID,
+      body: obj({ role: str({ enum: STAFF_ROLES }), isActive: bool(), password: str(), name: nullable(str()) }),
+      responses: { 200: obj({ reviewer: ref('Reviewer') }) }, errors: [404],
+    },
+  },
+
+  // ---- 案件 ----
+  '/cases/{id}/audit': {
+    get: {
+      tags: ['cases'], auth: 'reviewer', summary: '案件の監査ログ（新しい順 / CSV は全件）', path: CASE_ID,
+      query: {
+        action: CSV(AUDIT_ACTIONS.join(' / ')), actorType: str(), actorId: str(), fileId: str(),
+        from: dateTime(), to: dateTime({ description: '含まない' }), limit: int(), cursor: str(),
+        before: str({ pattern: '^\\d+$', description: '旧形式（前ページ最後の id）' }), format: str({ enum: ['json', 'csv'] }),
+      },
+      responses: {
+        200: {
+          'application/json': obj({ caseId: ID, items: arr(ref('AuditEntry')), nextCursor: nullable(str()), nextBefore: nullable(ID) }),
+          'text/csv': str(),
+        },
+      },
+      errors: [404],
+    },
+  },
+  '/cases/{id}/checklist': {
+    get: { tags: ['checklist'], auth: 'reviewer', summary: '提出書類チェックリスト', path: CASE_ID, responses: { 200: ref('Checklist') }, errors: [404] },
+    put: {
+      tags: ['checklist'], auth: 'reviewer', summary: 'チェックリストの追加・更新（記載のない docType はそのまま）', path: CASE_ID,
+      body: obj({ items: arr(ref('DocTypeEntry')) }, ['items']),
+      responses: { 200: ref('Checklist') }, errors: [404],
+    },
+  },
+  '/cases/{id}/checklist/{docType}': {
+    patch: {
+      tags: ['checklist'], auth: 'reviewer', summary: 'チェックリスト項目の更新', path: { ...CASE_ID, docType: NON_EMPTY },
+      body: ref('ChecklistFields'), responses: { 200: ref('Checklist') }, errors: [404],
+    },
+    delete: {
+      tags: ['checklist'], auth: 'reviewer', summary: 'チェックリスト項目の削除（未提出のみ）', path: { ...CASE_ID, docType: NON_EMPTY },
+      responses: { 200: ref('Checklist') }, errors: [404, 409],
+    },
+  },
+  '/cases/{id}/notifications': {
+    get: {
+      tags: ['notifications'], auth: 'reviewer', summary: '案件の通知履歴', path: CASE_ID,
+      query: { status: str({ enum: NOTIFICATION_STATUSES }), ...PAGE(500) },
+      responses: {
+        200: obj({ caseId: ID, channels: arr(str()), notifications: arr(ref('Notification')), nextCursor: nullable(str()) }),
+      },
+      errors: [404],
+    },
+  },
+  '/notifications/{id}/retry': {
+    post: {
+      tags: ['notifications'], auth: 'admin', summary: '失敗した通知の再送', path: CASE_ID,
+      responses: { 200: obj({ notification: ref('Notification') }) }, errors: [404, 409],
+    },
+  },
+  '/notification-templates': {
+    get: {
+      tags: ['notifications'], auth: 'admin', summary: '通知テンプレート（登録済みと組み込み既定）', query: { caseType: str() },
+      responses: {
+        200: obj({ events: arr(str()), audiences: arr(str()), templates: arr(ref('NotificationTemplate')), defaults: obj({}) }),
+      },
+    },
+    put: {
+      tags: ['notifications'], auth: 'admin', summary: '通知テンプレートの登録・更新',
+      body: obj({
+        caseType: NON_EMPTY, event: str({ enum: NOTIFY_EVENTS }), audience: str({ enum: NOTIFY_AUDIENCES }),
+        subject: NON_EMPTY, body: NON_EMPTY,
+      }, ['event', 'audience', 'subject', 'body']),
+      responses: { 200: obj({ template: ref('NotificationTemplate') }) },
+    },
+  },
+  '/notification-templates/{id}': {
+    delete: {
+      tags: ['notifications'], auth: 'admin', summary: '通知テンプレートの削除（組み込み既定に戻る）', path: CASE_ID,
+      responses: { 200: ref('Message') }, errors: [404],
+    },
+  },
+  '/drive/changes/notify': {
+    post: {
+      tags: ['system'], auth: 'none', summary: 'Drive の push 通知の受け口（X-Goog-Channel-Token で認証）',
+      responses: { 204: null },
+    },
+  },
+  '/cases/{id}/reconcile': {
+    post: {
+      tags: ['cases'], auth: 'reviewer', summary: 'フォルダ構成から manifest と CaseDocument を作り直す', path: CASE_ID,
+      responses: {
+        200: obj({
+          message: str(), caseId: ID, status: str({ enum: CASE_STATUSES }),
+          manifest: obj({ file: ref('DriveItem'), count: int(), removed: int() }), documents: arr(obj({})),
+        }),
+      },
+      errors: [404, 409],
+    },
+  },
+  '/search': {
+    get: {
+      tags: ['review'], auth: 'reviewer', summary: '提出書類の横断検索',
+      query: {
+        q: str(), debtorName: str(), docType: str(), status: str({ enum: DOCUMENT_FILE_STATUSES }), fileName: str(),
+        uploadedFrom: dateTime(), uploadedTo: dateTime(), caseId: ID, includeSuperseded: bool(), ...PAGE(200),
+      },
+      responses: { 200: obj({ results: arr(ref('DocumentFile')), nextCursor: nullable(str()) }) },
+    },
+  },
+  '/cases/{rootId}/export.zip': {
+    get: {
+      tags: ['cases'], auth: 'reviewer', summary: '案件フォルダの ZIP エクスポート', path: { rootId: NON_EMPTY },
+      query: {
+        status: CSV_OR_LIST('ステータスキーまたはフォルダ名'),
+        docTypes: CSV_OR_LIST('docType'),
+      },
+      responses: { 200: content('application/zip') }, errors: [404],
+    },
+  },
+  '/case-templates': {
+    get: {
+      tags: ['templates'], auth: 'reviewer', summary: '案件テンプレートの一覧',
+      responses: { 200: obj({ templates: arr(ref('CaseTemplate')) }) },
+    },
+  },
+  '/case-templates/{name}': {
+    get: {
+      tags: ['templates'], auth: 'reviewer', summary: '案件テンプレート', path: { name: NON_EMPTY },
+      responses: { 200: obj({ template: ref('CaseTemplate') }) }, errors: [404],
+    },
+    put: {
+      tags: ['templates'], auth: 'admin', summary: '案件テンプレートの登録・更新', path: { name: str({ pattern: '^[A-Za-z0-9_.-]{1,64}$' }) },
+      body: ref('CaseTemplateInput'), responses: { 200: obj({ template: ref('CaseTemplate') }) },
+    },
+    delete: {
+      tags: ['templates'], auth: 'admin', summary: '案件テンプレートの削除（使用中は 409）', path: { name: NON_EMPTY },
+      responses: { 200: ref('Message') }, errors: [404, 409],
+    },
+  },
+  '/documents/{id}/history': {
+    get: {
+      tags: ['review'], auth: 'reviewer', summary: '提出書類の版履歴', path: CASE_ID,
+      responses: {
+        200: obj({
+          document: obj({ id: ID, caseId: ID, docType: str(), status: str(), reason: nullable(str()), fileId: nullable(str()) }),
+          versions: arr({ allOf: [ref('DocumentFile')], properties: { label: str(), current: bool() } }),
+          timeline: arr(obj({ event: str(), at: nullable(dateTime()), by: nullable(str()) })),
+        }),
+      },
+      errors: [404],
+    },
+  },
+  '/cases/{id}/messages': {
+    get: {
+      tags: ['messages'], auth: 'reviewer', summary: '案件のメッセージ（新しい順）', path: CASE_ID,
+      query: { documentId: ID, thread: str({ enum: ['case', 'all'] }), ...PAGE(200) },
+      responses: { 200: ref('MessageList') }, errors: [404],
+    },
+    post: {
+      tags: ['messages'], auth: 'reviewer', summary: 'メッセージの投稿（documentId なしは案件全体のスレッド）', path: CASE_ID,
+      body: obj({ body: NON_EMPTY, documentId: nullable(ID_LIKE), attachments: arr(NON_EMPTY) }, ['body']),
+      responses: { 201: ref('ThreadMessage') }, errors: [404],
+    },
+  },
+  '/cases/{id}/messages/read': {
+    post: {
+      tags: ['messages'], auth: 'reviewer', summary: '債務者からの投稿を既読に', path: CASE_ID,
+      body: obj({ documentId: nullable(ID_LIKE), thread: str({ enum: ['case', 'all'] }), upToId: nullable(ID_LIKE) }),
+      responses: { 200: ref('ReadResult') }, errors: [404],
+    },
+  },
+  '/cases/{id}/close': {
+    post: {
+      tags: ['lifecycle'], auth: 'reviewer', summary: '案件の終了（公開リンク停止・トークン失効・共有解除）', path: CASE_ID,
+      body: obj({ reason: nullable(str()) }),
+      responses: { 200: ref('LifecycleResult') }, errors: [404],
+    },
+  },
+  '/cases/{id}/archive': {
+    post: {
+      tags: ['lifecycle'], auth: 'reviewer', summary: '案件のアーカイブ（close + ルートフォルダの移動）', path: CASE_ID,
+      responses: { 200: ref('LifecycleResult') }, errors: [404, 409],
+    },
+  },
+  '/cases/{id}/legal-hold': {
+    put: {
+      tags: ['lifecycle'], auth: 'admin', summary: '訴訟ホールドの設定・解除', path: CASE_ID,
+      body: obj({ legalHold: bool(), reason: nullable(str()) }, ['legalHold']),
+      responses: { 200: ref('Lifecycle') }, errors: [404],
+    },
+  },
+  '/retention/report': {
+    get: {
+      tags: ['lifecycle'], auth: 'admin', summary: '保存期間を過ぎた案件の一覧（削除はしない）',
+      query: { days: int({ minimum: 1 }) },
+      responses: {
+        200: obj({ days: int(), cutoff: dateTime(), due: arr(ref('RetentionEntry')), held: arr(ref('RetentionEntry')) }),
+      },
+    },
+  },
+  '/dashboard': {
+    get: {
+      tags: ['dashboard'], auth: 'reviewer', summary: '審査者ダッシュボード（案件一覧・集計・審査待ちキュー）',
+      query: {
+        status: CSV(CASE_STATUSES.join(' / ')), debtorName: str(), overdue: bool(),
+        reviewerId: str({ pattern: '^(\\d+|none)$' }), ...PAGE(200), queueLimit: LIMIT(100),
+      },
+      responses: {
+        200: obj({
+          generatedAt: dateTime(), slaHours: int(),
+          summary: obj({
+            cases: int(),
+            documents: obj({ pending: int(), approved: int(), rejected: int(), missing: int(), overdue: int() }),
+            slaBreached: int(), aging: map(int()),
+          }),
+          cases: arr(ref('DashboardCase')), nextCursor: nullable(str()),
+          queue: arr(ref('QueueItem')), queueNextCursor: nullable(str()),
+        }),
+      },
+    },
+  },
+  '/dashboard/queue': {
+    get: {
+      tags: ['dashboard'], auth: 'reviewer', summary: '審査待ちキュー（提出の古い順）',
+      query: {
+        status: CSV(CASE_STATUSES.join(' / ')), debtorName: str(), overdue: bool(),
+        reviewerId: str({ pattern: '^(\\d+|none)$' }), docType: str(), breached: bool(), ...PAGE(200),
+      },
+      responses: { 200: obj({ items: arr(ref('QueueItem')), nextCursor: nullable(str()) }) },
+    },
+  },
+  '/issue-portal-link': {
+    post: {
+      tags: ['portal-links'], auth: 'reviewer', summary: '債務者ポータル URL の発行',
+      body: obj({
+        rootId: NON_EMPTY, debtorName: NON_EMPTY, docTypes: arr(str()),
+        scopes: arr(str({ enum: PORTAL_SCOPES }), { minItems: 1 }), expiresIn: EXPIRES_IN, expiresAt: dateTime(),
+      }, ['rootId', 'debtorName']),
+      responses: {
+        200: obj({ url: str(), token: str(), tokenId: str(), scopes: arr(str()), expiresAt: dateTime() }, ['url', 'token']),
+      },
+      errors: [409],
+    },
+  },
+
+  // ---- 債務者ポータル ----
+  '/portal/info': {
+    get: {
+      tags: ['portal'], auth: 'debtor', summary: 'token の情報・提出ポリシー・未提出の書類', query: DEBTOR_QUERY,
+      responses: {
+        200: obj({
+          debtorName: nullable(str()), docTypes: arr(str()), rootId: str(), exp: int(), scopes: arr(str({ enum: PORTAL_SCOPES })),
+          policies: map(ref('FilePolicy')), defaultPolicy: ref('FilePolicy'),
+          owed: arr(ref('ChecklistItem')), progress: nullable(ref('ChecklistSummary')),
+        }),
+      },
+    },
+  },
+  '/portal/structure': {
+    get: {
+      tags: ['portal'], auth: 'debtor:list', summary: '提出先フォルダ（docType → folderId）', query: DEBTOR_QUERY,
+      responses: { 200: obj({ pending: map(str()) }) },
+    },
+  },
+  '/portal/upload': {
+    post: {
+      tags: ['portal'], auth: 'debtor:upload', summary: '書類の提出（multipart。file は最後に）', query: DEBTOR_QUERY,
+      multipart: obj({ docType: NON_EMPTY, file: BINARY }, ['docType', 'file']),
+      responses: { 200: ref('UploadResult'), 202: ref('UploadResult') }, errors: [409, 413, 415, 422],
+    },
+  },
+  '/portal/upload/init': {
+    post: {
+      tags: ['portal'], auth: 'debtor:upload', summary: '再開可能アップロードの開始', query: DEBTOR_QUERY,
+      body: obj({ docType: str(), fileName: NON_EMPTY, size: int({ minimum: 1 }), mimeType: str() }, ['fileName', 'size']),
+      responses: { 201: ref('UploadSession') }, errors: [409, 413],
+    },
+  },
+  '/portal/upload/{uploadId}': {
+    get: {
+      tags: ['portal'], auth: 'debtor:upload', summary: '再開位置の確認', path: { uploadId: NON_EMPTY }, query: DEBTOR_QUERY,
+      responses: { 200: ref('UploadSession') }, errors: [404],
+    },
+    put: {
+      tags: ['portal'], auth: 'debtor:upload', summary: 'チャンクの送信（本文は application/octet-stream）',
+      path: { uploadId: NON_EMPTY }, query: { offset: int({ minimum: 0, description: '受信済みバイト数' }), ...DEBTOR_QUERY },
+      queryRequired: ['offset'], raw: 'application/octet-stream',
+      responses: { 200: ref('UploadSession') }, errors: [404, 409, 413],
+    },
+    delete: {
+      tags: ['portal'], auth: 'debtor:upload', summary: 'アップロードの中止', path: { uploadId: NON_EMPTY }, query: DEBTOR_QUERY,
+      responses: { 200: ref('Message') }, errors: [404],
+    },
+  },
+  '/portal/upload/{uploadId}/complete': {
+    post: {
+      tags: ['portal'], auth: 'debtor:upload', summary: 'アップロードの確定（再送しても同じ結果）',
+      path: { uploadId: NON_EMPTY }, query: DEBTOR_QUERY,
+      responses: {
+        200: { allOf: [ref('UploadResult'), ref('UploadSession')] },
+        202: ref('UploadResult'),
+      },
+      errors: [404, 409, 415, 422],
+    },
+  },
+  '/portal/files': {
+    get: {
+      tags: ['portal'], auth: 'debtor:list', summary: '提出済みファイルの一覧',
+      query: { docType: str(), ...FILE_LIST_QUERY, ...DEBTOR_QUERY },
+      responses: { 200: ref('FileList') },
+    },
+  },
+  '/portal/messages': {
+    get: {
+      tags: ['portal'], auth: 'debtor:list', summary: 'メッセージ（案件全体と token の書類のスレッド）',
+      query: { docType: str(), thread: str({ enum: ['case', 'all'] }), ...PAGE(200), ...DEBTOR_QUERY },
+      responses: { 200: ref('MessageList') }, errors: [404, 409],
+    },
+    post: {
+      tags: ['portal'], auth: 'debtor:upload', summary: 'メッセージの投稿（docType なしは案件全体のスレッド）', query: DEBTOR_QUERY,
+      body: obj({ body: NON_EMPTY, docType: str(), attachments: arr(NON_EMPTY) }, ['body']),
+      responses: { 201: ref('ThreadMessage') }, errors: [404, 409],
+    },
+  },
+  '/portal/messages/read': {
+    post: {
+      tags: ['portal'], auth: 'debtor:list', summary: '審査者からの投稿を既読に', query: DEBTOR_QUERY,
+      body: obj({ docType: str(), thread: str({ enum: ['case', 'all'] }), upToId: nullable(ID_LIKE) }),
+      responses: { 200: ref('ReadResult') }, errors: [404, 409],
+    },
+  },
+
+  // ---- 隔離 ----
+  '/quarantine': {
+    get: {
+      tags: ['quarantine'], auth: 'reviewer', summary: '隔離ファイルの一覧',
+      query: { rootId: str(), status: str({ enum: ['quarantined', 'released', 'deleted', 'all'] }), ...PAGE(500) },
+      responses: { 200: obj({ items: arr(ref('QuarantineItem')), nextCursor: nullable(str()) }) },
+    },
+  },
+  '/quarantine/{id}/release': {
+    post: {
+      tags: ['quarantine'], auth: 'reviewer', summary: '隔離の解除（infected は force: true が必要）', path: { id: str() },
+      body: obj({ force: bool() }),
+      responses: { 200: obj({ message: str(), item: ref('QuarantineItem'), file: obj({}) }) }, errors: [404, 409],
+    },
+  },
+  '/quarantine/{id}': {
+    delete: {
+      tags: ['quarantine'], auth: 'reviewer', summary: '隔離ファイルの削除', path: { id: str() },
+      responses: { 200: obj({ message: str(), id: ID }) }, errors: [404, 409],
+    },
+  },
+
+  // ---- プレビュー ----
+  '/files/preview/{fileId}': {
+    get: {
+      tags: ['files'], auth: 'preview', summary: 'ファイルのプレビュー・ダウンロード（Range / 条件付き GET 対応）',
+      path: { fileId: NON_EMPTY }, query: { ...PREVIEW_QUERY, download: str() },
+      responses: { 200: content('application/octet-stream'), 206: content('application/octet-stream'), 304: null },
+      errors: [404, 413, 416, 502],
+    },
+  },
+  '/files/thumbnail/{fileId}': {
+    get: {
+      tags: ['files'], auth: 'preview', summary: `サムネイル（WebP。w は ${THUMBNAIL_WIDTHS.join(' / ')} に切り上げ）`,
+      path: { fileId: NON_EMPTY }, query: { w: int({ minimum: 1 }), ...PREVIEW_QUERY },
+      responses: { 200: content('image/webp'), 304: null },
+      errors: [404, 413, 415, 422, 501, 502],
+    },
+  },
+
+  // ---- /api ----
+  '/api/cases': {
+    post: {
+      tags: ['cases'], auth: 'reviewer', idempotent: true, summary: '案件の作成（provisionFolders=true ならフォルダも）',
+      body: obj({
+        debtorName: nullable(str()), debtorEmail: nullable(str({ format: 'email' })), caseType: NON_EMPTY,
+        provisionFolders: bool(), rootName: str(), template: str(), docTypes: arr(ref('DocTypeEntry')),
+        parentId: str(), makePublic: bool(), createManifest: bool(), reviewerId: nullable(ID_LIKE),
+      }),
+      responses: {
+        200: obj({
+          caseId: ID, reviewerId: nullable(ID), publicUrl: str(), rootId: str(), folders: ref('CaseFolders'),
+        }, ['caseId', 'publicUrl']),
+      },
+      errors: [404, 409, 422],
+    },
+  },
+  '/api/cases/{id}': {
+    patch: {
+      tags: ['cases'], auth: 'reviewer', summary: '債務者名・通知先・案件種別の更新', path: CASE_ID,
+      body: obj({ debtorName: nullable(str()), debtorEmail: nullable(str({ format: 'email' })), caseType: NON_EMPTY }),
+      responses: {
+        200: obj({ caseId: ID, debtorName: nullable(str()), debtorEmail: nullable(str()), caseType: nullable(str()) }),
+      },
+      errors: [404],
+    },
+  },
+  '/api/cases/{id}/reviewer': {
+    put: {
+      tags: ['cases'], auth: 'admin', summary: '担当審査者の割り当て', path: CASE_ID,
+      body: obj({ reviewerId: nullable(ID_LIKE) }),
+      responses: { 200: obj({ caseId: ID, reviewerId: nullable(ID) }) }, errors: [404],
+    },
+  },
+  '/api/cases/{id}/portal-links': {
+    get: {
+      tags: ['portal-links'], auth: 'reviewer', summary: '発行済みポータルトークンの一覧', path: CASE_ID, query: PAGE(500),
+      responses: {
+        200: obj({ publicLinkActive: nullable(bool()), links: arr(ref('PortalToken')), nextCursor: nullable(str()) }),
+      },
+      errors: [404],
+    },
+  },
+  '/api/cases/{id}/public-link': {
+    put: {
+      tags: ['portal-links'], auth: 'reviewer', summary: '案件の共有の停止・再開（停止時はトークンも失効）', path: CASE_ID,
+      body: obj({ isActive: bool() }, ['isActive']),
+      responses: { 200: obj({ caseId: ID, isActive: bool(), revokedTokens: int() }) }, errors: [404, 409],
+    },
+  },
+  '/api/portal-links/{tokenId}/revoke': {
+    post: {
+      tags: ['portal-links'], auth: 'reviewer', summary: 'ポータルトークンの失効', path: { tokenId: NON_EMPTY },
+      responses: { 200: obj({ link: ref('PortalToken') }) }, errors: [404],
+    },
+  },
+  '/api/portal-links/{tokenId}/extend': {
+    post: {
+      tags: ['portal-links'], auth: 'reviewer', summary: 'ポータルトークンの有効期限の延長', path: { tokenId: NON_EMPTY },
+      body: obj({ expiresIn: EXPIRES_IN, expiresAt: dateTime() }),
+      responses: { 200: obj({ link: ref('PortalToken') }) }, errors: [404, 409],
+    },
+  },
+  '/api/public/cases/{publicId}': {
+    get: {
+      tags: ['public'], auth: 'none', summary: '公開 ID から案件の公開用データ', path: { publicId: NON_EMPTY },
+      responses: {
+        200: obj({
+          case: obj({ debtorName: nullable(str()), status: str(), createdAt: dateTime(), hasFolders: bool() }),
+          documents: arr(obj({
+            id: ID, docType: str(), status: str(), required: bool(), dueDate: nullable(dateTime()),
+            submittedAt: nullable(dateTime()), decidedAt: nullable(dateTime()), reason: nullable(str()),
+          })),
+        }),
+      },
+      errors: [404, 429],
+    },
+  },
+};
+
+// ---- OpenAPI への変換 ----
+const STATUS_TEXT = {
+  200: '成功', 201: '作成', 202: '受付（確認待ち）', 204: '応答本文なし', 206: '部分応答', 304: '変更なし',
+  400: '入力が不正', 401: '認証が必要', 403: '権限がない', 404: '見つからない', 409: '状態の競合', 413: '大きすぎる',
+  415: '対応していない形式', 416: 'Range が範囲外', 422: '処理できない', 429: 'リクエストが多すぎる', 500: 'サーバのエラー',
+  501: '未設定の機能', 502: '外部サービスのエラー',
+};
+
+const SECURITY = {
+  none: [],
+  reviewer: [{ reviewerAuth: [] }],
+  admin: [{ reviewerAuth: [] }],
+  debtor: [{ portalAuth: [] }, { portalToken: [] }],
+  preview: [{ reviewerAuth: [] }, { portalAuth: [] }, { portalToken: [] }, { signedLink: [] }],
+};
+
+// 認証方式ごとに起こりうるエラー
+const AUTH_ERRORS = { none: [], reviewer: [401, 403], admin: [401, 403], debtor: [401, 403, 429], preview: [401, 403] };
+
+const operationId = (method, path) =>
+  method + (path.split(/[/.-]/).filter(Boolean).map((s) => {
+    const name = s.replace(/[{}]/g, '');
+    const word = name.charAt(0).toUpperCase() + name.slice(1);
+    return s.startsWith('{') ? `By${word}` : word;
+  }).join('') || 'Root');
+
+const param = (where, required) => ([name, schema]) => ({ name, in: where, required, schema });
+
+function toResponse(status, def) {
+  const description = STATUS_TEXT[status] || String(status);
+  if (def == null) return { description };
+  if (def.__content) return { description, content: def.__content };
+  const types = Object.keys(def).filter((k) => k.includes('/'));
+  if (types.length && types.length === Object.keys(def).length) {
+    return { description, content: Object.fromEntries(types.map((t) => [t, { schema: def[t] }])) };
+  }
+  return { description, content: { 'application/json': { schema: def } } };
+}
+
+function toOperation(method, path, op) {
+  const kind = op.auth.split(':')[0];
+  const scope = op.auth.split(':')[1];
+  const parameters = [
+    ...Object.entries(op.path || {}).map(param('path', true)),
+    ...Object.entries(op.query || {}).map(([name, schema]) => param('query', (op.queryRequired || []).includes(name))([name, schema])),
+    ...(op.idempotent ? [{
+      name: 'Idempotency-Key', in: 'header', required: false, schema: str({ maxLength: 255 }),
+      description: '同じキーの再送には最初の応答を返す（Idempotent-Replayed: true）',
+    }] : []),
+  ];
+  let requestBody;
+  if (op.body) requestBody = { required: Boolean(op.body.required?.length), content: { 'application/json': { schema: op.body } } };
+  if (op.multipart) requestBody = { required: true, content: { 'multipart/form-data': { schema: op.multipart } } };
+  if (op.raw) requestBody = { required: true, content: { [op.raw]: { schema: BINARY } } };
+
+  const errors = new Set([
+    ...(parameters.length || requestBody ? [400] : []),
+    ...AUTH_ERRORS[kind],
+    ...(op.errors || []),
+  ]);
+  const responses = {};
+  for (const [status, def] of Object.entries(op.responses)) responses[status] = toResponse(status, def);
+  for (const status of [...errors].sort()) responses[status] = { $ref: `#/components/responses/Error${status}` };
+  responses.default = { $ref: '#/components/responses/Error' };
+
+  return {
+    operationId: operationId(method, path),
+    tags: op.tags,
+    summary: op.summary,
+    ...(kind === 'admin' ? { description: 'admin のみ' } : {}),
+    ...(scope ? { description: `ポータルトークンの scope: ${scope}` } : {}),
+    security: SECURITY[kind],
+    ...(parameters.length ? { parameters } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses,
+    'x-auth': op.auth,
+  };
+}
+
+const ERROR_RESPONSE = (description) => ({
+  description,
+  headers: { [REQUEST_ID_HEADER]: { schema: str() } },
+  content: { 'application/json': { schema: ref('ErrorEnvelope') } },
+});
+
+/**
+ * @param {{ version?: string, serverUrl?: string }} opts
+ * @returns {object} OpenAPI 3.0.3 の文書
+ */
+function buildOpenApiSpec({ version = '1.0.0', serverUrl } = {}) {
+  const paths = {};
+  for (const [path, methods] of Object.entries(ROUTES)) {
+    paths[path] = Object.fromEntries(Object.entries(methods).map(([method, op]) => [method, toOperation(method, path, op)]));
+  }
+  const errorStatuses = Object.keys(STATUS_TEXT).map(Number).filter((s) => s >= 400);
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'drive-folder-api',
+      version,
+      description: [
+        '債務者の提出書類を Google Drive の案件フォルダで管理する API。',
+        `エラーはすべて ErrorEnvelope（code / message / requestId / details）で返す。requestId は ${REQUEST_ID_HEADER} ヘッダと同じ。`,
+        'パラメータと JSON 本文はこの定義で検証し、違反は 400 VALIDATION_FAILED（details.errors）。',
+      ].join('\n'),
+    },
+    ...(serverUrl ? { servers: [{ url: serverUrl }] } : {}),
+    paths,
+    components: {
+      schemas: SCHEMAS,
+      responses: {
+        Error: ERROR_RESPONSE('エラー'),
+        ...Object.fromEntries(errorStatuses.map((s) => [`Error${s}`, ERROR_RESPONSE(STATUS_TEXT[s])])),
+      },
+      securitySchemes: {
+        reviewerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'POST /auth/login で発行した審査者トークン' },
+        portalAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'POST /issue-portal-link で発行したポータルトークン' },
+        portalToken: { type: 'apiKey', in: 'query', name: 'token', description: 'ポータルトークン（クエリで渡す場合）' },
+        signedLink: { type: 'apiKey', in: 'query', name: 'sig', description: '期限付きの署名 URL（exp と組み合わせ）' },
+      },
+    },
+    'x-error-codes': Object.fromEntries(Object.entries(ERROR_CODES).map(([code, c]) => [code, c])),
+  };
+}
+
+module.exports = { buildOpenApiSpec };
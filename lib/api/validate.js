@@ -0,0 +1,110 @@
+// lib/api/validate.js
+// OpenAPI（JSON Schema のサブセット）による値の検証。依存パッケージを増やさないための最小実装
+// 対応: $ref（#/components/schemas/...）/ type / nullable / enum / format（date-time, email）/ pattern /
+//       minLength / maxLength / minimum / maximum / items / minItems / maxItems /
+//       properties / required / additionalProperties / oneOf / anyOf / allOf
+// クエリ・パスの値は文字列で届くので、coerce: true なら schema の type に合わせて数値・真偽値として検証する
+// （検証のみ。req.query などの値は書き換えない）
+
+const FORMATS = {
+  'date-time': (v) => !Number.isNaN(new Date(v).getTime()),
+  email: (v) => /^[^\s@]+@[^\s@]+$/.test(v),
+};
+
+const typeOf = (v) => {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+};
+
+function matchesType(type, v) {
+  const t = typeOf(v);
+  if (type === 'number') return t === 'integer' || t === 'number';
+  return t === type;
+}
+
+// 文字列 → schema の type（クエリ・パス用）
+function coerceValue(schema, v) {
+  if (typeof v !== 'string') return v;
+  if ((schema.type === 'integer' || schema.type === 'number') && /^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  if (schema.type === 'boolean' && (v === 'true' || v === 'false')) return v === 'true';
+  return v;
+}
+
+/**
+ * @param {object} schema
+ * @param {any} value
+ * @param {{ components?: object, coerce?: boolean, path?: string }} opts
+ * @returns {{ path: string, message: string }[]} 空なら OK
+ */
+function validateValue(schema, value, { components = {}, coerce = false, path = '' } = {}) {
+  const errors = [];
+  const fail = (p, message) => errors.push({ path: p || '(root)', message });
+
+  function resolve(s) {
+    let cur = s;
+    for (let i = 0; cur?.$ref && i < 10; i++) {
+      const name = cur.$ref.replace('#/components/schemas/', '');
+      cur = components.schemas?.[name];
+      if (!cur) throw new Error(`unknown $ref: ${s.$ref}`);
+    }
+    return cur;
+  }
+
+  function walk(s0, v0, p) {
+    const s = resolve(s0);
+    if (!s) return;
+    const v = coerce ? coerceValue(s, v0) : v0;
+    if (v === null && (s.nullable || !s.type)) {
+      if (s.nullable || !(s.oneOf || s.anyOf)) return;
+    } else if (v === null) {
+      fail(p, 'null は指定できません');
+      return;
+    }
+    if (s.oneOf || s.anyOf) {
+      const options = s.oneOf || s.anyOf;
+      const ok = options.filter((o) => validateValue(o, v, { components, coerce }).length === 0).length;
+      if (s.oneOf ? ok !== 1 : ok === 0) fail(p, '許可されたいずれの形式にも一致しません');
+      return;
+    }
+    if (s.allOf) s.allOf.forEach((o) => walk(o, v, p));
+    if (s.type && !matchesType(s.type, v)) {
+      fail(p, `${s.type} で指定してください`);
+      return;
+    }
+    if (s.enum && !s.enum.includes(v)) fail(p, `${s.enum.join(' / ')} のいずれかです`);
+    if (typeof v === 'string') {
+      if (s.minLength != null && v.length < s.minLength) fail(p, `${s.minLength} 文字以上で指定してください`);
+      if (s.maxLength != null && v.length > s.maxLength) fail(p, `${s.maxLength} 文字以内で指定してください`);
+      if (s.pattern && !new RegExp(s.pattern).test(v)) fail(p, '形式が不正です');
+      if (s.format && FORMATS[s.format] && !FORMATS[s.format](v)) fail(p, `${s.format} の形式で指定してください`);
+    }
+    if (typeof v === 'number') {
+      if (s.minimum != null && v < s.minimum) fail(p, `${s.minimum} 以上で指定してください`);
+      if (s.maximum != null && v > s.maximum) fail(p, `${s.maximum} 以下で指定してください`);
+    }
+    if (Array.isArray(v)) {
+      if (s.minItems != null && v.length < s.minItems) fail(p, `${s.minItems} 件以上で指定してください`);
+      if (s.maxItems != null && v.length > s.maxItems) fail(p, `${s.maxItems} 件以内で指定してください`);
+      if (s.items) v.forEach((x, i) => walk(s.items, x, `${p}[${i}]`));
+    }
+    if (typeOf(v) === 'object') {
+      for (const key of s.required || []) {
+        if (v[key] === undefined) fail(p ? `${p}.${key}` : key, '必須です');
+      }
+      const props = s.properties || {};
+      for (const [key, x] of Object.entries(v)) {
+        const child = p ? `${p}.${key}` : key;
+        if (props[key]) walk(props[key], x, child);
+        else if (s.additionalProperties === false) fail(child, '未定義の項目です');
+        else if (s.additionalProperties && typeof s.additionalProperties === 'object') walk(s.additionalProperties, x, child);
+      }
+    }
+  }
+
+  walk(schema, value, path);
+  return errors;
+}
+
+module.exports = { validateValue };
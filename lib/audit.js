@@ -0,0 +1,160 @@
+// lib/audit.js
+// 監査ログ（AuditLog テーブル、追記のみ。UPDATE/DELETE は DB トリガで禁止）
+// 「誰が・いつ・どの案件のどのファイルを見た/変更したか」を記録する
+const { escapeCsv } = require('./manifest');
+
+// action 一覧（GET /cases/:id/audit の action フィルタに使用）
+const AUDIT_ACTIONS = [
+  'auth.login',
+  'case.create',
+  'case.assign',
+  'case.status',
+  'case.reconcile',
+  'case.export',
+  'case.close',
+  'case.archive',
+  'case.legal_hold',
+  'case.purge',
+  'checklist.update',
+  'folder.create',
+  'file.upload',
+  'file.quarantine',
+  'file.archive',
+  'file.move',
+  'file.comment',
+  'file.preview',
+  'file.download',
+  'file.sync',
+  'review.decision',
+  'rate_limit.block',
+  'message.post',
+  'permission.grant',
+  'permission.revoke',
+  'portal_link.issue',
+  'portal_link.revoke',
+  'portal_link.extend',
+  'public_link.update',
+  'quarantine.release',
+  'quarantine.delete',
+];
+
+const AUDIT_CSV_COLUMNS = [
+  'id', 'createdAt', 'action', 'actorType', 'actorId',
+  'caseId', 'rootId', 'fileId', 'ip', 'userAgent', 'details',
+];
+const AUDIT_CSV_HEADER = AUDIT_CSV_COLUMNS.join(',') + '\n';
+
+// details を JSON 列に入る形へ（Date → ISO 文字列、BigInt → 文字列）
+const toJsonValue = (v) => JSON.parse(JSON.stringify(v, (_k, x) => (typeof x === 'bigint' ? String(x) : x)));
+
+// req → 操作者（審査者 id / 債務者トークン id）と接続元。req なし（自動処理）は system
+function actorFromReq(req) {
+  if (!req) return { actorType: 'system', actorId: null, ip: null, userAgent: null };
+  const actor = req.reviewer
+    ? { actorType: 'reviewer', actorId: String(req.reviewer.id) }
+    : req.portal
+      ? { actorType: 'debtor', actorId: req.portal.tokenId || null }
+      : { actorType: 'anonymous', actorId: null };
+  return {
+    ...actor,
+    ip: req.ip || null,
+    userAgent: req.headers?.['user-agent']?.slice(0, 500) || null,
+  };
+}
+
+/**
+ * @param {object} prisma
+ * @param {{ resolveCase?: (itemId: string) => Promise<{ id, rootId }|null> }} opts
+ *   resolveCase はファイル/フォルダ id から案件を特定する（caseId / rootId が不明な場合に使用）
+ */
+function createAuditLog(prisma, { resolveCase } = {}) {
+  async function resolve({ caseId, rootId, itemId }) {
+    if (caseId != null) return { caseId: BigInt(caseId), rootId: rootId || null };
+    if (rootId) {
+      const c = await prisma.case.findUnique({ where: { rootId }, select: { id: true } });
+      return { caseId: c?.id ?? null, rootId };
+    }
+    if (itemId && resolveCase) {
+      const c = await resolveCase(itemId).catch(() => null);
+      if (c) return { caseId: c.id, rootId: c.rootId };
+    }
+    return { caseId: null, rootId: null };
+  }
+
+  /**
+   * 記録（失敗しても本来の操作は失敗させない）
+   * @param {object} req
+   * @param {string} action AUDIT_ACTIONS のいずれか
+   * @param {{ caseId?, rootId?, fileId?, itemId?, details? }} target itemId は案件特定用（省略時は fileId）
+   */
+  async function record(req, action, { caseId, rootId, fileId, itemId, details } = {}) {
+    try {
+      const where = await resolve({ caseId, rootId, itemId: itemId || fileId });
+      await prisma.auditLog.create({
+        data: {
+          action,
+          ...actorFromReq(req),
+          ...where,
+          fileId: fileId || null,
+          details: details != null ? toJsonValue(details) : undefined,
+        },
+      });
+    } catch (err) {
+      console.error('audit log error:', err);
+    }
+  }
+
+  function query(caseId, { actions, actorType, actorId, fileId, from, to, limit = 100, beforeId } = {}) {
+    return prisma.auditLog.findMany({
+      where: {
+        caseId: BigInt(caseId),
+        ...(actions?.length ? { action: { in: actions } } : {}),
+        ...(actorType ? { actorType } : {}),
+        ...(actorId ? { actorId } : {}),
+        ...(fileId ? { fileId } : {}),
+        ...(from || to ? { createdAt: { ...(from ? { gte: from } : {}), ...(to ? { lt: to } : {}) } } : {}),
+        ...(beforeId != null ? { id: { lt: BigInt(beforeId) } } : {}),
+      },
+      orderBy: { id: 'desc' },
+      take: limit,
+    });
+  }
+
+  return { record, query };
+}
+
+function toAuditJson(a) {
+  return {
+    id: String(a.id),
+    createdAt: a.createdAt,
+    action: a.action,
+    actorType: a.actorType,
+    actorId: a.actorId,
+    caseId: a.caseId != null ? String(a.caseId) : null,
+    rootId: a.rootId,
+    fileId: a.fileId,
+    ip: a.ip,
+    userAgent: a.userAgent,
+    details: a.details,
+  };
+}
+
+// ヘッダなしの CSV 行（大量件数を分割して書き出せるように）
+function serializeAuditCsvRows(rows) {
+  return rows
+    .map((a) => {
+      const j = { ...toAuditJson(a), createdAt: a.createdAt.toISOString(), details: a.details ? JSON.stringify(a.details) : '' };
+      return AUDIT_CSV_COLUMNS.map((c) => escapeCsv(j[c])).join(',') + '\n';
+    })
+    .join('');
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  AUDIT_CSV_COLUMNS,
+  AUDIT_CSV_HEADER,
+  actorFromReq,
+  createAuditLog,
+  toAuditJson,
+  serializeAuditCsvRows,
+};
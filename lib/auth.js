@@ -0,0 +1,40 @@
+// lib/auth.js
+// 審査者アカウント用のパスワードハッシュ / トークン
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+
+const scrypt = promisify(crypto.scrypt);
+const KEYLEN = 64;
+
+const STAFF_ROLES = ['admin', 'reviewer'];
+
+// 形式: scrypt$<salt(hex)>$<hash(hex)>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, KEYLEN);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [algo, saltHex, hashHex] = String(stored || '').split('$');
+  if (algo !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function signReviewerToken(reviewer, expiresIn = process.env.REVIEWER_JWT_EXPIRES_IN || '12h') {
+  if (!process.env.JWT_SECRET) throw new Error('JWT_SECRET is required');
+  return jwt.sign(
+    { sub: String(reviewer.id), role: reviewer.role, email: reviewer.email },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+}
+
+function verifyReviewerToken(token) {
+  return jwt.verify(token, process.env.JWT_SECRET);
+}
+
+module.exports = { STAFF_ROLES, hashPassword, verifyPassword, signReviewerToken, verifyReviewerToken };
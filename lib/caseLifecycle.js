@@ -0,0 +1,244 @@
+// lib/caseLifecycle.js
+// 案件の終了（close）・アーカイブ（archive）と、保存期間を過ぎた案件の削除（purge）
+//   close   … 公開リンク（CasePublicLink）の停止・ポータルトークンの失効・案件フォルダ配下の anyone 権限の削除。Case.status = closed
+//             共有の解除に失敗した項目があっても案件は閉じる（close をやり直せば残りを外す）
+//   archive … close に加えて、ルートフォルダをアーカイブ用の親フォルダの下へ移す。Case.status = archived
+//   purge   … closedAt から保存期間（日数）を過ぎた案件のフォルダをゴミ箱へ（mode = delete なら完全削除）→ DB の行も削除
+//             legalHold（訴訟ホールド）の案件は対象外。監査ログは残る
+// closed / archived は checklist.js の自動ステータスではないので、書類の更新で status が戻ることはない
+const { FOLDER_MIME } = require('./storage');
+
+const CLOSED_CASE_STATUSES = ['closed', 'archived'];
+const PURGE_MODES = ['trash', 'delete'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CaseLifecycleError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const isCaseClosed = (c) => CLOSED_CASE_STATUSES.includes(c.status);
+const isNotFound = (err) => (err?.code || err?.response?.status) === 404;
+
+async function listChildren(storage, parentId) {
+  const out = [];
+  let pageToken;
+  do {
+    const page = await storage.list(parentId, { pageSize: 1000, pageToken, fields: 'id,name,mimeType' });
+    out.push(...page.files);
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  return out;
+}
+
+// ルートから幅優先で全 id（ルート自身を含む）
+async function collectTree(storage, rootId) {
+  const ids = [rootId];
+  const queue = [rootId];
+  while (queue.length) {
+    for (const item of await listChildren(storage, queue.shift())) {
+      ids.push(item.id);
+      if (item.mimeType === FOLDER_MIME) queue.push(item.id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * @param {{ prisma, storage, audit, archiveParentId?: string, retentionDays?: number }} deps
+ *   archiveParentId … アーカイブ先の親フォルダ（未設定なら archive は不可）
+ *   retentionDays   … closedAt からの保存日数（未設定なら purge は不可）
+ */
+function createCaseLifecycle({ prisma, storage, audit, archiveParentId, retentionDays }) {
+  // 配下の anyone 権限をすべて外す（失敗した項目は数えて続行）
+  async function revokeTreeSharing(rootId) {
+    const ids = await collectTree(storage, rootId);
+    const result = { scanned: ids.length, revoked: 0, failed: 0 };
+    await Promise.all(ids.map(async (id) => {
+      try {
+        if (await storage.revokePublic(id)) result.revoked++;
+      } catch (err) {
+        if (isNotFound(err)) return;
+        result.failed++;
+        console.error(`revoke sharing error (${id}):`, err?.response?.data || err);
+      }
+    }));
+    return result;
+  }
+
+  /**
+   * 案件を閉じる（閉じ済みなら共有の解除だけやり直す）
+   * @returns {Promise<{ case, deactivatedLinks: number, revokedTokens: number, sharing: { scanned, revoked, failed } }>}
+   */
+  async function close(req, c, { reason } = {}) {
+    const from = c.status;
+    const now = new Date();
+    const [links, tokens, updated] = await prisma.$transaction([
+      prisma.casePublicLink.updateMany({ where: { caseId: c.id, isActive: true }, data: { isActive: false } }),
+      prisma.portalToken.updateMany({
+        where: { revokedAt: null, OR: [{ caseId: c.id }, ...(c.rootId ? [{ rootId: c.rootId }] : [])] },
+        data: { revokedAt: now },
+      }),
+      prisma.case.update({
+        where: { id: c.id },
+        data: {
+          status: isCaseClosed(c) ? c.status : 'closed',
+          closedAt: c.closedAt ?? now,
+          ...(reason !== undefined ? { closeReason: reason } : {}),
+        },
+      }),
+    ]);
+    const sharing = c.rootId ? await revokeTreeSharing(c.rootId) : { scanned: 0, revoked: 0, failed: 0 };
+    await audit.record(req, 'case.close', {
+      caseId: c.id,
+      rootId: c.rootId ?? undefined,
+      details: { from, reason: updated.closeReason, deactivatedLinks: links.count, revokedTokens: tokens.count, sharing },
+    });
+    return { case: updated, deactivatedLinks: links.count, revokedTokens: tokens.count, sharing };
+  }
+
+  /**
+   * アーカイブ（未終了なら先に close）。ルートフォルダを archiveParentId の直下へ移す
+   * @returns {Promise<{ case, closed: object|null, moved: boolean }>}
+   */
+  async function archive(req, c) {
+    if (!archiveParentId) throw new CaseLifecycleError(500, 'CASE_ARCHIVE_PARENT_ID が未設定です', 'ARCHIVE_NOT_CONFIGURED');
+    if (!c.rootId) throw new CaseLifecycleError(409, 'フォルダが作成されていない案件です', 'NO_FOLDERS');
+    const wasArchived = c.status === 'archived';
+    const closed = isCaseClosed(c) ? null : await close(req, c);
+
+    const root = await storage.get(c.rootId, { fields: 'id,parents' });
+    const from = (root.parents || []).filter((p) => p !== archiveParentId);
+    const moved = from.length > 0 || !(root.parents || []).includes(archiveParentId);
+    if (moved) {
+      await storage.update(c.rootId, {
+        addParents: archiveParentId,
+        ...(from.length ? { removeParents: from.join(',') } : {}),
+      }, { fields: 'id,parents' });
+    }
+    const updated = await prisma.case.update({
+      where: { id: c.id },
+      data: { status: 'archived', archivedAt: c.archivedAt ?? new Date() },
+    });
+    if (moved || !wasArchived) {
+      await audit.record(req, 'case.archive', {
+        caseId: c.id,
+        rootId: c.rootId,
+        fileId: c.rootId,
+        details: { from, to: archiveParentId },
+      });
+    }
+    return { case: updated, closed, moved };
+  }
+
+  // 訴訟ホールドの設定・解除
+  async function setLegalHold(req, c, { legalHold, reason }) {
+    const before = { legalHold: c.legalHold, reason: c.legalHoldReason };
+    const updated = await prisma.case.update({
+      where: { id: c.id },
+      data: { legalHold, legalHoldReason: legalHold ? reason ?? c.legalHoldReason ?? null : null },
+    });
+    if (updated.legalHold !== before.legalHold || updated.legalHoldReason !== before.reason) {
+      await audit.record(req, 'case.legal_hold', {
+        caseId: c.id,
+        rootId: c.rootId ?? undefined,
+        details: { legalHold: updated.legalHold, reason: updated.legalHoldReason },
+      });
+    }
+    return updated;
+  }
+
+  function resolveDays(days) {
+    const d = days ?? retentionDays;
+    if (!(Number(d) > 0)) throw new CaseLifecycleError(500, 'CASE_RETENTION_DAYS が未設定です', 'RETENTION_NOT_CONFIGURED');
+    return Number(d);
+  }
+
+  // 保存期間を過ぎた閉じ済み案件（legalHold を含む）
+  const expiredWhere = (cutoff) => ({ status: { in: CLOSED_CASE_STATUSES }, closedAt: { lt: cutoff } });
+
+  /**
+   * 削除対象の一覧（dry-run 用。何も変更しない）
+   * @returns {Promise<{ days, cutoff: Date, due: Case[], held: Case[] }>} held は期限切れだが legalHold で除外される案件
+   */
+  async function retentionReport({ days, now = new Date() } = {}) {
+    const d = resolveDays(days);
+    const cutoff = new Date(now.getTime() - d * DAY_MS);
+    const include = { _count: { select: { documents: true, files: true, messages: true, portalTokens: true } } };
+    const [due, held] = await Promise.all([
+      prisma.case.findMany({ where: { ...expiredWhere(cutoff), legalHold: false }, include, orderBy: { closedAt: 'asc' } }),
+      prisma.case.findMany({ where: { ...expiredWhere(cutoff), legalHold: true }, include, orderBy: { closedAt: 'asc' } }),
+    ]);
+    return { days: d, cutoff, due, held };
+  }
+
+  /**
+   * 1 件削除。直前に読み直し、legalHold が付いた・期限前になった案件は削除しない（null を返す）
+   * フォルダが既に無い場合は DB の行だけ削除する
+   */
+  async function purge(req, caseId, { mode = 'trash', days, now = new Date() } = {}) {
+    if (!PURGE_MODES.includes(mode)) throw new CaseLifecycleError(400, `mode は ${PURGE_MODES.join(' / ')} を指定してください`, 'INVALID_MODE');
+    const cutoff = new Date(now.getTime() - resolveDays(days) * DAY_MS);
+    const c = await prisma.case.findFirst({ where: { id: BigInt(caseId), ...expiredWhere(cutoff), legalHold: false } });
+    if (!c) return null;
+
+    if (c.rootId) {
+      try {
+        if (mode === 'delete') await storage.remove(c.rootId);
+        else await storage.trash(c.rootId);
+      } catch (err) {
+        if (!isNotFound(err)) throw err;
+      }
+    }
+    // 関連行は Case の削除で消える（Cascade）。SetNull で残るもの（通知・隔離記録）もここで消す
+    await prisma.$transaction([
+      prisma.notification.deleteMany({ where: { caseId: c.id } }),
+      prisma.quarantineItem.deleteMany({ where: { OR: [{ caseId: c.id }, ...(c.rootId ? [{ rootId: c.rootId }] : [])] } }),
+      prisma.case.delete({ where: { id: c.id } }),
+    ]);
+    await audit.record(req, 'case.purge', {
+      caseId: c.id,
+      rootId: c.rootId ?? undefined,
+      details: { mode, status: c.status, closedAt: c.closedAt, archivedAt: c.archivedAt },
+    });
+    return c;
+  }
+
+  return { close, archive, setLegalHold, retentionReport, purge, revokeTreeSharing };
+}
+
+function toLifecycleJson(c) {
+  return {
+    caseId: String(c.id),
+    status: c.status,
+    closedAt: c.closedAt ?? null,
+    closeReason: c.closeReason ?? null,
+    archivedAt: c.archivedAt ?? null,
+    legalHold: Boolean(c.legalHold),
+    legalHoldReason: c.legalHoldReason ?? null,
+  };
+}
+
+// retentionReport の 1 件 → JSON
+function toRetentionJson(c, days) {
+  return {
+    ...toLifecycleJson(c),
+    rootId: c.rootId,
+    purgeAfter: c.closedAt ? new Date(c.closedAt.getTime() + days * DAY_MS) : null,
+    counts: c._count ?? null,
+  };
+}
+
+module.exports = {
+  CLOSED_CASE_STATUSES,
+  PURGE_MODES,
+  CaseLifecycleError,
+  isCaseClosed,
+  collectTree,
+  createCaseLifecycle,
+  toLifecycleJson,
+  toRetentionJson,
+};
@@ -0,0 +1,151 @@
+// lib/caseTemplates.js
+// 案件フォルダのテンプレート（CaseTemplate）
+//   statusFolders … [{ key, name, share }]
+//     key   pending / approved / rejected（ワークフローが参照する固定キー。3 つとも必須）
+//     name  フォルダの表示名（言語・命名は自由。各ルートは key で解決するので後から変えてもよい）
+//     share private | anyone（そのステータスフォルダと配下の docType フォルダを「リンクを知っている全員」に公開するか）
+//   docTypes … 既定の提出書類（文字列 or { docType, required?, notes? }。案件作成時に docTypes 未指定なら使う）
+//   folders  … ルート直下に作る追加フォルダ（[{ name, children?: [...] }]、入れ子可）
+const { normalizeChecklist } = require('./checklist');
+
+const STATUS_KEYS = ['pending', 'approved', 'rejected'];
+const SHARE_MODES = ['private', 'anyone'];
+const MAX_FOLDER_DEPTH = 5;
+
+const DEFAULT_CASE_TEMPLATE = {
+  id: null,
+  name: 'default',
+  description: '標準（提出物 / 承認済 / 差し戻し）',
+  statusFolders: [
+    { key: 'pending', name: '01_提出物', share: 'private' },
+    { key: 'approved', name: '02_承認済', share: 'private' },
+    { key: 'rejected', name: '03_差し戻し', share: 'private' },
+  ],
+  docTypes: [],
+  folders: [],
+};
+
+class CaseTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+function normalizeFolderName(v, what) {
+  const name = typeof v === 'string' ? v.trim() : '';
+  if (!name || name.length > 100 || /[\\/]/.test(name)) {
+    throw new CaseTemplateError(`${what} のフォルダ名が不正です（1〜100 文字、/ と \\ は使えません）`);
+  }
+  return name;
+}
+
+function assertUnique(names, what) {
+  const dup = names.find((n, i) => names.indexOf(n) !== i);
+  if (dup) throw new CaseTemplateError(`${what} のフォルダ名が重複しています: ${dup}`);
+}
+
+function normalizeFolders(list, depth = 1) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw new CaseTemplateError('folders は配列で指定してください');
+  if (depth > MAX_FOLDER_DEPTH) throw new CaseTemplateError(`folders の入れ子は ${MAX_FOLDER_DEPTH} 階層までです`);
+  const out = list.map((f) => {
+    const node = typeof f === 'string' ? { name: f } : f || {};
+    const children = normalizeFolders(node.children, depth + 1);
+    return { name: normalizeFolderName(node.name, 'folders'), ...(children.length ? { children } : {}) };
+  });
+  assertUnique(out.map((f) => f.name), 'folders');
+  return out;
+}
+
+/** PUT /case-templates/:name の入力 → 保存する形（不正なら CaseTemplateError） */
+function normalizeCaseTemplate(name, input = {}) {
+  if (!/^[A-Za-z0-9_.-]{1,64}$/.test(String(name || ''))) {
+    throw new CaseTemplateError('テンプレート名は英数字と _ . - の 64 文字以内で指定してください');
+  }
+  if (!Array.isArray(input.statusFolders)) throw new CaseTemplateError('statusFolders は配列で指定してください');
+  const statusFolders = input.statusFolders.map((s) => {
+    if (!STATUS_KEYS.includes(s?.key)) throw new CaseTemplateError(`statusFolders の key は ${STATUS_KEYS.join(' / ')} のいずれかです`);
+    const share = s.share ?? 'private';
+    if (!SHARE_MODES.includes(share)) throw new CaseTemplateError(`share は ${SHARE_MODES.join(' / ')} のいずれかです`);
+    return { key: s.key, name: normalizeFolderName(s.name, s.key), share };
+  });
+  const missing = STATUS_KEYS.filter((k) => statusFolders.filter((s) => s.key === k).length !== 1);
+  if (missing.length) throw new CaseTemplateError(`statusFolders には ${STATUS_KEYS.join(' / ')} を 1 つずつ指定してください`);
+
+  const folders = normalizeFolders(input.folders);
+  assertUnique([...statusFolders.map((s) => s.name), ...folders.map((f) => f.name)], 'ルート直下');
+
+  // 期限は案件ごとに決めるのでテンプレートには持たない
+  const docTypes = normalizeChecklist(input.docTypes ?? []).map(({ dueDate, ...item }) => item);
+  const description = input.description == null ? null : String(input.description).slice(0, 500);
+  return { name, description, statusFolders, docTypes, folders };
+}
+
+const toTemplate = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description,
+  statusFolders: row.statusFolders,
+  docTypes: row.docTypes,
+  folders: row.folders,
+});
+
+function createCaseTemplateStore(prisma) {
+  // 名前 → テンプレート。"default" が DB に無ければ組み込みの既定
+  async function get(name) {
+    const row = await prisma.caseTemplate.findUnique({ where: { name } });
+    if (row) return toTemplate(row);
+    return name === DEFAULT_CASE_TEMPLATE.name ? DEFAULT_CASE_TEMPLATE : null;
+  }
+
+  // 案件が作られたときのテンプレート（未設定・旧構成は既定）
+  async function forCase(c) {
+    if (c?.templateId != null) {
+      const row = await prisma.caseTemplate.findUnique({ where: { id: c.templateId } });
+      if (row) return toTemplate(row);
+    }
+    return get(DEFAULT_CASE_TEMPLATE.name);
+  }
+
+  async function list() {
+    const rows = await prisma.caseTemplate.findMany({ orderBy: { name: 'asc' } });
+    const templates = rows.map(toTemplate);
+    return templates.some((t) => t.name === DEFAULT_CASE_TEMPLATE.name) ? templates : [DEFAULT_CASE_TEMPLATE, ...templates];
+  }
+
+  async function save(tpl) {
+    const { name, ...data } = tpl;
+    return toTemplate(await prisma.caseTemplate.upsert({ where: { name }, create: tpl, update: data }));
+  }
+
+  return { get, forCase, list, save };
+}
+
+// key → 表示名 / 表示名 → key
+const statusFolderName = (template, key) => template.statusFolders.find((s) => s.key === key)?.name ?? key;
+const statusKeyByName = (template, name) => template.statusFolders.find((s) => s.name === name)?.key ?? null;
+
+function toCaseTemplateJson(t) {
+  return {
+    id: t.id != null ? String(t.id) : null,
+    name: t.name,
+    description: t.description,
+    statusFolders: t.statusFolders,
+    docTypes: t.docTypes,
+    folders: t.folders,
+    builtIn: t.id == null,
+  };
+}
+
+module.exports = {
+  STATUS_KEYS,
+  SHARE_MODES,
+  DEFAULT_CASE_TEMPLATE,
+  CaseTemplateError,
+  normalizeCaseTemplate,
+  createCaseTemplateStore,
+  statusFolderName,
+  statusKeyByName,
+  toCaseTemplateJson,
+};
@@ -0,0 +1,118 @@
+// lib/checklist.js
+// 案件ごとの提出書類チェックリスト（CaseDocument: required / dueDate / notes）と充足状況の算出
+//
+// CaseDocument.status: missing（未提出）| pending（提出済み・審査待ち）| approved | rejected（要再提出）
+// Case.status は下記の自動ステータスのいずれかであれば書類の状況に合わせて更新する
+//   complete        … 必須書類がすべて承認済み
+//   action_required … 必須書類に差し戻し（要再提出）がある
+//   in_review       … 審査待ちの書類がある
+//   open            … それ以外
+// （closed 等の手動ステータスは上書きしない）
+
+const AUTO_CASE_STATUSES = ['open', 'in_review', 'action_required', 'complete'];
+
+class ChecklistError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// docType の状態（表示用）
+const STATE_BY_STATUS = {
+  missing: 'missing',
+  pending: 'submitted',
+  approved: 'approved',
+  rejected: 'needsResubmission',
+};
+
+const isOutstanding = (d) => d.status === 'missing' || d.status === 'rejected';
+
+/**
+ * 入力（docTypes 配列。文字列 or { docType, required?, dueDate?, notes? }）を正規化
+ * 未指定のキーには defaults を入れる（既定は required: true。既存項目の部分更新では {} を渡す）
+ */
+function normalizeChecklist(input, { defaults = { required: true } } = {}) {
+  if (!Array.isArray(input)) throw new ChecklistError('docTypes は配列で指定してください');
+  const seen = new Set();
+  return input.map((raw) => {
+    const item = typeof raw === 'string' ? { docType: raw } : raw || {};
+    const docType = String(item.docType ?? item.name ?? '').trim();
+    if (!docType) throw new ChecklistError('docType は必須です');
+    if (seen.has(docType)) throw new ChecklistError(`docType が重複しています: ${docType}`);
+    seen.add(docType);
+    return { docType, ...normalizeChecklistFields(item, defaults) };
+  });
+}
+
+// required / dueDate / notes の検証（未指定のキーは defaults のみ反映）
+function normalizeChecklistFields(item, defaults = {}) {
+  const out = { ...defaults };
+  if (item.required !== undefined) {
+    if (typeof item.required !== 'boolean') throw new ChecklistError('required は boolean で指定してください');
+    out.required = item.required;
+  }
+  if (item.dueDate !== undefined) {
+    if (item.dueDate === null) out.dueDate = null;
+    else {
+      const d = new Date(item.dueDate);
+      if (Number.isNaN(d.getTime())) throw new ChecklistError(`dueDate が不正です: ${item.dueDate}`);
+      out.dueDate = d;
+    }
+  }
+  if (item.notes !== undefined) out.notes = item.notes == null ? null : String(item.notes).slice(0, 2000);
+  return out;
+}
+
+function toChecklistItemJson(d, now = new Date()) {
+  return {
+    docType: d.docType,
+    required: d.required,
+    dueDate: d.dueDate,
+    notes: d.notes,
+    status: d.status,
+    state: STATE_BY_STATUS[d.status] || d.status,
+    overdue: Boolean(d.dueDate && d.dueDate < now && isOutstanding(d)),
+    submittedAt: d.submittedAt,
+    decidedAt: d.decidedAt,
+    reason: d.status === 'rejected' ? d.reason : null,
+    fileId: d.fileId,
+  };
+}
+
+/** CaseDocument[] → 充足状況 */
+function summarizeChecklist(docs, now = new Date()) {
+  const count = (pred) => docs.filter(pred).length;
+  const required = docs.filter((d) => d.required);
+  return {
+    total: docs.length,
+    required: required.length,
+    missing: count((d) => d.status === 'missing'),
+    submitted: count((d) => d.status === 'pending'),
+    approved: count((d) => d.status === 'approved'),
+    needsResubmission: count((d) => d.status === 'rejected'),
+    overdue: count((d) => d.dueDate && d.dueDate < now && isOutstanding(d)),
+    requiredApproved: required.filter((d) => d.status === 'approved').length,
+    requiredOutstanding: required.filter(isOutstanding).length,
+    complete: required.length > 0 && required.every((d) => d.status === 'approved'),
+  };
+}
+
+function deriveCaseStatus(docs) {
+  const required = docs.filter((d) => d.required);
+  if (required.length && required.every((d) => d.status === 'approved')) return 'complete';
+  if (required.some((d) => d.status === 'rejected')) return 'action_required';
+  if (docs.some((d) => d.status === 'pending')) return 'in_review';
+  return 'open';
+}
+
+module.exports = {
+  AUTO_CASE_STATUSES,
+  ChecklistError,
+  normalizeChecklist,
+  normalizeChecklistFields,
+  toChecklistItemJson,
+  summarizeChecklist,
+  deriveCaseStatus,
+  isOutstanding,
+};
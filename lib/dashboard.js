@@ -0,0 +1,223 @@
+// lib/dashboard.js
+// 審査者ダッシュボード（DB の Case / CaseDocument だけで集計し、Drive は辿らない）
+//   案件一覧 … 書類の状態別件数・最も古い審査待ちの提出日時・担当審査者（新しい案件順）
+//   キュー   … 審査待ち（pending）の書類を提出の古い順に
+//   SLA      … 提出から slaHours を過ぎた審査待ちは slaBreached。aging は経過時間の区分ごとの件数
+// 絞り込み（案件一覧・キュー共通）: status（未指定なら終了済みを除く）/ debtorName（部分一致）/ overdue / reviewerId
+const { AUTO_CASE_STATUSES } = require('./checklist');
+const { CLOSED_CASE_STATUSES } = require('./caseLifecycle');
+const { pageArgs } = require('./pagination');
+
+const CASE_STATUSES = [...AUTO_CASE_STATUSES, ...CLOSED_CASE_STATUSES];
+const HOUR_MS = 60 * 60 * 1000;
+
+// 審査待ちの経過時間の区分（上限時間。最後は上限なし）
+const AGING_BUCKETS = [
+  { key: 'under1d', hours: 24 },
+  { key: 'under3d', hours: 72 },
+  { key: 'under7d', hours: 168 },
+  { key: 'over7d', hours: Infinity },
+];
+
+class DashboardError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+const hoursSince = (t, now) => (t ? Math.floor((now - t) / HOUR_MS) : null);
+const hoursAgo = (now, hours) => new Date(now.getTime() - hours * HOUR_MS);
+
+// 期限切れで未提出・要再提出（checklist.js の isOutstanding と同じ条件）
+const overdueDocWhere = (now) => ({ dueDate: { lt: now }, status: { in: ['missing', 'rejected'] } });
+
+/**
+ * クエリの検証（不正なら DashboardError 400）
+ * @returns {{ statuses?: string[], debtorName?: string, overdue?: boolean, reviewerId?: bigint|null, docType?: string, breached: boolean }}
+ *   reviewerId: null は担当者なし（?reviewerId=none）
+ */
+function parseDashboardQuery(q) {
+  const str = (v) => (v != null && String(v).trim() ? String(v).trim() : undefined);
+  const bool = (v, name) => {
+    if (v == null || v === '') return undefined;
+    if (v === 'true' || v === 'false') return v === 'true';
+    throw new DashboardError(`${name} は true / false で指定してください`);
+  };
+  const statuses = str(q.status)?.split(',').map((s) => s.trim()).filter(Boolean);
+  if (statuses?.some((s) => !CASE_STATUSES.includes(s))) {
+    throw new DashboardError(`status は ${CASE_STATUSES.join(' / ')} から指定してください（カンマ区切り）`);
+  }
+  const reviewerId = str(q.reviewerId);
+  if (reviewerId && reviewerId !== 'none' && !/^\d+$/.test(reviewerId)) throw new DashboardError('reviewerId が不正です');
+  return {
+    statuses,
+    debtorName: str(q.debtorName),
+    overdue: bool(q.overdue, 'overdue'),
+    reviewerId: reviewerId === 'none' ? null : reviewerId ? BigInt(reviewerId) : undefined,
+    docType: str(q.docType),
+    breached: bool(q.breached, 'breached') === true,
+  };
+}
+
+function caseWhere({ statuses, debtorName, overdue, reviewerId }, now) {
+  return {
+    status: statuses?.length ? { in: statuses } : { notIn: CLOSED_CASE_STATUSES },
+    ...(reviewerId !== undefined ? { reviewerId } : {}),
+    ...(debtorName ? { debtorName: { contains: debtorName, mode: 'insensitive' } } : {}),
+    ...(overdue === true ? { documents: { some: overdueDocWhere(now) } } : {}),
+    ...(overdue === false ? { documents: { none: overdueDocWhere(now) } } : {}),
+  };
+}
+
+const REVIEWER_SELECT = { select: { id: true, name: true, email: true } };
+
+/**
+ * @param {object} prisma
+ * @param {{ slaHours?: number }} opts slaHours は審査待ちの目標時間（既定 72 時間）
+ */
+function createDashboard(prisma, { slaHours = 72 } = {}) {
+  // 審査待ちキューの where（breached=true なら SLA 超過のみ）
+  function queueWhere(filter, now) {
+    return {
+      status: 'pending',
+      case: caseWhere(filter, now),
+      ...(filter.docType ? { docType: filter.docType } : {}),
+      ...(filter.breached ? { submittedAt: { lte: hoursAgo(now, slaHours) } } : {}),
+    };
+  }
+
+  /** 絞り込み全体の集計 */
+  async function summary(filter, now = new Date()) {
+    const where = caseWhere(filter, now);
+    const pending = { status: 'pending', case: where };
+    const [cases, byStatus, overdue, slaBreached, aging] = await Promise.all([
+      prisma.case.count({ where }),
+      prisma.caseDocument.groupBy({ by: ['status'], where: { case: where }, _count: { _all: true } }),
+      prisma.caseDocument.count({ where: { ...overdueDocWhere(now), case: where } }),
+      prisma.caseDocument.count({ where: { ...pending, submittedAt: { lte: hoursAgo(now, slaHours) } } }),
+      Promise.all(AGING_BUCKETS.map((b, i) => {
+        const lower = i > 0 ? AGING_BUCKETS[i - 1].hours : 0;
+        return prisma.caseDocument.count({
+          where: {
+            ...pending,
+            submittedAt: {
+              lte: hoursAgo(now, lower),
+              ...(Number.isFinite(b.hours) ? { gt: hoursAgo(now, b.hours) } : {}),
+            },
+          },
+        });
+      })),
+    ]);
+    const count = (status) => byStatus.find((g) => g.status === status)?._count._all || 0;
+    return {
+      cases,
+      documents: {
+        pending: count('pending'),
+        approved: count('approved'),
+        rejected: count('rejected'),
+        missing: count('missing'),
+        overdue,
+      },
+      slaBreached,
+      aging: Object.fromEntries(AGING_BUCKETS.map((b, i) => [b.key, aging[i]])),
+    };
+  }
+
+  /**
+   * 案件一覧（新しい順）。各行に stats（状態別件数・overdue・oldestPendingAt）を付ける
+   * @param {{ limit: number, cursor: string|null }} page lib/pagination.js の parsePageQuery の結果
+   */
+  async function listCases(filter, page, now = new Date()) {
+    const rows = await prisma.case.findMany({
+      where: caseWhere(filter, now),
+      include: { reviewer: REVIEWER_SELECT },
+      orderBy: { id: 'desc' },
+      ...pageArgs(page),
+    });
+    if (!rows.length) return rows;
+    const caseId = { in: rows.map((c) => c.id) };
+    const [byStatus, oldest, overdue] = await Promise.all([
+      prisma.caseDocument.groupBy({ by: ['caseId', 'status'], where: { caseId }, _count: { _all: true } }),
+      prisma.caseDocument.groupBy({ by: ['caseId'], where: { caseId, status: 'pending' }, _min: { submittedAt: true } }),
+      prisma.caseDocument.groupBy({ by: ['caseId'], where: { caseId, ...overdueDocWhere(now) }, _count: { _all: true } }),
+    ]);
+    return rows.map((c) => {
+      const count = (status) => byStatus.find((g) => g.caseId === c.id && g.status === status)?._count._all || 0;
+      return {
+        ...c,
+        stats: {
+          pending: count('pending'),
+          approved: count('approved'),
+          rejected: count('rejected'),
+          missing: count('missing'),
+          overdue: overdue.find((g) => g.caseId === c.id)?._count._all || 0,
+          oldestPendingAt: oldest.find((g) => g.caseId === c.id)?._min.submittedAt || null,
+        },
+      };
+    });
+  }
+
+  /** 審査待ちキュー（提出の古い順） */
+  function queue(filter, page, now = new Date()) {
+    return prisma.caseDocument.findMany({
+      where: queueWhere(filter, now),
+      include: {
+        case: { select: { id: true, debtorName: true, status: true, rootId: true, reviewer: REVIEWER_SELECT } },
+      },
+      orderBy: [{ submittedAt: 'asc' }, { id: 'asc' }],
+      ...pageArgs(page),
+    });
+  }
+
+  function toDashboardCaseJson(c, now = new Date()) {
+    const { stats } = c;
+    const oldestPendingHours = hoursSince(stats.oldestPendingAt, now);
+    return {
+      caseId: String(c.id),
+      debtorName: c.debtorName,
+      caseType: c.caseType,
+      status: c.status,
+      createdAt: c.createdAt,
+      rootId: c.rootId,
+      reviewer: toReviewerRef(c.reviewer),
+      documents: {
+        total: stats.pending + stats.approved + stats.rejected + stats.missing,
+        pending: stats.pending,
+        approved: stats.approved,
+        rejected: stats.rejected,
+        missing: stats.missing,
+        overdue: stats.overdue,
+      },
+      oldestPendingAt: stats.oldestPendingAt,
+      oldestPendingHours,
+      slaBreached: oldestPendingHours != null && oldestPendingHours >= slaHours,
+    };
+  }
+
+  function toQueueItemJson(d, now = new Date()) {
+    const ageHours = hoursSince(d.submittedAt, now);
+    return {
+      documentId: String(d.id),
+      caseId: String(d.caseId),
+      debtorName: d.case.debtorName,
+      caseStatus: d.case.status,
+      rootId: d.case.rootId,
+      reviewer: toReviewerRef(d.case.reviewer),
+      docType: d.docType,
+      fileId: d.fileId,
+      submittedAt: d.submittedAt,
+      dueDate: d.dueDate,
+      ageHours,
+      slaBreached: ageHours != null && ageHours >= slaHours,
+    };
+  }
+
+  return { slaHours, summary, listCases, queue, toDashboardCaseJson, toQueueItemJson };
+}
+
+function toReviewerRef(r) {
+  return r ? { id: String(r.id), name: r.name, email: r.email } : null;
+}
+
+module.exports = { CASE_STATUSES, AGING_BUCKETS, DashboardError, parseDashboardQuery, createDashboard };
@@ -0,0 +1,232 @@
+// lib/documentIndex.js
+// 提出ファイルの DB 索引（DocumentFile）
+// manifest.csv の行と同じ内容を DB にも持ち、案件横断の検索（GET /search）は Drive を辿らずこちらを引く
+// manifest を更新する箇所（recordManifest / Drive 変更の同期 / reconcile）から一緒に更新する
+// 版管理: 同じ案件・docType の提出は previousId でつながる（v1 → 差し戻し → v2 → 承認 …）
+//   次の版が出た審査待ち・差し戻しの版は supersededAt を入れ、過去版フォルダへ移す（status はその時点のまま）
+const { pageArgs } = require('./pagination');
+const { createKeyedLock } = require('./locks');
+
+const DOCUMENT_FILE_STATUSES = ['pending', 'approved', 'rejected', 'removed'];
+// 次の版が出たら過去版に回す状態（承認済みの版はそのまま残す）
+const SUPERSEDABLE_STATUSES = ['pending', 'rejected'];
+
+// manifest の日時列（'' は未設定）
+function toDate(v) {
+  if (!v) return v === '' ? null : undefined;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+// manifest 行（差分）→ DocumentFile の更新データ。undefined のキーは既存値を維持
+function toData(row, { mimeType, size } = {}) {
+  const data = {
+    fileName: row.fileName,
+    docType: row.docType,
+    status: row.status,
+    uploader: row.uploader,
+    reviewer: row.reviewer,
+    reason: row.reason === '' ? null : row.reason,
+    decidedAt: toDate(row.decidedAt),
+    mimeType,
+    size: size != null ? BigInt(size) : undefined,
+  };
+  return Object.fromEntries(Object.entries(data).filter(([, v]) => v !== undefined));
+}
+
+function createDocumentIndex(prisma) {
+  const withChainLock = createKeyedLock();
+
+  function upsert(caseId, row, meta) {
+    const data = toData(row, meta);
+    return prisma.documentFile.upsert({
+      where: { fileId: row.fileId },
+      create: { caseId, fileId: row.fileId, uploadedAt: toDate(row.createdAt) || new Date(), ...data },
+      update: { caseId, ...data, removedAt: null },
+    });
+  }
+
+  /**
+   * manifest に書いた行を反映（失敗しても本来の操作は失敗させない。案件未紐付けの rootId は無視）
+   * @param {string} rootId
+   * @param {object} row manifest 行（fileId 必須、他は差分）
+   * @param {{ mimeType?: string, size?: number }} meta
+   */
+  async function record(rootId, row, meta) {
+    try {
+      const c = await prisma.case.findUnique({ where: { rootId }, select: { id: true } });
+      if (!c) return null;
+      return await upsert(c.id, row, meta);
+    } catch (err) {
+      console.error('document index error:', err);
+      return null;
+    }
+  }
+
+  // 案件フォルダから無くなった（ゴミ箱・削除・案件外へ移動）。別案件へ移動済みの行・過去版は触らない
+  async function markRemoved(caseId, fileId) {
+    try {
+      await prisma.documentFile.updateMany({
+        where: { caseId, fileId, status: { not: 'removed' }, supersededAt: null },
+        data: { status: 'removed', removedAt: new Date() },
+      });
+    } catch (err) {
+      console.error('document index error:', err);
+    }
+  }
+
+  // manifest 全行（再構築結果）に合わせる。manifest に無いファイルは removed（過去版フォルダの版は除く）
+  async function syncCase(caseId, rows) {
+    for (const row of rows) await upsert(caseId, row);
+    await prisma.documentFile.updateMany({
+      where: { caseId, status: { not: 'removed' }, supersededAt: null, fileId: { notIn: rows.map((r) => r.fileId) } },
+      data: { status: 'removed', removedAt: new Date() },
+    });
+  }
+
+  /**
+   * 新しく提出されたファイルを同じ docType の最新の版の次につなぐ
+   * 前の版が審査待ち・差し戻しなら supersededAt を入れる（ファイルの移動は呼び出し側）
+   * @returns {Promise<{ file, previous }|null>} previous は初版なら null。案件未紐付け・索引に無いファイルは null
+   */
+  async function linkVersion(rootId, docType, fileId) {
+    const c = await prisma.case.findUnique({ where: { rootId }, select: { id: true } });
+    if (!c) return null;
+    // 同じ docType への同時提出で同じ版の次を取り合わないように
+    return withChainLock(`${c.id}:${docType}`, async () => {
+      const file = await prisma.documentFile.findUnique({ where: { fileId } });
+      if (!file) return null;
+      if (file.previousId != null || file.version > 1) {
+        const previous = file.previousId != null
+          ? await prisma.documentFile.findUnique({ where: { id: file.previousId } })
+          : null;
+        return { file, previous };
+      }
+      const head = await prisma.documentFile.findFirst({
+        where: { caseId: c.id, docType, id: { not: file.id }, next: { is: null } },
+        orderBy: [{ version: 'desc' }, { id: 'desc' }],
+      });
+      if (!head) return { file, previous: null };
+      const supersede = SUPERSEDABLE_STATUSES.includes(head.status) && !head.supersededAt;
+      const [linked, previous] = await prisma.$transaction([
+        prisma.documentFile.update({ where: { id: file.id }, data: { version: head.version + 1, previousId: head.id } }),
+        supersede
+          ? prisma.documentFile.update({ where: { id: head.id }, data: { supersededAt: new Date() } })
+          : prisma.documentFile.findUnique({ where: { id: head.id } }),
+      ]);
+      return { file: linked, previous };
+    });
+  }
+
+  // 案件・docType の全版（古い順）
+  function history(caseId, docType) {
+    return prisma.documentFile.findMany({
+      where: { caseId, docType },
+      orderBy: [{ version: 'asc' }, { id: 'asc' }],
+    });
+  }
+
+  /**
+   * 案件横断の検索（新しい順）
+   * @param {{ q?, debtorName?, docType?, status?, fileName?, uploadedFrom?: Date, uploadedTo?: Date,
+   *           caseId?, reviewerId?, includeSuperseded? }} filter reviewerId を指定するとその審査者の担当案件に限定
+   *   q は ファイル名 / 債務者名 / docType のいずれかに部分一致。status 未指定なら removed を除く
+   *   過去版（次の版に差し替わったもの）は includeSuperseded=true のときだけ含める
+   * @param {{ limit: number, cursor: string|null }} page lib/pagination.js の parsePageQuery の結果
+   */
+  function search(filter, page) {
+    const contains = (v) => ({ contains: v, mode: 'insensitive' });
+    const { q, debtorName, docType, status, fileName, uploadedFrom, uploadedTo, caseId, reviewerId, includeSuperseded } = filter;
+    const where = {
+      status: status || { not: 'removed' },
+      ...(includeSuperseded ? {} : { supersededAt: null }),
+      ...(docType ? { docType } : {}),
+      ...(fileName ? { fileName: contains(fileName) } : {}),
+      ...(caseId != null ? { caseId: BigInt(caseId) } : {}),
+      ...(uploadedFrom || uploadedTo
+        ? { uploadedAt: { ...(uploadedFrom ? { gte: uploadedFrom } : {}), ...(uploadedTo ? { lt: uploadedTo } : {}) } }
+        : {}),
+      case: {
+        ...(reviewerId != null ? { reviewerId } : {}),
+        ...(debtorName ? { debtorName: contains(debtorName) } : {}),
+      },
+      ...(q
+        ? { OR: [{ fileName: contains(q) }, { docType: contains(q) }, { case: { debtorName: contains(q) } }] }
+        : {}),
+    };
+    return prisma.documentFile.findMany({
+      where,
+      include: { case: { select: { id: true, debtorName: true, status: true, rootId: true, caseType: true } } },
+      orderBy: { id: 'desc' },
+      ...pageArgs(page),
+    });
+  }
+
+  return { record, markRemoved, syncCase, linkVersion, history, search };
+}
+
+// 版の説明（ポータル表示用）。previous は直前の版
+function versionLabel(file, previous) {
+  if (!previous) return `v${file.version} — 初回提出`;
+  if (previous.status === 'rejected') {
+    return `v${file.version} — 差し戻し後の再提出${previous.reason ? `（差し戻し理由: ${previous.reason}）` : ''}`;
+  }
+  if (previous.status === 'approved') return `v${file.version} — 承認後の再提出`;
+  return `v${file.version} — 再提出（v${previous.version} は審査前に差し替え）`;
+}
+
+// 全版（古い順）→ 時系列のイベント（提出 / 再提出 / 承認 / 差し戻し / 差し替え / 削除）
+function toVersionTimeline(versions) {
+  const events = [];
+  for (const f of versions) {
+    const base = { version: f.version, fileId: f.fileId, fileName: f.fileName };
+    events.push({ ...base, event: f.previousId != null ? 'resubmitted' : 'submitted', at: f.uploadedAt, by: f.uploader });
+    if (f.decidedAt && (f.status === 'approved' || f.status === 'rejected')) {
+      events.push({ ...base, event: f.status, at: f.decidedAt, by: f.reviewer, reason: f.reason });
+    }
+    if (f.supersededAt) events.push({ ...base, event: 'superseded', at: f.supersededAt });
+    if (f.removedAt) events.push({ ...base, event: 'removed', at: f.removedAt });
+  }
+  return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+function toDocumentFileJson(f) {
+  return {
+    id: String(f.id),
+    fileId: f.fileId,
+    fileName: f.fileName,
+    docType: f.docType,
+    status: f.status,
+    mimeType: f.mimeType,
+    size: f.size != null ? Number(f.size) : null,
+    uploader: f.uploader,
+    reviewer: f.reviewer,
+    reason: f.reason,
+    uploadedAt: f.uploadedAt,
+    decidedAt: f.decidedAt,
+    removedAt: f.removedAt,
+    version: f.version,
+    previousId: f.previousId != null ? String(f.previousId) : null,
+    supersededAt: f.supersededAt,
+    ...(f.case
+      ? {
+          case: {
+            id: String(f.case.id),
+            debtorName: f.case.debtorName,
+            status: f.case.status,
+            rootId: f.case.rootId,
+            caseType: f.case.caseType,
+          },
+        }
+      : { caseId: String(f.caseId) }),
+  };
+}
+
+module.exports = {
+  DOCUMENT_FILE_STATUSES,
+  SUPERSEDABLE_STATUSES,
+  createDocumentIndex,
+  versionLabel,
+  toVersionTimeline,
+  toDocumentFileJson,
+};
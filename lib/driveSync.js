@@ -0,0 +1,183 @@
+// lib/driveSync.js
+// Drive の変更フィード（changes.list）を保存済みの pageToken から読み進め、onChanges に渡す
+// push 通知（changes.watch）を設定すると通知を受けた時点で即座に読む（ポーリングは取りこぼし対策として継続）
+//
+// 状態（pageToken / push チャネル）は SyncState（key: drive.changes）に保存する
+// onChanges が失敗したページは pageToken を進めず、次回もう一度読む（少なくとも 1 回は処理される）
+//
+// 設定
+//   DRIVE_SYNC_POLL_MS（既定 60 秒）… 変更フィードの確認間隔
+//   DRIVE_SYNC_WEBHOOK_URL … push 通知の受け口（POST /drive/changes/notify の公開 URL）。未設定ならポーリングのみ
+//   DRIVE_SYNC_CHANNEL_TTL_MS（既定 24 時間）… push チャネルの有効期間（Drive 側の上限は 7 日）。期限前に張り替える
+const crypto = require('crypto');
+
+const STATE_KEY = 'drive.changes';
+const CHANGE_FIELDS =
+  'nextPageToken,newStartPageToken,changes(fileId,removed,time,file(id,name,mimeType,parents,trashed,createdTime))';
+
+const safeEqual = (a, b) => {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+/**
+ * @param {{
+ *   prisma: object,
+ *   drive: object,
+ *   env?: object,
+ *   onChanges: (changes: object[]) => Promise<void>,
+ *   call?: (fn: () => Promise<any>) => Promise<any>,
+ * }} opts drive は googleapis の drive v3 クライアント（storage.drive）、call は Drive 呼び出しのラッパ（storage.call）
+ */
+function createDriveSync({ prisma, drive, env = process.env, onChanges, call = (fn) => fn() }) {
+  const pollMs = Number(env.DRIVE_SYNC_POLL_MS || 60 * 1000);
+  const webhookUrl = env.DRIVE_SYNC_WEBHOOK_URL || null;
+  const channelTtlMs = Number(env.DRIVE_SYNC_CHANNEL_TTL_MS || 24 * 60 * 60 * 1000);
+  const renewCheckMs = Math.min(channelTtlMs / 4, 60 * 60 * 1000);
+
+  async function loadState() {
+    const row = await prisma.syncState.findUnique({ where: { key: STATE_KEY } });
+    return row?.value || {};
+  }
+
+  async function patchState(patch) {
+    const value = { ...(await loadState()), ...patch };
+    await prisma.syncState.upsert({
+      where: { key: STATE_KEY },
+      create: { key: STATE_KEY, value },
+      update: { value },
+    });
+    return value;
+  }
+
+  async function startPageToken() {
+    const { data } = await call(() => drive.changes.getStartPageToken({}));
+    await patchState({ pageToken: data.startPageToken });
+    return data.startPageToken;
+  }
+
+  /**
+   * 保存済み pageToken 以降の変更をすべて読む
+   * 初回（pageToken 未保存）は現時点を起点にするだけ。それ以前のずれは POST /cases/:id/reconcile で直す
+   * @returns {Promise<number>} 処理した変更の件数
+   */
+  async function pollOnce() {
+    let { pageToken } = await loadState();
+    if (!pageToken) {
+      await startPageToken();
+      return 0;
+    }
+    let processed = 0;
+    while (pageToken) {
+      const { data } = await call(() => drive.changes.list({
+        pageToken,
+        fields: CHANGE_FIELDS,
+        pageSize: 100,
+        includeRemoved: true,
+        spaces: 'drive',
+      }));
+      const changes = data.changes || [];
+      if (changes.length) await onChanges(changes);
+      processed += changes.length;
+      await patchState({ pageToken: data.nextPageToken || data.newStartPageToken });
+      pageToken = data.nextPageToken || null;
+    }
+    return processed;
+  }
+
+  // ---- push 通知 ----
+
+  // チャネルが無い・URL が変わった・期限が近い場合に張り直し、古いチャネルは停止する
+  async function ensureChannel() {
+    if (!webhookUrl) return null;
+    const state = await loadState();
+    const current = state.channel;
+    if (current && current.address === webhookUrl && current.expiration - Date.now() > renewCheckMs * 2) {
+      return current;
+    }
+    const pageToken = state.pageToken || (await startPageToken());
+    const token = crypto.randomBytes(24).toString('hex');
+    const { data } = await call(() => drive.changes.watch({
+      pageToken,
+      requestBody: {
+        id: crypto.randomUUID(),
+        type: 'web_hook',
+        address: webhookUrl,
+        token,
+        expiration: String(Date.now() + channelTtlMs),
+      },
+    }), { idempotent: false });
+    const channel = {
+      id: data.id,
+      resourceId: data.resourceId,
+      expiration: Number(data.expiration),
+      address: webhookUrl,
+      token,
+    };
+    await patchState({ channel });
+    if (current) {
+      await drive.channels
+        .stop({ requestBody: { id: current.id, resourceId: current.resourceId } })
+        .catch((err) => console.error('drive channel stop error:', err?.response?.data || err));
+    }
+    return channel;
+  }
+
+  /**
+   * push 通知（X-Goog-* ヘッダ）を検証し、変更があれば読み込みを起動
+   * @returns {Promise<boolean>} 現在のチャネルからの通知なら true
+   */
+  async function handleNotification(headers) {
+    const { channel } = await loadState();
+    if (!channel) return false;
+    if (headers['x-goog-channel-id'] !== channel.id || !safeEqual(headers['x-goog-channel-token'], channel.token)) {
+      return false;
+    }
+    // 'sync' はチャネル作成直後の確認通知
+    if (headers['x-goog-resource-state'] !== 'sync') setImmediate(run);
+    return true;
+  }
+
+  // ---- worker ----
+  let running = false;
+  let again = false;
+  const timers = [];
+
+  async function run() {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        again = false;
+        await pollOnce();
+      } while (again);
+    } catch (err) {
+      console.error('drive sync error:', err?.response?.data || err);
+    } finally {
+      running = false;
+    }
+  }
+
+  const renew = () => ensureChannel().catch((err) => console.error('drive channel error:', err?.response?.data || err));
+
+  function start() {
+    if (timers.length) return;
+    timers.push(setInterval(run, pollMs));
+    if (webhookUrl) timers.push(setInterval(renew, renewCheckMs));
+    timers.forEach((t) => t.unref());
+    setImmediate(run);
+    if (webhookUrl) setImmediate(renew);
+  }
+
+  function stop() {
+    timers.splice(0).forEach(clearInterval);
+  }
+
+  return { pollOnce, ensureChannel, handleNotification, start, stop };
+}
+
+module.exports = { createDriveSync };
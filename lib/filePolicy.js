@@ -0,0 +1,101 @@
+// lib/filePolicy.js
+// docType ごとの提出ファイルポリシー（許可形式・サイズ上限・件数上限）
+//
+// 設定: DOC_TYPE_POLICIES（JSON）または DOC_TYPE_POLICY_FILE（JSON ファイルのパス）
+//   {
+//     "*":      { "accept": "imagesOrPdf", "maxBytes": 20971520, "maxFiles": 10 },
+//     "身分証":  { "accept": "images", "maxBytes": 5242880, "maxFiles": 2 },
+//     "給与明細": { "allowedTypes": ["application/pdf"] }
+//   }
+// "*" は全 docType の既定値。accept は allowedTypes の省略形（images | pdf | imagesOrPdf | any）
+const fs = require('fs');
+
+const ACCEPT_PRESETS = {
+  images: ['image/*'],
+  pdf: ['application/pdf'],
+  imagesOrPdf: ['image/*', 'application/pdf'],
+  any: ['*/*'],
+};
+
+const BUILTIN_DEFAULT = { accept: 'imagesOrPdf', maxBytes: null, maxFiles: 20 };
+
+class FilePolicyError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function readConfig(env) {
+  try {
+    if (env.DOC_TYPE_POLICY_FILE) return JSON.parse(fs.readFileSync(env.DOC_TYPE_POLICY_FILE, 'utf8'));
+    if (env.DOC_TYPE_POLICIES) return JSON.parse(env.DOC_TYPE_POLICIES);
+  } catch (e) {
+    throw new Error(`docType policy config is invalid: ${e.message}`);
+  }
+  return {};
+}
+
+// accept / allowedTypes を allowedTypes に正規化
+function normalize(p, globalMaxBytes) {
+  const allowedTypes = p.allowedTypes?.length ? p.allowedTypes : ACCEPT_PRESETS[p.accept] || ACCEPT_PRESETS.imagesOrPdf;
+  const limits = [p.maxBytes, globalMaxBytes].filter((n) => Number(n) > 0).map(Number);
+  return {
+    allowedTypes,
+    maxBytes: limits.length ? Math.min(...limits) : null,
+    maxFiles: Number(p.maxFiles) > 0 ? Number(p.maxFiles) : null,
+  };
+}
+
+function matchesType(pattern, mime) {
+  if (pattern === '*/*') return true;
+  if (pattern.endsWith('/*')) return mime.startsWith(pattern.slice(0, -1));
+  return pattern === mime;
+}
+
+/**
+ * @param {{ env?: object, maxBytes?: number }} opts maxBytes は全体の上限（UPLOAD_MAX_BYTES）
+ */
+function createFilePolicy({ env = process.env, maxBytes } = {}) {
+  const config = readConfig(env);
+  const base = { ...BUILTIN_DEFAULT, ...(config['*'] || {}) };
+
+  function policyFor(docType) {
+    const own = (docType && config[docType]) || {};
+    return normalize({ ...base, ...own, ...(own.accept && !own.allowedTypes ? { allowedTypes: null } : {}) }, maxBytes);
+  }
+
+  function assertType(policy, detectedMimeType) {
+    if (!detectedMimeType || !policy.allowedTypes.some((t) => matchesType(t, detectedMimeType))) {
+      throw new FilePolicyError(415, 'FILE_TYPE_NOT_ALLOWED', 'このファイル形式は提出できません', {
+        detectedType: detectedMimeType || 'unknown',
+        allowedTypes: policy.allowedTypes,
+      });
+    }
+  }
+
+  function assertSize(policy, size) {
+    if (size === 0) throw new FilePolicyError(400, 'EMPTY_FILE', '空のファイルは提出できません');
+    if (policy.maxBytes && size > policy.maxBytes) {
+      throw new FilePolicyError(413, 'FILE_TOO_LARGE', 'ファイルサイズが上限を超えています', {
+        size,
+        maxBytes: policy.maxBytes,
+      });
+    }
+  }
+
+  function assertCount(policy, existingCount) {
+    if (policy.maxFiles && existingCount >= policy.maxFiles) {
+      throw new FilePolicyError(409, 'TOO_MANY_FILES', 'この書類の提出数が上限に達しています', {
+        count: existingCount,
+        maxFiles: policy.maxFiles,
+      });
+    }
+  }
+
+  return { policyFor, assertType, assertSize, assertCount };
+}
+
+module.exports = { ACCEPT_PRESETS, FilePolicyError, createFilePolicy };
@@ -0,0 +1,54 @@
+// lib/httpCache.js
+// プレビュー / サムネイル配信用の条件付きリクエスト（If-None-Match / If-Modified-Since）と Range の判定
+
+// If-None-Match（カンマ区切り・W/ 付き・*）に etag が含まれるか（弱い比較）
+function etagMatches(header, etag) {
+  if (!header || !etag) return false;
+  const strip = (t) => t.trim().replace(/^W\//, '');
+  return header.split(',').some((t) => t.trim() === '*' || strip(t) === strip(etag));
+}
+
+/**
+ * 304 を返せるか。If-None-Match があればそれだけで判定し、無ければ If-Modified-Since（秒単位）
+ * @param {object} headers req.headers
+ * @param {{ etag?: string, lastModified?: string|Date }} validators
+ */
+function isNotModified(headers, { etag, lastModified }) {
+  if (headers['if-none-match']) return etagMatches(headers['if-none-match'], etag);
+  const since = Date.parse(headers['if-modified-since'] || '');
+  const modified = lastModified ? new Date(lastModified).getTime() : NaN;
+  return !Number.isNaN(since) && !Number.isNaN(modified) && Math.floor(modified / 1000) <= Math.floor(since / 1000);
+}
+
+/**
+ * Range ヘッダ → { start, end }（end を含む）/ 'unsatisfiable'（416）/ null（全体を 200 で返す）
+ * 単一範囲のみ対応（複数範囲・不正な書式は全体を返す）。If-Range が現在の etag と違えば全体
+ * @param {object} headers req.headers
+ * @param {number} size ファイルサイズ（不明・0 なら Range は無視）
+ * @param {string} [etag]
+ */
+function parseRange(headers, size, etag) {
+  const header = headers.range;
+  if (!header || !(size > 0)) return null;
+  const ifRange = headers['if-range'];
+  if (ifRange && (!etag || ifRange.trim() !== etag)) return null;
+
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!m || (m[1] === '' && m[2] === '')) return null;
+  let start;
+  let end;
+  if (m[1] === '') {
+    // 末尾 n バイト
+    const n = Number(m[2]);
+    if (n === 0) return 'unsatisfiable';
+    start = Math.max(size - n, 0);
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+    if (start > end) return start >= size ? 'unsatisfiable' : null;
+  }
+  return { start, end };
+}
+
+module.exports = { etagMatches, isNotModified, parseRange };
@@ -0,0 +1,113 @@
+// lib/idempotency.js
+// Idempotency-Key（同じキーで再送された要求には最初の結果を返す。IdempotencyKey テーブル）
+//   初回       … in_progress で確保して処理し、結果（5xx 以外）を保存
+//   同じキー   … 保存済みの結果を返す（処理中なら 409、ルートや本文が違えば 422）
+//   5xx / 例外 … 記録を消す（同じキーで再試行できる）
+//   in_progress のまま staleMs 更新の無いもの（プロセス停止など）は次の要求が引き継ぐ
+const crypto = require('crypto');
+
+const MAX_KEY_LENGTH = 255;
+
+class IdempotencyError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const hashRequest = (route, body) =>
+  crypto.createHash('sha256').update(`${route}\n${JSON.stringify(body ?? null)}`).digest('hex');
+
+// レスポンス本文を Json 列に入る形へ（BigInt → 文字列）
+const toJsonValue = (v) => JSON.parse(JSON.stringify(v, (_k, x) => (typeof x === 'bigint' ? String(x) : x)));
+
+/**
+ * @param {object} prisma
+ * @param {{ ttlMs?: number, staleMs?: number }} opts ttlMs は結果の保存期間（既定 24 時間）
+ */
+function createIdempotencyStore(prisma, { ttlMs = 24 * 60 * 60 * 1000, staleMs = 10 * 60 * 1000 } = {}) {
+  /**
+   * キーを確保する
+   * @returns {Promise<{ replay: false, id: bigint } | { replay: true, status: number, body: object }>}
+   *   NG は IdempotencyError（400 キー不正 / 409 処理中 / 422 別の要求）
+   */
+  async function begin(scope, key, requestHash, now = new Date()) {
+    if (!key || key.length > MAX_KEY_LENGTH || /[^\x21-\x7e]/.test(key)) {
+      throw new IdempotencyError(400, `Idempotency-Key は ${MAX_KEY_LENGTH} 文字以内の ASCII で指定してください`, 'IDEMPOTENCY_KEY_INVALID');
+    }
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const existing = await prisma.idempotencyKey.findUnique({ where: { scope_key: { scope, key } } });
+      if (existing && existing.expiresAt > now) {
+        if (existing.requestHash !== requestHash) {
+          throw new IdempotencyError(422, '同じ Idempotency-Key で別の要求が送られています', 'IDEMPOTENCY_KEY_REUSED');
+        }
+        if (existing.status === 'completed') {
+          return { replay: true, status: existing.responseStatus, body: existing.responseBody };
+        }
+        if (now - existing.updatedAt < staleMs) {
+          throw new IdempotencyError(409, '同じ Idempotency-Key の要求を処理中です', 'IDEMPOTENCY_IN_PROGRESS');
+        }
+        // 放置された処理を引き継ぐ（同時に来た別の要求とは updatedAt で競合を判定）
+        const { count } = await prisma.idempotencyKey.updateMany({
+          where: { id: existing.id, status: 'in_progress', updatedAt: existing.updatedAt },
+          data: { status: 'in_progress' },
+        });
+        if (count) return { replay: false, id: existing.id };
+        continue;
+      }
+      if (existing) await prisma.idempotencyKey.deleteMany({ where: { id: existing.id } });
+      try {
+        const row = await prisma.idempotencyKey.create({
+          data: { scope, key, requestHash, expiresAt: new Date(now.getTime() + ttlMs) },
+        });
+        return { replay: false, id: row.id };
+      } catch (e) {
+        if (e?.code !== 'P2002') throw e; // 同時に確保された → 読み直す
+      }
+    }
+    throw new IdempotencyError(409, '同じ Idempotency-Key の要求を処理中です', 'IDEMPOTENCY_IN_PROGRESS');
+  }
+
+  // 進捗の記録（updatedAt も進むので、長い処理が放置扱いにならない）
+  async function progress(id, value) {
+    await prisma.idempotencyKey.updateMany({ where: { id, status: 'in_progress' }, data: { progress: toJsonValue(value) } });
+  }
+
+  async function complete(id, status, body) {
+    await prisma.idempotencyKey.update({
+      where: { id },
+      data: { status: 'completed', responseStatus: status, responseBody: toJsonValue(body ?? null) },
+    });
+  }
+
+  async function release(id) {
+    await prisma.idempotencyKey.deleteMany({ where: { id, status: 'in_progress' } });
+  }
+
+  async function find(scope, key, now = new Date()) {
+    const row = await prisma.idempotencyKey.findUnique({ where: { scope_key: { scope, key } } });
+    return row && row.expiresAt > now ? row : null;
+  }
+
+  async function purgeExpired(now = new Date()) {
+    const { count } = await prisma.idempotencyKey.deleteMany({ where: { expiresAt: { lt: now } } });
+    return count;
+  }
+
+  return { begin, progress, complete, release, find, purgeExpired };
+}
+
+function toIdempotencyJson(row) {
+  return {
+    key: row.key,
+    status: row.status,
+    progress: row.progress,
+    ...(row.status === 'completed' ? { responseStatus: row.responseStatus } : {}),
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+    expiresAt: row.expiresAt,
+  };
+}
+
+module.exports = { IdempotencyError, hashRequest, createIdempotencyStore, toIdempotencyJson };
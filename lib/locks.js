@@ -0,0 +1,15 @@
+// lib/locks.js
+// キー単位の直列化（同一プロセス内の read-modify-write が重ならないように）
+function createKeyedLock() {
+  const locks = new Map();
+  return function withLock(key, fn) {
+    const prev = locks.get(key) || Promise.resolve();
+    const run = prev.then(fn, fn);
+    const tail = run.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => { if (locks.get(key) === tail) locks.delete(key); });
+    return run;
+  };
+}
+
+module.exports = { createKeyedLock };
@@ -0,0 +1,186 @@
+// lib/manifest.js
+// 案件ルート直下の manifest.csv（1 ファイル 1 行）の読み書き
+const { createKeyedLock } = require('./locks');
+const MANIFEST_NAME = 'manifest.csv';
+const MANIFEST_COLUMNS = [
+  'fileId', 'fileName', 'docType', 'status', 'reason',
+  'uploader', 'reviewer', 'createdAt', 'decidedAt', 'version',
+];
+const MANIFEST_HEADER = MANIFEST_COLUMNS.join(',') + '\n';
+
+// ---- CSV ----
+// = + - @ （とタブ・CR）で始まるセルは Excel / Sheets で数式として評価されるので先頭に ' を付ける
+// ' で始まる値にも付け、読み戻し（unescapeCell）で 1 文字だけ外して元の値に戻せるようにする
+const FORMULA_PREFIX = /^[=+\-@\t\r']/;
+
+function escapeCsv(v) {
+  let s = v == null ? '' : String(v);
+  if (FORMULA_PREFIX.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+const unescapeCell = (s) => (s.startsWith("'") && FORMULA_PREFIX.test(s.slice(1)) ? s.slice(1) : s);
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field); field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((c) => c !== ''));
+}
+
+function parseManifest(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) return [];
+  return lines.map((cols) => {
+    const o = {};
+    MANIFEST_COLUMNS.forEach((c) => {
+      const idx = header.indexOf(c);
+      o[c] = idx >= 0 ? unescapeCell(cols[idx] ?? '') : '';
+    });
+    return o;
+  });
+}
+
+function serializeManifest(rows) {
+  const body = rows.map((r) => MANIFEST_COLUMNS.map((c) => escapeCsv(r[c])).join(',')).join('\n');
+  return MANIFEST_HEADER + (body ? body + '\n' : '');
+}
+
+// 同一プロセス内で read-modify-write が重なると行が消えるため、rootId 単位で順番に実行する
+const withRootLock = createKeyedLock();
+
+/**
+ * manifest ストア
+ * @param {{ storage: object, resolveStatusFolders?: (rootId: string) => Promise<Record<string,string>> }} opts
+ *   resolveStatusFolders は案件ルート → { <status key>: folderId }（rebuild でのみ使用）
+ */
+function createManifestStore({ storage, resolveStatusFolders }) {
+  async function find(rootId) {
+    const { files } = await storage.list(rootId, {
+      kind: 'file', name: MANIFEST_NAME, pageSize: 1, fields: 'id,name,webViewLink',
+    });
+    return files[0] || null;
+  }
+
+  async function read(rootId) {
+    const file = await find(rootId);
+    if (!file) return { file: null, rows: [] };
+    return { file, rows: parseManifest(await storage.readText(file.id)) };
+  }
+
+  function write(rootId, file, rows) {
+    const body = serializeManifest(rows);
+    const fields = 'id,name,webViewLink';
+    if (file) return storage.update(file.id, { mimeType: 'text/csv', body }, { fields });
+    return storage.createFile({ name: MANIFEST_NAME, parents: [rootId], mimeType: 'text/csv', body }, { fields });
+  }
+
+  // 空の manifest（ヘッダのみ）を作成
+  function init(rootId) {
+    return withRootLock(rootId, () => write(rootId, null, []));
+  }
+
+  // fileId 一致行を更新（無ければ追加）。undefined のキーは既存値を維持
+  function upsert(rootId, patch) {
+    if (!patch?.fileId) return Promise.reject(new Error('fileId is required'));
+    return withRootLock(rootId, async () => {
+      const { file, rows } = await read(rootId);
+      const idx = rows.findIndex((r) => r.fileId === patch.fileId);
+      const defined = Object.fromEntries(Object.entries(patch).filter(([, v]) => v !== undefined));
+      if (idx >= 0) {
+        rows[idx] = { ...rows[idx], ...defined };
+      } else {
+        rows.push({ createdAt: new Date().toISOString(), version: '1', ...defined });
+      }
+      await write(rootId, file, rows);
+      return idx >= 0 ? rows[idx] : rows[rows.length - 1];
+    });
+  }
+
+  // fileId 一致行を削除（無ければ何もしない）。削除したら true
+  function remove(rootId, fileId) {
+    return withRootLock(rootId, async () => {
+      const { file, rows } = await read(rootId);
+      const next = rows.filter((r) => r.fileId !== fileId);
+      if (!file || next.length === rows.length) return false;
+      await write(rootId, file, next);
+      return true;
+    });
+  }
+
+  async function listAll(parentId, kind) {
+    const out = [];
+    let pageToken;
+    do {
+      const page = await storage.list(parentId, { kind, pageSize: 1000, pageToken, fields: 'id,name,createdTime' });
+      out.push(...page.files);
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+    return out;
+  }
+
+  // 現在のフォルダ構成から作り直す（reason/uploader 等は既存行から引き継ぐ）
+  function rebuild(rootId) {
+    return withRootLock(rootId, async () => {
+      const { file, rows: prev } = await read(rootId);
+      const prevById = new Map(prev.map((r) => [r.fileId, r]));
+      const statusFolderIds = await resolveStatusFolders(rootId);
+      const keyById = Object.fromEntries(Object.entries(statusFolderIds).filter(([, id]) => id).map(([k, id]) => [id, k]));
+
+      const rows = [];
+      for (const s of await listAll(rootId, 'folder')) {
+        const status = keyById[s.id];
+        if (!status) continue;
+        for (const d of await listAll(s.id, 'folder')) {
+          for (const f of await listAll(d.id, 'file')) {
+            const old = prevById.get(f.id) || {};
+            rows.push({
+              ...old,
+              fileId: f.id,
+              fileName: f.name,
+              docType: d.name,
+              status,
+              createdAt: old.createdAt || f.createdTime || '',
+              version: old.version || '1',
+            });
+          }
+        }
+      }
+      const written = await write(rootId, file, rows);
+      return { file: written, rows, removed: prev.filter((r) => !rows.some((x) => x.fileId === r.fileId)).length };
+    });
+  }
+
+  return { find, read, init, upsert, remove, rebuild };
+}
+
+module.exports = {
+  MANIFEST_NAME,
+  MANIFEST_COLUMNS,
+  MANIFEST_HEADER,
+  escapeCsv,
+  parseManifest,
+  serializeManifest,
+  createManifestStore,
+};
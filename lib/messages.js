@@ -0,0 +1,166 @@
+// lib/messages.js
+// 審査者と債務者のメッセージ（Message テーブル）
+//   スレッド … 案件全体（documentId = null）と提出書類（CaseDocument）ごと
+//   既読     … 受け手側（審査者の投稿なら債務者、債務者の投稿なら審査者）が読んだ日時を readAt に記録
+//   添付     … その案件に提出済みのファイル（DocumentFile）を fileId で参照する（新たなアップロードは /portal/upload 等で行う）
+// 差し戻し理由は kind = rejection のメッセージとして書類のスレッドに残る（Drive の description にも最新の理由を反映する）
+
+const MAX_BODY_LENGTH = 4000;
+const MAX_ATTACHMENTS = 10;
+
+// 読み手 → 読む対象（相手側）の投稿
+const INCOMING_AUTHORS = { staff: ['debtor'], debtor: ['reviewer'] };
+
+class MessageError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/** 本文と添付 fileId の検証（不正なら MessageError 400） */
+function normalizeMessageInput({ body, attachments } = {}) {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) throw new MessageError(400, 'body は必須です');
+  if (text.length > MAX_BODY_LENGTH) throw new MessageError(400, `body は ${MAX_BODY_LENGTH} 文字以内で指定してください`);
+  if (attachments != null && !Array.isArray(attachments)) throw new MessageError(400, 'attachments は fileId の配列で指定してください');
+  const fileIds = [...new Set((attachments || []).map((a) => (typeof a === 'string' ? a : a?.fileId)))];
+  if (fileIds.some((id) => typeof id !== 'string' || !id)) throw new MessageError(400, 'attachments の fileId が不正です');
+  if (fileIds.length > MAX_ATTACHMENTS) throw new MessageError(400, `attachments は ${MAX_ATTACHMENTS} 件までです`);
+  return { body: text, fileIds };
+}
+
+/**
+ * スレッドの絞り込み → where
+ * @param {{ case?: boolean, documentIds?: bigint[] }|null} threads null なら案件内のすべて
+ */
+function threadWhere(threads) {
+  if (!threads) return {};
+  const or = [];
+  if (threads.case) or.push({ documentId: null });
+  if (threads.documentIds?.length) or.push({ documentId: { in: threads.documentIds } });
+  return { OR: or };
+}
+
+function createMessageStore(prisma) {
+  /**
+   * 添付 fileId → [{ fileId, fileName, docType, version }]
+   * 案件に提出済み（削除済みでない）ファイルのみ。docTypes を指定するとその書類のファイルに限る（債務者トークン）
+   */
+  async function resolveAttachments(caseId, fileIds, { docTypes } = {}) {
+    if (!fileIds.length) return [];
+    const rows = await prisma.documentFile.findMany({
+      where: { caseId: BigInt(caseId), fileId: { in: fileIds }, status: { not: 'removed' } },
+      select: { fileId: true, fileName: true, docType: true, version: true },
+    });
+    const byId = new Map(rows.map((r) => [r.fileId, r]));
+    const missing = fileIds.filter((id) => {
+      const r = byId.get(id);
+      return !r || (docTypes?.length && !docTypes.includes(r.docType));
+    });
+    if (missing.length) throw new MessageError(400, `添付できないファイルです: ${missing.join(', ')}`);
+    return fileIds.map((id) => byId.get(id));
+  }
+
+  /**
+   * 投稿
+   * @param {{
+   *   caseId, documentId?: bigint|null,
+   *   author: { type: 'reviewer'|'debtor', reviewerId?, portalTokenId?, name? },
+   *   body: string, attachments?: object[], kind?: string,
+   * }} input attachments は resolveAttachments 済みのもの
+   */
+  function post({ caseId, documentId = null, author, body, attachments = [], kind = 'message' }) {
+    return prisma.message.create({
+      data: {
+        caseId: BigInt(caseId),
+        documentId,
+        kind,
+        authorType: author.type,
+        reviewerId: author.reviewerId ?? null,
+        portalTokenId: author.portalTokenId ?? null,
+        authorName: author.name || null,
+        body,
+        attachments,
+      },
+      include: { document: { select: { docType: true } } },
+    });
+  }
+
+  // 新しい順（pageArgs / toPage と組み合わせる）
+  function list(caseId, { threads = null, ...page } = {}) {
+    return prisma.message.findMany({
+      where: { caseId: BigInt(caseId), ...threadWhere(threads) },
+      include: { document: { select: { docType: true } } },
+      orderBy: { id: 'desc' },
+      ...page,
+    });
+  }
+
+  /**
+   * 相手側の投稿を既読にする（upToId 以前のもの。省略時はすべて）
+   * @param {'staff'|'debtor'} reader
+   * @returns {Promise<number>} 既読にした件数
+   */
+  async function markRead(caseId, { reader, readBy, threads = null, upToId } = {}) {
+    const { count } = await prisma.message.updateMany({
+      where: {
+        caseId: BigInt(caseId),
+        authorType: { in: INCOMING_AUTHORS[reader] },
+        readAt: null,
+        ...threadWhere(threads),
+        ...(upToId != null ? { id: { lte: BigInt(upToId) } } : {}),
+      },
+      data: { readAt: new Date(), readBy: readBy != null ? String(readBy) : null },
+    });
+    return count;
+  }
+
+  // 未読件数 → { total, case, documents: { <documentId>: n } }
+  async function unreadCounts(caseId, { reader, threads = null } = {}) {
+    const groups = await prisma.message.groupBy({
+      by: ['documentId'],
+      where: { caseId: BigInt(caseId), authorType: { in: INCOMING_AUTHORS[reader] }, readAt: null, ...threadWhere(threads) },
+      _count: { _all: true },
+    });
+    const out = { total: 0, case: 0, documents: {} };
+    for (const g of groups) {
+      out.total += g._count._all;
+      if (g.documentId == null) out.case = g._count._all;
+      else out.documents[String(g.documentId)] = g._count._all;
+    }
+    return out;
+  }
+
+  return { resolveAttachments, post, list, markRead, unreadCounts };
+}
+
+/**
+ * API 用の形。債務者向け（audience: 'debtor'）は審査者の id と既読者を含めない
+ */
+function toMessageJson(m, { audience = 'staff' } = {}) {
+  return {
+    id: String(m.id),
+    caseId: String(m.caseId),
+    documentId: m.documentId != null ? String(m.documentId) : null,
+    docType: m.document?.docType ?? null,
+    kind: m.kind,
+    author: {
+      type: m.authorType,
+      name: m.authorName,
+      ...(audience === 'staff' ? { reviewerId: m.reviewerId != null ? String(m.reviewerId) : null } : {}),
+    },
+    body: m.body,
+    attachments: m.attachments || [],
+    readAt: m.readAt,
+    ...(audience === 'staff' ? { readBy: m.readBy } : {}),
+    createdAt: m.createdAt,
+  };
+}
+
+module.exports = {
+  MessageError,
+  normalizeMessageInput,
+  createMessageStore,
+  toMessageJson,
+};
@@ -0,0 +1,26 @@
+// lib/notifications/channels/email.js
+// SMTP 送信（SMTP_HOST 未設定なら無効）
+//   SMTP_HOST / SMTP_PORT（既定 587）/ SMTP_SECURE=true（465 等の SMTPS）/ SMTP_USER / SMTP_PASS
+//   NOTIFY_FROM … 差出人
+// ローカル確認は MailHog / smtp4dev 等（例: SMTP_HOST=localhost SMTP_PORT=1025）で足りる
+const nodemailer = require('nodemailer');
+
+function createEmailChannel(env = process.env) {
+  if (!env.SMTP_HOST) return null;
+  const transport = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT || 587),
+    secure: env.SMTP_SECURE === 'true',
+    ...(env.SMTP_USER ? { auth: { user: env.SMTP_USER, pass: env.SMTP_PASS } } : {}),
+  });
+  const from = env.NOTIFY_FROM || env.SMTP_USER || 'no-reply@localhost';
+
+  return {
+    kind: 'email',
+    async send(n) {
+      await transport.sendMail({ from, to: n.recipient, subject: n.subject || '', text: n.body || '' });
+    },
+  };
+}
+
+module.exports = { createEmailChannel };
@@ -0,0 +1,43 @@
+// lib/notifications/channels/webhook.js
+// 署名付き Webhook（WEBHOOK_URLS 未設定なら無効）
+//   WEBHOOK_URLS   … 送信先（カンマ区切り）。全イベントを送る
+//   WEBHOOK_SECRET … 署名鍵
+// ヘッダ:
+//   X-Webhook-Id        … 通知 id（再送でも同じ。受信側の重複排除用）
+//   X-Webhook-Timestamp … 送信時刻（UNIX 秒）
+//   X-Webhook-Signature … sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) の hex
+const crypto = require('crypto');
+
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function createWebhookChannel(env = process.env) {
+  const urls = String(env.WEBHOOK_URLS || '').split(',').map((s) => s.trim()).filter(Boolean);
+  if (!urls.length) return null;
+  if (!env.WEBHOOK_SECRET) throw new Error('WEBHOOK_SECRET is required when WEBHOOK_URLS is set');
+  const timeoutMs = Number(env.WEBHOOK_TIMEOUT_MS || 10 * 1000);
+
+  return {
+    kind: 'webhook',
+    urls,
+    async send(n) {
+      const body = JSON.stringify(n.payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+      const res = await fetch(n.recipient, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': String(n.id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signPayload(env.WEBHOOK_SECRET, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!res.ok) throw new Error(`webhook responded ${res.status}`);
+    },
+  };
+}
+
+module.exports = { createWebhookChannel, signPayload };
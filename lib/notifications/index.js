@@ -0,0 +1,264 @@
+// lib/notifications/index.js
+// 通知アウトボックス: emit() で Notification に積み、worker が送信・再試行（指数バックオフ）する
+//
+// チャネル（未設定のものは無効）
+//   email   … channels/email.js（SMTP）。テンプレートで件名・本文を生成
+//   webhook … channels/webhook.js（署名付き POST）。全イベントを JSON で送る
+//
+// 設定
+//   NOTIFY_MAX_ATTEMPTS（既定 8）/ NOTIFY_RETRY_BASE_MS（既定 30 秒）/ NOTIFY_RETRY_MAX_MS（既定 6 時間）
+//   NOTIFY_POLL_MS（既定 15 秒）… outbox の確認間隔
+//   NOTIFY_DUE_SOON_DAYS（既定 3）/ NOTIFY_DUE_SCAN_MS（既定 1 時間）… 期限通知
+//   NOTIFY_STAFF_EMAILS … 担当審査者がいない案件の staff 宛先（カンマ区切り）
+const { createEmailChannel } = require('./channels/email');
+const { createWebhookChannel } = require('./channels/webhook');
+const { NOTIFY_EVENTS, NOTIFY_AUDIENCES, DEFAULT_TEMPLATES, renderTemplate } = require('./templates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SENDING_STALE_MS = 10 * 60 * 1000; // 送信中のままのもの（プロセス停止等）を再送対象に戻す
+const NOTIFICATION_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+const splitList = (v) => String(v || '').split(',').map((s) => s.trim()).filter(Boolean);
+
+/**
+ * @param {{
+ *   prisma: object,
+ *   env?: object,
+ *   channels?: { email?: object|null, webhook?: object|null },
+ *   publicUrl?: (publicId: string) => string,
+ * }} opts publicUrl は案件の公開ページ URL（テンプレート変数 {{publicUrl}}）
+ */
+function createNotifier({ prisma, env = process.env, channels, publicUrl = () => '' }) {
+  const email = channels ? channels.email || null : createEmailChannel(env);
+  const webhook = channels ? channels.webhook || null : createWebhookChannel(env);
+  const maxAttempts = Number(env.NOTIFY_MAX_ATTEMPTS || 8);
+  const baseDelayMs = Number(env.NOTIFY_RETRY_BASE_MS || 30 * 1000);
+  const maxDelayMs = Number(env.NOTIFY_RETRY_MAX_MS || 6 * 60 * 60 * 1000);
+  const pollMs = Number(env.NOTIFY_POLL_MS || 15 * 1000);
+  const dueSoonDays = Number(env.NOTIFY_DUE_SOON_DAYS || 3);
+  const dueScanMs = Number(env.NOTIFY_DUE_SCAN_MS || 60 * 60 * 1000);
+  const staffFallback = splitList(env.NOTIFY_STAFF_EMAILS);
+
+  // caseType 固有 → "*" → 組み込み
+  async function findTemplate(caseType, event, audience) {
+    const rows = await prisma.notificationTemplate.findMany({
+      where: { event, audience, caseType: { in: [caseType, '*'] } },
+    });
+    return (
+      rows.find((r) => r.caseType === caseType) ||
+      rows.find((r) => r.caseType === '*') ||
+      DEFAULT_TEMPLATES[event]?.[audience] ||
+      null
+    );
+  }
+
+  function recipientsFor(c, audience) {
+    if (audience === 'debtor') return c.debtorEmail ? [c.debtorEmail] : [];
+    return c.reviewer?.isActive && c.reviewer.email ? [c.reviewer.email] : staffFallback;
+  }
+
+  /**
+   * イベントを outbox に積む（失敗しても呼び出し元の処理は失敗させない）
+   * @param {string} event NOTIFY_EVENTS のいずれか
+   * @param {{ caseId?, rootId?, data?: object, dedupeKey?: string }} opts
+   *   data はテンプレート変数と Webhook の data。dedupeKey を指定すると同じ通知は 1 回だけ
+   * @returns {Promise<number>} 積んだ件数
+   */
+  async function emit(event, { caseId, rootId, data = {}, dedupeKey } = {}) {
+    try {
+      const where = caseId != null ? { id: BigInt(caseId) } : rootId ? { rootId } : null;
+      const c = where && (await prisma.case.findUnique({ where, include: { reviewer: true, publicLink: true } }));
+      if (!c) return 0;
+
+      const vars = {
+        caseId: String(c.id),
+        debtorName: c.debtorName || '',
+        caseType: c.caseType,
+        publicUrl: c.publicLink?.isActive ? publicUrl(c.publicLink.publicId) : '',
+        ...data,
+      };
+      const rows = [];
+      if (email) {
+        for (const audience of NOTIFY_AUDIENCES) {
+          const recipients = recipientsFor(c, audience);
+          const tpl = recipients.length ? await findTemplate(c.caseType, event, audience) : null;
+          if (!tpl) continue;
+          const subject = renderTemplate(tpl.subject, vars);
+          const body = renderTemplate(tpl.body, vars);
+          for (const to of recipients) rows.push({ channel: 'email', recipient: to, subject, body });
+        }
+      }
+      if (webhook) {
+        for (const url of webhook.urls) rows.push({ channel: 'webhook', recipient: url });
+      }
+
+      const payload = { event, occurredAt: new Date().toISOString(), caseId: String(c.id), rootId: c.rootId, data };
+      let created = 0;
+      for (const r of rows) {
+        try {
+          await prisma.notification.create({
+            data: {
+              event,
+              caseId: c.id,
+              ...r,
+              payload,
+              dedupeKey: dedupeKey ? `${dedupeKey}:${r.channel}:${r.recipient}` : null,
+            },
+          });
+          created++;
+        } catch (e) {
+          if (e?.code !== 'P2002') throw e; // dedupeKey 重複は送信済み/送信予定
+        }
+      }
+      if (created) kick();
+      return created;
+    } catch (err) {
+      console.error('notification enqueue error:', err);
+      return 0;
+    }
+  }
+
+  // 30 秒, 1 分, 2 分 … （上限 maxDelayMs、±20% のゆらぎ）
+  const backoff = (attempts) =>
+    Math.min(maxDelayMs, baseDelayMs * 2 ** (attempts - 1)) * (0.8 + Math.random() * 0.4);
+
+  async function deliver(n) {
+    const channel = { email, webhook }[n.channel];
+    const attempts = n.attempts + 1;
+    try {
+      if (!channel) throw new Error(`channel ${n.channel} is not configured`);
+      await channel.send(n);
+      await prisma.notification.update({
+        where: { id: n.id },
+        data: { status: 'sent', sentAt: new Date(), attempts, lastError: null },
+      });
+    } catch (err) {
+      const failed = attempts >= maxAttempts;
+      await prisma.notification.update({
+        where: { id: n.id },
+        data: {
+          status: failed ? 'failed' : 'pending',
+          attempts,
+          lastError: String(err?.message || err).slice(0, 1000),
+          nextAttemptAt: new Date(Date.now() + (failed ? 0 : backoff(attempts))),
+        },
+      });
+      if (failed) console.error(`notification ${n.id} failed after ${attempts} attempts:`, err?.message || err);
+    }
+  }
+
+  // 送信時期の来たものを送る（pending → sending で確保して他プロセスとの二重送信を防ぐ）
+  async function deliverDue({ batchSize = 20 } = {}) {
+    const now = new Date();
+    await prisma.notification.updateMany({
+      where: { status: 'sending', nextAttemptAt: { lt: new Date(now.getTime() - SENDING_STALE_MS) } },
+      data: { status: 'pending' },
+    });
+    const due = await prisma.notification.findMany({
+      where: { status: 'pending', nextAttemptAt: { lte: now } },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: batchSize,
+    });
+    let processed = 0;
+    for (const n of due) {
+      const { count } = await prisma.notification.updateMany({
+        where: { id: n.id, status: 'pending' },
+        data: { status: 'sending', nextAttemptAt: new Date() },
+      });
+      if (!count) continue;
+      await deliver(n);
+      processed++;
+    }
+    return processed;
+  }
+
+  // 期限が dueSoonDays 日以内の未提出・要再提出書類（書類 × 期限ごとに 1 回）
+  async function scanDueDates(now = new Date()) {
+    const docs = await prisma.caseDocument.findMany({
+      where: {
+        status: { in: ['missing', 'rejected'] },
+        dueDate: { gte: now, lte: new Date(now.getTime() + dueSoonDays * DAY_MS) },
+      },
+    });
+    let queued = 0;
+    for (const d of docs) {
+      queued += await emit('document.due_soon', {
+        caseId: d.caseId,
+        data: { docType: d.docType, dueDate: d.dueDate.toISOString().slice(0, 10), status: d.status },
+        dedupeKey: `due:${d.id}:${d.dueDate.toISOString()}`,
+      });
+    }
+    return queued;
+  }
+
+  // ---- worker ----
+  let running = false;
+  let again = false;
+  const timers = [];
+
+  async function run() {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        again = false;
+        while ((await deliverDue()) > 0);
+      } while (again);
+    } catch (err) {
+      console.error('notification worker error:', err);
+    } finally {
+      running = false;
+    }
+  }
+
+  function kick() {
+    if (timers.length) setImmediate(run);
+  }
+
+  const scan = () => scanDueDates().catch((e) => console.error('due date scan error:', e));
+
+  function start() {
+    if (timers.length) return;
+    timers.push(setInterval(run, pollMs), setInterval(scan, dueScanMs));
+    timers.forEach((t) => t.unref());
+    setImmediate(run);
+    setImmediate(scan);
+  }
+
+  function stop() {
+    timers.splice(0).forEach(clearInterval);
+  }
+
+  return {
+    channels: { email: Boolean(email), webhook: Boolean(webhook) },
+    emit,
+    deliverDue,
+    scanDueDates,
+    start,
+    stop,
+  };
+}
+
+function toNotificationJson(n) {
+  return {
+    id: String(n.id),
+    event: n.event,
+    channel: n.channel,
+    recipient: n.recipient,
+    caseId: n.caseId != null ? String(n.caseId) : null,
+    subject: n.subject,
+    status: n.status,
+    attempts: n.attempts,
+    nextAttemptAt: n.nextAttemptAt,
+    lastError: n.lastError,
+    sentAt: n.sentAt,
+    createdAt: n.createdAt,
+  };
+}
+
+module.exports = {
+  NOTIFY_EVENTS, NOTIFY_AUDIENCES, NOTIFICATION_STATUSES, DEFAULT_TEMPLATES, createNotifier, toNotificationJson,
+};
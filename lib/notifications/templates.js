@@ -0,0 +1,74 @@
+// lib/notifications/templates.js
+// 通知メールの組み込みテンプレート（DB の NotificationTemplate で caseType ごとに上書き可）
+// 本文・件名の {{name}} は変数で置換（未定義は空文字）
+//   共通: caseId, debtorName, caseType, publicUrl
+//   書類: docType, fileName, reason, dueDate
+//   メッセージ: authorName, body, docType（案件全体のスレッドなら空）, threadLabel
+
+const NOTIFY_EVENTS = [
+  'document.uploaded',
+  'document.approved',
+  'document.rejected',
+  'document.due_soon',
+  'case.completed',
+  'message.from_staff',
+  'message.from_debtor',
+];
+
+// debtor … 債務者（Case.debtorEmail） / staff … 担当審査者
+const NOTIFY_AUDIENCES = ['debtor', 'staff'];
+
+const DEFAULT_TEMPLATES = {
+  'document.uploaded': {
+    staff: {
+      subject: '[提出] {{debtorName}} 様から {{docType}} が提出されました',
+      body: '案件 #{{caseId}}（{{debtorName}} 様）で {{docType}} が提出されました。\nファイル: {{fileName}}\n\n審査をお願いします。',
+    },
+  },
+  'document.approved': {
+    debtor: {
+      subject: '{{docType}} を確認しました',
+      body: '{{debtorName}} 様\n\nご提出いただいた {{docType}} を確認しました。ありがとうございました。\n\n提出状況: {{publicUrl}}',
+    },
+  },
+  'document.rejected': {
+    debtor: {
+      subject: '{{docType}} の再提出をお願いします',
+      body: '{{debtorName}} 様\n\nご提出いただいた {{docType}} について、再提出をお願いいたします。\n理由: {{reason}}\n\n提出状況: {{publicUrl}}',
+    },
+  },
+  'document.due_soon': {
+    debtor: {
+      subject: '{{docType}} の提出期限が近づいています（{{dueDate}}）',
+      body: '{{debtorName}} 様\n\n{{docType}} の提出期限は {{dueDate}} です。まだご提出が確認できていませんので、期限までにご提出ください。\n\n提出状況: {{publicUrl}}',
+    },
+  },
+  'case.completed': {
+    debtor: {
+      subject: '必要書類がすべて揃いました',
+      body: '{{debtorName}} 様\n\n必要書類の確認がすべて完了しました。ご協力ありがとうございました。',
+    },
+    staff: {
+      subject: '[完了] 案件 #{{caseId}}（{{debtorName}} 様）の必須書類がすべて承認されました',
+      body: '案件 #{{caseId}}（{{debtorName}} 様）の必須書類がすべて承認済みになりました。',
+    },
+  },
+  'message.from_staff': {
+    debtor: {
+      subject: '{{threadLabel}}についてメッセージが届きました',
+      body: '{{debtorName}} 様\n\n{{threadLabel}}について担当者からメッセージが届きました。\n\n{{body}}\n\n提出状況: {{publicUrl}}',
+    },
+  },
+  'message.from_debtor': {
+    staff: {
+      subject: '[メッセージ] {{debtorName}} 様（案件 #{{caseId}}・{{threadLabel}}）',
+      body: '案件 #{{caseId}}（{{debtorName}} 様）の{{threadLabel}}にメッセージが投稿されました。\n\n{{body}}',
+    },
+  },
+};
+
+function renderTemplate(text, vars) {
+  return String(text || '').replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, k) => (vars[k] == null ? '' : String(vars[k])));
+}
+
+module.exports = { NOTIFY_EVENTS, NOTIFY_AUDIENCES, DEFAULT_TEMPLATES, renderTemplate };
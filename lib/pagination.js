@@ -0,0 +1,100 @@
+// lib/pagination.js
+// 一覧 API のカーソル方式ページング（?limit=&cursor= → { ..., nextCursor }。nextCursor が null なら最後のページ）
+//   DB の一覧 … id をカーソルにする（Prisma の cursor + skip: 1。物理削除しないテーブル向け）
+//   ストレージの一覧 … nextPageToken をそのままカーソルとして返す（?cursor= でそのまま渡す）
+
+class PaginationError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+const encodeCursor = (id) => Buffer.from(String(id)).toString('base64url');
+
+function decodeCursor(cursor) {
+  const s = Buffer.from(String(cursor), 'base64url').toString('utf8');
+  if (!s || encodeCursor(s) !== String(cursor)) throw new PaginationError('cursor が不正です');
+  return s;
+}
+
+// BigInt id のテーブル用（PortalToken のような文字列 id は (c) => ({ id: c }) を渡す）
+const bigintKey = (c) => {
+  if (!/^\d+$/.test(c)) throw new PaginationError('cursor が不正です');
+  return { id: BigInt(c) };
+};
+
+/**
+ * ?limit=&cursor= の検証
+ * @returns {{ limit: number, cursor: string|null }} cursor はデコード済み（id の文字列）
+ */
+function parsePageQuery(query, { defaultLimit = 50, maxLimit = 200 } = {}) {
+  const raw = query.limit;
+  const limit = raw == null || raw === '' ? defaultLimit : Number(raw);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw new PaginationError(`limit は 1〜${maxLimit} の整数で指定してください`);
+  }
+  return { limit, cursor: query.cursor ? decodeCursor(query.cursor) : null };
+}
+
+// findMany の引数（1 件多く取って次ページの有無を判定する）。orderBy は id を含めて一意に並ぶようにすること
+function pageArgs({ limit, cursor }, toKey = bigintKey) {
+  return { take: limit + 1, ...(cursor != null ? { cursor: toKey(cursor), skip: 1 } : {}) };
+}
+
+// pageArgs で取得した行 → { items, nextCursor }
+function toPage(rows, { limit }) {
+  const items = rows.slice(0, limit);
+  return { items, nextCursor: rows.length > limit ? encodeCursor(items[items.length - 1].id) : null };
+}
+
+// ---- ストレージ一覧（/files-in-folder, /portal/files）----
+
+const FILE_SORT_FIELDS = ['modifiedTime', 'createdTime', 'name'];
+
+function parseDateParam(v, name) {
+  if (v == null || v === '') return undefined;
+  const d = new Date(String(v));
+  if (Number.isNaN(d.getTime())) throw new PaginationError(`${name} が不正です（ISO 8601 で指定してください）`);
+  return d.toISOString();
+}
+
+/**
+ * ?limit=&cursor=&sort=&order=&name=&mimeType=&modifiedFrom=&modifiedTo= → storage.list のオプション
+ * name は部分一致、mimeType は完全一致、modifiedFrom 以上 modifiedTo 未満
+ */
+function parseFileListQuery(query, { defaultLimit = 50, maxLimit = 1000, defaultSort = 'modifiedTime' } = {}) {
+  const raw = query.limit;
+  const pageSize = raw == null || raw === '' ? defaultLimit : Number(raw);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > maxLimit) {
+    throw new PaginationError(`limit は 1〜${maxLimit} の整数で指定してください`);
+  }
+  const sort = query.sort ? String(query.sort) : defaultSort;
+  if (!FILE_SORT_FIELDS.includes(sort)) {
+    throw new PaginationError(`sort は ${FILE_SORT_FIELDS.join(' / ')} のいずれかです`);
+  }
+  const order = query.order ? String(query.order) : sort === 'name' ? 'asc' : 'desc';
+  if (!['asc', 'desc'].includes(order)) throw new PaginationError('order は asc または desc を指定してください');
+
+  return {
+    pageSize,
+    pageToken: query.cursor ? String(query.cursor) : undefined,
+    orderBy: order === 'desc' ? `${sort} desc` : sort,
+    nameContains: query.name ? String(query.name) : undefined,
+    mimeType: query.mimeType ? String(query.mimeType) : undefined,
+    modifiedAfter: parseDateParam(query.modifiedFrom, 'modifiedFrom'),
+    modifiedBefore: parseDateParam(query.modifiedTo, 'modifiedTo'),
+  };
+}
+
+module.exports = {
+  FILE_SORT_FIELDS,
+  PaginationError,
+  encodeCursor,
+  decodeCursor,
+  parsePageQuery,
+  pageArgs,
+  toPage,
+  parseDateParam,
+  parseFileListQuery,
+};
@@ -0,0 +1,113 @@
+// lib/portalTokens.js
+// 債務者ポータル用トークン（発行・検証・失効・延長）
+// JWT 自体には exp を入れず、有効期限と失効は PortalToken テーブルで管理する
+// （発行後に延長/失効できるようにするため）。
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORTAL_SCOPES = ['upload', 'list', 'preview'];
+const DEFAULT_EXPIRES_IN = '30d';
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// '30d' / '12h' / 3600（秒）→ ミリ秒
+function parseDuration(v) {
+  if (typeof v === 'number' && Number.isFinite(v) && v > 0) return v * 1000;
+  const m = String(v || '').trim().match(/^(\d+)\s*([smhd])$/);
+  if (!m || Number(m[1]) <= 0) return null;
+  return Number(m[1]) * UNIT_MS[m[2]];
+}
+
+// { expiresIn } または { expiresAt } → Date（不正なら null）
+function resolveExpiry({ expiresIn, expiresAt } = {}, from = new Date()) {
+  if (expiresAt) {
+    const d = new Date(expiresAt);
+    return Number.isNaN(d.getTime()) || d <= from ? null : d;
+  }
+  const ms = parseDuration(expiresIn ?? process.env.PORTAL_TOKEN_EXPIRES_IN ?? DEFAULT_EXPIRES_IN);
+  return ms ? new Date(from.getTime() + ms) : null;
+}
+
+class PortalTokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code; // invalid | expired | revoked
+  }
+}
+
+function secret() {
+  if (!process.env.PORTAL_JWT_SECRET) throw new Error('PORTAL_JWT_SECRET is required');
+  return process.env.PORTAL_JWT_SECRET;
+}
+
+function createPortalTokenService(prisma) {
+  async function issue({ rootId, caseId = null, debtorName, docTypes = [], scopes = PORTAL_SCOPES, expiresAt, createdById = null }) {
+    const id = crypto.randomBytes(16).toString('base64url');
+    const record = await prisma.portalToken.create({
+      data: { id, rootId, caseId, debtorName, docTypes, scopes, expiresAt, createdById },
+    });
+    const token = jwt.sign(
+      { jti: id, rootId, debtorName, docTypes, scope: scopes, role: 'debtor' },
+      secret()
+    );
+    return { token, record };
+  }
+
+  // 署名 → DB（失効/期限/CasePublicLink.isActive）の順で確認
+  async function verify(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, secret());
+    } catch {
+      throw new PortalTokenError('invalid', 'token 検証に失敗しました');
+    }
+    if (payload.role !== 'debtor' || !payload.jti) throw new PortalTokenError('invalid', 'role 不正');
+
+    const record = await prisma.portalToken.findUnique({
+      where: { id: payload.jti },
+      include: { case: { include: { publicLink: true } } },
+    });
+    if (!record) throw new PortalTokenError('invalid', 'token が見つかりません');
+    if (record.revokedAt) throw new PortalTokenError('revoked', 'token は失効しています');
+    if (record.case?.publicLink && !record.case.publicLink.isActive) {
+      throw new PortalTokenError('revoked', 'この案件の共有は停止されています');
+    }
+    if (record.expiresAt <= new Date()) throw new PortalTokenError('expired', 'token の有効期限が切れています');
+    return { payload, record };
+  }
+
+  function revoke(id) {
+    return prisma.portalToken.update({ where: { id }, data: { revokedAt: new Date() } });
+  }
+
+  function extend(id, expiresAt) {
+    return prisma.portalToken.update({ where: { id }, data: { expiresAt } });
+  }
+
+  return { issue, verify, revoke, extend };
+}
+
+function toPortalTokenJson(t) {
+  const now = new Date();
+  return {
+    id: t.id,
+    caseId: t.caseId != null ? String(t.caseId) : null,
+    rootId: t.rootId,
+    debtorName: t.debtorName,
+    docTypes: t.docTypes,
+    scopes: t.scopes,
+    createdAt: t.createdAt,
+    expiresAt: t.expiresAt,
+    revokedAt: t.revokedAt,
+    status: t.revokedAt ? 'revoked' : t.expiresAt <= now ? 'expired' : 'active',
+  };
+}
+
+module.exports = {
+  PORTAL_SCOPES,
+  PortalTokenError,
+  parseDuration,
+  resolveExpiry,
+  createPortalTokenService,
+  toPortalTokenJson,
+};
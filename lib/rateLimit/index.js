@@ -0,0 +1,124 @@
+// lib/rateLimit/index.js
+// 公開・ポータル系 API の濫用対策（固定ウィンドウのレート制限と日次クォータ）
+// ストアの選択は RATE_LIMIT_STORE=memory|redis（既定 memory。redis は REDIS_URL、ioredis を別途インストール）
+//
+// ストアのインターフェース:
+//   incr(key, { by?, ttlMs }) → Promise<{ value, resetAt }>  … 加算（キーが無ければ ttlMs 後に消える新しいカウンタ）
+//   get(key)                  → Promise<{ value, resetAt }|null>
+//   close()
+//
+// 制限の書式は "<回数>/<期間>"（例: 300/15m。期間は 30s / 15m / 1h / 1d）。off / 0 で無効
+const { parseDuration } = require('../portalTokens');
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RateLimitError extends Error {
+  constructor(message, { code = 'RATE_LIMITED', retryAfter, details } = {}) {
+    super(message);
+    this.status = 429;
+    this.code = code;
+    this.retryAfter = retryAfter;
+    if (details) this.details = details;
+  }
+}
+
+function createRateLimitStore(env = process.env) {
+  const name = (env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+  if (name === 'memory') return createMemoryStore();
+  if (name === 'redis') {
+    if (!env.REDIS_URL) throw new Error('REDIS_URL is required for RATE_LIMIT_STORE=redis');
+    const Redis = require('ioredis'); // redis を使う場合のみ必要
+    return createRedisStore(new Redis(env.REDIS_URL), { prefix: env.RATE_LIMIT_PREFIX || 'ratelimit:' });
+  }
+  throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+}
+
+/**
+ * "300/15m" → { limit, windowMs }。off / 0 は null（無効）
+ * @param {string|undefined} spec 未指定なら fallback
+ */
+function parseRateLimit(spec, fallback) {
+  const v = String(spec ?? fallback ?? '').trim();
+  if (!v || v === 'off' || v === '0') return null;
+  const m = v.match(/^(\d+)\s*\/\s*(\S+)$/);
+  const windowMs = m && parseDuration(m[2]);
+  if (!m || !windowMs || Number(m[1]) <= 0) throw new Error(`invalid rate limit: ${v}（<回数>/<期間> で指定してください）`);
+  return { limit: Number(m[1]), windowMs };
+}
+
+/**
+ * 固定ウィンドウの制限。結果の firstBlocked はウィンドウ内で初めて上限を超えた 1 回（ログはこのときだけ残す想定）
+ * @param {{ store, name: string, limit: number, windowMs: number }} opts
+ */
+function createRateLimiter({ store, name, limit, windowMs }) {
+  const keyOf = (key) => `${name}:${key}`;
+
+  function result(value, resetAt, now = Date.now()) {
+    return {
+      name,
+      limit,
+      remaining: Math.max(limit - value, 0),
+      resetAt,
+      retryAfter: Math.max(Math.ceil((resetAt - now) / 1000), 1),
+      allowed: value <= limit,
+      firstBlocked: value === limit + 1,
+    };
+  }
+
+  // 1 回分数えて判定
+  async function hit(key) {
+    const { value, resetAt } = await store.incr(keyOf(key), { ttlMs: windowMs });
+    return result(value, resetAt);
+  }
+
+  // 数えずに判定（失敗した要求だけを hit で数える制限用。上限に達していれば不可）
+  async function peek(key) {
+    const e = await store.get(keyOf(key));
+    if (!e) return result(0, Date.now() + windowMs);
+    return { ...result(e.value, e.resetAt), allowed: e.value < limit, firstBlocked: false };
+  }
+
+  return { name, limit, windowMs, hit, peek };
+}
+
+/**
+ * 日次クォータ（timeZone の暦日ごと。翌 0 時にリセット）
+ * @param {{ store, name: string, limit: number, timeZone?: string }} opts
+ */
+function createDailyQuota({ store, name, limit, timeZone = 'Asia/Tokyo' }) {
+  const fmt = new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23',
+  });
+
+  // 現地の日付と、翌 0 時までの秒数
+  function today(now = new Date()) {
+    const p = Object.fromEntries(fmt.formatToParts(now).map((x) => [x.type, x.value]));
+    const elapsed = Number(p.hour) * 3600 + Number(p.minute) * 60 + Number(p.second);
+    return { date: `${p.year}-${p.month}-${p.day}`, retryAfter: Math.max(DAY_MS / 1000 - elapsed, 1) };
+  }
+  const keyOf = (subject, date) => `${name}:${subject}:${date}`;
+
+  async function usage(subject) {
+    const { date, retryAfter } = today();
+    const used = (await store.get(keyOf(subject, date)))?.value || 0;
+    return { name, limit, used, remaining: Math.max(limit - used, 0), date, retryAfter };
+  }
+
+  async function add(subject, amount) {
+    if (!(amount > 0)) return;
+    await store.incr(keyOf(subject, today().date), { by: amount, ttlMs: 2 * DAY_MS });
+  }
+
+  return { name, limit, usage, add };
+}
+
+module.exports = {
+  RateLimitError,
+  createRateLimitStore,
+  parseRateLimit,
+  createRateLimiter,
+  createDailyQuota,
+};
@@ -0,0 +1,41 @@
+// lib/rateLimit/memoryStore.js
+// プロセス内のカウンタ（既定）。複数台構成では台ごとに数えるので、厳密に揃えたい場合は redis を使う
+
+function createMemoryStore({ sweepMs = 60 * 1000 } = {}) {
+  const entries = new Map(); // key → { value, resetAt }
+
+  function live(key, now) {
+    const e = entries.get(key);
+    if (!e) return null;
+    if (e.resetAt > now) return e;
+    entries.delete(key);
+    return null;
+  }
+
+  async function incr(key, { by = 1, ttlMs }) {
+    const now = Date.now();
+    let e = live(key, now);
+    if (!e) {
+      e = { value: 0, resetAt: now + ttlMs };
+      entries.set(key, e);
+    }
+    e.value += by;
+    return { value: e.value, resetAt: e.resetAt };
+  }
+
+  async function get(key) {
+    const e = live(key, Date.now());
+    return e ? { value: e.value, resetAt: e.resetAt } : null;
+  }
+
+  // 期限切れを定期的に捨てる（アクセスの無いキーが溜まらないように）
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, e] of entries) if (e.resetAt <= now) entries.delete(key);
+  }, sweepMs);
+  timer.unref();
+
+  return { kind: 'memory', incr, get, close: () => clearInterval(timer) };
+}
+
+module.exports = { createMemoryStore };
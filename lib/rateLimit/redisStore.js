@@ -0,0 +1,27 @@
+// lib/rateLimit/redisStore.js
+// Redis 互換のカウンタ（複数台で共有）。client は incrby / pexpire / pttl / get を持つもの（ioredis 互換）
+// キーは INCRBY で数え、最初の 1 回で期限を付ける（期限の無いキーが残っていた場合も次の加算で付け直す）
+
+function createRedisStore(client, { prefix = 'ratelimit:' } = {}) {
+  async function incr(key, { by = 1, ttlMs }) {
+    const k = prefix + key;
+    const value = Number(await client.incrby(k, by));
+    let ttl = Number(await client.pttl(k));
+    if (ttl < 0) {
+      await client.pexpire(k, ttlMs);
+      ttl = ttlMs;
+    }
+    return { value, resetAt: Date.now() + ttl };
+  }
+
+  async function get(key) {
+    const k = prefix + key;
+    const [value, ttl] = await Promise.all([client.get(k), client.pttl(k)]);
+    if (value == null) return null;
+    return { value: Number(value), resetAt: Date.now() + Math.max(Number(ttl), 0) };
+  }
+
+  return { kind: 'redis', incr, get, close: () => client.quit?.() };
+}
+
+module.exports = { createRedisStore };
@@ -0,0 +1,167 @@
+// lib/resumableUploads.js
+// 再開可能なチャンクアップロード（init → chunk… → complete、status で受信済みバイト数を確認）
+// チャンクはサーバの一時ディレクトリに追記し、complete 時にストレージへストリーム転送する。
+//   <dir>/<uploadId>.json … セッション情報
+//   <dir>/<uploadId>.part … 受信済みデータ
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { createKeyedLock } = require('./locks');
+
+class UploadSessionError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    Object.assign(this, extra);
+  }
+}
+
+function createResumableUploadStore({
+  dir = process.env.UPLOAD_TMP_DIR || path.join(os.tmpdir(), 'drive-folder-api-uploads'),
+  ttlMs = Number(process.env.UPLOAD_SESSION_TTL_HOURS || 24) * 60 * 60 * 1000,
+  maxBytes,
+  chunkMaxBytes = Number(process.env.UPLOAD_CHUNK_MAX_BYTES || 8 * 1024 * 1024),
+} = {}) {
+  const withLock = createKeyedLock();
+  const metaPath = (id) => path.join(dir, `${id}.json`);
+  const partPath = (id) => path.join(dir, `${id}.part`);
+
+  async function readMeta(id) {
+    if (!/^[A-Za-z0-9_-]+$/.test(String(id))) return null;
+    try {
+      return JSON.parse(await fsp.readFile(metaPath(id), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  const writeMeta = (meta) => fsp.writeFile(metaPath(meta.id), JSON.stringify(meta));
+
+  async function received(id) {
+    try {
+      return (await fsp.stat(partPath(id))).size;
+    } catch {
+      return 0;
+    }
+  }
+
+  async function load(id) {
+    const meta = await readMeta(id);
+    if (!meta || new Date(meta.expiresAt) <= new Date()) {
+      throw new UploadSessionError(404, 'upload session が見つかりません（期限切れの可能性があります）', { code: 'UPLOAD_SESSION_NOT_FOUND' });
+    }
+    return { ...meta, received: meta.status === 'completed' ? meta.size : await received(id) };
+  }
+
+  // 期限切れセッションの掃除
+  async function sweep() {
+    let names = [];
+    try { names = await fsp.readdir(dir); } catch { return; }
+    for (const n of names.filter((x) => x.endsWith('.json'))) {
+      const id = n.slice(0, -5);
+      const meta = await readMeta(id);
+      if (!meta || new Date(meta.expiresAt) <= new Date()) {
+        await fsp.rm(metaPath(id), { force: true });
+        await fsp.rm(partPath(id), { force: true });
+      }
+    }
+  }
+
+  async function init({ owner, size, ...attrs }) {
+    if (!Number.isInteger(size) || size <= 0) throw new UploadSessionError(400, 'size は正の整数で指定してください', { code: 'VALIDATION_FAILED' });
+    if (maxBytes && size > maxBytes) {
+      throw new UploadSessionError(413, `ファイルサイズ上限（${maxBytes} bytes）を超えています`, { code: 'FILE_TOO_LARGE', details: { size, maxBytes } });
+    }
+    await fsp.mkdir(dir, { recursive: true });
+    sweep().catch(() => {});
+    const now = new Date();
+    const meta = {
+      id: crypto.randomBytes(16).toString('base64url'),
+      owner,
+      size,
+      ...attrs,
+      status: 'uploading',
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlMs).toISOString(),
+    };
+    await writeMeta(meta);
+    await fsp.writeFile(partPath(meta.id), '');
+    return { ...meta, received: 0, chunkMaxBytes };
+  }
+
+  // offset は受信済みバイト数と一致している必要がある（不一致なら 409 + 現在の received）
+  function appendChunk(id, offset, stream) {
+    return withLock(id, async () => {
+      const meta = await load(id);
+      if (meta.status !== 'uploading') throw new UploadSessionError(409, `upload は ${meta.status} 状態です`, { code: 'UPLOAD_SESSION_CLOSED' });
+      if (offset !== meta.received) {
+        throw new UploadSessionError(409, 'offset が受信済みバイト数と一致しません', { code: 'OFFSET_MISMATCH', received: meta.received });
+      }
+
+      let written = 0;
+      const guard = new Transform({
+        transform(chunk, _enc, done) {
+          written += chunk.length;
+          if (written > chunkMaxBytes) {
+            return done(new UploadSessionError(413, `チャンクサイズ上限（${chunkMaxBytes} bytes）を超えています`, { code: 'CHUNK_TOO_LARGE' }));
+          }
+          if (meta.received + written > meta.size) {
+            return done(new UploadSessionError(413, '宣言された size を超えています', { code: 'SIZE_EXCEEDED' }));
+          }
+          done(null, chunk);
+        },
+      });
+      try {
+        await pipeline(stream, guard, fs.createWriteStream(partPath(id), { flags: 'a' }));
+      } catch (err) {
+        // 途中までのチャンクは捨てて offset を元に戻す
+        await fsp.truncate(partPath(id), meta.received).catch(() => {});
+        throw err;
+      }
+      return { ...meta, received: meta.received + written };
+    });
+  }
+
+  /**
+   * 受信完了したデータを consumer(readStream, meta, { checkpoint }) に渡して確定する
+   * 成功後は .part を削除し、結果（result）を保存して再送された complete にも同じ結果を返す
+   * consumer は保存済みのもの（ストレージに書いたファイル等）を checkpoint(stored) でセッションに残せる。
+   * consumer が途中で失敗して complete が再送されると meta.stored に入っている（そこから再開し、二重に保存しない）
+   */
+  function complete(id, consumer) {
+    return withLock(id, async () => {
+      const meta = await load(id);
+      if (meta.status === 'completed') return { ...meta, replayed: true };
+      if (meta.received !== meta.size) {
+        throw new UploadSessionError(409, '未受信のデータがあります', { code: 'UPLOAD_INCOMPLETE', received: meta.received, size: meta.size });
+      }
+      const checkpoint = async (stored) => {
+        meta.stored = stored;
+        const { received: _received, ...persisted } = meta;
+        await writeMeta(persisted);
+      };
+      const result = await consumer(fs.createReadStream(partPath(id)), meta, { checkpoint });
+      const done = { ...meta, status: 'completed', result, completedAt: new Date().toISOString() };
+      delete done.received;
+      delete done.stored;
+      await writeMeta(done);
+      await fsp.rm(partPath(id), { force: true });
+      return { ...done, received: done.size };
+    });
+  }
+
+  function abort(id) {
+    return withLock(id, async () => {
+      await fsp.rm(metaPath(id), { force: true });
+      await fsp.rm(partPath(id), { force: true });
+    });
+  }
+
+  return { init, get: load, appendChunk, complete, abort, sweep, chunkMaxBytes };
+}
+
+module.exports = { createResumableUploadStore, UploadSessionError };
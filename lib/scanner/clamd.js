@@ -0,0 +1,65 @@
+// lib/scanner/clamd.js
+// ClamAV デーモン（clamd プロトコル互換）の INSTREAM でストリームを検査する
+//   CLAMD_SOCKET（UNIX ソケット）または CLAMD_HOST / CLAMD_PORT（TCP、既定 3310）
+//   CLAMD_TIMEOUT_MS … 応答待ちの上限（既定 60 秒）
+const net = require('net');
+
+// "stream: OK" / "stream: <signature> FOUND" / "<message> ERROR"
+function parseReply(raw) {
+  const reply = raw.replace(/\0/g, '').trim();
+  if (/^stream: OK$/.test(reply)) return { status: 'clean' };
+  const found = reply.match(/^stream: (.+) FOUND$/);
+  if (found) return { status: 'infected', signature: found[1] };
+  return { status: 'error', message: reply || 'clamd から応答がありません' };
+}
+
+function createClamdScanner(env = process.env) {
+  const socketPath = env.CLAMD_SOCKET;
+  const host = env.CLAMD_HOST || '127.0.0.1';
+  const port = Number(env.CLAMD_PORT || 3310);
+  const timeoutMs = Number(env.CLAMD_TIMEOUT_MS || 60 * 1000);
+
+  const connect = () => (socketPath ? net.createConnection(socketPath) : net.createConnection({ host, port }));
+
+  // 検査の失敗（接続不可・タイムアウト等）は例外にせず status: 'error' で返す
+  function scan(stream) {
+    return new Promise((resolve) => {
+      const sock = connect();
+      let reply = '';
+      let settled = false;
+      const settle = (verdict) => {
+        if (settled) return;
+        settled = true;
+        stream.off('data', onData);
+        sock.destroy();
+        resolve(verdict);
+      };
+
+      // <長さ uint32 BE><データ> を繰り返し、長さ 0 で終端
+      function onData(chunk) {
+        if (!chunk.length) return;
+        const len = Buffer.alloc(4);
+        len.writeUInt32BE(chunk.length);
+        if (!sock.write(Buffer.concat([len, chunk]))) {
+          stream.pause();
+          sock.once('drain', () => stream.resume());
+        }
+      }
+
+      sock.setTimeout(timeoutMs, () => settle({ status: 'error', message: 'clamd timeout' }));
+      sock.on('error', (e) => settle({ status: 'error', message: `clamd: ${e.message}` }));
+      sock.on('data', (d) => { reply += d.toString('utf8'); });
+      sock.on('close', () => settle(parseReply(reply)));
+      sock.on('connect', () => {
+        sock.write('zINSTREAM\0');
+        stream.on('data', onData);
+        stream.once('end', () => sock.write(Buffer.alloc(4)));
+        stream.once('error', (e) => settle({ status: 'error', message: e.message }));
+      });
+    });
+  }
+
+  return { kind: 'clamd', scan };
+}
+
+module.exports = { createClamdScanner, parseReply };
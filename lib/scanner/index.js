@@ -0,0 +1,45 @@
+// lib/scanner/index.js
+// マルウェア検査の選択（MALWARE_SCANNER=clamd|none、既定は CLAMD_HOST / CLAMD_SOCKET があれば clamd）
+//
+// インターフェース:
+//   scan(readable) → Promise<{ status: 'clean' | 'infected' | 'error', signature?, message? }>
+//   検査できなかった場合も reject せず status: 'error' を返す
+const { PassThrough } = require('stream');
+const { createClamdScanner } = require('./clamd');
+
+const SCANNERS = {
+  clamd: createClamdScanner,
+};
+
+// 検査なしの場合は null
+function createScanner(env = process.env) {
+  const name = (env.MALWARE_SCANNER || (env.CLAMD_HOST || env.CLAMD_SOCKET ? 'clamd' : 'none')).toLowerCase();
+  if (name === 'none') return null;
+  const factory = SCANNERS[name];
+  if (!factory) throw new Error(`Unknown MALWARE_SCANNER: ${name}`);
+  return factory(env);
+}
+
+/**
+ * source を保存先と検査の両方に流す（保存と検査を並行して行い、再読込みしない）
+ * @returns {{ body: Readable, verdict: Promise<object> }} body を保存先へ渡し、verdict で結果を待つ
+ */
+function scanInline(source, scanner) {
+  const body = new PassThrough();
+  const toScanner = new PassThrough();
+  source.pipe(body);
+  source.pipe(toScanner);
+  source.on('error', (e) => {
+    body.destroy(e);
+    toScanner.destroy(e);
+  });
+
+  const verdict = Promise.resolve()
+    .then(() => scanner.scan(toScanner))
+    .catch((e) => ({ status: 'error', message: e.message }))
+    // 検査側が先に終わっても保存側が詰まらないよう残りは読み捨てる
+    .finally(() => toScanner.resume());
+  return { body, verdict };
+}
+
+module.exports = { createScanner, scanInline };
@@ -0,0 +1,66 @@
+// lib/signedLinks.js
+// 期限付きの署名 URL（/files/preview/:fileId?exp=&sig=[&download=1]）
+// 共有を無効（FILE_SHARING=private、既定）にしている場合、ファイルのリンクはこれで返す
+// 署名はファイル id・期限・表示方法（inline / attachment）に対する HMAC。トークンなしで開けるのは期限まで
+const crypto = require('crypto');
+const { parseDuration } = require('./portalTokens');
+
+const DEFAULT_EXPIRES_IN = '15m';
+
+class SignedLinkError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.status = 403;
+    this.code = code; // SIGNED_LINK_INVALID | SIGNED_LINK_EXPIRED
+  }
+}
+
+const safeEqual = (a, b) => {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+/**
+ * @param {{ secret: string, baseUrl: string, expiresIn?: string|number }} opts
+ *   expiresIn は '15m' / '1h' / 秒数（DOWNLOAD_LINK_EXPIRES_IN）
+ */
+function createLinkSigner({ secret, baseUrl, expiresIn = DEFAULT_EXPIRES_IN }) {
+  if (!secret) throw new Error('DOWNLOAD_LINK_SECRET (or JWT_SECRET) is required');
+  const ttlMs = parseDuration(expiresIn);
+  if (!ttlMs) throw new Error(`invalid DOWNLOAD_LINK_EXPIRES_IN: ${expiresIn}`);
+  const base = String(baseUrl).replace(/\/+$/, '');
+
+  const mac = (fileId, exp, download) =>
+    crypto.createHmac('sha256', secret).update(`${fileId}\n${exp}\n${download ? 'attachment' : 'inline'}`).digest('base64url');
+
+  function url(fileId, exp, download) {
+    const q = new URLSearchParams({ exp: String(exp), sig: mac(fileId, exp, download) });
+    if (download) q.set('download', '1');
+    return `${base}/files/preview/${encodeURIComponent(fileId)}?${q}`;
+  }
+
+  // buildLinks と同じ形 + expiresAt
+  function sign(fileId, now = Date.now()) {
+    const exp = Math.floor((now + ttlMs) / 1000);
+    const view = url(fileId, exp, false);
+    return { viewUrl: view, previewUrl: view, downloadUrl: url(fileId, exp, true), expiresAt: new Date(exp * 1000) };
+  }
+
+  // 署名付きリクエストか（exp / sig のどちらかがあれば署名 URL として扱う）
+  const isSigned = (query) => query?.sig != null || query?.exp != null;
+
+  // 期限切れ・改ざんは SignedLinkError
+  function verify(fileId, query, now = Date.now()) {
+    const exp = Number(query.exp);
+    if (!Number.isInteger(exp) || !safeEqual(query.sig, mac(fileId, exp, !!query.download))) {
+      throw new SignedLinkError('forbidden: 署名が不正です', 'SIGNED_LINK_INVALID');
+    }
+    if (exp * 1000 <= now) throw new SignedLinkError('forbidden: リンクの有効期限が切れています', 'SIGNED_LINK_EXPIRED');
+    return { fileId, expiresAt: new Date(exp * 1000), download: !!query.download };
+  }
+
+  return { sign, isSigned, verify };
+}
+
+module.exports = { SignedLinkError, createLinkSigner };
@@ -0,0 +1,52 @@
+// lib/sniff.js
+// 先頭バイト（マジックナンバー）から実際のファイル形式を判定する
+// クライアント申告の MIME type は信用しない
+const SNIFF_BYTES = 64;
+
+const startsWith = (buf, bytes, offset = 0) =>
+  buf.length >= offset + bytes.length && bytes.every((b, i) => buf[offset + i] === b);
+const ascii = (buf, start, end) => buf.subarray(start, end).toString('latin1');
+
+// HEIC/HEIF/AVIF は ISO BMFF の ftyp ボックスのブランドで判定
+const FTYP_BRANDS = {
+  heic: 'image/heic', heix: 'image/heic', hevc: 'image/heic', hevx: 'image/heic',
+  mif1: 'image/heif', msf1: 'image/heif', heif: 'image/heif',
+  avif: 'image/avif',
+  isom: 'video/mp4', iso2: 'video/mp4', mp41: 'video/mp4', mp42: 'video/mp4',
+  qt: 'video/quicktime',
+};
+
+// BMP は "BM" だけでは判定しない（テキスト等も通ってしまう）。BITMAPFILEHEADER と DIB ヘッダの大きさも確かめる
+// 予約領域（6〜9）が 0、画素データの位置（10）が 26 以上、DIB ヘッダの大きさ（14）が既知の値
+const BMP_DIB_HEADER_SIZES = [12, 40, 52, 56, 108, 124];
+
+function isBmp(head) {
+  if (head.length < 18 || !startsWith(head, [0x42, 0x4d])) return false;
+  return head.readUInt32LE(6) === 0
+    && head.readUInt32LE(10) >= 26
+    && BMP_DIB_HEADER_SIZES.includes(head.readUInt32LE(14));
+}
+
+/**
+ * @param {Buffer} head 先頭 SNIFF_BYTES バイト程度
+ * @returns {string|null} 判定できなければ null
+ */
+function sniffMimeType(head) {
+  if (!head || !head.length) return null;
+  if (startsWith(head, [0x25, 0x50, 0x44, 0x46, 0x2d])) return 'application/pdf'; // %PDF-
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (ascii(head, 0, 6) === 'GIF87a' || ascii(head, 0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(head, 0, 4) === 'RIFF' && ascii(head, 8, 12) === 'WEBP') return 'image/webp';
+  if (startsWith(head, [0x49, 0x49, 0x2a, 0x00]) || startsWith(head, [0x4d, 0x4d, 0x00, 0x2a])) return 'image/tiff';
+  if (isBmp(head)) return 'image/bmp';
+  if (ascii(head, 4, 8) === 'ftyp') {
+    const brand = ascii(head, 8, 12).trim();
+    return FTYP_BRANDS[brand] || null;
+  }
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04])) return 'application/zip'; // docx/xlsx も zip
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return 'application/x-cfb'; // 旧 Office
+  return null;
+}
+
+module.exports = { SNIFF_BYTES, sniffMimeType };
@@ -0,0 +1,108 @@
+// lib/storage/driveCalls.js
+// Drive API 呼び出しの共通ラッパ（同時実行数の上限 + 再試行）
+//   再試行するのは 429 / 5xx / 403（userRateLimitExceeded・rateLimitExceeded）と一時的な通信エラー
+//   作成系（idempotent: false）は処理されていないことが明らかな 429 / レート制限 403 だけ再試行する。
+//   5xx・通信エラーは作成済みかもしれないので、recover（作成ごとの目印で探す等）で見つからなければ再試行する
+//   待ち時間は指数バックオフ（±20% のゆらぎ）。Retry-After があればそれ以上待つ
+//   待っている間は枠を空ける（他の呼び出しを先に進める）
+// googleDrive.js の設定: DRIVE_CONCURRENCY（既定 4）/ DRIVE_MAX_RETRIES（既定 5）/ DRIVE_RETRY_BASE_MS（既定 500）/ DRIVE_RETRY_MAX_MS（既定 32 秒）
+
+const RATE_LIMIT_REASONS = ['userRateLimitExceeded', 'rateLimitExceeded'];
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ESOCKETTIMEDOUT'];
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// 429 / レート制限の 403（Drive 側で処理されずに断られている）
+function isRateLimited(err) {
+  const status = err?.response?.status;
+  if (status === 429) return true;
+  if (status === 403) {
+    const reasons = (err.response.data?.error?.errors || err.errors || []).map((e) => e.reason);
+    return reasons.some((r) => RATE_LIMIT_REASONS.includes(r));
+  }
+  return false;
+}
+
+function isRetryable(err) {
+  const status = err?.response?.status;
+  if (isRateLimited(err) || status >= 500) return true;
+  return !status && TRANSIENT_CODES.includes(err?.code);
+}
+
+// Retry-After（秒 or HTTP 日付）→ ms
+function retryAfterMs(err) {
+  const v = err?.response?.headers?.['retry-after'];
+  if (v == null) return 0;
+  const sec = Number(v);
+  if (Number.isFinite(sec)) return sec * 1000;
+  const at = Date.parse(v);
+  return Number.isNaN(at) ? 0 : Math.max(at - Date.now(), 0);
+}
+
+/**
+ * @param {{ concurrency?: number, maxRetries?: number, baseDelayMs?: number, maxDelayMs?: number }} opts
+ * @returns {(fn: () => Promise<any>, opts?: { idempotent?: boolean, recover?: () => Promise<any> }) => Promise<any>}
+ *   fn は再試行で何度か呼ばれることがある（送り直せる呼び出しのみ渡す）
+ *   作成系は idempotent: false を付け、可能なら recover で作成済みの結果（fn と同じ形。無ければ null）を探す
+ */
+function createDriveCaller({ concurrency = 4, maxRetries = 5, baseDelayMs = 500, maxDelayMs = 32 * 1000 } = {}) {
+  let active = 0;
+  const waiting = [];
+
+  function acquire() {
+    if (active < concurrency) {
+      active++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) next(); // 枠をそのまま引き継ぐ
+    else active--;
+  }
+
+  const backoff = (attempt) => Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.8 + Math.random() * 0.4);
+
+  // 作成系の再試行の前に、前回の要求で作成済みになっていないか確かめる
+  async function recovered(recover) {
+    await acquire();
+    try {
+      return await recover();
+    } finally {
+      release();
+    }
+  }
+
+  return async function call(fn, { idempotent = true, recover } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await acquire();
+      let error;
+      try {
+        return await fn();
+      } catch (err) {
+        error = err;
+      } finally {
+        release();
+      }
+      if (attempt >= maxRetries || !isRetryable(error)) throw error;
+      if (!idempotent && !isRateLimited(error)) {
+        // 作成済みか確かめられなければ重複を避けて諦める
+        if (!recover) throw error;
+        let found;
+        try {
+          found = await recovered(recover);
+        } catch {
+          throw error;
+        }
+        if (found) return found;
+      }
+      const wait = Math.max(backoff(attempt), retryAfterMs(error));
+      console.warn(`drive call retry ${attempt + 1}/${maxRetries} in ${Math.round(wait)}ms: ${error?.response?.status || error?.code || error?.message}`);
+      await sleep(wait);
+    }
+  };
+}
+
+module.exports = { RATE_LIMIT_REASONS, createDriveCaller, isRateLimited, isRetryable, retryAfterMs };
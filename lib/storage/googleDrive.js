@@ -0,0 +1,178 @@
+// lib/storage/googleDrive.js
+// Google Drive バックエンド（従来の drive クライアント直呼びをここに集約）
+const { google } = require('googleapis');
+const { randomUUID } = require('crypto');
+const { Readable } = require('stream');
+const { createDriveCaller } = require('./driveCalls');
+
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+const CREATE_MARKER = 'createRequestId'; // 作成要求ごとの目印（appProperties）
+const DEFAULT_FIELDS = 'id,name,mimeType,parents,webViewLink';
+
+const toBody = (body) => (Buffer.isBuffer(body) || typeof body === 'string' ? Readable.from(body) : body);
+const isReplayable = (body) => body === undefined || Buffer.isBuffer(body) || typeof body === 'string';
+const escapeQ = (s) => String(s).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+
+// ---- Drive link helpers ----
+function toViewUrl(id, webViewLink) {
+  // webViewLink があれば優先。/file/d/ が無い場合は補正し、/preview を /view に統一
+  if (webViewLink) {
+    let v = webViewLink.replace(/\/preview(\?.*)?$/, '/view');
+    if (!/\/file\/d\//.test(v)) v = v.replace('/file/', '/file/d/');
+    return v;
+  }
+  return `https://drive.google.com/file/d/${id}/view`;
+}
+function toPreviewUrl(id, webViewLink) {
+  return toViewUrl(id, webViewLink).replace(/\/view(\?.*)?$/, '/preview');
+}
+
+function createGoogleDriveStorage(env = process.env) {
+  const oauth2Client = new google.auth.OAuth2(env.CLIENT_ID, env.CLIENT_SECRET, env.REDIRECT_URI);
+  oauth2Client.setCredentials({ refresh_token: env.REFRESH_TOKEN });
+  const drive = google.drive({ version: 'v3', auth: oauth2Client });
+  // すべての Drive 呼び出しはこれを通す（同時実行数の上限と 429 / 5xx / レート制限 403 の再試行。driveCalls.js）
+  // 作成系は idempotent: false（5xx 等の後は作成済みでないことを確かめてから送り直す）
+  const call = createDriveCaller({
+    concurrency: Number(env.DRIVE_CONCURRENCY || 4),
+    maxRetries: Number(env.DRIVE_MAX_RETRIES || 5),
+    baseDelayMs: Number(env.DRIVE_RETRY_BASE_MS || 500),
+    maxDelayMs: Number(env.DRIVE_RETRY_MAX_MS || 32 * 1000),
+  });
+  // ストリームの送信は一度読んだら送り直せず、時間も掛かる（枠を塞ぐ）ので call を通さない
+  const callWith = (body, fn, opts) => (isReplayable(body) ? call(fn, opts) : fn());
+
+  // 作成の再試行前に、前回の要求で作成済みのものを目印（作成ごとの appProperties）と親で探す（無ければ null。call と同じ { data } の形）
+  // 名前では探さない（同じ名前の別案件のフォルダ等を取り違えないため）
+  async function findCreated(marker, parents, fields, mimeType) {
+    const q = [`appProperties has { key='${CREATE_MARKER}' and value='${escapeQ(marker)}' }`, 'trashed=false'];
+    if (parents?.length) q.push(`'${escapeQ(parents[0])}' in parents`);
+    if (mimeType) q.push(`mimeType='${escapeQ(mimeType)}'`);
+    const { data } = await drive.files.list({ q: q.join(' and '), fields: `files(${fields})`, pageSize: 1 });
+    return data.files?.length ? { data: data.files[0] } : null;
+  }
+
+  // grantPublic の再試行前に「リンクを知っている全員」の閲覧権限が付いたか確かめる
+  async function findPublicPermission(fileId) {
+    const { data } = await drive.permissions.list({ fileId, fields: 'permissions(id,type,role)' });
+    const found = (data.permissions || []).find((p) => p.type === 'anyone' && p.role === 'reader');
+    return found ? { data: found } : null;
+  }
+
+  return {
+    kind: 'drive',
+    drive, // 変更フィード等 Drive 固有機能用（呼び出しは call 経由で）
+    call,
+
+    async createFolder(name, parents) {
+      const marker = randomUUID();
+      const { data } = await call(() => drive.files.create({
+        resource: {
+          name, mimeType: FOLDER_MIME, appProperties: { [CREATE_MARKER]: marker }, ...(parents?.length ? { parents } : {}),
+        },
+        fields: 'id,name,webViewLink',
+      }), { idempotent: false, recover: () => findCreated(marker, parents, 'id,name,webViewLink', FOLDER_MIME) });
+      return data; // {id,name,webViewLink}
+    },
+
+    async createFile({ name, parents, mimeType, body }, { fields = DEFAULT_FIELDS } = {}) {
+      const marker = randomUUID();
+      const { data } = await callWith(body, () => drive.files.create({
+        resource: { name, appProperties: { [CREATE_MARKER]: marker }, ...(parents?.length ? { parents } : {}) },
+        media: { mimeType, body: toBody(body) },
+        fields,
+      }), { idempotent: false, recover: () => findCreated(marker, parents, fields) });
+      return data;
+    },
+
+    async get(fileId, { fields = DEFAULT_FIELDS } = {}) {
+      const { data } = await call(() => drive.files.get({ fileId, fields }));
+      return data;
+    },
+
+    async update(fileId, { name, description, addParents, removeParents, mimeType, body } = {}, { fields = DEFAULT_FIELDS } = {}) {
+      const resource = {};
+      if (name !== undefined) resource.name = name;
+      if (description !== undefined) resource.description = description;
+      const { data } = await callWith(body, () => drive.files.update({
+        fileId,
+        ...(Object.keys(resource).length ? { resource } : {}),
+        ...(addParents ? { addParents } : {}),
+        ...(removeParents ? { removeParents } : {}),
+        ...(body !== undefined ? { media: { mimeType, body: toBody(body) } } : {}),
+        fields,
+      }));
+      return data;
+    },
+
+    // kind: 'folder' | 'file' | undefined（両方）。modifiedAfter 以上 modifiedBefore 未満（ISO 文字列）
+    async list(parentId, {
+      kind, name, nameContains, mimeType, modifiedAfter, modifiedBefore,
+      pageSize = 100, pageToken, orderBy, fields = DEFAULT_FIELDS,
+    } = {}) {
+      const q = [`'${escapeQ(parentId)}' in parents`, 'trashed=false'];
+      if (kind === 'folder') q.push(`mimeType='${FOLDER_MIME}'`);
+      if (kind === 'file') q.push(`mimeType!='${FOLDER_MIME}'`);
+      if (name) q.push(`name='${escapeQ(name)}'`);
+      if (nameContains) q.push(`name contains '${escapeQ(nameContains)}'`);
+      if (mimeType) q.push(`mimeType='${escapeQ(mimeType)}'`);
+      if (modifiedAfter) q.push(`modifiedTime >= '${escapeQ(modifiedAfter)}'`);
+      if (modifiedBefore) q.push(`modifiedTime < '${escapeQ(modifiedBefore)}'`);
+      const { data } = await call(() => drive.files.list({
+        q: q.join(' and '),
+        fields: `nextPageToken,files(${fields})`,
+        pageSize,
+        ...(pageToken ? { pageToken } : {}),
+        ...(orderBy ? { orderBy } : {}),
+      }));
+      return { files: data.files || [], nextPageToken: data.nextPageToken || null };
+    },
+
+    // range: { start, end }（end を含む。HTTP Range と同じ）
+    async read(fileId, { range } = {}) {
+      const res = await call(() => drive.files.get(
+        { fileId, alt: 'media' },
+        { responseType: 'stream', ...(range ? { headers: { Range: `bytes=${range.start}-${range.end}` } } : {}) }
+      ));
+      return res.data;
+    },
+
+    async readText(fileId) {
+      const { data } = await call(() => drive.files.get({ fileId, alt: 'media' }, { responseType: 'text' }));
+      return data;
+    },
+
+    async remove(fileId) {
+      await call(() => drive.files.delete({ fileId }));
+    },
+
+    async trash(fileId) {
+      await call(() => drive.files.update({ fileId, resource: { trashed: true }, fields: 'id' }));
+    },
+
+    async grantPublic(fileId) {
+      await call(() => drive.permissions.create({
+        fileId,
+        requestBody: { role: 'reader', type: 'anyone' },
+      }), { idempotent: false, recover: () => findPublicPermission(fileId) });
+    },
+
+    // 「リンクを知っている全員」の権限を外す → 外した件数
+    async revokePublic(fileId) {
+      const { data } = await call(() => drive.permissions.list({ fileId, fields: 'permissions(id,type)' }));
+      const anyone = (data.permissions || []).filter((p) => p.type === 'anyone');
+      for (const p of anyone) await call(() => drive.permissions.delete({ fileId, permissionId: p.id }));
+      return anyone.length;
+    },
+
+    buildLinks(fileId, webViewLink) {
+      return {
+        viewUrl: toViewUrl(fileId, webViewLink),
+        previewUrl: toPreviewUrl(fileId, webViewLink),
+        downloadUrl: `https://drive.google.com/uc?export=download&id=${fileId}`,
+      };
+    },
+  };
+}
+
+module.exports = { createGoogleDriveStorage, FOLDER_MIME };
@@ -0,0 +1,35 @@
+// lib/storage/index.js
+// ストレージバックエンドの選択（STORAGE_BACKEND=drive|local、既定は drive）
+//
+// インターフェース（全バックエンド共通、いずれも Promise を返す）:
+//   createFolder(name, parents)                        → { id, name, webViewLink }
+//   createFile({ name, parents, mimeType, body }, { fields })
+//   get(fileId, { fields })
+//   update(fileId, { name, description, addParents, removeParents, mimeType, body }, { fields })
+//   list(parentId, { kind, name, nameContains, mimeType, modifiedAfter, modifiedBefore,
+//                    pageSize, pageToken, orderBy, fields }) → { files, nextPageToken }
+//   read(fileId, { range })  → Readable（本体ストリーム。range: { start, end } は end を含むバイト範囲）
+//   readText(fileId)  → string
+//   remove(fileId)    … 完全削除（フォルダは配下ごと）
+//   trash(fileId)     … ゴミ箱へ移す（フォルダは配下ごと。list / get には出なくなる）
+//   grantPublic(fileId)
+//   revokePublic(fileId) → 外した anyone 権限の件数
+//   buildLinks(fileId, webViewLink) → { viewUrl, previewUrl, downloadUrl }（同期）
+// body は Buffer / string / Readable のいずれか。fields は Drive と同じカンマ区切り。
+// drive バックエンドは API 呼び出しを同時実行数の上限と再試行付きで行う（driveCalls.js。storage.call で他の Drive 呼び出しにも使える。作成系は { idempotent: false } を付ける）
+const { createGoogleDriveStorage, FOLDER_MIME } = require('./googleDrive');
+const { createLocalDiskStorage } = require('./localDisk');
+
+const BACKENDS = {
+  drive: createGoogleDriveStorage,
+  local: createLocalDiskStorage,
+};
+
+function createStorage(env = process.env) {
+  const name = (env.STORAGE_BACKEND || 'drive').toLowerCase();
+  const factory = BACKENDS[name];
+  if (!factory) throw new Error(`Unknown STORAGE_BACKEND: ${name}`);
+  return factory(env);
+}
+
+module.exports = { createStorage, FOLDER_MIME };
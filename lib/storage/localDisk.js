@@ -0,0 +1,219 @@
+// lib/storage/localDisk.js
+// ローカルディスク バックエンド（開発・デモ・自動テスト用）
+// Drive と同じく「id + parents」でツリーを表現する。
+//   <dir>/items/<id>.json … メタ情報
+//   <dir>/blobs/<id>      … 本体
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { FOLDER_MIME } = require('./googleDrive');
+
+const DEFAULT_FIELDS = 'id,name,mimeType,parents,webViewLink';
+
+function notFound(id) {
+  const err = new Error(`File not found: ${id}`);
+  err.code = 404;
+  return err;
+}
+
+function pick(meta, fields) {
+  const keys = String(fields || DEFAULT_FIELDS).split(',').map((s) => s.trim()).filter(Boolean);
+  const out = {};
+  for (const k of keys) if (meta[k] !== undefined) out[k] = meta[k];
+  return out;
+}
+
+function compare(orderBy) {
+  const [key = 'name', dir] = String(orderBy || 'name').split(/\s+/);
+  const sign = dir === 'desc' ? -1 : 1;
+  return (a, b) => String(a[key] ?? '').localeCompare(String(b[key] ?? '')) * sign;
+}
+
+function createLocalDiskStorage(env = process.env) {
+  const baseDir = path.resolve(env.LOCAL_STORAGE_DIR || '.local-storage');
+  const itemsDir = path.join(baseDir, 'items');
+  const blobsDir = path.join(baseDir, 'blobs');
+  const urlBase = (env.LOCAL_STORAGE_URL_BASE || `http://localhost:${env.PORT || 3000}`).replace(/\/+$/, '');
+
+  let index = null; // id -> meta
+  async function load() {
+    if (index) return index;
+    await fsp.mkdir(itemsDir, { recursive: true });
+    await fsp.mkdir(blobsDir, { recursive: true });
+    index = new Map();
+    for (const f of await fsp.readdir(itemsDir)) {
+      if (!f.endsWith('.json')) continue;
+      const meta = JSON.parse(await fsp.readFile(path.join(itemsDir, f), 'utf8'));
+      index.set(meta.id, meta);
+    }
+    return index;
+  }
+
+  async function save(meta) {
+    (await load()).set(meta.id, meta);
+    await fsp.writeFile(path.join(itemsDir, `${meta.id}.json`), JSON.stringify(meta, null, 2));
+    return meta;
+  }
+
+  async function must(id) {
+    const meta = (await load()).get(id);
+    if (!meta || meta.trashed) throw notFound(id);
+    return meta;
+  }
+
+  function withLink(meta) {
+    return { ...meta, webViewLink: `${urlBase}/files/preview/${meta.id}` };
+  }
+
+  // 本体を書き込み、size / md5Checksum を算出
+  async function writeBlob(id, body) {
+    const hash = crypto.createHash('md5');
+    let size = 0;
+    const src = Buffer.isBuffer(body) || typeof body === 'string' ? Readable.from([body]) : body;
+    src.on('data', (chunk) => { hash.update(chunk); size += chunk.length; });
+    // 一時ファイルに書いてから rename（失敗時に既存の本体を壊さない）
+    const tmp = path.join(blobsDir, `${id}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+    try {
+      await pipeline(src, fs.createWriteStream(tmp));
+      await fsp.rename(tmp, path.join(blobsDir, id));
+    } catch (err) {
+      await fsp.rm(tmp, { force: true });
+      throw err;
+    }
+    return { size: String(size), md5Checksum: hash.digest('hex') };
+  }
+
+  // フォルダなら子孫も削除（Drive の files.delete と同じ。ゴミ箱にある子孫も消す）
+  async function removeItem(id, { descendant = false } = {}) {
+    const idx = await load();
+    const meta = descendant ? idx.get(id) : await must(id);
+    if (!meta) return;
+    for (const child of [...idx.values()].filter((m) => m.parents.includes(id))) {
+      await removeItem(child.id, { descendant: true });
+    }
+    idx.delete(meta.id);
+    await fsp.rm(path.join(itemsDir, `${meta.id}.json`), { force: true });
+    await fsp.rm(path.join(blobsDir, meta.id), { force: true });
+  }
+
+  const newId = () => crypto.randomBytes(16).toString('base64url');
+  const now = () => new Date().toISOString();
+
+  return {
+    kind: 'local',
+
+    async createFolder(name, parents) {
+      for (const p of parents || []) await must(p);
+      const t = now();
+      const meta = await save({
+        id: newId(), name, mimeType: FOLDER_MIME, parents: parents || [],
+        createdTime: t, modifiedTime: t, permissions: [],
+      });
+      return pick(withLink(meta), 'id,name,webViewLink');
+    },
+
+    async createFile({ name, parents, mimeType, body }, { fields } = {}) {
+      for (const p of parents || []) await must(p);
+      const id = newId();
+      const t = now();
+      const blob = await writeBlob(id, body);
+      const meta = await save({
+        id, name, mimeType: mimeType || 'application/octet-stream', parents: parents || [],
+        createdTime: t, modifiedTime: t, permissions: [], ...blob,
+      });
+      return pick(withLink(meta), fields);
+    },
+
+    async get(fileId, { fields } = {}) {
+      return pick(withLink(await must(fileId)), fields);
+    },
+
+    async update(fileId, { name, description, addParents, removeParents, mimeType, body } = {}, { fields } = {}) {
+      const meta = { ...(await must(fileId)) };
+      if (name !== undefined) meta.name = name;
+      if (description !== undefined) meta.description = description;
+      if (removeParents) {
+        const rm = String(removeParents).split(',');
+        meta.parents = meta.parents.filter((p) => !rm.includes(p));
+      }
+      if (addParents) {
+        for (const p of String(addParents).split(',')) {
+          await must(p);
+          if (!meta.parents.includes(p)) meta.parents.push(p);
+        }
+      }
+      if (body !== undefined) {
+        Object.assign(meta, await writeBlob(fileId, body));
+        if (mimeType) meta.mimeType = mimeType;
+      }
+      meta.modifiedTime = now();
+      return pick(withLink(await save(meta)), fields);
+    },
+
+    // pageToken はオフセット（文字列）。nameContains は大文字小文字を区別しない部分一致
+    async list(parentId, {
+      kind, name, nameContains, mimeType, modifiedAfter, modifiedBefore,
+      pageSize = 100, pageToken, orderBy, fields,
+    } = {}) {
+      const needle = nameContains ? nameContains.toLowerCase() : null;
+      const all = [...(await load()).values()]
+        .filter((m) => !m.trashed && m.parents.includes(parentId))
+        .filter((m) => (kind === 'folder' ? m.mimeType === FOLDER_MIME : kind === 'file' ? m.mimeType !== FOLDER_MIME : true))
+        .filter((m) => (name ? m.name === name : true))
+        .filter((m) => (needle ? m.name.toLowerCase().includes(needle) : true))
+        .filter((m) => (mimeType ? m.mimeType === mimeType : true))
+        .filter((m) => (modifiedAfter ? m.modifiedTime >= modifiedAfter : true))
+        .filter((m) => (modifiedBefore ? m.modifiedTime < modifiedBefore : true))
+        .sort(compare(orderBy));
+      const offset = Number(pageToken || 0);
+      const page = all.slice(offset, offset + pageSize);
+      const next = offset + pageSize < all.length ? String(offset + pageSize) : null;
+      return { files: page.map((m) => pick(withLink(m), fields)), nextPageToken: next };
+    },
+
+    async read(fileId, { range } = {}) {
+      await must(fileId);
+      return fs.createReadStream(path.join(blobsDir, fileId), range ? { start: range.start, end: range.end } : {});
+    },
+
+    async readText(fileId) {
+      await must(fileId);
+      return fsp.readFile(path.join(blobsDir, fileId), 'utf8');
+    },
+
+    remove(fileId) {
+      return removeItem(fileId);
+    },
+
+    // 本体は残して trashed を立てる（配下は上から辿れなくなる）
+    async trash(fileId) {
+      await save({ ...(await must(fileId)), trashed: true, modifiedTime: now() });
+    },
+
+    async grantPublic(fileId) {
+      const meta = { ...(await must(fileId)) };
+      if (!meta.permissions.some((p) => p.type === 'anyone')) {
+        meta.permissions = [...meta.permissions, { id: 'anyoneWithLink', type: 'anyone', role: 'reader' }];
+        await save(meta);
+      }
+    },
+
+    async revokePublic(fileId) {
+      const meta = { ...(await must(fileId)) };
+      const kept = meta.permissions.filter((p) => p.type !== 'anyone');
+      const removed = meta.permissions.length - kept.length;
+      if (removed) await save({ ...meta, permissions: kept });
+      return removed;
+    },
+
+    buildLinks(fileId) {
+      const url = `${urlBase}/files/preview/${fileId}`;
+      return { viewUrl: url, previewUrl: url, downloadUrl: `${url}?download=1` };
+    },
+  };
+}
+
+module.exports = { createLocalDiskStorage };
@@ -0,0 +1,143 @@
+// lib/streamUpload.js
+// multer ストレージエンジン: ファイルをメモリに溜めずにストレージへ直接ストリーム転送する
+// ※ 保存先の決定に使うフィールド（folderId / docType 等）は multipart 上で file より前に送ること
+const { Readable, Transform } = require('stream');
+const { SNIFF_BYTES } = require('./sniff');
+const { scanInline } = require('./scanner');
+
+// multer は originalname を latin1 で渡すので UTF-8 に戻す
+const decodeOriginalName = (file) => Buffer.from(file.originalname || '', 'latin1').toString('utf8');
+
+// 先頭 n バイトを読み出し、head + 残りを流す Readable を返す
+async function peekHead(stream, n) {
+  const it = stream[Symbol.asyncIterator]();
+  const chunks = [];
+  let len = 0;
+  let ended = false;
+  while (len < n) {
+    const r = await it.next();
+    if (r.done) { ended = true; break; }
+    chunks.push(r.value);
+    len += r.value.length;
+  }
+  const head = Buffer.concat(chunks);
+  const body = Readable.from((async function* () {
+    yield head;
+    if (ended) return;
+    for (;;) {
+      const r = await it.next();
+      if (r.done) return;
+      yield r.value;
+    }
+  })(), { objectMode: false });
+  // 途中で失敗した場合に残りを読み捨てる
+  const drain = async () => { try { while (!(await it.next()).done); } catch { /* noop */ } };
+  return { head: head.subarray(0, n), body, drain };
+}
+
+/**
+ * 検査結果を待ってから保存先へ置く
+ * 検査中は hold（隔離フォルダ等）に保存し、clean のときだけ parents へ移す。clean 以外は hold に残す
+ * verdict か hold が無ければ parents へ直接保存する。保存後に失敗した場合はファイルを削除してから投げ直す
+ * @returns {Promise<{ file: object, scan: object|null }>} file.parents は実際の置き場所
+ */
+async function storeScanned(storage, { name, parents, hold, mimeType, body, verdict }, { fields } = {}) {
+  const held = Boolean(verdict && hold);
+  let file = await storage.createFile({ name, parents: held ? [hold] : parents, mimeType, body }, { fields });
+  try {
+    const scan = verdict ? await verdict : null;
+    if (held && scan.status === 'clean') {
+      await storage.update(file.id, { addParents: parents.join(','), removeParents: hold });
+      file = { ...file, parents };
+    }
+    return { file, scan };
+  } catch (err) {
+    await storage.remove(file.id).catch(() => {});
+    throw err;
+  }
+}
+
+/**
+ * @param {{
+ *   storage: object,
+ *   prepare: (req, file) => Promise<{ name: string, parents: string[] }>,
+ *   inspect?: (head: Buffer, req, file) => Promise<{ mimeType?: string, maxBytes?: number, onSize?: Function }|void>,
+ *   scanner?: { scan: (stream) => Promise<object> },
+ *   hold?: (req, file) => Promise<string>,
+ *   fields?: string,
+ * }} opts
+ * inspect は先頭バイトを見て保存可否を判定する（例外で拒否）。mimeType を返すとその形式で保存する。
+ * scanner を渡すと保存と並行してマルウェア検査を行う（判定に応じた扱いは呼び出し側で行う）。
+ * hold は検査中の置き場所（フォルダ ID）。渡すと clean の判定が出るまで prepare の parents へは置かない。
+ * req.file には { storageFile, targetParents, size, detectedMimeType, scan } が追加される
+ * （clean 以外のとき storageFile は hold に残り、targetParents が本来の保存先）
+ */
+function createStreamingEngine({ storage, prepare, inspect, scanner, hold, fields = 'id,name,webViewLink,parents' }) {
+  return {
+    _handleFile(req, file, cb) {
+      let drain = () => file.stream.resume(); // 残りを読み捨てて busboy を詰まらせない
+      (async () => {
+        const target = await prepare(req, file);
+        const holdId = scanner && hold ? await hold(req, file) : null;
+
+        let source = file.stream;
+        let checked = {};
+        if (inspect) {
+          const peeked = await peekHead(file.stream, SNIFF_BYTES);
+          drain = peeked.drain;
+          checked = (await inspect(peeked.head, req, file)) || {};
+          source = peeked.body;
+        }
+
+        let size = 0;
+        const counter = new Transform({
+          transform(chunk, _enc, done) {
+            size += chunk.length;
+            if (checked.maxBytes && size > checked.maxBytes) {
+              return done(Object.assign(new Error('ファイルサイズが上限を超えています'), {
+                status: 413, code: 'FILE_TOO_LARGE', details: { maxBytes: checked.maxBytes },
+              }));
+            }
+            done(null, chunk);
+          },
+          flush(done) {
+            // 終端でのサイズ検査（空ファイル等）
+            try {
+              checked.onSize?.(size);
+              done();
+            } catch (e) {
+              done(e);
+            }
+          },
+        });
+        // サイズ上限超過時は転送中のアップロードを中断
+        file.stream.on('limit', () => counter.destroy(new Error('file too large')));
+        source.on('error', (e) => counter.destroy(e));
+        source.pipe(counter);
+
+        // 検査は保存と並行して行う（結果は req.file.scan。clean になるまで hold に置く）
+        const { body, verdict } = scanner ? scanInline(counter, scanner) : { body: counter, verdict: null };
+
+        const { file: storageFile, scan } = await storeScanned(
+          storage,
+          { name: target.name, parents: target.parents, hold: holdId, mimeType: checked.mimeType || file.mimetype, body, verdict },
+          { fields }
+        );
+        return { storageFile, targetParents: target.parents, size, detectedMimeType: checked.mimeType || null, scan };
+      })().then(
+        (info) => cb(null, info),
+        (err) => {
+          drain();
+          cb(err);
+        }
+      );
+    },
+
+    _removeFile(_req, file, cb) {
+      if (!file.storageFile) return cb(null);
+      storage.remove(file.storageFile.id).then(() => cb(null), cb);
+    },
+  };
+}
+
+module.exports = { createStreamingEngine, storeScanned, decodeOriginalName, peekHead };
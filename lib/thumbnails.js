@@ -0,0 +1,140 @@
+// lib/thumbnails.js
+// サーバ側で生成するサムネイル（画像は縮小、PDF は 1 ページ目）。WebP でディスクにキャッシュする
+//   <dir>/<key>.webp … key は fileId・内容のバージョン（md5Checksum / modifiedTime）・幅から作るので、
+//                      ファイルが更新されれば別キーになる（古いものはディレクトリごと消してよい）
+// PDF の描画は poppler の pdftoppm を呼ぶ（THUMBNAIL_PDFTOPPM で場所を指定。無ければ PDF は 501）
+const fs = require('fs');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const sharp = require('sharp');
+const { createKeyedLock } = require('./locks');
+
+const execFileAsync = promisify(execFile);
+
+// キャッシュが幅ごとに増えすぎないよう、要求された幅以上で最小の段階に丸める
+const THUMBNAIL_WIDTHS = [128, 256, 512, 1024];
+const DEFAULT_WIDTH = 256;
+
+class ThumbnailError extends Error {
+  constructor(status, message, code) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// ?w= → 段階の幅（不正なら ThumbnailError）
+function snapWidth(w) {
+  if (w == null || w === '') return DEFAULT_WIDTH;
+  const n = Number(w);
+  if (!Number.isInteger(n) || n < 1) throw new ThumbnailError(400, 'w は正の整数で指定してください', 'VALIDATION_FAILED');
+  return THUMBNAIL_WIDTHS.find((x) => x >= n) ?? THUMBNAIL_WIDTHS[THUMBNAIL_WIDTHS.length - 1];
+}
+
+const kindOf = (mimeType) => {
+  if (mimeType === 'application/pdf') return 'pdf';
+  if (/^image\/(jpeg|png|webp|gif|tiff|avif|heic|heif)$/.test(mimeType || '')) return 'image';
+  return null;
+};
+const supportsThumbnail = (mimeType) => kindOf(mimeType) != null;
+
+// 上限を超えたら途中で止める（元ファイル全体を読む前に）
+function limitBytes(max) {
+  let seen = 0;
+  return new Transform({
+    transform(chunk, _enc, cb) {
+      seen += chunk.length;
+      if (max > 0 && seen > max) return cb(new ThumbnailError(413, 'file too large for thumbnail', 'FILE_TOO_LARGE'));
+      cb(null, chunk);
+    },
+  });
+}
+
+function createThumbnailer({
+  storage,
+  dir = process.env.THUMBNAIL_CACHE_DIR || path.join(os.tmpdir(), 'drive-folder-api-thumbnails'),
+  pdftoppm = process.env.THUMBNAIL_PDFTOPPM || 'pdftoppm',
+  maxSourceBytes = Number(process.env.THUMBNAIL_MAX_SOURCE_BYTES || 50 * 1024 * 1024),
+} = {}) {
+  const withLock = createKeyedLock();
+
+  async function exists(p) {
+    try {
+      await fsp.access(p);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // PDF の 1 ページ目 → PNG（作業ディレクトリ内）
+  async function renderPdfPage(src, work, width) {
+    const prefix = path.join(work, 'page');
+    try {
+      await execFileAsync(pdftoppm, ['-f', '1', '-l', '1', '-singlefile', '-png', '-scale-to-x', String(width), '-scale-to-y', '-1', src, prefix], {
+        timeout: 30000,
+      });
+    } catch (err) {
+      if (err.code === 'ENOENT') throw new ThumbnailError(501, 'PDF のサムネイル生成は未設定です（pdftoppm がありません）', 'THUMBNAIL_NOT_CONFIGURED');
+      throw new ThumbnailError(422, 'PDF を描画できませんでした', 'THUMBNAIL_FAILED');
+    }
+    return `${prefix}.png`;
+  }
+
+  async function generate(meta, kind, width, out) {
+    await fsp.mkdir(dir, { recursive: true });
+    const work = await fsp.mkdtemp(path.join(dir, 'work-'));
+    try {
+      const src = path.join(work, 'source');
+      await pipeline(await storage.read(meta.id), limitBytes(maxSourceBytes), fs.createWriteStream(src));
+      const input = kind === 'pdf' ? await renderPdfPage(src, work, width) : src;
+      const tmp = path.join(work, 'thumb.webp');
+      try {
+        await sharp(input, { animated: false })
+          .rotate() // EXIF の向き
+          .resize({ width, withoutEnlargement: true })
+          .webp({ quality: 75 })
+          .toFile(tmp);
+      } catch (err) {
+        if (err instanceof ThumbnailError) throw err;
+        throw new ThumbnailError(422, '画像を読み込めませんでした', 'THUMBNAIL_FAILED');
+      }
+      await fsp.rename(tmp, out);
+    } finally {
+      await fsp.rm(work, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * サムネイルのパス（キャッシュが無ければ生成）。対応外の形式は 415
+   * @param {string} fileId
+   * @param {{ width: number }} opts snapWidth 済みの幅
+   * @returns {Promise<{ path: string, etag: string, contentType: string }>}
+   */
+  async function get(fileId, { width }) {
+    const meta = await storage.get(fileId, { fields: 'id,mimeType,size,md5Checksum,modifiedTime' });
+    const kind = kindOf(meta.mimeType);
+    if (!kind) throw new ThumbnailError(415, 'サムネイルに対応していない形式です', 'THUMBNAIL_UNSUPPORTED');
+    if (maxSourceBytes > 0 && Number(meta.size || 0) > maxSourceBytes) {
+      throw new ThumbnailError(413, 'file too large for thumbnail', 'FILE_TOO_LARGE');
+    }
+    const version = meta.md5Checksum || meta.modifiedTime || '';
+    const key = crypto.createHash('sha256').update(`${fileId}\n${version}\n${width}`).digest('hex').slice(0, 40);
+    const out = path.join(dir, `${key}.webp`);
+    // 同じサムネイルの同時生成は 1 回にまとめる
+    await withLock(key, async () => {
+      if (!(await exists(out))) await generate(meta, kind, width, out);
+    });
+    return { path: out, etag: `"${key}"`, contentType: 'image/webp' };
+  }
+
+  return { get };
+}
+
+module.exports = { THUMBNAIL_WIDTHS, ThumbnailError, snapWidth, supportsThumbnail, createThumbnailer };
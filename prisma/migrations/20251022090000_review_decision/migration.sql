@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "CaseDocument" ADD COLUMN     "decidedAt" TIMESTAMP(3),
+ADD COLUMN     "fileId" TEXT,
+ADD COLUMN     "reason" TEXT;
+
+-- CreateIndex
+CREATE INDEX "CaseDocument_fileId_idx" ON "CaseDocument"("fileId");
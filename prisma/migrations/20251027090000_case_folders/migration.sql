@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Case" ADD COLUMN     "docFolderIds" JSONB,
+ADD COLUMN     "rootId" TEXT,
+ADD COLUMN     "statusFolderIds" JSONB;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Case_rootId_key" ON "Case"("rootId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CaseDocument_caseId_docType_key" ON "CaseDocument"("caseId", "docType");
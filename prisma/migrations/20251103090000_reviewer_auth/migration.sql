@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Case" ADD COLUMN     "reviewerId" BIGINT;
+
+-- CreateTable
+CREATE TABLE "Reviewer" (
+    "id" BIGSERIAL NOT NULL,
+    "email" TEXT NOT NULL,
+    "name" TEXT,
+    "role" TEXT NOT NULL DEFAULT 'reviewer',
+    "passwordHash" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Reviewer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Reviewer_email_key" ON "Reviewer"("email");
+
+-- CreateIndex
+CREATE INDEX "Case_reviewerId_idx" ON "Case"("reviewerId");
+
+-- AddForeignKey
+ALTER TABLE "Case" ADD CONSTRAINT "Case_reviewerId_fkey" FOREIGN KEY ("reviewerId") REFERENCES "Reviewer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "PortalToken" (
+    "id" TEXT NOT NULL,
+    "caseId" BIGINT,
+    "rootId" TEXT NOT NULL,
+    "debtorName" TEXT,
+    "docTypes" TEXT[],
+    "scopes" TEXT[],
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "createdById" BIGINT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PortalToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PortalToken_caseId_idx" ON "PortalToken"("caseId");
+
+-- CreateIndex
+CREATE INDEX "PortalToken_rootId_idx" ON "PortalToken"("rootId");
+
+-- AddForeignKey
+ALTER TABLE "PortalToken" ADD CONSTRAINT "PortalToken_caseId_fkey" FOREIGN KEY ("caseId") REFERENCES "Case"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PortalToken" ADD CONSTRAINT "PortalToken_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "Reviewer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
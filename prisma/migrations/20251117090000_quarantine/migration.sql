@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "QuarantineItem" (
+    "id" BIGSERIAL NOT NULL,
+    "caseId" BIGINT,
+    "rootId" TEXT NOT NULL,
+    "fileId" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "docType" TEXT NOT NULL,
+    "targetFolderId" TEXT NOT NULL,
+    "uploader" TEXT,
+    "verdict" TEXT NOT NULL,
+    "signature" TEXT,
+    "message" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'quarantined',
+    "resolvedById" BIGINT,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "QuarantineItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "QuarantineItem_fileId_key" ON "QuarantineItem"("fileId");
+
+-- CreateIndex
+CREATE INDEX "QuarantineItem_rootId_status_idx" ON "QuarantineItem"("rootId", "status");
+
+-- CreateIndex
+CREATE INDEX "QuarantineItem_caseId_idx" ON "QuarantineItem"("caseId");
+
+-- AddForeignKey
+ALTER TABLE "QuarantineItem" ADD CONSTRAINT "QuarantineItem_caseId_fkey" FOREIGN KEY ("caseId") REFERENCES "Case"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuarantineItem" ADD CONSTRAINT "QuarantineItem_resolvedById_fkey" FOREIGN KEY ("resolvedById") REFERENCES "Reviewer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
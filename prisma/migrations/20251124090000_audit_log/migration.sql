@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "AuditLog" (
+    "id" BIGSERIAL NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "action" TEXT NOT NULL,
+    "actorType" TEXT NOT NULL,
+    "actorId" TEXT,
+    "caseId" BIGINT,
+    "rootId" TEXT,
+    "fileId" TEXT,
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "details" JSONB,
+
+    CONSTRAINT "AuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AuditLog_caseId_id_idx" ON "AuditLog"("caseId", "id");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_fileId_idx" ON "AuditLog"("fileId");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_actorType_actorId_idx" ON "AuditLog"("actorType", "actorId");
+
+-- 追記のみ（UPDATE / DELETE / TRUNCATE を拒否）
+CREATE FUNCTION "audit_log_append_only"() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'AuditLog is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "AuditLog_append_only"
+    BEFORE UPDATE OR DELETE ON "AuditLog"
+    FOR EACH ROW EXECUTE FUNCTION "audit_log_append_only"();
+
+CREATE TRIGGER "AuditLog_no_truncate"
+    BEFORE TRUNCATE ON "AuditLog"
+    FOR EACH STATEMENT EXECUTE FUNCTION "audit_log_append_only"();
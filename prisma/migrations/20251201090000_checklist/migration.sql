@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "CaseDocument" ADD COLUMN     "dueDate" TIMESTAMP(3),
+ADD COLUMN     "notes" TEXT,
+ADD COLUMN     "required" BOOLEAN NOT NULL DEFAULT true;
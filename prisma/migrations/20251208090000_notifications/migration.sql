@@ -0,0 +1,52 @@
+-- AlterTable
+ALTER TABLE "Case" ADD COLUMN     "caseType" TEXT NOT NULL DEFAULT 'default',
+ADD COLUMN     "debtorEmail" TEXT;
+
+-- CreateTable
+CREATE TABLE "Notification" (
+    "id" BIGSERIAL NOT NULL,
+    "event" TEXT NOT NULL,
+    "channel" TEXT NOT NULL,
+    "recipient" TEXT NOT NULL,
+    "caseId" BIGINT,
+    "subject" TEXT,
+    "body" TEXT,
+    "payload" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastError" TEXT,
+    "sentAt" TIMESTAMP(3),
+    "dedupeKey" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Notification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "NotificationTemplate" (
+    "id" BIGSERIAL NOT NULL,
+    "caseType" TEXT NOT NULL DEFAULT '*',
+    "event" TEXT NOT NULL,
+    "audience" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "NotificationTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Notification_dedupeKey_key" ON "Notification"("dedupeKey");
+
+-- CreateIndex
+CREATE INDEX "Notification_status_nextAttemptAt_idx" ON "Notification"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "Notification_caseId_idx" ON "Notification"("caseId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NotificationTemplate_caseType_event_audience_key" ON "NotificationTemplate"("caseType", "event", "audience");
+
+-- AddForeignKey
+ALTER TABLE "Notification" ADD CONSTRAINT "Notification_caseId_fkey" FOREIGN KEY ("caseId") REFERENCES "Case"("id") ON DELETE SET NULL ON UPDATE CASCADE;
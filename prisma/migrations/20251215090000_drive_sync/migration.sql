@@ -0,0 +1,8 @@
+-- CreateTable
+CREATE TABLE "SyncState" (
+    "key" TEXT NOT NULL,
+    "value" JSONB NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "SyncState_pkey" PRIMARY KEY ("key")
+);
@@ -0,0 +1,43 @@
+-- 部分一致検索（ILIKE '%...%'）用
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- CreateTable
+CREATE TABLE "DocumentFile" (
+    "id" BIGSERIAL NOT NULL,
+    "caseId" BIGINT NOT NULL,
+    "fileId" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "docType" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "mimeType" TEXT,
+    "size" BIGINT,
+    "uploader" TEXT,
+    "reviewer" TEXT,
+    "reason" TEXT,
+    "uploadedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "decidedAt" TIMESTAMP(3),
+    "removedAt" TIMESTAMP(3),
+
+    CONSTRAINT "DocumentFile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DocumentFile_fileId_key" ON "DocumentFile"("fileId");
+
+-- CreateIndex
+CREATE INDEX "DocumentFile_caseId_docType_idx" ON "DocumentFile"("caseId", "docType");
+
+-- CreateIndex
+CREATE INDEX "DocumentFile_docType_status_idx" ON "DocumentFile"("docType", "status");
+
+-- CreateIndex
+CREATE INDEX "DocumentFile_uploadedAt_idx" ON "DocumentFile"("uploadedAt");
+
+-- CreateIndex
+CREATE INDEX "DocumentFile_fileName_idx" ON "DocumentFile" USING GIN ("fileName" gin_trgm_ops);
+
+-- CreateIndex
+CREATE INDEX "Case_debtorName_idx" ON "Case" USING GIN ("debtorName" gin_trgm_ops);
+
+-- AddForeignKey
+ALTER TABLE "DocumentFile" ADD CONSTRAINT "DocumentFile_caseId_fkey" FOREIGN KEY ("caseId") REFERENCES "Case"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "Case" ADD COLUMN     "templateId" BIGINT;
+
+-- CreateTable
+CREATE TABLE "CaseTemplate" (
+    "id" BIGSERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "statusFolders" JSONB NOT NULL,
+    "docTypes" JSONB NOT NULL,
+    "folders" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CaseTemplate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CaseTemplate_name_key" ON "CaseTemplate"("name");
+
+-- AddForeignKey
+ALTER TABLE "Case" ADD CONSTRAINT "Case_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "CaseTemplate"("id") ON DELETE SET NULL ON UPDATE CASCADE;
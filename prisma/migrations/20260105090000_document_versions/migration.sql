@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE "DocumentFile" ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "previousId" BIGINT,
+ADD COLUMN     "supersededAt" TIMESTAMP(3);
+
+-- 既存の提出は案件・docType ごとにアップロード順で版番号を振り、直前の提出とつなぐ
+WITH ordered AS (
+    SELECT "id",
+           ROW_NUMBER() OVER (PARTITION BY "caseId", "docType" ORDER BY "uploadedAt", "id") AS "version",
+           LAG("id") OVER (PARTITION BY "caseId", "docType" ORDER BY "uploadedAt", "id") AS "previousId"
+    FROM "DocumentFile"
+)
+UPDATE "DocumentFile" AS f
+SET "version" = o."version", "previousId" = o."previousId"
+FROM ordered AS o
+WHERE f."id" = o."id";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DocumentFile_previousId_key" ON "DocumentFile"("previousId");
+
+-- AddForeignKey
+ALTER TABLE "DocumentFile" ADD CONSTRAINT "DocumentFile_previousId_fkey" FOREIGN KEY ("previousId") REFERENCES "DocumentFile"("id") ON DELETE SET NULL ON UPDATE CASCADE;
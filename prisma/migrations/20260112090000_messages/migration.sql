@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "Message" (
+    "id" BIGSERIAL NOT NULL,
+    "caseId" BIGINT NOT NULL,
+    "documentId" BIGINT,
+    "kind" TEXT NOT NULL DEFAULT 'message',
+    "authorType" TEXT NOT NULL,
+    "reviewerId" BIGINT,
+    "portalTokenId" TEXT,
+    "authorName" TEXT,
+    "body" TEXT NOT NULL,
+    "attachments" JSONB NOT NULL DEFAULT '[]',
+    "readAt" TIMESTAMP(3),
+    "readBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Message_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Message_caseId_documentId_id_idx" ON "Message"("caseId", "documentId", "id");
+
+-- CreateIndex
+CREATE INDEX "Message_caseId_authorType_readAt_idx" ON "Message"("caseId", "authorType", "readAt");
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_caseId_fkey" FOREIGN KEY ("caseId") REFERENCES "Case"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "CaseDocument"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Message" ADD CONSTRAINT "Message_reviewerId_fkey" FOREIGN KEY ("reviewerId") REFERENCES "Reviewer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- 従来 /comment で Drive の description に書いていた差し戻し理由は CaseDocument.reason に残っているので、書類のスレッドに移す
+INSERT INTO "Message" ("caseId", "documentId", "kind", "authorType", "body", "createdAt")
+SELECT "caseId", "id", 'rejection', 'reviewer', "reason", COALESCE("decidedAt", CURRENT_TIMESTAMP)
+FROM "CaseDocument"
+WHERE "status" = 'rejected' AND "reason" IS NOT NULL AND "reason" <> '';
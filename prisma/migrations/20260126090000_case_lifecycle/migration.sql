@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Case" ADD COLUMN     "closedAt" TIMESTAMP(3),
+ADD COLUMN     "closeReason" TEXT,
+ADD COLUMN     "archivedAt" TIMESTAMP(3),
+ADD COLUMN     "legalHold" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "legalHoldReason" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Case_status_closedAt_idx" ON "Case"("status", "closedAt");
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "CaseDocument_status_submittedAt_idx" ON "CaseDocument"("status", "submittedAt");
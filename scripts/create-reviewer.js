@@ -0,0 +1,29 @@
+// scripts/create-reviewer.js
+// 審査者アカウント作成（初回の admin 作成用）
+// 使い方: node scripts/create-reviewer.js <email> <password> [admin|reviewer] [name]
+require('dotenv').config();
+const { prisma } = require('../lib/prisma');
+const { STAFF_ROLES, hashPassword } = require('../lib/auth');
+
+async function main() {
+  const [email, password, role = 'reviewer', name = null] = process.argv.slice(2);
+  if (!email || !password) {
+    console.error('usage: node scripts/create-reviewer.js <email> <password> [admin|reviewer] [name]');
+    process.exit(1);
+  }
+  if (!STAFF_ROLES.includes(role)) {
+    console.error(`role must be one of: ${STAFF_ROLES.join(', ')}`);
+    process.exit(1);
+  }
+  const passwordHash = await hashPassword(password);
+  const r = await prisma.reviewer.upsert({
+    where: { email },
+    create: { email, name, role, passwordHash },
+    update: { role, passwordHash, isActive: true, ...(name ? { name } : {}) },
+  });
+  console.log(`✅ reviewer ${r.email} (${r.role}) id=${r.id}`);
+}
+
+main()
+  .catch((e) => { console.error(e); process.exitCode = 1; })
+  .finally(() => prisma.$disconnect());
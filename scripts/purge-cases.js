@@ -0,0 +1,71 @@
+// scripts/purge-cases.js
+// 保存期間（closedAt から CASE_RETENTION_DAYS 日）を過ぎた閉じ済み案件のフォルダと DB の行を削除する（定期実行用）
+// legalHold の案件は対象外（一覧には「保留」として表示）
+// 使い方: node scripts/purge-cases.js [--dry-run] [--mode=trash|delete] [--days=N]
+//   --dry-run … 何も変更せず、対象の一覧だけ表示
+//   --mode    … trash（既定。Drive のゴミ箱へ）/ delete（完全削除）。既定は CASE_RETENTION_MODE
+//   --days    … CASE_RETENTION_DAYS の代わりに使う保存日数
+require('dotenv').config();
+const { prisma } = require('../lib/prisma');
+const { createStorage } = require('../lib/storage');
+const { createAuditLog } = require('../lib/audit');
+const { PURGE_MODES, createCaseLifecycle, toRetentionJson } = require('../lib/caseLifecycle');
+
+const USAGE = 'usage: node scripts/purge-cases.js [--dry-run] [--mode=trash|delete] [--days=N]';
+
+function parseArgs(argv) {
+  const opts = { dryRun: false, mode: process.env.CASE_RETENTION_MODE || 'trash', days: undefined };
+  for (const a of argv) {
+    const [flag, value] = a.split('=');
+    if (flag === '--dry-run' && value === undefined) opts.dryRun = true;
+    else if (flag === '--mode' && PURGE_MODES.includes(value)) opts.mode = value;
+    else if (flag === '--days' && /^\d+$/.test(value || '') && Number(value) > 0) opts.days = Number(value);
+    else return null;
+  }
+  return opts;
+}
+
+const describe = (r) =>
+  `case ${r.caseId} [${r.status}] closed ${r.closedAt?.toISOString()} / ` +
+  `${r.counts.documents} docs, ${r.counts.files} files, ${r.counts.messages} messages`;
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  const lifecycle = createCaseLifecycle({
+    prisma,
+    storage: createStorage(),
+    audit: createAuditLog(prisma),
+    retentionDays: opts.days ?? Number(process.env.CASE_RETENTION_DAYS || 0),
+  });
+
+  const report = await lifecycle.retentionReport({ days: opts.days });
+  console.log(`retention ${report.days} days (closed before ${report.cutoff.toISOString()}): ${report.due.length} due, ${report.held.length} on legal hold`);
+  for (const c of report.held) {
+    const r = toRetentionJson(c, report.days);
+    console.log(`⏸  ${describe(r)} — legal hold${r.legalHoldReason ? `: ${r.legalHoldReason}` : ''}`);
+  }
+  let failed = 0;
+  for (const c of report.due) {
+    const r = toRetentionJson(c, report.days);
+    if (opts.dryRun) {
+      console.log(`🔎 ${describe(r)}`);
+      continue;
+    }
+    try {
+      const purged = await lifecycle.purge(null, c.id, { mode: opts.mode, days: report.days });
+      console.log(purged ? `🗑  ${describe(r)} (${opts.mode})` : `-  case ${r.caseId}: skipped（状態が変わりました）`);
+    } catch (e) {
+      failed++;
+      console.error(`❌ case ${r.caseId}:`, e?.response?.data || e);
+    }
+  }
+  if (failed) process.exitCode = 1;
+}
+
+main()
+  .catch((e) => { console.error(e); process.exitCode = 1; })
+  .finally(() => prisma.$disconnect());
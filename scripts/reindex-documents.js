@@ -0,0 +1,45 @@
+// scripts/reindex-documents.js
+// 既存案件の manifest.csv から提出ファイルの DB 索引（DocumentFile）を作り直す（GET /search 導入時の初回投入用）
+// 使い方: node scripts/reindex-documents.js [caseId...]   … 省略時はフォルダ作成済みの全案件
+require('dotenv').config();
+const { prisma } = require('../lib/prisma');
+const { createStorage } = require('../lib/storage');
+const { createManifestStore } = require('../lib/manifest');
+const { createDocumentIndex } = require('../lib/documentIndex');
+
+async function main() {
+  const ids = process.argv.slice(2);
+  if (ids.some((id) => !/^\d+$/.test(id))) {
+    console.error('usage: node scripts/reindex-documents.js [caseId...]');
+    process.exit(1);
+  }
+  // manifest の読み込みだけ（rebuild しないので resolveStatusFolders は不要）
+  const manifest = createManifestStore({ storage: createStorage() });
+  const documentIndex = createDocumentIndex(prisma);
+
+  const cases = await prisma.case.findMany({
+    where: { rootId: { not: null }, ...(ids.length ? { id: { in: ids.map(BigInt) } } : {}) },
+    select: { id: true, rootId: true },
+    orderBy: { id: 'asc' },
+  });
+  let failed = 0;
+  for (const c of cases) {
+    try {
+      const { file, rows } = await manifest.read(c.rootId);
+      if (!file) {
+        console.warn(`- case ${c.id}: manifest.csv がありません（POST /cases/${c.id}/reconcile で作成してください）`);
+        continue;
+      }
+      await documentIndex.syncCase(c.id, rows);
+      console.log(`✅ case ${c.id}: ${rows.length} files`);
+    } catch (e) {
+      failed++;
+      console.error(`❌ case ${c.id}:`, e?.response?.data || e);
+    }
+  }
+  if (failed) process.exitCode = 1;
+}
+
+main()
+  .catch((e) => { console.error(e); process.exitCode = 1; })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,65 @@
+// scripts/revoke-public-sharing.js
+// 案件フォルダ配下（ルート・フォルダ・ファイルすべて）の「リンクを知っている全員」権限を外す
+// FILE_SHARING=private へ移行する際、従来のアップロードで公開済みのファイルを非公開に戻すための一括処理
+// 使い方: node scripts/revoke-public-sharing.js [--dry-run] [caseId...]   … 省略時はフォルダ作成済みの全案件
+//   --dry-run … 権限は変えず、対象の件数だけ表示
+require('dotenv').config();
+const { prisma } = require('../lib/prisma');
+const { createStorage } = require('../lib/storage');
+const { collectTree } = require('../lib/caseLifecycle');
+const { createAuditLog } = require('../lib/audit');
+
+// dry-run 用: anyone 権限を持つか
+async function isPublic(storage, fileId) {
+  const meta = await storage.get(fileId, { fields: 'id,permissions' });
+  return (meta.permissions || []).some((p) => p.type === 'anyone');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const ids = args.filter((a) => a !== '--dry-run');
+  if (ids.some((id) => !/^\d+$/.test(id))) {
+    console.error('usage: node scripts/revoke-public-sharing.js [--dry-run] [caseId...]');
+    process.exit(1);
+  }
+  const storage = createStorage();
+  const audit = createAuditLog(prisma);
+
+  const cases = await prisma.case.findMany({
+    where: { rootId: { not: null }, ...(ids.length ? { id: { in: ids.map(BigInt) } } : {}) },
+    select: { id: true, rootId: true },
+    orderBy: { id: 'asc' },
+  });
+  let failed = 0;
+  for (const c of cases) {
+    try {
+      const items = await collectTree(storage, c.rootId);
+      let revoked = 0;
+      for (const id of items) {
+        if (dryRun) {
+          if (await isPublic(storage, id)) revoked++;
+        } else if (await storage.revokePublic(id)) {
+          revoked++;
+        }
+      }
+      if (!dryRun && revoked) {
+        await audit.record(null, 'permission.revoke', {
+          caseId: c.id,
+          rootId: c.rootId,
+          fileId: c.rootId,
+          details: { type: 'anyone', items: revoked, scanned: items.length },
+        });
+      }
+      console.log(`${dryRun ? '🔎' : '✅'} case ${c.id}: ${revoked}/${items.length} items ${dryRun ? 'public' : 'revoked'}`);
+    } catch (e) {
+      failed++;
+      console.error(`❌ case ${c.id}:`, e?.response?.data || e);
+    }
+  }
+  if (failed) process.exitCode = 1;
+}
+
+main()
+  .catch((e) => { console.error(e); process.exitCode = 1; })
+  .finally(() => prisma.$disconnect());
@@ -4,13 +4,75 @@
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const { google } = require('googleapis');
-const { Readable } = require('stream');
-const jwt = require('jsonwebtoken');
+const archiver = require('archiver');
+const crypto = require('crypto');
 require('dotenv').config();
+const { prisma } = require('./lib/prisma');
+const { MANIFEST_NAME, createManifestStore, serializeManifest } = require('./lib/manifest');
+const { createStorage, FOLDER_MIME } = require('./lib/storage');
+const { createStreamingEngine, storeScanned, decodeOriginalName, peekHead } = require('./lib/streamUpload');
+const { SNIFF_BYTES, sniffMimeType } = require('./lib/sniff');
+const { createFilePolicy } = require('./lib/filePolicy');
+const { createResumableUploadStore } = require('./lib/resumableUploads');
+const { createScanner, scanInline } = require('./lib/scanner');
+const { createKeyedLock } = require('./lib/locks');
+const { createDriveSync } = require('./lib/driveSync');
+const { createLinkSigner } = require('./lib/signedLinks');
+const { isNotModified, parseRange } = require('./lib/httpCache');
+const { createAncestryCache } = require('./lib/ancestryCache');
+const { ThumbnailError, snapWidth, supportsThumbnail, createThumbnailer } = require('./lib/thumbnails');
+const {
+  encodeCursor, decodeCursor, parsePageQuery, pageArgs, toPage, parseDateParam, parseFileListQuery,
+} = require('./lib/pagination');
+const {
+  DOCUMENT_FILE_STATUSES, createDocumentIndex, versionLabel, toVersionTimeline, toDocumentFileJson,
+} = require('./lib/documentIndex');
+const {
+  STATUS_KEYS, normalizeCaseTemplate, createCaseTemplateStore, statusFolderName, statusKeyByName, toCaseTemplateJson,
+} = require('./lib/caseTemplates');
+const {
+  AUTO_CASE_STATUSES, normalizeChecklist, normalizeChecklistFields,
+  toChecklistItemJson, summarizeChecklist, deriveCaseStatus, isOutstanding,
+} = require('./lib/checklist');
+const {
+  NOTIFY_EVENTS, NOTIFY_AUDIENCES, NOTIFICATION_STATUSES, DEFAULT_TEMPLATES, createNotifier, toNotificationJson,
+} = require('./lib/notifications');
+const { AUDIT_ACTIONS, AUDIT_CSV_HEADER, createAuditLog, toAuditJson, serializeAuditCsvRows } = require('./lib/audit');
+const { normalizeMessageInput, createMessageStore, toMessageJson } = require('./lib/messages');
+const {
+  RateLimitError, createRateLimitStore, parseRateLimit, createRateLimiter, createDailyQuota,
+} = require('./lib/rateLimit');
+const { IdempotencyError, hashRequest, createIdempotencyStore, toIdempotencyJson } = require('./lib/idempotency');
+const {
+  isCaseClosed, createCaseLifecycle, toLifecycleJson, toRetentionJson,
+} = require('./lib/caseLifecycle');
+const { parseDashboardQuery, createDashboard } = require('./lib/dashboard');
+const {
+  PORTAL_SCOPES, PortalTokenError, resolveExpiry, createPortalTokenService, toPortalTokenJson,
+} = require('./lib/portalTokens');
+const { STAFF_ROLES, hashPassword, verifyPassword, signReviewerToken, verifyReviewerToken } = require('./lib/auth');
+const {
+  sendError, requestId, errorEnvelope, buildOpenApiSpec, validateRequests, checkResponses, findUndocumentedRoutes,
+} = require('./lib/api');
 
 const app = express();
+
+// ==========================================================
+// API 定義（GET /openapi.json）とエラー応答の共通形式（lib/api）
+// エラーはすべて { code, message, requestId, details?, error }。応答には X-Request-Id を付ける
+// OPENAPI_VALIDATE_RESPONSES=true なら応答も定義と照合して console.warn（開発・テスト用）
+// ==========================================================
+const openApiSpec = buildOpenApiSpec({
+  version: require('./package.json').version,
+  serverUrl: process.env.API_URL_BASE,
+});
+app.use(requestId());
+if (process.env.OPENAPI_VALIDATE_RESPONSES === 'true') app.use(checkResponses(openApiSpec));
+app.use(errorEnvelope());
+
 app.use(express.json());
+// リバースプロキシ配下では監査ログの IP を X-Forwarded-For から取る（例: TRUST_PROXY=1）
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 
 // ==========================================================
 // CORS （デバッグログ & OPTIONS も対応）
@@ -37,36 +99,82 @@ const corsOptions = {
     cb(null, ok);
   },
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Request-Id'],
+  exposedHeaders: [
+    'X-Request-Id', 'Retry-After', 'Idempotent-Replayed', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+  ],
   credentials: false,
   optionsSuccessStatus: 204,
 };
 app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
+// パラメータ・JSON 本文を API 定義で検証（違反は 400 VALIDATION_FAILED。CORS ヘッダを付けるため cors の後）
+// 認証が必要な操作は各認証ミドルウェアの成功後に検証する（afterAuth）
+app.use(validateRequests(openApiSpec));
+
 // ==========================================================
-// Multer（10MB制限）
+// Storage（STORAGE_BACKEND=drive|local。既定は Google Drive）
 // ==========================================================
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
-});
+const storage = createStorage();
+
+// ファイル → 案件ルートの確認結果（ANCESTRY_CACHE_TTL_MS、既定 10 分）と、プレビュー用サムネイル
+const ancestry = createAncestryCache({ ttlMs: Number(process.env.ANCESTRY_CACHE_TTL_MS || 10 * 60 * 1000) });
+const thumbnails = createThumbnailer({ storage });
 
 // ==========================================================
-// Google OAuth / Drive
+// マルウェア検査（MALWARE_SCANNER=clamd|none）
+// 債務者アップロードは検査が clean の場合のみ公開。それ以外は隔離フォルダへ
 // ==========================================================
-const oauth2Client = new google.auth.OAuth2(
-  process.env.CLIENT_ID,
-  process.env.CLIENT_SECRET,
-  process.env.REDIRECT_URI
-);
-oauth2Client.setCredentials({ refresh_token: process.env.REFRESH_TOKEN });
-const drive = google.drive({ version: 'v3', auth: oauth2Client });
+const scanner = createScanner();
+if (!scanner) console.warn('⚠️  MALWARE_SCANNER is not configured: portal uploads are not scanned');
+
+// ==========================================================
+// Multer（メモリに溜めずストレージへ直接ストリーム転送）
+// 上限は UPLOAD_MAX_BYTES（既定 200MB）
+// ==========================================================
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 200 * 1024 * 1024);
+
+// prepare(req, file) → { name, parents }、inspect / scanner / hold は任意（lib/streamUpload.js 参照）
+// multer のエラーは JSON（{ error, code, details }）で返す
+function streamUpload({ prepare, inspect, scanner, hold }) {
+  const uploader = multer({
+    storage: createStreamingEngine({ storage, prepare, inspect, scanner, hold }),
+    limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 },
+  }).single('file');
+
+  return (req, res, next) => uploader(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ error: err.message, code: 'FILE_TOO_LARGE', details: { maxBytes: UPLOAD_MAX_BYTES } });
+      }
+      return res.status(400).json({ error: err.message, code: 'UPLOAD_INVALID', details: { reason: err.code } });
+    }
+    if (!err.status) console.error('upload error:', err?.response?.data || err);
+    sendError(res, err, 'upload failed');
+  });
+}
+
+// docType ごとの提出ポリシー（DOC_TYPE_POLICIES / DOC_TYPE_POLICY_FILE）
+const filePolicy = createFilePolicy({ maxBytes: UPLOAD_MAX_BYTES });
+
+// 再開可能アップロード（/portal/upload/init 以降）
+const resumableUploads = createResumableUploadStore({ maxBytes: UPLOAD_MAX_BYTES });
 
 // ==========================================================
 // Helpers
 // ==========================================================
-const FOLDER_MIME = 'application/vnd.google-apps.folder';
+
+// 隔離フォルダ（ケース直下、債務者には見せない）
+const QUARANTINE_FOLDER = '99_隔離';
+// 過去版フォルダ（ケース直下 / <docType>。再提出で差し替わった審査待ち・差し戻しの版を移す）
+const ARCHIVE_FOLDER = '98_過去版';
+
+const httpError = (status, message, code) => Object.assign(new Error(message), { status, ...(code ? { code } : {}) });
+
+// YYYYMMDDTHHMMSS
+const uploadStamp = () => new Date().toISOString().replace(/[:-]/g, '').slice(0, 15);
 
 const sanitize = (s) =>
   String(s || '')
@@ -75,515 +183,3310 @@ const sanitize = (s) =>
     .slice(0, 200);
 
 async function createFolder(name, parents) {
-  const resp = await drive.files.create({
-    resource: {
-      name: sanitize(name),
-      mimeType: FOLDER_MIME,
-      ...(parents?.length ? { parents } : {}),
-    },
-    fields: 'id,name',
-  });
-  const id = resp.data.id;
-  const info = await drive.files.get({ fileId: id, fields: 'id,name,webViewLink' });
-  return info.data; // {id,name,webViewLink}
+  return storage.createFolder(sanitize(name), parents); // {id,name,webViewLink}
 }
 
 async function grantPublic(fileId) {
-  await drive.permissions.create({
+  await storage.grantPublic(fileId);
+}
+
+// ---- 共有ポリシー ----
+// FILE_SHARING=private（既定）… アップロードしたファイルは公開せず、リンクは期限付きの署名 URL（/files/preview 経由）
+// FILE_SHARING=anyone         … 従来どおり「リンクを知っている全員」に公開し、ストレージの URL を返す
+// 既存ファイルの公開を外すには scripts/revoke-public-sharing.js
+const FILE_SHARING = (process.env.FILE_SHARING || 'private').toLowerCase();
+if (!['private', 'anyone'].includes(FILE_SHARING)) throw new Error(`Unknown FILE_SHARING: ${FILE_SHARING}`);
+const sharesFilesPublicly = FILE_SHARING === 'anyone';
+
+// このサーバの外部 URL（署名 URL・サムネイル URL の組み立てに使う）
+const API_URL_BASE = (process.env.API_URL_BASE || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+const linkSigner = createLinkSigner({
+  secret: process.env.DOWNLOAD_LINK_SECRET || process.env.JWT_SECRET,
+  baseUrl: API_URL_BASE,
+  expiresIn: process.env.DOWNLOAD_LINK_EXPIRES_IN,
+});
+
+// アップロード直後の共有（ポリシーが anyone のときだけ公開して監査に残す）→ 公開したか
+async function shareUploadedFile(req, fileId, { rootId, itemId } = {}) {
+  if (!sharesFilesPublicly) return false;
+  await grantPublic(fileId);
+  await audit.record(req, 'permission.grant', {
+    rootId,
     fileId,
-    requestBody: { role: 'reader', type: 'anyone' },
+    itemId,
+    details: { type: 'anyone', role: 'reader' },
   });
+  return true;
+}
+
+// ---- link helpers（公開時の URL 形式はバックエンド依存。非公開なら署名 URL + expiresAt）----
+function buildPublicLinks(fileId, webViewLink) {
+  return sharesFilesPublicly ? storage.buildLinks(fileId, webViewLink) : linkSigner.sign(fileId);
+}
+
+// 子フォルダをすべて（1000 件を超える場合もページを辿る）
+async function listChildFolders(parentId) {
+  const out = [];
+  let pageToken;
+  do {
+    const page = await storage.list(parentId, {
+      kind: 'folder',
+      fields: 'id,name,webViewLink',
+      pageSize: 1000,
+      pageToken,
+    });
+    out.push(...page.files);
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+  return out;
+}
+
+async function findChildFolder(parentId, name) {
+  const children = await listChildFolders(parentId);
+  return children.find((c) => c.name === name) || null;
 }
 
-// ---- Drive link helpers ----
-function toViewUrl(id, webViewLink) {
-  // webViewLink があれば優先。/file/d/ が無い場合は補正し、/preview を /view に統一
-  if (webViewLink) {
-    let v = webViewLink.replace(/\/preview(\?.*)?$/, '/view');
-    if (!/\/file\/d\//.test(v)) v = v.replace('/file/', '/file/d/');
-    return v;
+// ---- 案件テンプレート（ステータスフォルダは key で解決し、表示名には依存しない）----
+const caseTemplates = createCaseTemplateStore(prisma);
+
+/**
+ * 案件ルート → { c, template, statusFolderIds: { pending, approved, rejected } }
+ * Case に保存したフォルダ id を使い、無いもの（旧構成・Case 未紐付けのルート）はテンプレートの表示名で探す
+ */
+async function resolveCaseLayout(rootId) {
+  const c = await prisma.case.findUnique({ where: { rootId } });
+  const template = await caseTemplates.forCase(c);
+  const statusFolderIds = {};
+  for (const key of STATUS_KEYS) statusFolderIds[key] = c?.statusFolderIds?.[key] || null;
+  if (STATUS_KEYS.some((k) => !statusFolderIds[k])) {
+    const children = await listChildFolders(rootId);
+    for (const key of STATUS_KEYS) {
+      statusFolderIds[key] ||= children.find((f) => f.name === statusFolderName(template, key))?.id || null;
+    }
   }
-  return `https://drive.google.com/file/d/${id}/view`;
+  return { c, template, statusFolderIds };
 }
-function toPreviewUrl(id, webViewLink) {
-  return toViewUrl(id, webViewLink).replace(/\/view(\?.*)?$/, '/preview');
+
+// 名前 → テンプレート（未指定は既定。無ければ 404 の httpError）
+async function resolveTemplate(name) {
+  if (name != null && typeof name !== 'string') throw httpError(400, 'template は文字列で指定してください');
+  const template = await caseTemplates.get(name || 'default');
+  if (!template) throw httpError(404, `テンプレート ${name} がありません`);
+  return template;
 }
-function buildPublicLinks(fileId, webViewLink) {
+
+// ステータスフォルダ → key（ステータスフォルダでなければ null）
+async function statusKeyOf(rootId, folder) {
+  const c = await prisma.case.findUnique({ where: { rootId }, select: { statusFolderIds: true, templateId: true } });
+  const saved = c?.statusFolderIds || {};
+  const byId = STATUS_KEYS.find((k) => saved[k] === folder.id);
+  if (byId) return byId;
+  // フォルダ id を保存済みの案件なら一致しない時点でステータスフォルダではない
+  if (STATUS_KEYS.every((k) => saved[k])) return null;
+  return statusKeyByName(await caseTemplates.forCase(c), folder.name);
+}
+
+// docType フォルダ id → { rootId, status, statusFolderId, docType }（ケース構成外なら null）
+async function resolveFolderContext(folderId) {
+  if (!folderId) return null;
+  const docFolder = await storage.get(folderId, { fields: 'id,name,parents' });
+  const statusFolderId = docFolder.parents?.[0];
+  if (!statusFolderId) return null;
+  const statusFolder = await storage.get(statusFolderId, { fields: 'id,name,parents' });
+  const rootId = statusFolder.parents?.[0];
+  if (!rootId) return null;
+  const status = await statusKeyOf(rootId, statusFolder);
+  if (!status) return null;
+  return { rootId, status, statusFolderId, docType: docFolder.name };
+}
+
+// ---- manifest.csv ----
+const manifest = createManifestStore({
+  storage,
+  resolveStatusFolders: async (rootId) => (await resolveCaseLayout(rootId)).statusFolderIds,
+});
+// manifest と同じ内容の DB 索引（GET /search 用）
+const documentIndex = createDocumentIndex(prisma);
+
+// manifest 更新の失敗でファイル操作自体は失敗させない
+// meta（mimeType / size）は manifest には書かず索引にだけ入れる
+async function recordManifest(rootId, row, meta) {
+  if (!rootId) return null;
+  await documentIndex.record(rootId, row, meta);
+  try {
+    return await manifest.upsert(rootId, row);
+  } catch (err) {
+    console.error('manifest update error:', err?.response?.data || err);
+    return null;
+  }
+}
+
+// docType フォルダ id からケースを解決して記録（ケース構成外なら何もしない）
+// row は ctx を受け取る関数でも可
+async function recordManifestAt(folderId, row) {
+  try {
+    const ctx = await resolveFolderContext(folderId);
+    if (!ctx) return null;
+    const extra = typeof row === 'function' ? row(ctx) : row;
+    return await recordManifest(ctx.rootId, { docType: ctx.docType, status: ctx.status, ...extra });
+  } catch (err) {
+    console.error('manifest resolve error:', err?.response?.data || err);
+    return null;
+  }
+}
+
+// ==========================================================
+// レート制限 / 日次クォータ（lib/rateLimit。インターネットに開いたポータル・公開ページ API の濫用対策）
+// RATE_LIMIT_STORE=memory|redis（複数台構成は redis + REDIS_URL で共有）
+// 制限は "<回数>/<期間>"、off で無効
+//   RATE_LIMIT_PORTAL_IP      … /portal/* の IP ごと（既定 600/15m）
+//   RATE_LIMIT_PORTAL_TOKEN   … /portal/* の token ごと（既定 300/15m）
+//   RATE_LIMIT_PORTAL_UPLOAD  … アップロード開始（/portal/upload, /portal/upload/init）の token ごと（既定 30/1h）
+//   RATE_LIMIT_PUBLIC_IP      … /api/public/cases/:publicId の IP ごと（既定 120/15m）
+//   RATE_LIMIT_PUBLIC_ID      … 同 publicId ごと（既定 300/15m）
+//   RATE_LIMIT_PUBLIC_MISS_IP … 存在しない publicId を引いた回数の IP ごと（既定 20/1h。総当たり対策）
+// 案件ごとの 1 日の提出上限: PORTAL_DAILY_UPLOAD_BYTES（既定 1GB）/ PORTAL_DAILY_UPLOAD_FILES（既定 200 件）。0 で無効
+//   日付の区切りは QUOTA_TIME_ZONE（既定 Asia/Tokyo）
+// 超過は 429 + Retry-After。拒否はログに出し、ウィンドウ内で最初の 1 回だけ監査ログ（rate_limit.block）にも残す
+// ==========================================================
+const rateLimitStore = createRateLimitStore();
+
+function limiterFromEnv(name, envName, fallback) {
+  const spec = parseRateLimit(process.env[envName], fallback);
+  return spec ? createRateLimiter({ store: rateLimitStore, name, ...spec }) : null;
+}
+
+const limiters = {
+  portalIp: limiterFromEnv('portal-ip', 'RATE_LIMIT_PORTAL_IP', '600/15m'),
+  portalToken: limiterFromEnv('portal-token', 'RATE_LIMIT_PORTAL_TOKEN', '300/15m'),
+  portalUpload: limiterFromEnv('portal-upload', 'RATE_LIMIT_PORTAL_UPLOAD', '30/1h'),
+  publicIp: limiterFromEnv('public-ip', 'RATE_LIMIT_PUBLIC_IP', '120/15m'),
+  publicId: limiterFromEnv('public-id', 'RATE_LIMIT_PUBLIC_ID', '300/15m'),
+  publicMissIp: limiterFromEnv('public-miss-ip', 'RATE_LIMIT_PUBLIC_MISS_IP', '20/1h'),
+};
+
+function quotaFromEnv(name, envName, fallback) {
+  const limit = Number(process.env[envName] ?? fallback);
+  if (!Number.isFinite(limit) || limit < 0) throw new Error(`invalid ${envName}: ${process.env[envName]}`);
+  return limit > 0
+    ? createDailyQuota({ store: rateLimitStore, name, limit, timeZone: process.env.QUOTA_TIME_ZONE || 'Asia/Tokyo' })
+    : null;
+}
+
+const uploadQuotas = {
+  bytes: quotaFromEnv('upload-bytes', 'PORTAL_DAILY_UPLOAD_BYTES', 1024 * 1024 * 1024),
+  files: quotaFromEnv('upload-files', 'PORTAL_DAILY_UPLOAD_FILES', 200),
+};
+
+// ストアに残すキー（token そのものは残さない）
+const hashKey = (v) => crypto.createHash('sha256').update(String(v)).digest('hex').slice(0, 32);
+
+async function recordRateLimitBlock(req, r, key) {
+  console.warn(`rate limited: ${r.name} ${key} ${req.method} ${req.originalUrl.split('?')[0]} (${req.ip})`);
+  if (!r.firstBlocked) return;
+  await audit.record(req, 'rate_limit.block', {
+    caseId: req.portal?.caseId ?? undefined,
+    details: { limit: r.name, key, max: r.limit, retryAfter: r.retryAfter, path: req.originalUrl.split('?')[0] },
+  });
+}
+
+// 429 応答（/api 系は { message }、それ以外は { error }）
+function sendRateLimited(res, e, { format = 'error' } = {}) {
+  res.setHeader('Retry-After', String(e.retryAfter));
+  const text = e.message || 'too many requests';
+  res.status(429).json({
+    [format]: text,
+    code: e.code || 'RATE_LIMITED',
+    retryAfter: e.retryAfter,
+    ...(e.details ? { details: e.details } : {}),
+  });
+}
+
+/**
+ * limiter のミドルウェア。keyOf(req) が null なら数えない
+ * ストアの障害時は制限せずに通す（提出そのものを止めないため）
+ */
+function rateLimit(limiter, keyOf, opts = {}) {
+  if (!limiter) return (req, res, next) => next();
+  return async (req, res, next) => {
+    const key = keyOf(req);
+    if (key == null) return next();
+    let r;
+    try {
+      r = await limiter.hit(key);
+    } catch (err) {
+      console.error('rate limit store error:', err);
+      return next();
+    }
+    res.setHeader('RateLimit-Limit', String(r.limit));
+    res.setHeader('RateLimit-Remaining', String(r.remaining));
+    res.setHeader('RateLimit-Reset', String(r.retryAfter));
+    if (r.allowed) return next();
+    await recordRateLimitBlock(req, r, key);
+    sendRateLimited(res, new RateLimitError('リクエストが多すぎます。しばらくしてから再試行してください', r), opts);
+  };
+}
+
+const portalTokenLimit = rateLimit(limiters.portalToken, (req) => req.portal?.tokenId ?? null);
+const portalUploadLimit = rateLimit(limiters.portalUpload, (req) => req.portal?.tokenId ?? null);
+
+// 案件の 1 日の提出上限（incoming は今回の提出の見込みバイト数。不明なら 0）
+const quotaSubject = (portal) => String(portal.caseId ?? portal.rootId);
+
+async function assertUploadQuota(portal, incoming = 0) {
+  const subject = quotaSubject(portal);
+  for (const [quota, amount, label] of [[uploadQuotas.files, 1, '件数'], [uploadQuotas.bytes, incoming, '容量']]) {
+    if (!quota) continue;
+    const u = await quota.usage(subject);
+    if (u.used >= u.limit || u.used + amount > u.limit) {
+      throw new RateLimitError(`本日の提出${label}の上限に達しました（翌日に再度お試しください）`, {
+        code: 'UPLOAD_QUOTA_EXCEEDED',
+        retryAfter: u.retryAfter,
+        details: { quota: u.name, limit: u.limit, used: u.used },
+      });
+    }
+  }
+}
+
+// 提出後に使用量を加算（隔離したものも保存領域を使うので数える）
+async function recordUploadUsage(portal, bytes) {
+  const subject = quotaSubject(portal);
+  try {
+    await uploadQuotas.files?.add(subject, 1);
+    await uploadQuotas.bytes?.add(subject, Number(bytes) || 0);
+  } catch (err) {
+    console.error('upload quota update error:', err);
+  }
+}
+
+// ルート用: 見込みサイズ（sizeOf）で上限を確認。超過なら 429
+function uploadQuota(sizeOf) {
+  return async (req, res, next) => {
+    try {
+      await assertUploadQuota(req.portal, sizeOf(req));
+      next();
+    } catch (e) {
+      if (!(e instanceof RateLimitError)) {
+        console.error('rate limit store error:', e);
+        return next();
+      }
+      console.warn(`upload quota exceeded: ${e.details.quota} case ${quotaSubject(req.portal)} (${req.ip})`);
+      await audit.record(req, 'rate_limit.block', {
+        caseId: req.portal.caseId ?? undefined,
+        rootId: req.portal.rootId,
+        details: { limit: e.details.quota, max: e.details.limit, used: e.details.used, retryAfter: e.retryAfter },
+      });
+      sendRateLimited(res, e);
+    }
+  };
+}
+
+// ==========================================================
+// Debtor Portal トークン（scope: upload / list / preview）
+// 有効期限・失効は DB（PortalToken / CasePublicLink.isActive）で判定
+// ==========================================================
+const portalTokens = createPortalTokenService(prisma);
+
+// 認証成功後の入力検証（validateRequests が置いた req.validateRequest を実行）
+const afterAuth = (req, res, next) => (req.validateRequest ? req.validateRequest(res, next) : next());
+
+function extractToken(req) {
+  const hdr = req.headers.authorization || '';
+  return hdr.startsWith('Bearer ') ? hdr.slice(7) : String(req.query.token || '');
+}
+
+// 検証済みトークン → req.portal（{ tokenId, caseId, rootId, debtorName, docTypes, scope, role, exp }）
+function toPortalContext({ payload, record }) {
   return {
-    viewUrl: toViewUrl(fileId, webViewLink),
-    previewUrl: toPreviewUrl(fileId, webViewLink),
-    downloadUrl: `https://drive.google.com/uc?export=download&id=${fileId}`,
+    ...payload,
+    tokenId: record.id,
+    caseId: record.caseId,
+    docTypes: record.docTypes,
+    scope: record.scopes,
+    exp: Math.floor(record.expiresAt.getTime() / 1000),
   };
 }
 
-async function listChildFolders(parentId) {
-  const { data } = await drive.files.list({
-    q: `'${parentId}' in parents and mimeType='${FOLDER_MIME}' and trashed=false`,
-    fields: 'files(id,name,webViewLink)',
-    pageSize: 1000,
-  });
-  return data.files || [];
+function sendPortalTokenError(res, e) {
+  if (e instanceof PortalTokenError) {
+    return res.status(401).json({ error: e.message, code: `TOKEN_${e.code.toUpperCase()}`, reason: e.code });
+  }
+  console.error('portal token error:', e);
+  return sendError(res, e, 'token 検証に失敗しました');
+}
+
+// scope を省略した場合は有効なトークンであれば可（token ごとのレート制限もここで掛ける）
+function requireDebtor(scope) {
+  return async (req, res, next) => {
+    const token = extractToken(req);
+    if (!token) return res.status(401).json({ error: 'token が必要です', code: 'AUTH_REQUIRED' });
+    try {
+      req.portal = toPortalContext(await portalTokens.verify(token));
+    } catch (e) {
+      return sendPortalTokenError(res, e);
+    }
+    if (scope && !req.portal.scope.includes(scope)) {
+      return res.status(403).json({ error: `forbidden: scope（${scope} が必要です）`, code: 'SCOPE_REQUIRED' });
+    }
+    portalTokenLimit(req, res, () => afterAuth(req, res, next));
+  };
 }
 
 // ==========================================================
-// JWT utils for Debtor Portal
+// 審査者（スタッフ）認証 / 担当案件の認可
+// Authorization: Bearer <POST /auth/login で発行したトークン>
 // ==========================================================
-function signPortalToken(payload, expiresIn = '30d') {
-  if (!process.env.PORTAL_JWT_SECRET) {
-    throw new Error('PORTAL_JWT_SECRET is required');
+function requireStaff(roles = STAFF_ROLES) {
+  return async (req, res, next) => {
+    const m = (req.headers.authorization || '').match(/^Bearer (.+)$/);
+    if (!m) return res.status(401).json({ error: 'missing token', code: 'AUTH_REQUIRED' });
+    let p;
+    try {
+      p = verifyReviewerToken(m[1]);
+    } catch {
+      return res.status(401).json({ error: 'invalid token', code: 'AUTH_INVALID' });
+    }
+    if (!STAFF_ROLES.includes(p.role)) return res.status(403).json({ error: 'forbidden', code: 'FORBIDDEN' });
+    try {
+      // ロール変更・無効化を即時反映するため DB から読み直す
+      const r = await prisma.reviewer.findUnique({ where: { id: BigInt(p.sub) } });
+      if (!r || !r.isActive) return res.status(401).json({ error: 'reviewer is inactive', code: 'REVIEWER_INACTIVE' });
+      if (!roles.includes(r.role)) return res.status(403).json({ error: 'forbidden: role', code: 'FORBIDDEN' });
+      req.reviewer = { id: r.id, role: r.role, email: r.email, name: r.name };
+    } catch (e) {
+      console.error('auth error:', e);
+      return sendError(res, e, 'auth failed');
+    }
+    afterAuth(req, res, next);
+  };
+}
+const requireReviewer = requireStaff();
+const requireAdmin = requireStaff(['admin']);
+
+// 指定 id（ファイル/フォルダ）の祖先を辿って Case を特定（最大10階層）
+async function findCaseByItem(itemId) {
+  const ids = [];
+  let cur = itemId;
+  for (let i = 0; i < 10 && cur; i++) {
+    ids.push(cur);
+    const meta = await storage.get(cur, { fields: 'id,parents' });
+    cur = meta.parents?.[0];
+  }
+  return prisma.case.findFirst({ where: { rootId: { in: ids } } });
+}
+
+// admin は全案件、reviewer は担当案件のみ
+const canAccessCase = (req, c) => req.reviewer?.role === 'admin' || c.reviewerId === req.reviewer?.id;
+
+// ファイル/フォルダ id から案件を特定して認可（NG なら 403 の httpError）
+async function assertCaseAccess(req, ...itemIds) {
+  if (req.reviewer?.role === 'admin') return;
+  for (const id of itemIds.filter(Boolean)) {
+    const c = await findCaseByItem(String(id)).catch(() => null);
+    if (!c || !canAccessCase(req, c)) throw httpError(403, 'forbidden: 担当外の案件です', 'CASE_ACCESS_DENIED');
   }
-  return jwt.sign(payload, process.env.PORTAL_JWT_SECRET, { expiresIn });
 }
-function verifyPortalToken(token) {
-  return jwt.verify(token, process.env.PORTAL_JWT_SECRET);
+
+// /cases/:id 系: id → Case（不正 400 / 無し 404 / 担当外 403 の httpError）
+async function loadAccessibleCase(req, include) {
+  const { id } = req.params;
+  if (!/^\d+$/.test(id)) throw httpError(400, 'id が不正です');
+  const c = await prisma.case.findUnique({ where: { id: BigInt(id) }, ...(include ? { include } : {}) });
+  if (!c) throw httpError(404, 'case が見つかりません', 'CASE_NOT_FOUND');
+  if (!canAccessCase(req, c)) throw httpError(403, 'forbidden: 担当外の案件です', 'CASE_ACCESS_DENIED');
+  return c;
 }
-function requireDebtor(req, res, next) {
+
+// ルート用: NG なら 403 を返して false
+async function authorizeCaseAccess(req, res, ...itemIds) {
   try {
-    const hdr = req.headers.authorization || '';
-    const token = hdr.startsWith('Bearer ') ? hdr.slice(7) : (req.query.token || '');
-    if (!token) return res.status(401).json({ error: 'token が必要です' });
-    const p = verifyPortalToken(token);
-    if (p.role !== 'debtor') return res.status(403).json({ error: 'role 不正' });
-    req.portal = p; // { rootId, debtorName, docTypes, role, exp }
-    next();
+    await assertCaseAccess(req, ...itemIds);
+    return true;
   } catch (e) {
-    return res.status(401).json({ error: 'token 検証に失敗しました' });
+    sendError(res, e);
+    return false;
   }
 }
 
 // ==========================================================
-// Health
+// 監査ログ（lib/audit.js）
 // ==========================================================
-app.get('/', (_, res) => {
-  res.json({ ok: true, service: 'drive-folder-api', ts: new Date().toISOString() });
+const audit = createAuditLog(prisma, { resolveCase: findCaseByItem });
+
+// 案件の終了・アーカイブ・保存期間（lib/caseLifecycle.js）
+const lifecycle = createCaseLifecycle({
+  prisma,
+  storage,
+  audit,
+  archiveParentId: process.env.CASE_ARCHIVE_PARENT_ID || null,
+  retentionDays: Number(process.env.CASE_RETENTION_DAYS || 0),
 });
 
 // ==========================================================
-// 1) 案件フォルダ一括作成
-// POST /create-case-folders
-// Body: { rootName: string, docTypes?: string[], makePublic?: boolean, parentId?: string, createManifest?: boolean }
-// 生成: root / (01_提出物|02_承認済|03_差し戻し) / <docType...>
+// 通知（lib/notifications。SMTP / 署名付き Webhook、送信は worker が再試行込みで行う）
 // ==========================================================
-app.post('/create-case-folders', async (req, res) => {
-  try {
-    const { rootName, docTypes = [], makePublic = false, parentId, createManifest = false } = req.body || {};
-    if (!rootName || typeof rootName !== 'string') {
-      return res.status(400).json({ error: 'rootName は必須です' });
-    }
+const notifier = createNotifier({ prisma, publicUrl: (publicId) => `${PORTAL_URL_BASE}/cases/${publicId}` });
 
-    const parents = [];
-    if (parentId) parents.push(parentId);
-    else if (process.env.GOOGLE_DRIVE_PARENT_ID) parents.push(process.env.GOOGLE_DRIVE_PARENT_ID);
+// ==========================================================
+// メッセージ（lib/messages.js。案件全体 / 書類ごとのスレッド）
+// ==========================================================
+const messages = createMessageStore(prisma);
 
-    // root
-    const root = await createFolder(rootName, parents);
+const threadLabel = (docType) => (docType ? `「${docType}」` : '案件全体');
 
-    // status folders
-    const statusNames = ['01_提出物', '02_承認済', '03_差し戻し'];
-    const statusCreated = await Promise.all(statusNames.map((n) => createFolder(n, [root.id])));
-    const statusMap = {
-      pending: statusCreated[0],
-      approved: statusCreated[1],
-      rejected: statusCreated[2],
-    };
+/**
+ * 投稿して監査ログに残し、相手側へ通知する（差し戻し理由は document.rejected で通知済みなので送らない）
+ * @param {object} req 投稿者（req.reviewer / req.portal）
+ * @param {{ id, rootId? }} c 案件
+ * @param {{ document?: { id, docType }|null, body: string, attachments?: object[], kind?: string }} input
+ */
+async function postMessage(req, c, { document = null, body, attachments = [], kind = 'message' }) {
+  const author = req.reviewer
+    ? { type: 'reviewer', reviewerId: req.reviewer.id, name: req.reviewer.name || req.reviewer.email }
+    : { type: 'debtor', portalTokenId: req.portal.tokenId, name: req.portal.debtorName || null };
+  const m = await messages.post({ caseId: c.id, documentId: document?.id ?? null, author, body, attachments, kind });
+  await audit.record(req, 'message.post', {
+    caseId: c.id,
+    rootId: c.rootId ?? undefined,
+    details: {
+      messageId: m.id, kind, documentId: document?.id ?? null, docType: document?.docType ?? null,
+      attachments: attachments.map((a) => a.fileId),
+    },
+  });
+  if (kind === 'message') {
+    await notifier.emit(author.type === 'reviewer' ? 'message.from_staff' : 'message.from_debtor', {
+      caseId: c.id,
+      data: {
+        messageId: String(m.id), authorName: author.name || '', body,
+        docType: document?.docType || '', threadLabel: threadLabel(document?.docType),
+      },
+    });
+  }
+  return m;
+}
 
-    // docType subfolders under each status
-    const byStatus = {};
-    for (const s of statusCreated) {
-      const children = await Promise.all((docTypes || []).map((dt) => createFolder(dt, [s.id])));
-      byStatus[s.name] = children; // array of {id,name,webViewLink}
-    }
+// 添付にリンクを付ける（canView で見せないものはファイル名のみ）
+function toMessageResponse(m, { audience = 'staff', canView = () => true } = {}) {
+  const json = toMessageJson(m, { audience });
+  return {
+    ...json,
+    attachments: json.attachments.map((a) => (canView(a) ? { ...a, ...buildPublicLinks(a.fileId) } : a)),
+  };
+}
 
-    // optional: public（create-case-folders 時はオプションのまま）
-    if (makePublic) {
-      const allIds = [
-        root.id,
-        ...statusCreated.map((s) => s.id),
-        ...Object.values(byStatus).flat().map((c) => c.id),
-      ];
-      await Promise.all(allIds.map((id) => grantPublic(id)));
-    }
+// 案件フォルダ生成の記録（作成フォルダ数と公開化の有無）
+async function auditProvision(req, tree) {
+  await audit.record(req, 'folder.create', {
+    rootId: tree.root.id,
+    fileId: tree.root.id,
+    details: { name: tree.root.name, template: tree.template, folders: treeFolderIds(tree).length },
+  });
+  if (tree.sharedFolderIds.length) {
+    await audit.record(req, 'permission.grant', {
+      rootId: tree.root.id,
+      fileId: tree.root.id,
+      details: { type: 'anyone', role: 'reader', items: tree.sharedFolderIds.length },
+    });
+  }
+}
 
-    // optional: manifest.csv (empty with header)
-    if (createManifest) {
-      const header = 'fileId,fileName,docType,status,reason,uploader,reviewer,createdAt,decidedAt,version\n';
-      await drive.files.create({
-        resource: { name: 'manifest.csv', parents: [root.id] },
-        media: { mimeType: 'text/csv', body: Readable.from(header) },
-        fields: 'id,name,webViewLink',
-      });
+// ==========================================================
+// Idempotency-Key（lib/idempotency.js。POST /create-case-folders, POST /api/cases）
+// 同じキーの再送には最初の応答をそのまま返す（Idempotent-Replayed: true）。キーは審査者ごと
+// 保存期間は IDEMPOTENCY_TTL_HOURS（既定 24 時間）。5xx で終わった要求は記録を消すので同じキーで再試行できる
+// ==========================================================
+const idempotency = createIdempotencyStore(prisma, {
+  ttlMs: Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 60 * 60 * 1000,
+});
+setInterval(() => {
+  idempotency.purgeExpired().catch((err) => console.error('idempotency purge error:', err));
+}, 60 * 60 * 1000).unref();
+
+const idempotencyScope = (req) => `reviewer:${req.reviewer.id}`;
+
+// route は要求の照合用（同じキーを別のルートに使ったら 422）。format は /api 系なら 'message'
+function idempotent(route, { format = 'error' } = {}) {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key == null) return next();
+    let entry;
+    try {
+      entry = await idempotency.begin(idempotencyScope(req), key, hashRequest(route, req.body));
+    } catch (e) {
+      if (e instanceof IdempotencyError) return res.status(e.status).json({ [format]: e.message, code: e.code });
+      console.error('idempotency error:', e);
+      return sendError(res, e, 'Idempotency-Key の確認に失敗しました');
     }
+    if (entry.replay) {
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.status(entry.status).json(entry.body);
+    }
+    req.idempotency = { id: entry.id, key };
+    // 応答を保存してから返す（クライアントが応答を受け取った後の再送は必ず再生になる）
+    const send = res.json.bind(res);
+    res.json = (body) => {
+      const settle = res.statusCode < 500
+        ? idempotency.complete(entry.id, res.statusCode, body)
+        : idempotency.release(entry.id);
+      settle.catch((err) => console.error('idempotency save error:', err)).then(() => send(body));
+      return res;
+    };
+    next();
+  };
+}
 
-    res.json({
-      root,
-      statusFolders: statusMap,
-      docFolders: byStatus, // { "01_提出物": [...], "02_承認済": [...], "03_差し戻し": [...] }
-    });
-  } catch (err) {
-    console.error('create-case-folders error:', err?.response?.data || err);
-    const msg = err?.response?.data?.error?.message || err?.message || 'Google Drive API error';
-    res.status(500).json({ error: msg });
+// 進捗 → Idempotency-Key の記録（GET /idempotency-keys/:key で見える）。キーなしの要求では何もしない
+function progressReporter(req, { intervalMs = 500 } = {}) {
+  if (!req.idempotency) return undefined;
+  let last = 0;
+  return (progress) => {
+    const now = Date.now();
+    if (progress.done < progress.total && now - last < intervalMs) return;
+    last = now;
+    idempotency.progress(req.idempotency.id, progress).catch((err) => console.error('idempotency progress error:', err));
+  };
+}
+
+app.get('/idempotency-keys/:key', requireReviewer, async (req, res) => {
+  try {
+    const row = await idempotency.find(idempotencyScope(req), req.params.key);
+    if (!row) return res.status(404).json({ error: 'Idempotency-Key が見つかりません' });
+    res.json(toIdempotencyJson(row));
+  } catch (e) {
+    console.error('idempotency-keys error:', e);
+    sendError(res, e, '取得に失敗しました');
   }
 });
 
+const toReviewerJson = (r) => ({
+  id: String(r.id),
+  email: r.email,
+  name: r.name,
+  role: r.role,
+  isActive: r.isActive,
+  createdAt: r.createdAt,
+});
+
 // ==========================================================
-// 2) 構成の再取得（docType→folderId 復元）
-// GET /case-structure?rootId=xxxx
+// Health
 // ==========================================================
-app.get('/case-structure', async (req, res) => {
-  try {
-    const { rootId } = req.query;
-    if (!rootId) return res.status(400).json({ error: 'rootId は必須です' });
+app.get('/', (_, res) => {
+  res.json({ ok: true, service: 'drive-folder-api', ts: new Date().toISOString() });
+});
 
-    const statuses = await listChildFolders(String(rootId));
-    const statusMap = Object.fromEntries(statuses.map((f) => [f.name, f]));
+app.get('/openapi.json', (_, res) => {
+  res.json(openApiSpec);
+});
 
-    const docFolders = {};
-    for (const s of statuses) {
-      docFolders[s.name] = await listChildFolders(s.id);
-    }
+// ==========================================================
+// 案件フォルダ生成（/create-case-folders と POST /api/cases で共用）
+// 生成: root / <テンプレートのステータスフォルダ> / <docType...>、root / <テンプレートの追加フォルダ（入れ子）>
+// 公開: makePublic=true なら全フォルダ、それ以外はテンプレートで share=anyone のステータスフォルダ（配下の docType 含む）
+// ==========================================================
+
+// 追加フォルダ（[{ name, children }]）を再帰的に作成
+async function createFolderTree(nodes, parentId, onCreated = (f) => f) {
+  const out = [];
+  for (const node of nodes || []) {
+    const folder = onCreated(await createFolder(node.name, [parentId]));
+    const children = await createFolderTree(node.children, folder.id, onCreated);
+    out.push({ ...folder, ...(children.length ? { children } : {}) });
+  }
+  return out;
+}
+
+const flattenFolderTree = (nodes) => (nodes || []).flatMap((n) => [n.id, ...flattenFolderTree(n.children)]);
+
+function treeFolderIds(tree) {
+  return [
+    tree.root.id,
+    ...Object.values(tree.statusFolders).map((f) => f.id),
+    ...Object.values(tree.docFolders).flat().map((f) => f.id),
+    ...flattenFolderTree(tree.folders),
+  ];
+}
 
-    res.json({ statusFolders: statusMap, docFolders });
+// すべて終わるのを待ってから最初の失敗を投げる（片付けの前に作成中のものを残さない）
+async function settleAll(promises) {
+  const results = await Promise.allSettled(promises);
+  const failed = results.find((r) => r.status === 'rejected');
+  if (failed) throw failed.reason;
+  return results.map((r) => r.value);
+}
+
+const countFolderTree = (nodes) => (nodes || []).reduce((n, f) => n + 1 + countFolderTree(f.children), 0);
+
+// 500 PROVISIONING_FAILED（details.rolledBack）
+const provisioningFailed = (rolledBack) =>
+  Object.assign(httpError(500, '案件フォルダの生成に失敗しました', 'PROVISIONING_FAILED'), { rolledBack: Boolean(rolledBack) });
+
+// 作成に失敗した案件フォルダを片付ける（ルートごと削除）。片付け自体の失敗はログのみ
+// rootId はこの要求で作成したものに限る（既存フォルダを名前で拾って渡さない。storage の作成は作成ごとの目印で照合する）
+async function discardCaseFolders(rootId) {
+  try {
+    await storage.remove(rootId);
+    console.warn(`provisioning rolled back: removed ${rootId}`);
   } catch (err) {
-    console.error('case-structure error:', err?.response?.data || err);
-    const msg = err?.response?.data?.error?.message || err?.message || 'Google Drive API error';
-    res.status(500).json({ error: msg });
+    if ((err?.code || err?.response?.status) === 404) return;
+    console.error('provisioning rollback error:', err?.response?.data || err);
   }
-});
+}
 
-// ==========================================================
-// 3) アップロード（汎用）
-// POST /upload-to-folder (multipart: file, folderId, [namePrefix?])
-// 保存先は 01_提出物/{docType} を指定
-// ＊この環境では「アップロード直後に必ず公開（anyone）」にします
-// ==========================================================
-app.post('/upload-to-folder', upload.single('file'), async (req, res) => {
+/**
+ * 案件フォルダ一式を作る。途中で失敗したら作ったものを削除して投げ直す（err.rolledBack = true）
+ * onProgress({ phase: folders | sharing | manifest, done, total }) … 大きなテンプレート向けの進捗
+ */
+async function provisionCaseFolders({
+  rootName, template, docTypes = [], makePublic = false, parentId, createManifest = false, onProgress,
+}) {
+  const parents = [];
+  if (parentId) parents.push(parentId);
+  else if (process.env.GOOGLE_DRIVE_PARENT_ID) parents.push(process.env.GOOGLE_DRIVE_PARENT_ID);
+
+  const perStatus = 1 + (docTypes || []).length;
+  const folderCount = 1 + template.statusFolders.length * perStatus + countFolderTree(template.folders);
+  const shareCount = makePublic
+    ? folderCount
+    : template.statusFolders.filter((s) => s.share === 'anyone').length * perStatus;
+  const progress = { phase: 'folders', done: 0, total: folderCount + shareCount + (createManifest ? 1 : 0) };
+  const step = (phase) => (value) => {
+    progress.phase = phase;
+    progress.done++;
+    onProgress?.({ ...progress });
+    return value;
+  };
+  const created = step('folders');
+
+  // root
+  const root = created(await createFolder(rootName, parents));
   try {
-    const { folderId, namePrefix } = req.body || {};
-    if (!req.file) return res.status(400).json({ error: 'file が必要です' });
-    if (!folderId) return res.status(400).json({ error: 'folderId が必要です' });
+    // status folders（key → folder）
+    const statusCreated = await settleAll(template.statusFolders.map((s) => createFolder(s.name, [root.id]).then(created)));
+    const statusMap = Object.fromEntries(template.statusFolders.map((s, i) => [s.key, statusCreated[i]]));
 
-    const now = new Date().toISOString().replace(/[:-]/g, '').slice(0, 15); // YYYYMMDDTHHMMSS
-    const safeOriginal = sanitize(Buffer.from(req.file.originalname, 'latin1').toString('utf8'));
-    const finalName = namePrefix ? `${sanitize(namePrefix)}_${now}_${safeOriginal}` : safeOriginal;
+    // docType subfolders under each status（同時実行数は Drive 呼び出しのラッパで制限される）
+    const docFolders = await settleAll(
+      statusCreated.map((s) => settleAll((docTypes || []).map((dt) => createFolder(dt, [s.id]).then(created))))
+    );
+    const byStatus = Object.fromEntries(statusCreated.map((s, i) => [s.name, docFolders[i]])); // array of {id,name,webViewLink}
 
-    const response = await drive.files.create({
-      resource: { name: finalName, parents: [folderId] },
-      media: { mimeType: req.file.mimetype, body: Readable.from(req.file.buffer) },
-      fields: 'id,name,webViewLink,parents',
-    });
+    const folders = await createFolderTree(template.folders, root.id, created);
+    const tree = { root, template: template.name, statusFolders: statusMap, docFolders: byStatus, folders };
 
     // 公開（リンクを知っている全員）
-    const fileId = response.data.id;
-    await grantPublic(fileId);
-    const links = buildPublicLinks(fileId, response.data.webViewLink);
+    const sharedFolderIds = makePublic
+      ? treeFolderIds(tree)
+      : template.statusFolders
+          .filter((s) => s.share === 'anyone')
+          .flatMap((s) => [statusMap[s.key].id, ...byStatus[statusMap[s.key].name].map((f) => f.id)]);
+    const shared = step('sharing');
+    await settleAll(sharedFolderIds.map((id) => grantPublic(id).then(shared)));
 
-    res.json({
-      message: '指定フォルダへのアップロード成功（公開化済み）',
-      file: { ...response.data, isPublic: true, ...links },
+    // optional: manifest.csv (empty with header)
+    if (createManifest) {
+      await manifest.init(root.id);
+      step('manifest')();
+    }
+
+    return { ...tree, sharedFolderIds };
+  } catch (err) {
+    await discardCaseFolders(root.id);
+    throw Object.assign(err, { rolledBack: true });
+  }
+}
+
+// 生成したフォルダ id（key ごと）とテンプレートを Case に保存し、docType ごとの CaseDocument（missing）を用意
+// checklist（normalizeChecklist の結果）があれば required / dueDate / notes も設定
+async function bindCaseFolders(caseId, tree, checklist = [], template = null) {
+  const statusFolderIds = Object.fromEntries(
+    Object.entries(tree.statusFolders).map(([key, f]) => [key, f.id])
+  );
+  const docFolderIds = Object.fromEntries(
+    Object.entries(tree.statusFolders).map(([key, f]) => [
+      key,
+      Object.fromEntries((tree.docFolders[f.name] || []).map((d) => [d.name, d.id])),
+    ])
+  );
+  const docTypes = Object.keys(docFolderIds.pending || {});
+  const items = new Map(checklist.map((i) => [i.docType, i]));
+
+  return prisma.$transaction(async (tx) => {
+    const c = await tx.case.update({
+      where: { id: caseId },
+      data: { rootId: tree.root.id, statusFolderIds, docFolderIds, templateId: template?.id ?? null },
+    });
+    await tx.caseDocument.createMany({
+      data: docTypes.map((docType) => {
+        const { required = true, dueDate = null, notes = null } = items.get(docType) || {};
+        return { caseId, docType, status: 'missing', required, dueDate, notes };
+      }),
+      skipDuplicates: true,
+    });
+    return c;
+  });
+}
+
+// アップロード時に CaseDocument を作成/更新（案件未紐付けの rootId なら何もしない）
+// チェックリスト外の docType は任意書類（required: false）として追加
+async function recordCaseDocument(rootId, docType, { fileId, status = 'pending' }) {
+  if (!rootId || !docType) return null;
+  try {
+    const c = await prisma.case.findUnique({ where: { rootId }, select: { id: true } });
+    if (!c) return null;
+    const submittedAt = new Date();
+    const doc = await prisma.caseDocument.upsert({
+      where: { caseId_docType: { caseId: c.id, docType } },
+      create: { caseId: c.id, docType, status, fileId, submittedAt, required: false },
+      update: { status, fileId, submittedAt, reason: null, decidedAt: null },
     });
+    await refreshCaseStatus(c.id);
+    return doc;
   } catch (err) {
-    console.error('upload-to-folder error:', err?.response?.data || err);
-    const msg = err?.response?.data?.error?.message || err?.message || 'Google Drive API error';
-    res.status(500).json({ error: msg });
+    console.error('case document update error:', err);
+    return null;
   }
-});
+}
 
-// ==========================================================
-// 4) フォルダ内ファイル一覧
-// GET /files-in-folder?folderId=xxxxx
-// ==========================================================
-app.get('/files-in-folder', async (req, res) => {
+// 書類の状況から Case.status を再計算（自動ステータス以外＝手動で設定された状態は変えない）
+async function refreshCaseStatus(caseId, req = null) {
   try {
-    const { folderId } = req.query;
-    if (!folderId) return res.status(400).json({ error: 'folderId は必須です' });
+    const c = await prisma.case.findUnique({ where: { id: caseId }, include: { documents: true } });
+    if (!c || !AUTO_CASE_STATUSES.includes(c.status)) return c?.status ?? null;
+    const next = deriveCaseStatus(c.documents);
+    if (next === c.status) return next;
+    await prisma.case.update({ where: { id: caseId }, data: { status: next } });
+    await audit.record(req, 'case.status', { caseId, rootId: c.rootId ?? undefined, details: { from: c.status, to: next } });
+    if (next === 'complete') await notifier.emit('case.completed', { caseId });
+    return next;
+  } catch (err) {
+    console.error('case status update error:', err);
+    return null;
+  }
+}
+
+// ---- 提出の版管理 ----
+const withArchiveLock = createKeyedLock();
+
+// <root>/98_過去版/<docType>（なければ作成）
+function ensureArchiveFolder(rootId, docType) {
+  return withArchiveLock(rootId, async () => {
+    const archive = (await findChildFolder(rootId, ARCHIVE_FOLDER)) || (await createFolder(ARCHIVE_FOLDER, [rootId]));
+    return (await findChildFolder(archive.id, docType)) || createFolder(docType, [archive.id]);
+  });
+}
+
+// 差し替わった版を過去版フォルダへ移し、manifest（現在のフォルダ構成の一覧）から外す
+async function archiveSupersededVersion(rootId, previous, file) {
+  try {
+    const folder = await ensureArchiveFolder(rootId, previous.docType);
+    const current = await storage.get(previous.fileId, { fields: 'id,parents' });
+    await storage.update(previous.fileId, {
+      addParents: folder.id,
+      removeParents: (current.parents || []).join(','),
+    });
+    await manifest.remove(rootId, previous.fileId);
+    await audit.record(null, 'file.archive', {
+      caseId: previous.caseId,
+      rootId,
+      fileId: previous.fileId,
+      details: {
+        name: previous.fileName, docType: previous.docType, version: previous.version,
+        status: previous.status, supersededBy: file.fileId, folderId: folder.id,
+      },
+    });
+  } catch (err) {
+    // 新しい版の受け付けは済んでいるので失敗にはしない（reconcile で整合を取り直せる）
+    console.error('archive superseded version error:', err?.response?.data || err);
+  }
+}
+
+/**
+ * 審査待ちフォルダへの新しい提出を記録（manifest + 索引）し、同じ docType の前の版とつなぐ
+ * 前の版が審査待ち・差し戻しなら過去版フォルダへ移す
+ * @returns {Promise<{ file, previous }|null>} 案件未紐付けなら null
+ */
+async function recordSubmission(rootId, row, meta) {
+  await documentIndex.record(rootId, row, meta);
+  let linked = null;
+  try {
+    linked = await documentIndex.linkVersion(rootId, row.docType, row.fileId);
+  } catch (err) {
+    console.error('document version error:', err);
+  }
+  try {
+    await manifest.upsert(rootId, { ...row, ...(linked ? { version: String(linked.file.version) } : {}) });
+  } catch (err) {
+    console.error('manifest update error:', err?.response?.data || err);
+  }
+  if (linked?.previous?.supersededAt) await archiveSupersededVersion(rootId, linked.previous, linked.file);
+  return linked;
+}
+
+// ==========================================================
+// 1) 案件フォルダ一括作成
+// POST /create-case-folders
+// Body: { rootName: string, template?: string, docTypes?: (string | ChecklistItem)[], makePublic?: boolean, parentId?: string, createManifest?: boolean, caseId?: string }
+// ChecklistItem: { docType, required?, dueDate?, notes? }（文字列のみなら required: true）
+// template はフォルダ構成（GET /case-templates）。未指定なら既定（caseId 指定時はその案件のテンプレート）
+// docTypes 未指定ならテンプレートの既定書類を使う
+// caseId を指定すると生成したフォルダを既存の Case に紐付ける
+// 途中で失敗した場合は作ったフォルダを削除して 500 PROVISIONING_FAILED（details.rolledBack: true）。同じ要求をそのまま再送してよい
+// Idempotency-Key ヘッダを付けると再送に最初の結果を返し、処理中の進捗は GET /idempotency-keys/:key で見える
+// ==========================================================
+app.post('/create-case-folders', requireReviewer, idempotent('create-case-folders'), async (req, res) => {
+  try {
+    const { rootName, template: templateName, docTypes, makePublic = false, parentId, createManifest = false, caseId } = req.body || {};
+    if (!rootName || typeof rootName !== 'string') {
+      return res.status(400).json({ error: 'rootName は必須です' });
+    }
+    if (caseId != null && !/^\d+$/.test(String(caseId))) {
+      return res.status(400).json({ error: 'caseId が不正です' });
+    }
+    let existing = null;
+    if (caseId != null) {
+      existing = await prisma.case.findUnique({ where: { id: BigInt(caseId) } });
+      if (!existing) return res.status(404).json({ error: 'case が見つかりません', code: 'CASE_NOT_FOUND' });
+      if (!canAccessCase(req, existing)) {
+        return res.status(403).json({ error: 'forbidden: 担当外の案件です', code: 'CASE_ACCESS_DENIED' });
+      }
+      if (existing.rootId) return res.status(409).json({ error: 'case は既にフォルダに紐付いています', rootId: existing.rootId });
+    }
+    const template = templateName == null && existing
+      ? await caseTemplates.forCase(existing)
+      : await resolveTemplate(templateName);
+    const checklist = normalizeChecklist(docTypes ?? template.docTypes);
+
+    const tree = await provisionCaseFolders({
+      rootName,
+      template,
+      docTypes: checklist.map((i) => i.docType),
+      makePublic,
+      parentId,
+      createManifest,
+      onProgress: progressReporter(req),
+    });
+    if (caseId != null) {
+      try {
+        await bindCaseFolders(BigInt(caseId), tree, checklist, template);
+      } catch (err) {
+        await discardCaseFolders(tree.root.id);
+        throw Object.assign(err, { rolledBack: true });
+      }
+    }
+    await auditProvision(req, tree);
+
+    res.json({ ...tree, ...(caseId != null ? { caseId: String(caseId) } : {}) });
+  } catch (err) {
+    if (err.status === 400 || err.status === 404) return sendError(res, err);
+    console.error('create-case-folders error:', err?.response?.data || err);
+    // Drive のエラー文言はログにだけ残す
+    sendError(res, provisioningFailed(err.rolledBack));
+  }
+});
+
+// ==========================================================
+// 2) 構成の再取得（docType→folderId 復元）
+// GET /case-structure?rootId=xxxx
+// statusFolders / docFolders はフォルダ名ごと、byKey はステータス key（pending / approved / rejected）ごと
+// ==========================================================
+app.get('/case-structure', requireReviewer, async (req, res) => {
+  try {
+    const { rootId } = req.query;
+    if (!rootId) return res.status(400).json({ error: 'rootId は必須です' });
+    if (!(await authorizeCaseAccess(req, res, rootId))) return;
+
+    const statuses = await listChildFolders(String(rootId));
+    const statusMap = Object.fromEntries(statuses.map((f) => [f.name, f]));
+
+    const docFolders = {};
+    for (const s of statuses) {
+      docFolders[s.name] = await listChildFolders(s.id);
+    }
+
+    const { template, statusFolderIds } = await resolveCaseLayout(String(rootId));
+    const byKey = {};
+    for (const key of STATUS_KEYS) {
+      const folder = statuses.find((f) => f.id === statusFolderIds[key]);
+      byKey[key] = folder ? { ...folder, docFolders: docFolders[folder.name] } : null;
+    }
+
+    res.json({ template: template.name, statusFolders: statusMap, docFolders, byKey });
+  } catch (err) {
+    console.error('case-structure error:', err?.response?.data || err);
+    sendError(res, err, 'Google Drive API error');
+  }
+});
+
+// ==========================================================
+// 3) アップロード（汎用）
+// POST /upload-to-folder (multipart: folderId, [namePrefix?], file ※file は最後に)
+// 保存先は 提出物（pending）ステータスフォルダの <docType> を指定
+// 公開するかは FILE_SHARING（既定 private。返すリンクは期限付きの署名 URL）
+// ==========================================================
+const uploadToFolder = streamUpload({
+  async prepare(req, file) {
+    const { folderId, namePrefix } = req.body || {};
+    if (!folderId) throw httpError(400, 'folderId が必要です（file より前に送信してください）');
+    await assertCaseAccess(req, folderId);
+
+    const safeOriginal = sanitize(decodeOriginalName(file));
+    const finalName = namePrefix ? `${sanitize(namePrefix)}_${uploadStamp()}_${safeOriginal}` : safeOriginal;
+    return { name: finalName, parents: [folderId] };
+  },
+});
+
+app.post('/upload-to-folder', requireReviewer, uploadToFolder, async (req, res) => {
+  try {
+    const { folderId } = req.body || {};
+    if (!req.file) return res.status(400).json({ error: 'file が必要です' });
+    const created = req.file.storageFile;
+
+    const fileId = created.id;
+    const ctx = await resolveFolderContext(folderId).catch(() => null);
+    if (ctx) {
+      const row = {
+        fileId,
+        fileName: created.name,
+        docType: ctx.docType,
+        status: ctx.status,
+        uploader: req.reviewer.email,
+      };
+      const meta = { mimeType: req.file.detectedMimeType || created.mimeType, size: req.file.size };
+      if (ctx.status === 'pending') {
+        // 審査待ちへの提出は版としてつなぐ（前の版は過去版フォルダへ）
+        await recordSubmission(ctx.rootId, row, meta);
+        await recordCaseDocument(ctx.rootId, ctx.docType, { fileId });
+      } else {
+        await recordManifest(ctx.rootId, row, meta);
+      }
+    }
+    await audit.record(req, 'file.upload', {
+      rootId: ctx?.rootId,
+      fileId,
+      itemId: folderId,
+      details: { name: created.name, size: req.file.size, folderId, docType: ctx?.docType },
+    });
+    const isPublic = await shareUploadedFile(req, fileId, { rootId: ctx?.rootId, itemId: folderId });
+
+    res.json({
+      message: isPublic ? '指定フォルダへのアップロード成功（公開化済み）' : '指定フォルダへのアップロード成功',
+      file: { ...created, isPublic, ...buildPublicLinks(fileId, created.webViewLink) },
+    });
+  } catch (err) {
+    console.error('upload-to-folder error:', err?.response?.data || err);
+    sendError(res, err, 'Google Drive API error');
+  }
+});
+
+// ==========================================================
+// 4) フォルダ内ファイル一覧
+// GET /files-in-folder?folderId=xxxxx[&limit=&cursor=&sort=&order=&name=&mimeType=&modifiedFrom=&modifiedTo=]
+// limit 既定 50（最大 1000）/ sort: modifiedTime（既定）| createdTime | name / order: asc | desc
+// name は部分一致、mimeType は完全一致。続きは nextCursor を cursor に渡す
+// 画像・PDF には thumbnailUrl（GET /files/thumbnail/:fileId、審査者トークンで取得）を付ける
+// ==========================================================
+app.get('/files-in-folder', requireReviewer, async (req, res) => {
+  try {
+    const { folderId } = req.query;
+    if (!folderId) return res.status(400).json({ error: 'folderId は必須です' });
+    const listQuery = parseFileListQuery(req.query);
+    if (!(await authorizeCaseAccess(req, res, folderId))) return;
+
+    const { files: listed, nextPageToken } = await storage.list(String(folderId), {
+      ...listQuery,
+      fields: 'id,name,mimeType,webViewLink,thumbnailLink,createdTime,modifiedTime,size',
+    });
+
+    const files = listed.map(f => ({
+      ...f,
+      ...buildPublicLinks(f.id, f.webViewLink),
+      thumbnailUrl: supportsThumbnail(f.mimeType) ? `${API_URL_BASE}/files/thumbnail/${encodeURIComponent(f.id)}` : null,
+    }));
+
+    res.json({ files, nextCursor: nextPageToken });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error('files-in-folder error:', err?.response?.data || err);
+    sendError(res, err, 'Google Drive API error');
+  }
+});
+
+// ==========================================================
+// 5) ファイル移動（承認/差し戻し）
+// POST /move-file { fileId, sourceFolderId, destinationFolderId }
+// ==========================================================
+app.post('/move-file', requireReviewer, async (req, res) => {
+  try {
+    const { fileId, sourceFolderId, destinationFolderId } = req.body || {};
+    if (!fileId || !sourceFolderId || !destinationFolderId) {
+      return res.status(400).json({ error: 'fileId, sourceFolderId, destinationFolderId は必須です' });
+    }
+    if (!(await authorizeCaseAccess(req, res, fileId, destinationFolderId))) return;
+    const moved = await storage.update(
+      fileId,
+      { addParents: destinationFolderId, removeParents: sourceFolderId },
+      { fields: 'id,name,mimeType,parents,webViewLink' }
+    );
+    await recordMove(req, moved, destinationFolderId);
+    await audit.record(req, 'file.move', {
+      fileId,
+      details: { name: moved.name, from: sourceFolderId, to: destinationFolderId },
+    });
+    res.json({ message: 'ファイル移動成功', file: moved });
+  } catch (err) {
+    console.error('move-file error:', err?.response?.data || err);
+    sendError(res, err, 'Google Drive API error');
+  }
+});
+
+// 移動先がケース構成内なら manifest・CaseDocument の status/docType を追従して案件の状態を再計算し、
+// 承認/差し戻しフォルダなら債務者へ通知
+async function recordMove(req, file, destinationFolderId) {
+  // 案件ルートの確認はやり直す（フォルダなら配下すべて）
+  if (file.mimeType === FOLDER_MIME) ancestry.clear();
+  else ancestry.invalidate(file.id);
+  const ctx = await resolveFolderContext(destinationFolderId).catch((err) => {
+    console.error('manifest resolve error:', err?.response?.data || err);
+    return null;
+  });
+  if (!ctx) return;
+  const decidedAt = ctx.status === 'pending' ? null : new Date();
+  if (ctx.docType && file.mimeType !== FOLDER_MIME) {
+    try {
+      const c = await prisma.case.findUnique({ where: { rootId: ctx.rootId }, select: { id: true } });
+      if (c) {
+        await prisma.caseDocument.updateMany({
+          where: { caseId: c.id, docType: ctx.docType },
+          data: { status: ctx.status, decidedAt, fileId: file.id },
+        });
+        await refreshCaseStatus(c.id, req);
+      }
+    } catch (dbErr) {
+      // Drive 側は移動済みなので DB エラーでは失敗にしない
+      console.error('move db error:', dbErr);
+    }
+  }
+  await recordManifest(ctx.rootId, {
+    docType: ctx.docType,
+    status: ctx.status,
+    fileId: file.id,
+    fileName: file.name,
+    reviewer: req.reviewer?.email || undefined,
+    decidedAt: decidedAt ? decidedAt.toISOString() : '',
+  });
+  if (ctx.status !== 'pending') {
+    await notifier.emit(`document.${ctx.status}`, {
+      rootId: ctx.rootId,
+      data: { docType: ctx.docType, fileName: file.name, fileId: file.id, reason: '' },
+    });
+  }
+}
+
+// ==========================================================
+// 6) ファイル移動（親自動解決版）
+// POST /move-file-smart { fileId, destinationFolderId }
+// ==========================================================
+app.post('/move-file-smart', requireReviewer, async (req, res) => {
+  try {
+    const { fileId, destinationFolderId } = req.body || {};
+    if (!fileId || !destinationFolderId) {
+      return res.status(400).json({ error: 'fileId と destinationFolderId は必須です' });
+    }
+    if (!(await authorizeCaseAccess(req, res, fileId, destinationFolderId))) return;
+
+    // 現在の親フォルダを取得
+    const meta = await storage.get(fileId, { fields: 'id,name,parents,webViewLink' });
+    const currentParents = meta.parents?.join(',') || '';
+
+    const result = await storage.update(
+      fileId,
+      { addParents: destinationFolderId, removeParents: currentParents }, // removeParents はカンマ区切り
+      { fields: 'id,name,mimeType,parents,webViewLink' }
+    );
+
+    await recordMove(req, result, destinationFolderId);
+    await audit.record(req, 'file.move', {
+      fileId,
+      details: { name: result.name, from: currentParents, to: destinationFolderId },
+    });
+    res.json({ message: 'ファイル移動成功', file: result });
+  } catch (err) {
+    console.error('move-file-smart error:', err?.response?.data || err);
+    sendError(res, err, 'Google Drive API error');
+  }
+});
+
+// ==========================================================
+// 7) コメント付与（ファイルが属する書類のスレッドへ投稿。ファイルを添付として参照する）
+// POST /comment { fileId, message }
+// 索引に無いファイル・チェックリストに無い docType は案件全体のスレッドへ（添付なし）
+// 案件に紐付いていないフォルダのファイルだけは、従来どおり Drive の description に書く
+// それ以外で description は上書きしない（履歴が残らないため）。description には差し戻し時の理由だけを反映する
+// manifest は reviewer を更新する
+// ==========================================================
+app.post('/comment', requireReviewer, async (req, res) => {
+  try {
+    const { fileId, message } = req.body || {};
+    if (!fileId || !message) return res.status(400).json({ error: 'fileId と message は必須です' });
+    const { body } = normalizeMessageInput({ body: message });
+    if (!(await authorizeCaseAccess(req, res, fileId))) return;
+
+    const indexed = await prisma.documentFile.findUnique({ where: { fileId: String(fileId) }, include: { case: true } });
+    const c = indexed?.case || (await findCaseByItem(String(fileId)));
+    let file;
+    let comment = null;
+    if (c) {
+      file = await storage.get(fileId, { fields: 'id,name,webViewLink,parents' });
+      const document = indexed
+        ? await prisma.caseDocument.findUnique({ where: { caseId_docType: { caseId: c.id, docType: indexed.docType } } })
+        : null;
+      const attachments = document ? await messages.resolveAttachments(c.id, [indexed.fileId]) : [];
+      comment = toMessageResponse(await postMessage(req, c, { document, body, attachments }));
+    } else {
+      file = await storage.update(fileId, { description: body }, { fields: 'id,name,webViewLink,description,parents' });
+    }
+
+    await recordManifestAt(file.parents?.[0], { fileId, fileName: file.name, reviewer: req.reviewer.email });
+    await audit.record(req, 'file.comment', {
+      ...(c ? { caseId: c.id, rootId: c.rootId ?? undefined } : {}),
+      fileId,
+      details: { name: file.name, messageId: comment ? comment.id : null },
+    });
+    res.json({ message: 'コメントを登録しました', comment, ...(c ? {} : { file }) });
+  } catch (err) {
+    if (!err.status) console.error('comment error:', err?.response?.data || err);
+    sendError(res, err, 'コメントの登録に失敗しました');
+  }
+});
+
+// ==========================================================
+// 7.5) 審査判定（移動 + 理由記録 + CaseDocument 更新を一括）
+// POST /review/decision { fileId, decision: 'approve'|'reject', reason?, caseId? }
+// pending/<docType> → approved/<docType> または rejected/<docType>（フォルダの表示名は案件のテンプレート次第）
+// 差し戻し理由は Drive の description（最新のみ）と書類のメッセージスレッド（kind: rejection）に残す
+// 更新する案件はファイルのルートフォルダから決める。caseId を指定した場合はそれと一致しなければ 409
+// ==========================================================
+const DECISION_TO_STATUS = { approve: 'approved', reject: 'rejected' };
+
+app.post('/review/decision', requireReviewer, async (req, res) => {
+  try {
+    const { fileId, decision, reason, caseId } = req.body || {};
+    if (!fileId || !decision) return res.status(400).json({ error: 'fileId と decision は必須です' });
+    const target = DECISION_TO_STATUS[decision];
+    if (!target) return res.status(400).json({ error: 'decision は approve または reject を指定してください' });
+    if (decision === 'reject' && !reason) return res.status(400).json({ error: '差し戻し時は reason が必須です' });
+    if (caseId != null && !/^\d+$/.test(String(caseId))) {
+      return res.status(400).json({ error: 'caseId が不正です' });
+    }
+    if (!(await authorizeCaseAccess(req, res, fileId))) return;
+
+    // file → docType フォルダ → ステータスフォルダ → root を辿る
+    const file = await storage.get(fileId, { fields: 'id,name,parents' });
+    const ctx = await resolveFolderContext(file.parents?.[0]);
+    if (!ctx) {
+      return res.status(409).json({ error: 'ケースフォルダ（<status>/<docType>）配下のファイルではありません' });
+    }
+    const { rootId, status: current, docType } = ctx;
+    // 更新する案件はファイルのルートから決める（caseId は照合のみ）
+    const c = await prisma.case.findUnique({ where: { rootId }, select: { id: true, rootId: true } });
+    if (caseId != null && c?.id !== BigInt(caseId)) {
+      return res.status(409).json({ error: 'caseId がファイルの案件と一致しません' });
+    }
+    const { template, statusFolderIds } = await resolveCaseLayout(rootId);
+    const folderName = (key) => statusFolderName(template, key);
+    if (current !== 'pending') {
+      return res.status(409).json({
+        error: `${folderName(current)} にあるファイルは ${decision} できません（${folderName('pending')} のファイルのみ判定可能）`,
+        currentStatus: current,
+      });
+    }
+
+    // 移動先: 同じ docType フォルダ（無ければ作成）
+    const destStatusId = statusFolderIds[target];
+    if (!destStatusId) {
+      return res.status(409).json({ error: `${folderName(target)} フォルダがありません` });
+    }
+    let destFolder = await findChildFolder(destStatusId, docType);
+    if (!destFolder) {
+      destFolder = await createFolder(docType, [destStatusId]);
+      await audit.record(req, 'folder.create', {
+        rootId,
+        fileId: destFolder.id,
+        details: { name: destFolder.name, parentId: destStatusId },
+      });
+    }
+
+    // 移動と理由記録（description）を 1 回の update で
+    const moved = await storage.update(
+      fileId,
+      {
+        addParents: destFolder.id,
+        removeParents: file.parents.join(','),
+        ...(reason ? { description: reason } : {}),
+      },
+      { fields: 'id,name,parents,webViewLink,description' }
+    );
+
+    // CaseDocument 更新（ルートの案件があれば caseId+docType、無ければ fileId で照合）
+    const decidedAt = new Date();
+    let caseDocumentsUpdated = null;
+    try {
+      const where = c ? { caseId: c.id, docType } : { fileId };
+      const r = await prisma.caseDocument.updateMany({
+        where,
+        data: { status: target, reason: reason || null, decidedAt, fileId },
+      });
+      caseDocumentsUpdated = r.count;
+      if (c) await refreshCaseStatus(c.id, req);
+      // 差し戻し理由は書類のスレッドにも残す（description は最新の理由で上書きされるため）
+      if (c && decision === 'reject') {
+        const document = await prisma.caseDocument.findUnique({ where: { caseId_docType: { caseId: c.id, docType } } });
+        const attachments = await messages.resolveAttachments(c.id, [fileId]).catch(() => []);
+        if (document) await postMessage(req, c, { document, body: reason, attachments, kind: 'rejection' });
+      }
+    } catch (dbErr) {
+      // Drive 側は移動済みなので DB エラーでは失敗にしない
+      console.error('review/decision db error:', dbErr);
+    }
+
+    await recordManifest(rootId, {
+      fileId,
+      fileName: moved.name,
+      docType,
+      status: target,
+      reason: reason || '',
+      reviewer: req.reviewer.email,
+      decidedAt: decidedAt.toISOString(),
+    });
+    await audit.record(req, 'review.decision', {
+      rootId,
+      fileId,
+      details: {
+        name: moved.name, decision, docType, reason: reason || null,
+        from: file.parents.join(','), to: destFolder.id,
+      },
+    });
+    await notifier.emit(`document.${target}`, {
+      rootId,
+      data: { docType, fileName: moved.name, fileId, reason: reason || '' },
+    });
+
+    res.json({
+      message: decision === 'approve' ? '承認しました' : '差し戻しました',
+      decision,
+      docType,
+      from: folderName(current),
+      to: folderName(target),
+      reason: reason || null,
+      decidedAt,
+      caseDocumentsUpdated,
+      file: moved,
+    });
+  } catch (err) {
+    console.error('review/decision error:', err?.response?.data || err);
+    sendError(res, err, 'Google Drive API error');
+  }
+});
+
+// ==========================================================
+// 7.6) manifest.csv 取得 / 再構築
+// GET  /case-manifest?rootId=xxxx[&format=csv|json]
+// POST /case-manifest/rebuild { rootId }  … 現在のフォルダ構成から作り直す
+// ==========================================================
+app.get('/case-manifest', requireReviewer, async (req, res) => {
+  try {
+    const { rootId, format = 'json' } = req.query;
+    if (!rootId) return res.status(400).json({ error: 'rootId は必須です' });
+    if (!(await authorizeCaseAccess(req, res, rootId))) return;
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format は csv または json を指定してください' });
+    }
+
+    const { file, rows } = await manifest.read(String(rootId));
+    if (!file) return res.status(404).json({ error: 'manifest.csv がありません' });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="manifest.csv"');
+      return res.send(serializeManifest(rows));
+    }
+    res.json({ file, rows });
+  } catch (err) {
+    console.error('case-manifest error:', err?.response?.data || err);
+    sendError(res, err, 'Google Drive API error');
+  }
+});
+
+app.post('/case-manifest/rebuild', requireReviewer, async (req, res) => {
+  try {
+    const { rootId } = req.body || {};
+    if (!rootId) return res.status(400).json({ error: 'rootId は必須です' });
+    if (!(await authorizeCaseAccess(req, res, rootId))) return;
+    const { file, rows, removed } = await manifest.rebuild(String(rootId));
+    const c = await prisma.case.findUnique({ where: { rootId: String(rootId) }, select: { id: true } });
+    if (c) await documentIndex.syncCase(c.id, rows);
+    res.json({ message: 'manifest 再構築完了', file, count: rows.length, removed, rows });
+  } catch (err) {
+    console.error('case-manifest/rebuild error:', err?.response?.data || err);
+    sendError(res, err, 'Google Drive API error');
+  }
+});
+
+// ==========================================================
+// 7.7) 審査者ログイン / アカウント管理
+// POST  /auth/login { email, password } → { token }
+// GET   /auth/me
+// GET   /reviewers                         （admin）
+// POST  /reviewers { email, password, role?, name? }   （admin）
+// PATCH /reviewers/:id { role?, isActive?, password?, name? }（admin）
+// ==========================================================
+app.post('/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) return res.status(400).json({ error: 'email と password は必須です' });
+
+    const r = await prisma.reviewer.findUnique({ where: { email: String(email) } });
+    const ok = r && r.isActive && (await verifyPassword(password, r.passwordHash));
+    // 失敗も記録（成功時は本人を操作者として記録）
+    if (ok) req.reviewer = { id: r.id, role: r.role, email: r.email, name: r.name };
+    await audit.record(req, 'auth.login', {
+      details: { email: String(email), success: Boolean(ok) },
+    });
+    if (!ok) return res.status(401).json({ error: 'email または password が違います', code: 'INVALID_CREDENTIALS' });
+
+    const expiresIn = process.env.REVIEWER_JWT_EXPIRES_IN || '12h';
+    res.json({ token: signReviewerToken(r, expiresIn), expiresIn, reviewer: toReviewerJson(r) });
+  } catch (e) {
+    console.error('auth/login error:', e);
+    sendError(res, e, 'login failed');
+  }
+});
+
+app.get('/auth/me', requireReviewer, async (req, res) => {
+  try {
+    const r = await prisma.reviewer.findUnique({ where: { id: req.reviewer.id } });
+    res.json({ reviewer: toReviewerJson(r) });
+  } catch (e) {
+    console.error('auth/me error:', e);
+    sendError(res, e, 'failed to fetch reviewer');
+  }
+});
+
+// GET /reviewers?limit=&cursor=（limit 既定 100、最大 500）
+app.get('/reviewers', requireAdmin, async (req, res) => {
+  try {
+    const page = parsePageQuery(req.query, { defaultLimit: 100, maxLimit: 500 });
+    const rows = await prisma.reviewer.findMany({ orderBy: { id: 'asc' }, ...pageArgs(page) });
+    const { items, nextCursor } = toPage(rows, page);
+    res.json({ reviewers: items.map(toReviewerJson), nextCursor });
+  } catch (e) {
+    if (!e.status) console.error('reviewers error:', e);
+    sendError(res, e, 'failed to list reviewers');
+  }
+});
+
+app.post('/reviewers', requireAdmin, async (req, res) => {
+  try {
+    const { email, password, role = 'reviewer', name = null } = req.body || {};
+    if (!email || !password) return res.status(400).json({ error: 'email と password は必須です' });
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role は ${STAFF_ROLES.join(' / ')} のいずれかです` });
+    }
+    const r = await prisma.reviewer.create({
+      data: { email: String(email), name, role, passwordHash: await hashPassword(password) },
+    });
+    res.status(201).json({ reviewer: toReviewerJson(r) });
+  } catch (e) {
+    if (e?.code === 'P2002') return res.status(409).json({ error: 'email は既に登録されています' });
+    console.error('reviewers create error:', e);
+    sendError(res, e, 'failed to create reviewer');
+  }
+});
+
+app.patch('/reviewers/:id', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!/^\d+$/.test(id)) return res.status(400).json({ error: 'id が不正です' });
+    const { role, isActive, password, name } = req.body || {};
+    if (role !== undefined && !STAFF_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role は ${STAFF_ROLES.join(' / ')} のいずれかです` });
+    }
+    const data = {};
+    if (role !== undefined) data.role = role;
+    if (isActive !== undefined) data.isActive = Boolean(isActive);
+    if (name !== undefined) data.name = name;
+    if (password) data.passwordHash = await hashPassword(password);
+
+    const r = await prisma.reviewer.update({ where: { id: BigInt(id) }, data });
+    res.json({ reviewer: toReviewerJson(r) });
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'reviewer が見つかりません' });
+    console.error('reviewers update error:', e);
+    sendError(res, e, 'failed to update reviewer');
+  }
+});
+
+// ==========================================================
+// 7.8) 監査ログ
+// GET /cases/:id/audit?action=a,b&actorType=&actorId=&fileId=&from=&to=&limit=&cursor=&format=json|csv
+// from / to は ISO 日時（to は含まない）、cursor は前ページの nextCursor（新しい順）
+// before（前ページ最後の id）/ nextBefore も従来どおり使える
+// CSV は条件に合う全件（AUDIT_CSV_MAX_ROWS 件まで）を書き出す
+// ==========================================================
+const AUDIT_CSV_MAX_ROWS = Number(process.env.AUDIT_CSV_MAX_ROWS || 100000);
+
+// クエリ → audit.query の条件（不正なら httpError 400）
+function parseAuditFilter(q) {
+  const actions = q.action ? String(q.action).split(',').map((a) => a.trim()).filter(Boolean) : [];
+  const unknown = actions.filter((a) => !AUDIT_ACTIONS.includes(a));
+  if (unknown.length) throw httpError(400, `action が不正です: ${unknown.join(', ')}`);
+  const date = (v, name) => {
+    if (!v) return undefined;
+    const d = new Date(String(v));
+    if (Number.isNaN(d.getTime())) throw httpError(400, `${name} が不正です`);
+    return d;
+  };
+  const beforeId = q.cursor ? decodeCursor(q.cursor) : q.before != null ? String(q.before) : undefined;
+  if (beforeId != null && !/^\d+$/.test(beforeId)) throw httpError(400, 'before / cursor が不正です');
+  return {
+    actions,
+    actorType: q.actorType ? String(q.actorType) : undefined,
+    actorId: q.actorId ? String(q.actorId) : undefined,
+    fileId: q.fileId ? String(q.fileId) : undefined,
+    from: date(q.from, 'from'),
+    to: date(q.to, 'to'),
+    beforeId,
+  };
+}
+
+app.get('/cases/:id/audit', requireReviewer, async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format は csv または json を指定してください' });
+    }
+    const c = await loadAccessibleCase(req);
+    const filter = parseAuditFilter(req.query);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-case-${c.id}.csv"`);
+      res.write(AUDIT_CSV_HEADER);
+      let beforeId = filter.beforeId;
+      for (let written = 0; written < AUDIT_CSV_MAX_ROWS;) {
+        const rows = await audit.query(c.id, { ...filter, beforeId, limit: Math.min(1000, AUDIT_CSV_MAX_ROWS - written) });
+        if (!rows.length) break;
+        res.write(serializeAuditCsvRows(rows));
+        written += rows.length;
+        beforeId = String(rows[rows.length - 1].id);
+      }
+      return res.end();
+    }
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    const rows = await audit.query(c.id, { ...filter, limit });
+    const last = rows.length === limit ? rows[rows.length - 1].id : null;
+    res.json({
+      caseId: String(c.id),
+      items: rows.map(toAuditJson),
+      nextCursor: last != null ? encodeCursor(last) : null,
+      nextBefore: last != null ? String(last) : null,
+    });
+  } catch (e) {
+    if (res.headersSent) {
+      console.error('cases/audit error:', e);
+      return res.destroy(e);
+    }
+    if (!e.status) console.error('cases/audit error:', e);
+    sendError(res, e, 'audit query failed');
+  }
+});
+
+// ==========================================================
+// 7.9) 提出書類チェックリスト（CaseDocument）
+// GET    /cases/:id/checklist                 → { status, summary, items }
+// PUT    /cases/:id/checklist { items: [{ docType, required?, dueDate?, notes? }] }
+//        … 追加/更新（新しい docType は提出物（pending）フォルダにも作成）。記載のない docType はそのまま
+// PATCH  /cases/:id/checklist/:docType { required?, dueDate?, notes? }
+// DELETE /cases/:id/checklist/:docType        … 未提出（missing）の項目のみ削除可
+// ==========================================================
+async function sendChecklist(res, caseId) {
+  const c = await prisma.case.findUnique({
+    where: { id: caseId },
+    include: { documents: { orderBy: { id: 'asc' } } },
+  });
+  const now = new Date();
+  res.json({
+    caseId: String(c.id),
+    status: c.status,
+    summary: summarizeChecklist(c.documents, now),
+    items: c.documents.map((d) => toChecklistItemJson(d, now)),
+  });
+}
+
+// pending/<docType> が無ければ作成し、Case.docFolderIds にも反映
+async function ensurePendingDocFolders(c, docTypes) {
+  if (!c.rootId || !docTypes.length) return;
+  const pendingId = (await resolveCaseLayout(c.rootId)).statusFolderIds.pending;
+  if (!pendingId) return;
+  const existing = new Map((await listChildFolders(pendingId)).map((f) => [f.name, f.id]));
+  const pending = { ...(c.docFolderIds?.pending || {}) };
+  for (const docType of docTypes) {
+    pending[docType] = existing.get(docType) || (await createFolder(docType, [pendingId])).id;
+  }
+  await prisma.case.update({
+    where: { id: c.id },
+    data: { docFolderIds: { ...(c.docFolderIds || {}), pending } },
+  });
+}
+
+function sendChecklistError(res, e, label) {
+  if (!e.status) console.error(`${label} error:`, e?.response?.data || e);
+  sendError(res, e, 'checklist update failed');
+}
+
+app.get('/cases/:id/checklist', requireReviewer, async (req, res) => {
+  try {
+    const c = await loadAccessibleCase(req);
+    await sendChecklist(res, c.id);
+  } catch (e) { sendChecklistError(res, e, 'cases/checklist'); }
+});
+
+app.put('/cases/:id/checklist', requireReviewer, async (req, res) => {
+  try {
+    const c = await loadAccessibleCase(req, { documents: true });
+    // 既存項目は指定されたキーのみ更新（新規は required の既定 true）
+    const items = normalizeChecklist(req.body?.items, { defaults: {} });
+    const known = new Set(c.documents.map((d) => d.docType));
+    const added = items.filter((i) => !known.has(i.docType)).map((i) => i.docType);
+
+    await ensurePendingDocFolders(c, added);
+    await prisma.$transaction(
+      items.map(({ docType, ...fields }) =>
+        prisma.caseDocument.upsert({
+          where: { caseId_docType: { caseId: c.id, docType } },
+          create: { caseId: c.id, docType, status: 'missing', required: true, ...fields },
+          update: fields,
+        })
+      )
+    );
+    await audit.record(req, 'checklist.update', { caseId: c.id, rootId: c.rootId ?? undefined, details: { items, added } });
+    await refreshCaseStatus(c.id, req);
+    await sendChecklist(res, c.id);
+  } catch (e) { sendChecklistError(res, e, 'cases/checklist'); }
+});
+
+app.patch('/cases/:id/checklist/:docType', requireReviewer, async (req, res) => {
+  try {
+    const c = await loadAccessibleCase(req);
+    const { docType } = req.params;
+    const patch = normalizeChecklistFields(req.body || {});
+    const r = await prisma.caseDocument.updateMany({ where: { caseId: c.id, docType }, data: patch });
+    if (!r.count) return res.status(404).json({ error: `チェックリストにない docType です: ${docType}` });
+    await audit.record(req, 'checklist.update', { caseId: c.id, rootId: c.rootId ?? undefined, details: { docType, ...patch } });
+    await refreshCaseStatus(c.id, req);
+    await sendChecklist(res, c.id);
+  } catch (e) { sendChecklistError(res, e, 'cases/checklist'); }
+});
+
+app.delete('/cases/:id/checklist/:docType', requireReviewer, async (req, res) => {
+  try {
+    const c = await loadAccessibleCase(req);
+    const { docType } = req.params;
+    const doc = await prisma.caseDocument.findUnique({ where: { caseId_docType: { caseId: c.id, docType } } });
+    if (!doc) return res.status(404).json({ error: `チェックリストにない docType です: ${docType}` });
+    if (doc.status !== 'missing') {
+      return res.status(409).json({ error: '提出済みの書類はチェックリストから削除できません（required: false で任意にしてください）' });
+    }
+    await prisma.caseDocument.delete({ where: { id: doc.id } });
+    await audit.record(req, 'checklist.update', { caseId: c.id, rootId: c.rootId ?? undefined, details: { docType, removed: true } });
+    await refreshCaseStatus(c.id, req);
+    await sendChecklist(res, c.id);
+  } catch (e) { sendChecklistError(res, e, 'cases/checklist'); }
+});
+
+// ==========================================================
+// 7.10) 通知（outbox / テンプレート）
+// GET    /cases/:id/notifications?status=&limit=&cursor=   … 案件の通知履歴（担当者 / admin）
+// POST   /notifications/:id/retry                  … failed の通知を再送（admin）
+// GET    /notification-templates?caseType=         … 登録済みテンプレートと組み込み既定（admin）
+// PUT    /notification-templates { caseType?, event, audience, subject, body }（admin）
+// DELETE /notification-templates/:id（admin）
+// テンプレート変数: {{debtorName}} {{docType}} {{fileName}} {{reason}} {{dueDate}} {{publicUrl}} {{caseId}}
+// （message.* は {{authorName}} {{body}} {{threadLabel}} も使える）
+// ==========================================================
+// debtorEmail / caseType の検証（未指定のキーは含めない）
+function normalizeCaseContact({ debtorEmail, caseType }) {
+  const out = {};
+  if (debtorEmail !== undefined) {
+    if (debtorEmail !== null && (typeof debtorEmail !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(debtorEmail))) {
+      throw httpError(400, 'debtorEmail が不正です');
+    }
+    out.debtorEmail = debtorEmail || null;
+  }
+  if (caseType !== undefined) {
+    if (typeof caseType !== 'string' || !caseType.trim() || caseType.trim() === '*') {
+      throw httpError(400, 'caseType が不正です');
+    }
+    out.caseType = caseType.trim();
+  }
+  return out;
+}
+
+app.get('/cases/:id/notifications', requireReviewer, async (req, res) => {
+  try {
+    const c = await loadAccessibleCase(req);
+    const { status } = req.query;
+    if (status && !NOTIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status は ${NOTIFICATION_STATUSES.join(' / ')} のいずれかです` });
+    }
+    const page = parsePageQuery(req.query, { defaultLimit: 100, maxLimit: 500 });
+    const rows = await prisma.notification.findMany({
+      where: { caseId: c.id, ...(status ? { status } : {}) },
+      orderBy: { id: 'desc' },
+      ...pageArgs(page),
+    });
+    const { items, nextCursor } = toPage(rows, page);
+    res.json({ caseId: String(c.id), channels: notifier.channels, notifications: items.map(toNotificationJson), nextCursor });
+  } catch (e) {
+    if (!e.status) console.error('cases/notifications error:', e);
+    sendError(res, e, '通知履歴の取得に失敗しました');
+  }
+});
+
+app.post('/notifications/:id/retry', requireAdmin, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'id が不正です' });
+    const id = BigInt(req.params.id);
+    const { count } = await prisma.notification.updateMany({
+      where: { id, status: 'failed' },
+      data: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null },
+    });
+    const n = await prisma.notification.findUnique({ where: { id } });
+    if (!n) return res.status(404).json({ error: '通知が見つかりません' });
+    if (!count) return res.status(409).json({ error: `status が ${n.status} の通知は再送できません（failed のみ）` });
+    notifier.deliverDue().catch((err) => console.error('notification retry error:', err));
+    res.json({ notification: toNotificationJson(n) });
+  } catch (e) {
+    console.error('notifications/retry error:', e);
+    sendError(res, e, '再送に失敗しました');
+  }
+});
+
+const toTemplateJson = (t) => ({
+  id: String(t.id),
+  caseType: t.caseType,
+  event: t.event,
+  audience: t.audience,
+  subject: t.subject,
+  body: t.body,
+  updatedAt: t.updatedAt,
+});
+
+app.get('/notification-templates', requireAdmin, async (req, res) => {
+  try {
+    const { caseType } = req.query;
+    const rows = await prisma.notificationTemplate.findMany({
+      where: caseType ? { caseType: String(caseType) } : {},
+      orderBy: [{ caseType: 'asc' }, { event: 'asc' }, { audience: 'asc' }],
+    });
+    res.json({
+      events: NOTIFY_EVENTS,
+      audiences: NOTIFY_AUDIENCES,
+      templates: rows.map(toTemplateJson),
+      defaults: DEFAULT_TEMPLATES,
+    });
+  } catch (e) {
+    console.error('notification-templates error:', e);
+    sendError(res, e, 'テンプレートの取得に失敗しました');
+  }
+});
+
+app.put('/notification-templates', requireAdmin, async (req, res) => {
+  try {
+    const { caseType = '*', event, audience, subject, body } = req.body || {};
+    if (!NOTIFY_EVENTS.includes(event)) {
+      return res.status(400).json({ error: `event は ${NOTIFY_EVENTS.join(' / ')} のいずれかです` });
+    }
+    if (!NOTIFY_AUDIENCES.includes(audience)) {
+      return res.status(400).json({ error: `audience は ${NOTIFY_AUDIENCES.join(' / ')} のいずれかです` });
+    }
+    if (typeof caseType !== 'string' || !caseType.trim()) return res.status(400).json({ error: 'caseType が不正です' });
+    if (typeof subject !== 'string' || !subject.trim() || typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({ error: 'subject と body は必須です' });
+    }
+    const key = { caseType: caseType.trim(), event, audience };
+    const t = await prisma.notificationTemplate.upsert({
+      where: { caseType_event_audience: key },
+      create: { ...key, subject, body },
+      update: { subject, body },
+    });
+    res.json({ template: toTemplateJson(t) });
+  } catch (e) {
+    console.error('notification-templates error:', e);
+    sendError(res, e, 'テンプレートの保存に失敗しました');
+  }
+});
+
+app.delete('/notification-templates/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'id が不正です' });
+    await prisma.notificationTemplate.delete({ where: { id: BigInt(req.params.id) } });
+    res.json({ message: '削除しました（組み込み既定に戻ります）' });
+  } catch (e) {
+    if (e?.code === 'P2025') return res.status(404).json({ error: 'テンプレートが見つかりません' });
+    console.error('notification-templates error:', e);
+    sendError(res, e, 'テンプレートの削除に失敗しました');
+  }
+});
+
+// ==========================================================
+// 7.11) Drive 上で直接行われた変更の取り込み
+// Drive の Web UI でのドラッグ移動・名前変更・ゴミ箱移動・直接追加を manifest / CaseDocument / 監査ログへ反映する
+//   worker … 変更フィード（lib/driveSync.js、STORAGE_BACKEND=drive のみ。DRIVE_SYNC=false で無効）
+//   POST /drive/changes/notify               … Drive の push 通知の受け口（DRIVE_SYNC_WEBHOOK_URL）
+//   POST /cases/:id/reconcile                 … フォルダ構成から manifest と CaseDocument を作り直す（手動修復）
+// docType フォルダ自体の名前変更は変更フィードでは扱わない（reconcile で反映）
+// ==========================================================
+
+// 同じ docType に複数ファイルがある場合に CaseDocument が指すファイル
+// 審査待ち（最新）> 現在のファイル > 承認済（最新）> 差し戻し（最新）
+function pickDocumentFile(rows, currentFileId) {
+  const newest = (status) =>
+    rows.filter((r) => r.status === status).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))[0];
+  return newest('pending') || rows.find((r) => r.fileId === currentFileId) || newest('approved') || newest('rejected') || null;
+}
+
+/**
+ * manifest 行（= 実際のフォルダ配置）に合わせて CaseDocument を更新
+ * チェックリスト外の docType にファイルがあれば任意書類（required: false）として追加
+ * @returns {Promise<object[]>} 変更内容 [{ docType, from: { status, fileId }, to: { status, fileId } }]
+ */
+async function syncCaseDocuments(c, rows, req = null) {
+  const docs = await prisma.caseDocument.findMany({ where: { caseId: c.id } });
+  const docByType = new Map(docs.map((d) => [d.docType, d]));
+  const docTypes = new Set([...docByType.keys(), ...rows.map((r) => r.docType)]);
+  const now = new Date();
+  const changes = [];
+
+  for (const docType of docTypes) {
+    const doc = docByType.get(docType);
+    const pick = pickDocumentFile(rows.filter((r) => r.docType === docType), doc?.fileId);
+    const status = pick ? pick.status : 'missing';
+    if (!doc && !pick) continue;
+    if (doc && doc.status === status && doc.fileId === (pick?.fileId ?? null)) continue;
+
+    const sameFile = doc && pick && doc.fileId === pick.fileId;
+    const createdAt = pick?.createdAt ? new Date(pick.createdAt) : null;
+    const data = !pick
+      ? { status, fileId: null, submittedAt: null, decidedAt: null, reason: null }
+      : {
+          status,
+          fileId: pick.fileId,
+          submittedAt: (sameFile && doc.submittedAt) || (createdAt && !Number.isNaN(createdAt.getTime()) ? createdAt : now),
+          decidedAt: status === 'pending' ? null : now,
+          reason: status === 'rejected' && sameFile ? doc.reason : null,
+        };
+    if (doc) await prisma.caseDocument.update({ where: { id: doc.id }, data });
+    else await prisma.caseDocument.create({ data: { caseId: c.id, docType, required: false, ...data } });
+
+    changes.push({
+      docType,
+      from: doc ? { status: doc.status, fileId: doc.fileId } : null,
+      to: { status, fileId: data.fileId },
+    });
+    // 通知は状態が変わったときだけ（同じ状態のままファイルだけ差し替わった場合や、同期の再実行では送らない）
+    if ((status === 'approved' || status === 'rejected') && doc?.status !== status) {
+      await notifier.emit(`document.${status}`, {
+        caseId: c.id,
+        data: { docType, fileName: pick.fileName, fileId: pick.fileId, reason: data.reason || '' },
+      });
+    }
+  }
+  if (changes.length) await refreshCaseStatus(c.id, req);
+  return changes;
+}
+
+// 1 件の変更を manifest と監査ログへ。影響した案件の rootId を返す
+async function applyDriveChange({ fileId, removed, file }) {
+  if (file && (file.mimeType === FOLDER_MIME || file.name === MANIFEST_NAME)) return [];
+  // ゴミ箱内のファイルも parents は残るので元の案件を辿れる
+  const loc = file && !removed ? await resolveFolderContext(file.parents?.[0]).catch(() => null) : null;
+  const inCase = loc && !file.trashed ? loc : null;
+
+  // 影響しうる案件: 現在の配置先 + CaseDocument が指している案件（別案件への移動・完全削除）
+  const linked = await prisma.caseDocument.findMany({ where: { fileId }, select: { case: { select: { rootId: true } } } });
+  const rootIds = new Set([loc?.rootId, ...linked.map((d) => d.case.rootId)].filter(Boolean));
+  const affected = [];
+
+  for (const rootId of rootIds) {
+    const c = await prisma.case.findUnique({ where: { rootId }, select: { id: true } });
+    if (!c) continue;
+    const here = inCase && inCase.rootId === rootId ? inCase : null;
+    const { file: manifestFile, rows } = await manifest.read(rootId);
+    if (!manifestFile) {
+      // manifest の無い案件はフォルダ構成から作る（以前の配置は分からない）
+      const rebuilt = await manifest.rebuild(rootId);
+      await documentIndex.syncCase(c.id, rebuilt.rows);
+      await audit.record(null, 'file.sync', {
+        caseId: c.id, rootId, fileId,
+        details: { change: 'unknown', name: file?.name ?? null, from: null, to: here && { docType: here.docType, status: here.status, name: file.name } },
+      });
+      affected.push(rootId);
+      continue;
+    }
+    const prev = rows.find((r) => r.fileId === fileId) || null;
+
+    let change = null;
+    if (here) {
+      const moved = prev && (prev.status !== here.status || prev.docType !== here.docType);
+      const renamed = prev && prev.fileName !== file.name;
+      if (!prev) change = 'added';
+      else if (moved) change = renamed ? 'moved_renamed' : 'moved';
+      else if (renamed) change = 'renamed';
+      if (!change) continue;
+      await recordManifest(rootId, {
+        fileId,
+        fileName: file.name,
+        docType: here.docType,
+        status: here.status,
+        ...(change === 'added' && file.createdTime ? { createdAt: file.createdTime } : {}),
+        ...(change === 'added' || moved ? { decidedAt: here.status === 'pending' ? '' : new Date().toISOString() } : {}),
+      });
+    } else {
+      if (!prev) continue;
+      change = removed ? 'deleted' : file?.trashed ? 'trashed' : 'moved_out';
+      await manifest.remove(rootId, fileId).catch((err) => console.error('manifest update error:', err?.response?.data || err));
+      await documentIndex.markRemoved(c.id, fileId);
+    }
+
+    await audit.record(null, 'file.sync', {
+      caseId: c.id,
+      rootId,
+      fileId,
+      details: {
+        change,
+        name: file?.name ?? prev?.fileName,
+        from: prev ? { docType: prev.docType, status: prev.status, name: prev.fileName } : null,
+        to: here ? { docType: here.docType, status: here.status, name: file.name } : null,
+      },
+    });
+    affected.push(rootId);
+  }
+  return affected;
+}
+
+// 変更フィードの 1 ページ分。1 件の失敗でページ全体を止めない（取りこぼしは reconcile で直す）
+async function applyDriveChanges(changes) {
+  const roots = new Set();
+  // 配置が変わったものは案件ルートの確認をやり直す（フォルダの移動は配下すべてに効く）
+  if (changes.some((ch) => ch.file?.mimeType === FOLDER_MIME)) ancestry.clear();
+  else for (const ch of changes) ancestry.invalidate(ch.fileId);
+  for (const ch of changes) {
+    try {
+      for (const rootId of await applyDriveChange(ch)) roots.add(rootId);
+    } catch (err) {
+      console.error(`drive sync change ${ch.fileId} error:`, err?.response?.data || err);
+    }
+  }
+  for (const rootId of roots) {
+    try {
+      const c = await prisma.case.findUnique({ where: { rootId } });
+      if (!c) continue;
+      const { rows } = await manifest.read(rootId);
+      const documents = await syncCaseDocuments(c, rows);
+      if (documents.length) {
+        await audit.record(null, 'case.reconcile', { caseId: c.id, rootId, details: { source: 'drive_changes', documents } });
+      }
+    } catch (err) {
+      console.error(`drive sync case ${rootId} error:`, err?.response?.data || err);
+    }
+  }
+}
+
+const driveSync = storage.kind === 'drive' && process.env.DRIVE_SYNC !== 'false'
+  ? createDriveSync({ prisma, drive: storage.drive, call: storage.call, onChanges: applyDriveChanges })
+  : null;
+
+// Google からの通知（認証は X-Goog-Channel-Token で行う）。不明なチャネルにも 2xx を返して再送させない
+app.post('/drive/changes/notify', async (req, res) => {
+  try {
+    if (driveSync && !(await driveSync.handleNotification(req.headers))) {
+      console.warn('drive changes notify: unknown channel', req.headers['x-goog-channel-id']);
+    }
+  } catch (err) {
+    console.error('drive/changes/notify error:', err);
+  }
+  res.status(204).end();
+});
+
+app.post('/cases/:id/reconcile', requireReviewer, async (req, res) => {
+  try {
+    const c = await loadAccessibleCase(req);
+    if (!c.rootId) return res.status(409).json({ error: 'フォルダが未作成の案件です', code: 'NO_FOLDERS' });
+    const { file, rows, removed } = await manifest.rebuild(c.rootId);
+    await documentIndex.syncCase(c.id, rows);
+    const documents = await syncCaseDocuments(c, rows, req);
+    await audit.record(req, 'case.reconcile', {
+      caseId: c.id,
+      rootId: c.rootId,
+      details: { source: 'manual', manifestRows: rows.length, manifestRemoved: removed, documents },
+    });
+    const after = await prisma.case.findUnique({ where: { id: c.id }, select: { status: true } });
+    res.json({
+      message: '再同期しました',
+      caseId: String(c.id),
+      status: after.status,
+      manifest: { file, count: rows.length, removed },
+      documents,
+    });
+  } catch (err) {
+    if (!err.status) console.error('cases/reconcile error:', err?.response?.data || err);
+    sendError(res, err, 'Google Drive API error');
+  }
+});
+
+// ==========================================================
+// 7.12) 書類の横断検索（DocumentFile 索引。Drive は辿らない）
+// GET /search?q=&debtorName=&docType=&status=&fileName=&uploadedFrom=&uploadedTo=&caseId=&includeSuperseded=&limit=&cursor=
+// q はファイル名 / 債務者名 / docType のいずれかに部分一致。status: pending | approved | rejected | removed
+// 再提出で差し替わった過去版は includeSuperseded=true のときだけ含める
+// uploadedFrom 以上 uploadedTo 未満（ISO 日時）。admin 以外は担当案件のみ
+// 既存案件の索引は POST /cases/:id/reconcile または npm run documents:reindex で作成する
+// ==========================================================
+app.get('/search', requireReviewer, async (req, res) => {
+  try {
+    const q = req.query;
+    const str = (v) => (v != null && String(v).trim() ? String(v).trim() : undefined);
+    const status = str(q.status);
+    if (status && !DOCUMENT_FILE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status は ${DOCUMENT_FILE_STATUSES.join(' / ')} のいずれかです` });
+    }
+    if (q.caseId != null && !/^\d+$/.test(String(q.caseId))) return res.status(400).json({ error: 'caseId が不正です' });
+    const page = parsePageQuery(q, { defaultLimit: 50, maxLimit: 200 });
+    const uploadedFrom = parseDateParam(q.uploadedFrom, 'uploadedFrom');
+    const uploadedTo = parseDateParam(q.uploadedTo, 'uploadedTo');
+
+    const rows = await documentIndex.search(
+      {
+        q: str(q.q),
+        debtorName: str(q.debtorName),
+        docType: str(q.docType),
+        status,
+        fileName: str(q.fileName),
+        uploadedFrom: uploadedFrom && new Date(uploadedFrom),
+        uploadedTo: uploadedTo && new Date(uploadedTo),
+        caseId: q.caseId,
+        includeSuperseded: q.includeSuperseded === 'true',
+        reviewerId: req.reviewer.role === 'admin' ? undefined : req.reviewer.id,
+      },
+      page
+    );
+    const { items, nextCursor } = toPage(rows, page);
+    res.json({ results: items.map(toDocumentFileJson), nextCursor });
+  } catch (e) {
+    if (!e.status) console.error('search error:', e);
+    sendError(res, e, '検索に失敗しました');
+  }
+});
+
+// ==========================================================
+// 7.13) 案件フォルダの ZIP 一括エクスポート（弁護士・監査人への送付用）
+// GET /cases/:rootId/export.zip[?status=approved,rejected&docTypes=a,b]
+// status はキー（pending / approved / rejected）または案件テンプレートのフォルダ名（02_承認済 等）、カンマ区切りで複数可
+// <案件名>/<ステータス>/<docType>/<ファイル> の構成を保ち、manifest.csv（出力対象の行）を同梱する
+// ファイルは 1 件ずつストレージから読みながら書き出す（アーカイブ全体をメモリに持たない）
+// 隔離フォルダと Google ドキュメント形式（ダウンロード不可）は含めない
+// ==========================================================
+const csvParam = (v) =>
+  (Array.isArray(v) ? v : [v]).flatMap((x) => String(x ?? '').split(',')).map((x) => x.trim()).filter(Boolean);
+
+// status クエリ → ステータスキーの一覧（未指定なら全ステータス）
+function parseExportStatuses(v, template) {
+  const keys = csvParam(v).map((x) => (STATUS_KEYS.includes(x) ? x : statusKeyByName(template, x)));
+  if (keys.includes(null)) {
+    throw httpError(400, `status は ${STATUS_KEYS.join(' / ')}（またはフォルダ名）で指定してください`);
+  }
+  return keys.length ? [...new Set(keys)] : [...STATUS_KEYS];
+}
+
+// 案件ルート配下の出力対象 → [{ fileId, path, status, docType }]（ルート直下のステータスフォルダから辿るので root 外は含まれない）
+async function collectExportEntries(root, { statusFolderIds, statuses, docTypes }) {
+  const entries = [];
+  const used = new Set();
+  // 同名ファイル（Drive では同じフォルダに同名を置ける）は "name (2).pdf" のように
+  const uniquePath = (dir, name) => {
+    const safe = String(name).replace(/[\\/]/g, '_');
+    const dot = safe.lastIndexOf('.');
+    const [base, ext] = dot > 0 ? [safe.slice(0, dot), safe.slice(dot)] : [safe, ''];
+    let p = `${dir}/${safe}`;
+    for (let i = 2; used.has(p); i++) p = `${dir}/${base} (${i})${ext}`;
+    used.add(p);
+    return p;
+  };
+
+  const statusFolders = (await listChildFolders(root.id)).filter((f) => Object.values(statusFolderIds).includes(f.id));
+  for (const status of statuses) {
+    const statusFolder = statusFolders.find((f) => f.id === statusFolderIds[status]);
+    if (!statusFolder) continue;
+    for (const docFolder of await listChildFolders(statusFolder.id)) {
+      if (docTypes.length && !docTypes.includes(docFolder.name)) continue;
+      let pageToken;
+      do {
+        const page = await storage.list(docFolder.id, {
+          kind: 'file', pageSize: 1000, pageToken, orderBy: 'name', fields: 'id,name,mimeType',
+        });
+        for (const f of page.files) {
+          if (f.mimeType?.startsWith('application/vnd.google-apps.')) continue;
+          entries.push({
+            fileId: f.id,
+            path: uniquePath(`${root.name}/${statusFolder.name}/${docFolder.name}`, f.name),
+            status,
+            docType: docFolder.name,
+          });
+        }
+        pageToken = page.nextPageToken;
+      } while (pageToken);
+    }
+  }
+  return entries;
+}
+
+// append したエントリの書き込み完了（= ストレージからの読み込み完了）まで待つ
+// クライアント切断（signal）時は読み込み中のストリームを閉じて中断
+function appendEntry(archive, body, name, signal) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      archive.off('entry', onEntry);
+      archive.off('error', onError);
+      signal.removeEventListener('abort', onAbort);
+    };
+    const onEntry = () => { cleanup(); resolve(); };
+    const onError = (err) => { cleanup(); reject(err); };
+    const onAbort = () => {
+      cleanup();
+      if (typeof body?.destroy === 'function') body.destroy();
+      reject(signal.reason);
+    };
+    if (signal.aborted) return onAbort();
+    archive.on('entry', onEntry);
+    archive.on('error', onError);
+    signal.addEventListener('abort', onAbort);
+    archive.append(body, { name });
+  });
+}
+
+app.get('/cases/:rootId/export.zip', requireReviewer, async (req, res) => {
+  let archive = null;
+  let written = 0;
+  let exportLog = null;
+  const aborter = new AbortController();
+  try {
+    const { rootId } = req.params;
+    const c = await prisma.case.findUnique({ where: { rootId } });
+    if (!c) return res.status(404).json({ error: '案件のルートフォルダではありません' });
+    if (!canAccessCase(req, c)) return res.status(403).json({ error: 'forbidden: 担当外の案件です', code: 'CASE_ACCESS_DENIED' });
+    const { template, statusFolderIds } = await resolveCaseLayout(rootId);
+    const statuses = parseExportStatuses(req.query.status, template);
+    const docTypes = csvParam(req.query.docTypes);
+
+    const root = await storage.get(rootId, { fields: 'id,name' });
+    const entries = await collectExportEntries(root, { statusFolderIds, statuses, docTypes });
+    const included = new Set(entries.map((e) => e.fileId));
+    const { file: manifestFile, rows } = await manifest.read(rootId);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(`${root.name}.zip`)}`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    exportLog = (aborted) => audit.record(req, 'case.export', {
+      caseId: c.id,
+      rootId,
+      details: { statuses, docTypes, files: written, total: entries.length, aborted },
+    });
+
+    archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('warning', (err) => console.warn('export.zip warning:', err));
+    archive.pipe(res);
+    res.on('close', () => {
+      if (!res.writableFinished) aborter.abort(httpError(499, 'client closed request'));
+    });
+
+    if (manifestFile) {
+      const filtered = statuses.length === STATUS_KEYS.length && !docTypes.length
+        ? rows
+        : rows.filter((r) => included.has(r.fileId));
+      await appendEntry(archive, serializeManifest(filtered), `${root.name}/manifest.csv`, aborter.signal);
+    }
+    for (const e of entries) {
+      await appendEntry(archive, await storage.read(e.fileId), e.path, aborter.signal);
+      written++;
+    }
+    await archive.finalize();
+    await exportLog(false);
+  } catch (err) {
+    if (aborter.signal.aborted) {
+      archive?.abort();
+      return exportLog?.(true);
+    }
+    // 書き出し開始後は途中で切るしかない（不完全な ZIP をクライアントが検知できるように）
+    if (res.headersSent) {
+      console.error('export.zip error:', err?.response?.data || err);
+      archive?.abort();
+      return res.destroy(err);
+    }
+    if (!err.status) console.error('export.zip error:', err?.response?.data || err);
+    sendError(res, err, 'Google Drive API error');
+  }
+});
+
+// ==========================================================
+// 7.14) 案件フォルダのテンプレート（CaseTemplate）
+// GET    /case-templates                 … 登録済みテンプレートと組み込み既定（審査者）
+// GET    /case-templates/:name
+// PUT    /case-templates/:name { description?, statusFolders, docTypes?, folders? }（admin）
+// DELETE /case-templates/:name           … 使用中の案件があれば 409。default を消すと組み込み既定に戻る（admin）
+// statusFolders: [{ key: pending|approved|rejected, name, share?: private|anyone }]（3 つとも必須）
+// 既存案件はフォルダ id で解決するので、表示名を変えても作成済みのフォルダはそのまま使える
+// ==========================================================
+app.get('/case-templates', requireReviewer, async (req, res) => {
+  try {
+    const templates = await caseTemplates.list();
+    res.json({ templates: templates.map(toCaseTemplateJson) });
+  } catch (e) {
+    console.error('case-templates error:', e);
+    sendError(res, e, 'テンプレートの取得に失敗しました');
+  }
+});
+
+app.get('/case-templates/:name', requireReviewer, async (req, res) => {
+  try {
+    const template = await caseTemplates.get(req.params.name);
+    if (!template) return res.status(404).json({ error: 'テンプレートが見つかりません' });
+    res.json({ template: toCaseTemplateJson(template) });
+  } catch (e) {
+    console.error('case-templates error:', e);
+    sendError(res, e, 'テンプレートの取得に失敗しました');
+  }
+});
+
+app.put('/case-templates/:name', requireAdmin, async (req, res) => {
+  try {
+    const template = await caseTemplates.save(normalizeCaseTemplate(req.params.name, req.body || {}));
+    res.json({ template: toCaseTemplateJson(template) });
+  } catch (e) {
+    if (e.status === 400) return res.status(400).json({ error: e.message });
+    console.error('case-templates error:', e);
+    sendError(res, e, 'テンプレートの保存に失敗しました');
+  }
+});
+
+app.delete('/case-templates/:name', requireAdmin, async (req, res) => {
+  try {
+    const row = await prisma.caseTemplate.findUnique({
+      where: { name: req.params.name },
+      include: { _count: { select: { cases: true } } },
+    });
+    if (!row) return res.status(404).json({ error: 'テンプレートが見つかりません' });
+    if (row._count.cases) {
+      return res.status(409).json({ error: 'このテンプレートで作成した案件があるため削除できません', cases: row._count.cases });
+    }
+    await prisma.caseTemplate.delete({ where: { id: row.id } });
+    res.json({ message: row.name === 'default' ? '削除しました（組み込み既定に戻ります）' : '削除しました' });
+  } catch (e) {
+    console.error('case-templates error:', e);
+    sendError(res, e, 'テンプレートの削除に失敗しました');
+  }
+});
+
+// ==========================================================
+// 7.15) 提出書類の版履歴
+// GET /documents/:id/history   … id は CaseDocument（チェックリスト項目）の id
+// → { document, versions: [古い順。label 付き], timeline: [submitted / rejected / resubmitted / approved / superseded / removed] }
+// 版は案件・docType ごとの DocumentFile の系列（審査待ちへの提出のたびに次の版になる）
+// ==========================================================
+app.get('/documents/:id/history', requireReviewer, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'id が不正です' });
+    const doc = await prisma.caseDocument.findUnique({ where: { id: BigInt(req.params.id) }, include: { case: true } });
+    if (!doc) return res.status(404).json({ error: '書類が見つかりません', code: 'DOCUMENT_NOT_FOUND' });
+    if (!canAccessCase(req, doc.case)) return res.status(403).json({ error: 'forbidden: 担当外の案件です', code: 'CASE_ACCESS_DENIED' });
+
+    const versions = await documentIndex.history(doc.caseId, doc.docType);
+    const byId = new Map(versions.map((v) => [String(v.id), v]));
+    res.json({
+      document: {
+        id: String(doc.id),
+        caseId: String(doc.caseId),
+        docType: doc.docType,
+        status: doc.status,
+        reason: doc.reason,
+        fileId: doc.fileId,
+      },
+      versions: versions.map((v) => ({
+        ...toDocumentFileJson(v),
+        label: versionLabel(v, v.previousId != null ? byId.get(String(v.previousId)) : null),
+        current: v.fileId === doc.fileId,
+      })),
+      timeline: toVersionTimeline(versions),
+    });
+  } catch (e) {
+    console.error('documents/history error:', e);
+    sendError(res, e, '履歴の取得に失敗しました');
+  }
+});
+
+// ==========================================================
+// 7.16) メッセージ（審査者 ⇔ 債務者。案件全体のスレッドと書類ごとのスレッド）
+// GET  /cases/:id/messages?documentId=&thread=case|all&limit=&cursor=   … 新しい順 + 未読件数（債務者からの投稿）
+// POST /cases/:id/messages { body, documentId?, attachments?: [fileId] }  … documentId なしは案件全体のスレッド
+// POST /cases/:id/messages/read { documentId?, thread?, upToId? }        … 債務者からの投稿を既読に
+// 添付は案件に提出済みのファイル（DocumentFile）の fileId。債務者側は GET/POST /portal/messages
+// ==========================================================
+
+// ?documentId= / ?thread= → { threads, document }（どちらも無ければ案件内のすべて）
+async function resolveCaseThread(c, { documentId, thread } = {}) {
+  if (documentId != null && documentId !== '') {
+    if (!/^\d+$/.test(String(documentId))) throw httpError(400, 'documentId が不正です');
+    const document = await prisma.caseDocument.findFirst({ where: { id: BigInt(documentId), caseId: c.id } });
+    if (!document) throw httpError(404, '書類が見つかりません', 'DOCUMENT_NOT_FOUND');
+    return { threads: { documentIds: [document.id] }, document };
+  }
+  if (thread === 'case') return { threads: { case: true }, document: null };
+  if (thread != null && thread !== '' && thread !== 'all') throw httpError(400, 'thread は case または all を指定してください');
+  return { threads: null, document: null };
+}
+
+const parseUpToId = (v) => {
+  if (v == null || v === '') return undefined;
+  if (!/^\d+$/.test(String(v))) throw httpError(400, 'upToId が不正です');
+  return String(v);
+};
+
+app.get('/cases/:id/messages', requireReviewer, async (req, res) => {
+  try {
+    const c = await loadAccessibleCase(req);
+    const { threads } = await resolveCaseThread(c, req.query);
+    const page = parsePageQuery(req.query, { defaultLimit: 50, maxLimit: 200 });
+    const rows = await messages.list(c.id, { threads, ...pageArgs(page) });
+    const { items, nextCursor } = toPage(rows, page);
+    res.json({
+      caseId: String(c.id),
+      messages: items.map((m) => toMessageResponse(m)),
+      nextCursor,
+      unread: await messages.unreadCounts(c.id, { reader: 'staff', threads }),
+    });
+  } catch (e) {
+    if (!e.status) console.error('cases/messages error:', e);
+    sendError(res, e, 'メッセージの取得に失敗しました');
+  }
+});
+
+app.post('/cases/:id/messages', requireReviewer, async (req, res) => {
+  try {
+    const c = await loadAccessibleCase(req);
+    const { body, fileIds } = normalizeMessageInput(req.body);
+    const { document } = await resolveCaseThread(c, { documentId: req.body?.documentId, thread: 'case' });
+    const attachments = await messages.resolveAttachments(c.id, fileIds);
+    const m = await postMessage(req, c, { document, body, attachments });
+    res.status(201).json(toMessageResponse(m));
+  } catch (e) {
+    if (!e.status) console.error('cases/messages post error:', e);
+    sendError(res, e, 'メッセージの投稿に失敗しました');
+  }
+});
+
+app.post('/cases/:id/messages/read', requireReviewer, async (req, res) => {
+  try {
+    const c = await loadAccessibleCase(req);
+    const { threads } = await resolveCaseThread(c, req.body || {});
+    const read = await messages.markRead(c.id, {
+      reader: 'staff', readBy: req.reviewer.id, threads, upToId: parseUpToId(req.body?.upToId),
+    });
+    res.json({ read, unread: await messages.unreadCounts(c.id, { reader: 'staff' }) });
+  } catch (e) {
+    if (!e.status) console.error('cases/messages/read error:', e);
+    sendError(res, e, '既読の記録に失敗しました');
+  }
+});
+
+// ==========================================================
+// 7.17) 案件の終了・アーカイブ・保存期間
+// POST /cases/:id/close { reason? }       … 公開リンク停止・ポータルトークン失効・配下の anyone 権限を削除（閉じ済みなら共有の解除をやり直す）
+// POST /cases/:id/archive                 … close + ルートフォルダを CASE_ARCHIVE_PARENT_ID の下へ移動
+// PUT  /cases/:id/legal-hold { legalHold, reason? }（admin）… true の間は保存期間を過ぎても削除しない
+// GET  /retention/report?days=（admin） … 保存期間（CASE_RETENTION_DAYS）を過ぎた案件の一覧（削除はしない）
+// 削除の実行は scripts/purge-cases.js（--dry-run で同じ一覧を表示）
+// ==========================================================
+app.post('/cases/:id/close', requireReviewer, async (req, res) => {
+  try {
+    const c = await loadAccessibleCase(req);
+    const { reason } = req.body || {};
+    if (reason != null && typeof reason !== 'string') return res.status(400).json({ error: 'reason は文字列で指定してください' });
+    const result = await lifecycle.close(req, c, { reason: reason?.trim() || undefined });
+    res.json({
+      ...toLifecycleJson(result.case),
+      deactivatedLinks: result.deactivatedLinks,
+      revokedTokens: result.revokedTokens,
+      sharing: result.sharing,
+    });
+  } catch (e) {
+    if (!e.status) console.error('cases/close error:', e?.response?.data || e);
+    sendError(res, e, '案件の終了に失敗しました');
+  }
+});
+
+app.post('/cases/:id/archive', requireReviewer, async (req, res) => {
+  try {
+    const c = await loadAccessibleCase(req);
+    const result = await lifecycle.archive(req, c);
+    if (result.moved) ancestry.clear();
+    res.json({
+      ...toLifecycleJson(result.case),
+      moved: result.moved,
+      ...(result.closed ? {
+        deactivatedLinks: result.closed.deactivatedLinks,
+        revokedTokens: result.closed.revokedTokens,
+        sharing: result.closed.sharing,
+      } : {}),
+    });
+  } catch (e) {
+    if (!e.status) console.error('cases/archive error:', e?.response?.data || e);
+    sendError(res, e, '案件のアーカイブに失敗しました');
+  }
+});
+
+app.put('/cases/:id/legal-hold', requireAdmin, async (req, res) => {
+  try {
+    const c = await loadAccessibleCase(req);
+    const { legalHold, reason } = req.body || {};
+    if (typeof legalHold !== 'boolean') return res.status(400).json({ error: 'legalHold は boolean で指定してください' });
+    if (reason != null && typeof reason !== 'string') return res.status(400).json({ error: 'reason は文字列で指定してください' });
+    const updated = await lifecycle.setLegalHold(req, c, { legalHold, reason: reason?.trim() || undefined });
+    res.json(toLifecycleJson(updated));
+  } catch (e) {
+    if (!e.status) console.error('cases/legal-hold error:', e);
+    sendError(res, e, '訴訟ホールドの更新に失敗しました');
+  }
+});
+
+app.get('/retention/report', requireAdmin, async (req, res) => {
+  try {
+    const { days } = req.query;
+    if (days != null && !/^\d+$/.test(String(days))) return res.status(400).json({ error: 'days は日数（整数）で指定してください' });
+    const report = await lifecycle.retentionReport({ days: days != null ? Number(days) : undefined });
+    res.json({
+      days: report.days,
+      cutoff: report.cutoff,
+      due: report.due.map((c) => toRetentionJson(c, report.days)),
+      held: report.held.map((c) => toRetentionJson(c, report.days)),
+    });
+  } catch (e) {
+    if (!e.status) console.error('retention/report error:', e);
+    sendError(res, e, '保存期間の集計に失敗しました');
+  }
+});
+
+// ==========================================================
+// 7.18) 審査者ダッシュボード（DB から集計。Drive は辿らない）
+// GET /dashboard?status=&debtorName=&overdue=&reviewerId=&limit=&cursor=&queueLimit=
+//     → { generatedAt, slaHours, summary, cases, nextCursor, queue, queueNextCursor }
+// GET /dashboard/queue?status=&debtorName=&overdue=&reviewerId=&docType=&breached=&limit=&cursor=
+//     → { items, nextCursor }  … 審査待ちの書類を提出の古い順に（/dashboard の queueNextCursor の続きも取れる）
+// status はカンマ区切り（未指定なら closed / archived を除く）。overdue=true は期限切れの未提出・要再提出がある案件
+// breached=true は SLA（REVIEW_SLA_HOURS、既定 72 時間）を過ぎた審査待ちのみ
+// reviewerId=none は担当者なし。admin 以外は自分の担当案件のみ
+// ==========================================================
+const dashboard = createDashboard(prisma, { slaHours: Number(process.env.REVIEW_SLA_HOURS || 72) });
+
+function dashboardFilter(req) {
+  const filter = parseDashboardQuery(req.query);
+  if (req.reviewer.role !== 'admin') filter.reviewerId = req.reviewer.id;
+  return filter;
+}
+
+app.get('/dashboard', requireReviewer, async (req, res) => {
+  try {
+    const filter = dashboardFilter(req);
+    const page = parsePageQuery(req.query, { defaultLimit: 50, maxLimit: 200 });
+    const queuePage = parsePageQuery({ limit: req.query.queueLimit }, { defaultLimit: 20, maxLimit: 100 });
+    const now = new Date();
+    const [summary, cases, queue] = await Promise.all([
+      dashboard.summary(filter, now),
+      dashboard.listCases(filter, page, now),
+      dashboard.queue(filter, queuePage, now),
+    ]);
+    const casePage = toPage(cases, page);
+    const queueHead = toPage(queue, queuePage);
+    res.json({
+      generatedAt: now,
+      slaHours: dashboard.slaHours,
+      summary,
+      cases: casePage.items.map((c) => dashboard.toDashboardCaseJson(c, now)),
+      nextCursor: casePage.nextCursor,
+      queue: queueHead.items.map((d) => dashboard.toQueueItemJson(d, now)),
+      queueNextCursor: queueHead.nextCursor,
+    });
+  } catch (e) {
+    if (!e.status) console.error('dashboard error:', e);
+    sendError(res, e, 'ダッシュボードの集計に失敗しました');
+  }
+});
+
+app.get('/dashboard/queue', requireReviewer, async (req, res) => {
+  try {
+    const filter = dashboardFilter(req);
+    const page = parsePageQuery(req.query, { defaultLimit: 50, maxLimit: 200 });
+    const now = new Date();
+    const { items, nextCursor } = toPage(await dashboard.queue(filter, page, now), page);
+    res.json({ items: items.map((d) => dashboard.toQueueItemJson(d, now)), nextCursor });
+  } catch (e) {
+    if (!e.status) console.error('dashboard/queue error:', e);
+    sendError(res, e, '審査待ちキューの取得に失敗しました');
+  }
+});
+
+// ==========================================================
+// 8) 審査者：債務者URL発行
+// POST /issue-portal-link { rootId, debtorName, docTypes, scopes?, expiresIn?, expiresAt? }
+// scopes 既定: upload,list,preview / expiresIn 既定: PORTAL_TOKEN_EXPIRES_IN（30d）
+// ==========================================================
+app.post('/issue-portal-link', requireReviewer, async (req, res) => {
+  try {
+    const { rootId, debtorName, docTypes = [], scopes = PORTAL_SCOPES, expiresIn, expiresAt } = req.body || {};
+    if (!rootId || !debtorName) return res.status(400).json({ error: 'rootId, debtorName は必須です' });
+    if (!Array.isArray(docTypes)) return res.status(400).json({ error: 'docTypes は配列で指定してください' });
+    if (!Array.isArray(scopes) || !scopes.length || scopes.some((sc) => !PORTAL_SCOPES.includes(sc))) {
+      return res.status(400).json({ error: `scopes は ${PORTAL_SCOPES.join(' / ')} から指定してください` });
+    }
+    const expiry = resolveExpiry({ expiresIn, expiresAt });
+    if (!expiry) return res.status(400).json({ error: 'expiresIn / expiresAt が不正です' });
+    if (!(await authorizeCaseAccess(req, res, rootId))) return;
+    const base = (process.env.PORTAL_URL_BASE || '').replace(/\/+$/, '');
+    if (!base) return res.status(500).json({ error: 'PORTAL_URL_BASE が未設定です', code: 'NOT_CONFIGURED' });
+
+    const c = await prisma.case.findUnique({ where: { rootId: String(rootId) }, include: { publicLink: true } });
+    if (c && isCaseClosed(c)) return res.status(409).json({ error: '終了した案件には発行できません', code: 'CASE_CLOSED' });
+    if (c?.publicLink && !c.publicLink.isActive) {
+      return res.status(409).json({ error: 'この案件の共有は停止中です（public-link を再開してください）' });
+    }
+
+    const { token, record } = await portalTokens.issue({
+      rootId: String(rootId),
+      caseId: c?.id ?? null,
+      debtorName,
+      docTypes: docTypes.map(String),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiry,
+      createdById: req.reviewer.id,
+    });
+    const url = `${base}?token=${encodeURIComponent(token)}`;
+    await audit.record(req, 'portal_link.issue', {
+      caseId: c?.id ?? undefined,
+      rootId: String(rootId),
+      details: { tokenId: record.id, debtorName, docTypes: record.docTypes, scopes: record.scopes, expiresAt: record.expiresAt },
+    });
+    res.json({ url, token, tokenId: record.id, scopes: record.scopes, expiresAt: record.expiresAt });
+  } catch (e) {
+    if (!e.status) console.error('issue-portal-link error:', e?.response?.data || e);
+    sendError(res, e, 'failed to issue portal link');
+  }
+});
+
+// ==========================================================
+// 9) 債務者ポータル API
+// GET /portal/info, GET /portal/structure, POST /portal/upload, GET /portal/files
+// （マルウェア検査で clean の後に提出先へ置く。公開は FILE_SHARING=anyone のときだけ）
+// ==========================================================
+// IP ごとの制限（token の検証より前に数える。token ごとの制限は requireDebtor）
+app.use('/portal', rateLimit(limiters.portalIp, (req) => req.ip || null));
+
+app.get('/portal/info', requireDebtor(), async (req, res) => {
+  try {
+    const { debtorName, docTypes, rootId, exp, scope, caseId } = req.portal;
+    // 提出前にフロントで検証できるようポリシーも返す（形式はサーバ側で実データから判定）
+    const policies = Object.fromEntries(docTypes.map((dt) => [dt, filePolicy.policyFor(dt)]));
+
+    // 未提出・要再提出の書類（この token で提出できるものに限る）
+    const documents = caseId != null
+      ? await prisma.caseDocument.findMany({ where: { caseId }, orderBy: { id: 'asc' } })
+      : [];
+    const now = new Date();
+    const owed = documents
+      .filter((d) => isOutstanding(d) && (!docTypes.length || docTypes.includes(d.docType)))
+      .map((d) => toChecklistItemJson(d, now))
+      .map(({ fileId, ...item }) => item);
+
+    res.json({
+      debtorName, docTypes, rootId, exp, scopes: scope, policies, defaultPolicy: filePolicy.policyFor(null),
+      owed,
+      progress: documents.length ? summarizeChecklist(documents, now) : null,
+    });
+  } catch (e) {
+    console.error('portal/info error:', e);
+    sendError(res, e, 'portal info failed');
+  }
+});
+
+app.get('/portal/structure', requireDebtor('list'), async (req, res) => {
+  try {
+    const { rootId } = req.portal;
+    const pendingId = (await resolveCaseLayout(rootId)).statusFolderIds.pending;
+    if (!pendingId) return res.json({ pending: {} });
+    const children = await listChildFolders(pendingId);
+    const map = Object.fromEntries(children.map(c => [c.name, c.id])); // docType -> folderId
+    res.json({ pending: map });
+  } catch (e) {
+    if (!e.status) console.error('portal/structure error:', e?.response?.data || e);
+    sendError(res, e, 'portal structure failed');
+  }
+});
+
+// 提出先 pending/<docType> を解決（NG は httpError）
+async function resolvePortalDocFolder(portal, docType) {
+  if (!docType) throw httpError(400, 'docType 必須', 'DOC_TYPE_REQUIRED');
+  if (portal.docTypes.length && !portal.docTypes.includes(docType)) {
+    throw httpError(403, `この token では提出できない docType です: ${docType}`, 'DOC_TYPE_NOT_ALLOWED');
+  }
+  const pendingId = (await resolveCaseLayout(portal.rootId)).statusFolderIds.pending;
+  if (!pendingId) throw httpError(400, '提出物フォルダがありません', 'PENDING_FOLDER_NOT_FOUND');
+  const children = await listChildFolders(pendingId);
+  const folder = children.find(c => c.name === docType);
+  if (!folder) throw httpError(400, `docType フォルダがありません: ${docType}`, 'DOC_TYPE_NOT_FOUND');
+  return folder;
+}
+
+// 提出済み件数のポリシー確認（maxFiles 件まで数えれば十分）
+async function assertPortalFileCount(policy, folderId) {
+  if (!policy.maxFiles) return;
+  const { files, nextPageToken } = await storage.list(folderId, { kind: 'file', pageSize: policy.maxFiles, fields: 'id' });
+  filePolicy.assertCount(policy, nextPageToken ? policy.maxFiles : files.length);
+}
+
+// 先頭バイトから実際の形式を判定してポリシー確認 → 保存時の mimeType を返す
+function assertPortalFileType(policy, head) {
+  const detected = sniffMimeType(head);
+  filePolicy.assertType(policy, detected);
+  return detected;
+}
+
+const portalFileName = (docType, originalName) => `${docType}_${uploadStamp()}_${sanitize(originalName)}`;
+
+// 保存済みファイルの後処理（共有・manifest・CaseDocument）
+// verdict（検査結果）が clean 以外なら公開せず隔離する。公開は FILE_SHARING=anyone のときだけ
+// targetFolderId は本来の提出先（検査中は隔離フォルダに置くため created.parents と異なることがある）
+async function finishPortalUpload(portal, docType, created, verdict, targetFolderId = created.parents?.[0]) {
+  if (verdict && verdict.status !== 'clean') return quarantineUpload(portal, docType, created, verdict, targetFolderId);
+
+  const fileId = created.id;
+  if (sharesFilesPublicly) await grantPublic(fileId);
+  const links = buildPublicLinks(fileId, created.webViewLink);
+
+  const linked = await recordSubmission(portal.rootId, {
+    fileId,
+    fileName: created.name,
+    docType,
+    status: 'pending',
+    uploader: portal.debtorName || 'debtor',
+  }, { mimeType: created.mimeType, size: created.size });
+  await recordCaseDocument(portal.rootId, docType, { fileId });
+  await notifier.emit('document.uploaded', {
+    rootId: portal.rootId,
+    data: { docType, fileName: created.name, fileId },
+  });
+
+  return {
+    ...created,
+    isPublic: sharesFilesPublicly,
+    ...links,
+    ...(linked ? { version: linked.file.version, versionLabel: versionLabel(linked.file, linked.previous) } : {}),
+  };
+}
+
+// ---- 隔離 ----
+const withQuarantineLock = createKeyedLock();
+
+// <root>/99_隔離（なければ作成。同時アップロードで重複作成しないようロック）
+function ensureQuarantineFolder(rootId) {
+  return withQuarantineLock(rootId, async () => {
+    const existing = await findChildFolder(rootId, QUARANTINE_FOLDER);
+    return existing || createFolder(QUARANTINE_FOLDER, [rootId]);
+  });
+}
+
+// 検査中の置き場所（clean になるまで提出先へは置かない）
+const portalUploadHold = async (rootId) => (await ensureQuarantineFolder(rootId)).id;
+
+async function quarantineUpload(portal, docType, created, verdict, targetFolderId) {
+  const folder = await ensureQuarantineFolder(portal.rootId);
+  if (!(created.parents || []).includes(folder.id)) {
+    await storage.update(created.id, {
+      addParents: folder.id,
+      removeParents: (created.parents || []).join(','),
+    });
+  }
+  const c = await prisma.case.findUnique({ where: { rootId: portal.rootId }, select: { id: true } });
+  const item = await prisma.quarantineItem.create({
+    data: {
+      caseId: c?.id ?? null,
+      rootId: portal.rootId,
+      fileId: created.id,
+      fileName: created.name,
+      docType,
+      targetFolderId: targetFolderId || '',
+      uploader: portal.debtorName || 'debtor',
+      verdict: verdict.status,
+      signature: verdict.signature || null,
+      message: verdict.message || null,
+    },
+  });
+  console.warn(`quarantined ${created.id} (${verdict.status}${verdict.signature ? `: ${verdict.signature}` : ''})`);
+  return { quarantined: true, quarantineId: String(item.id), verdict: verdict.status, name: created.name };
+}
+
+// 債務者アップロードの記録（隔離時は file.quarantine、公開時は permission.grant も）
+async function auditPortalUpload(req, docType, created, result, verdict) {
+  const target = { caseId: req.portal.caseId ?? undefined, rootId: req.portal.rootId, fileId: created.id };
+  await audit.record(req, 'file.upload', {
+    ...target,
+    details: { name: created.name, docType, scan: verdict?.status || null },
+  });
+  if (result.quarantined) {
+    await audit.record(req, 'file.quarantine', {
+      ...target,
+      details: { quarantineId: result.quarantineId, verdict: verdict.status, signature: verdict.signature || null },
+    });
+  } else if (result.isPublic) {
+    await audit.record(req, 'permission.grant', { ...target, details: { type: 'anyone', role: 'reader' } });
+  }
+}
+
+// 債務者への応答（result: accepted | quarantined。隔離時は理由ごとのコードを返し、シグネチャ名等は返さない）
+function sendPortalUploadResult(res, file, extra = {}) {
+  if (file.quarantined && file.verdict === 'infected') {
+    return res.status(422).json({
+      error: 'ウイルスが検出されたため受け付けできませんでした',
+      code: 'MALWARE_DETECTED',
+      result: 'quarantined',
+      ...extra,
+    });
+  }
+  if (file.quarantined) {
+    return res.status(202).json({
+      message: 'ファイルの安全確認ができなかったため、担当者の確認後に受付となります',
+      code: 'SCAN_FAILED',
+      result: 'quarantined',
+      ...extra,
+    });
+  }
+  const message = file.isPublic ? 'アップロード成功（公開化済み）' : 'アップロード成功';
+  res.json({ message, result: 'accepted', file, ...extra });
+}
+
+// multipart: docType, file（※file は最後に）
+const portalUpload = streamUpload({
+  async prepare(req, file) {
+    const { docType } = req.body || {};
+    const folder = await resolvePortalDocFolder(req.portal, docType);
+    await assertPortalFileCount(filePolicy.policyFor(docType), folder.id);
+    return { name: portalFileName(docType, decodeOriginalName(file)), parents: [folder.id] };
+  },
+  async inspect(head, req) {
+    const policy = filePolicy.policyFor(req.body.docType);
+    return {
+      mimeType: assertPortalFileType(policy, head),
+      maxBytes: policy.maxBytes,
+      onSize: (size) => filePolicy.assertSize(policy, size),
+    };
+  },
+  scanner,
+  hold: (req) => portalUploadHold(req.portal.rootId),
+});
+
+// 1 日の上限は Content-Length（multipart 全体）を見込みサイズとして確認する
+const portalUploadQuota = uploadQuota((req) => Number(req.headers['content-length']) || 0);
+
+app.post('/portal/upload', requireDebtor('upload'), portalUploadLimit, portalUploadQuota, portalUpload, async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'file 必須', code: 'FILE_REQUIRED' });
+    const { storageFile, targetParents, scan, size } = req.file;
+    await recordUploadUsage(req.portal, size);
+    const file = await finishPortalUpload(req.portal, req.body.docType, storageFile, scan, targetParents[0]);
+    await auditPortalUpload(req, req.body.docType, storageFile, file, scan);
+    sendPortalUploadResult(res, file);
+  } catch (e) {
+    if (!e.status) console.error('portal/upload error:', e?.response?.data || e);
+    sendError(res, e, 'portal upload failed');
+  }
+});
+
+// ----------------------------------------------------------
+// 再開可能アップロード（通信が不安定なモバイル向け）
+// POST   /portal/upload/init { docType, fileName, size, mimeType? } → { uploadId, chunkMaxBytes, received }
+// PUT    /portal/upload/:uploadId?offset=N   (body: application/octet-stream のチャンク)
+// GET    /portal/upload/:uploadId            → { received, size, status }（再開位置の確認）
+// POST   /portal/upload/:uploadId/complete   → アップロード結果（再送しても同じ結果）
+// DELETE /portal/upload/:uploadId            … 中止
+// ----------------------------------------------------------
+const toUploadSessionJson = (u) => ({
+  uploadId: u.id,
+  docType: u.docType,
+  fileName: u.fileName,
+  mimeType: u.mimeType,
+  size: u.size,
+  received: u.received,
+  status: u.status,
+  expiresAt: u.expiresAt,
+  chunkMaxBytes: resumableUploads.chunkMaxBytes,
+  ...(u.result ? { file: u.result } : {}),
+});
+
+function sendUploadSessionError(res, e) {
+  if (!e.status) console.error('resumable upload error:', e?.response?.data || e);
+  sendError(res, e, 'upload failed');
+}
+
+// 他案件のセッションは存在しないものとして扱う
+async function loadOwnUploadSession(req) {
+  const u = await resumableUploads.get(req.params.uploadId);
+  if (u.owner !== req.portal.rootId) throw httpError(404, 'upload session が見つかりません', 'UPLOAD_SESSION_NOT_FOUND');
+  return u;
+}
 
-    const { data } = await drive.files.list({
-      q: `'${folderId}' in parents and trashed=false`,
-      fields: 'files(id,name,mimeType,webViewLink,thumbnailLink,modifiedTime,size)',
-      orderBy: 'modifiedTime desc',
-      pageSize: 50,
+const resumableUploadQuota = uploadQuota((req) => Number(req.body?.size) || 0);
+
+app.post('/portal/upload/init', requireDebtor('upload'), portalUploadLimit, resumableUploadQuota, async (req, res) => {
+  try {
+    const { docType, fileName, mimeType = 'application/octet-stream' } = req.body || {};
+    const size = Number(req.body?.size);
+    if (!fileName) return res.status(400).json({ error: 'fileName 必須' });
+    const folder = await resolvePortalDocFolder(req.portal, docType);
+    const policy = filePolicy.policyFor(docType);
+    if (Number.isInteger(size)) filePolicy.assertSize(policy, size);
+    await assertPortalFileCount(policy, folder.id);
+
+    const u = await resumableUploads.init({
+      owner: req.portal.rootId,
+      size,
+      docType,
+      fileName: String(fileName),
+      mimeType: String(mimeType),
+      folderId: folder.id,
     });
+    res.status(201).json(toUploadSessionJson(u));
+  } catch (e) { sendUploadSessionError(res, e); }
+});
 
-    const files = (data.files || []).map(f => ({
-      ...f,
-      viewUrl: toViewUrl(f.id, f.webViewLink),
-      previewUrl: toPreviewUrl(f.id, f.webViewLink),
-      downloadUrl: `https://drive.google.com/uc?export=download&id=${f.id}`,
-    }));
+app.get('/portal/upload/:uploadId', requireDebtor('upload'), async (req, res) => {
+  try {
+    res.json(toUploadSessionJson(await loadOwnUploadSession(req)));
+  } catch (e) { sendUploadSessionError(res, e); }
+});
 
-    res.json({ files });
-  } catch (err) {
-    console.error('files-in-folder error:', err?.response?.data || err);
-    const msg = err?.response?.data?.error?.message || err?.message || 'Google Drive API error';
-    res.status(500).json({ error: msg });
-  }
+app.put('/portal/upload/:uploadId', requireDebtor('upload'), async (req, res) => {
+  try {
+    const offset = Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) return res.status(400).json({ error: 'offset 必須（受信済みバイト数）' });
+    await loadOwnUploadSession(req);
+    const u = await resumableUploads.appendChunk(req.params.uploadId, offset, req);
+    res.json(toUploadSessionJson(u));
+  } catch (e) { sendUploadSessionError(res, e); }
 });
 
-// ==========================================================
-// 5) ファイル移動（承認/差し戻し）
-// POST /move-file { fileId, sourceFolderId, destinationFolderId }
-// ==========================================================
-app.post('/move-file', async (req, res) => {
+// 受信済みデータを検査してストレージへ保存 → { file, scan }
+async function storeResumableUpload(req, stream, meta) {
+  const policy = filePolicy.policyFor(meta.docType);
+  await assertPortalFileCount(policy, meta.folderId);
+  const { head, body: sniffed } = await peekHead(stream, SNIFF_BYTES);
+  const mimeType = assertPortalFileType(policy, head);
+  // 検査中は隔離フォルダに置き、clean のときだけ提出先へ移す
+  const hold = scanner ? await portalUploadHold(req.portal.rootId) : null;
+  const { body, verdict } = scanner ? scanInline(sniffed, scanner) : { body: sniffed, verdict: null };
+
+  return storeScanned(
+    storage,
+    {
+      name: portalFileName(meta.docType, meta.fileName),
+      parents: [meta.folderId],
+      hold,
+      mimeType,
+      body,
+      verdict,
+    },
+    { fields: 'id,name,mimeType,size,webViewLink,parents' }
+  );
+}
+
+app.post('/portal/upload/:uploadId/complete', requireDebtor('upload'), async (req, res) => {
   try {
-    const { fileId, sourceFolderId, destinationFolderId } = req.body || {};
-    if (!fileId || !sourceFolderId || !destinationFolderId) {
-      return res.status(400).json({ error: 'fileId, sourceFolderId, destinationFolderId は必須です' });
-    }
-    const response = await drive.files.update({
-      fileId,
-      addParents: destinationFolderId,
-      removeParents: sourceFolderId,
-      fields: 'id,name,parents,webViewLink',
+    await loadOwnUploadSession(req);
+    const u = await resumableUploads.complete(req.params.uploadId, async (stream, meta, { checkpoint }) => {
+      // 前回の complete で保存まで済んでいれば、そのファイルから続ける（再送でもう 1 つ保存しない）
+      if (meta.stored) stream.destroy();
+      const { file: created, scan } = meta.stored || (await storeResumableUpload(req, stream, meta));
+      if (!meta.stored) {
+        await checkpoint({ file: created, scan });
+        await recordUploadUsage(req.portal, meta.size);
+      }
+      const file = await finishPortalUpload(req.portal, meta.docType, created, scan, meta.folderId);
+      await auditPortalUpload(req, meta.docType, created, file, scan);
+      return file;
     });
-    res.json({ message: 'ファイル移動成功', file: response.data });
-  } catch (err) {
-    console.error('move-file error:', err?.response?.data || err);
-    const msg = err?.response?.data?.error?.message || err?.message || 'Google Drive API error';
-    res.status(500).json({ error: msg });
+    const { file, ...session } = toUploadSessionJson(u);
+    sendPortalUploadResult(res, file, session);
+  } catch (e) {
+    // 形式違反は再送しても通らないのでセッションを破棄
+    if (e.code === 'FILE_TYPE_NOT_ALLOWED') await resumableUploads.abort(req.params.uploadId).catch(() => {});
+    sendUploadSessionError(res, e);
   }
 });
 
-// ==========================================================
-// 6) ファイル移動（親自動解決版）
-// POST /move-file-smart { fileId, destinationFolderId }
-// ==========================================================
-app.post('/move-file-smart', async (req, res) => {
+app.delete('/portal/upload/:uploadId', requireDebtor('upload'), async (req, res) => {
   try {
-    const { fileId, destinationFolderId } = req.body || {};
-    if (!fileId || !destinationFolderId) {
-      return res.status(400).json({ error: 'fileId と destinationFolderId は必須です' });
+    await loadOwnUploadSession(req);
+    await resumableUploads.abort(req.params.uploadId);
+    res.json({ message: 'upload を中止しました' });
+  } catch (e) { sendUploadSessionError(res, e); }
+});
+
+// GET /portal/files?docType=...（ページング・並び替え・絞り込みは /files-in-folder と同じ）
+// 索引にあるファイルには version / versionLabel（再提出の経緯）を付ける
+app.get('/portal/files', requireDebtor('list'), async (req, res) => {
+  try {
+    const { docType } = req.query;
+    const { rootId, docTypes, scope } = req.portal;
+    if (docType && docTypes.length && !docTypes.includes(docType)) {
+      throw httpError(403, `この token では参照できない docType です: ${docType}`, 'DOC_TYPE_NOT_ALLOWED');
     }
+    const listQuery = parseFileListQuery(req.query);
+    const pendingId = (await resolveCaseLayout(rootId)).statusFolderIds.pending;
+    if (!pendingId) return res.json({ files: [], nextCursor: null });
+    const children = await listChildFolders(pendingId);
+    const folder = children.find(c => c.name === docType);
+    if (!folder) return res.json({ files: [], nextCursor: null });
 
-    // 現在の親フォルダを取得
-    const { data: meta } = await drive.files.get({
-      fileId,
-      fields: 'id, name, parents, webViewLink'
+    const { files: listed, nextPageToken } = await storage.list(folder.id, {
+      ...listQuery,
+      kind: 'file',
+      fields: 'id,name,mimeType,webViewLink,createdTime,modifiedTime',
     });
-    const currentParents = meta.parents?.join(',') || '';
 
-    const result = await drive.files.update({
-      fileId,
-      addParents: destinationFolderId,
-      removeParents: currentParents, // removeParents はカンマ区切り
-      fields: 'id, name, parents, webViewLink'
+    // 版（「v2 — 差し戻し後の再提出（差し戻し理由: …）」）
+    const indexed = await prisma.documentFile.findMany({
+      where: { fileId: { in: listed.map((f) => f.id) } },
+      include: { previous: { select: { version: true, status: true, reason: true } } },
+    });
+    const versions = new Map(indexed.map((d) => [d.fileId, d]));
+    const canPreview = scope.includes('preview'); // リンクは preview scope のある token にだけ渡す
+    const files = listed.map(f => {
+      const d = versions.get(f.id);
+      return {
+        ...f,
+        ...(canPreview ? buildPublicLinks(f.id, f.webViewLink) : {}),
+        ...(d ? { version: d.version, versionLabel: versionLabel(d, d.previous) } : {}),
+      };
     });
 
-    res.json({ message: 'ファイル移動成功', file: result.data });
-  } catch (err) {
-    console.error('move-file-smart error:', err?.response?.data || err);
-    const msg = err?.response?.data?.error?.message || err?.message || 'Google Drive API error';
-    res.status(500).json({ error: msg });
+    res.json({ files, nextCursor: nextPageToken });
+  } catch (e) {
+    if (!e.status) console.error('portal/files error:', e?.response?.data || e);
+    sendError(res, e, 'portal files failed');
   }
 });
 
-// ==========================================================
-// 7) コメント付与（任意：差し戻し理由等）
-// POST /comment { fileId, message }
-// ==========================================================
-app.post('/comment', async (req, res) => {
-  try {
-    const { fileId, message } = req.body || {};
-    if (!fileId || !message) return res.status(400).json({ error: 'fileId と message は必須です' });
-
-    // Drive v3 にはコメントAPIが無いので description 更新で代替
-    const { data } = await drive.files.update({
-      fileId,
-      resource: { description: message },
-      fields: 'id,name,webViewLink,description',
+// ---- メッセージ（債務者側）----
+// GET  /portal/messages?docType=&thread=case|all&limit=&cursor=   … 案件全体と、この token で扱える書類のスレッド
+// POST /portal/messages { body, docType?, attachments?: [fileId] } … docType なしは案件全体のスレッド（scope: upload）
+// POST /portal/messages/read { docType?, thread?, upToId? }       … 審査者からの投稿を既読に
+
+// token の範囲 → { threads, document }（docType 指定時はその書類のスレッドのみ）
+async function resolvePortalThread(portal, { docType, thread } = {}) {
+  if (portal.caseId == null) throw httpError(409, 'この token は案件に紐付いていないためメッセージを使えません');
+  if (docType) {
+    if (portal.docTypes.length && !portal.docTypes.includes(docType)) {
+      throw httpError(403, `forbidden: docType（${docType}）`);
+    }
+    const document = await prisma.caseDocument.findUnique({
+      where: { caseId_docType: { caseId: portal.caseId, docType: String(docType) } },
     });
-    res.json({ message: 'コメント登録（description更新）', file: data });
-  } catch (err) {
-    console.error('comment error:', err?.response?.data || err);
-  const msg = err?.response?.data?.error?.message || err?.message || 'Google Drive API error';
-    res.status(500).json({ error: msg });
+    if (!document) throw httpError(404, '書類が見つかりません', 'DOCUMENT_NOT_FOUND');
+    return { threads: { documentIds: [document.id] }, document };
   }
-});
+  if (thread === 'case') return { threads: { case: true }, document: null };
+  if (thread != null && thread !== '' && thread !== 'all') throw httpError(400, 'thread は case または all を指定してください');
+  if (!portal.docTypes.length) return { threads: null, document: null };
+  const documents = await prisma.caseDocument.findMany({
+    where: { caseId: portal.caseId, docType: { in: portal.docTypes } },
+    select: { id: true },
+  });
+  return { threads: { case: true, documentIds: documents.map((d) => d.id) }, document: null };
+}
 
-// ==========================================================
-// 8) 審査者：債務者URL発行
-// POST /issue-portal-link { rootId, debtorName, docTypes }
-// ==========================================================
-app.post('/issue-portal-link', async (req, res) => {
+// preview scope の無い token と、token の docTypes 外の添付にはリンクを付けない（案件全体のスレッドで審査者が添付した場合など）
+const toPortalMessageJson = (portal, m) =>
+  toMessageResponse(m, {
+    audience: 'debtor',
+    canView: (a) => portal.scope.includes('preview') && (!portal.docTypes.length || portal.docTypes.includes(a.docType)),
+  });
+
+app.get('/portal/messages', requireDebtor('list'), async (req, res) => {
   try {
-    const { rootId, debtorName, docTypes = [] } = req.body || {};
-    if (!rootId || !debtorName) return res.status(400).json({ error: 'rootId, debtorName は必須です' });
-    const token = signPortalToken({ rootId, debtorName, docTypes, role: 'debtor' }, '30d');
-    const base = (process.env.PORTAL_URL_BASE || '').replace(/\/+$/, '');
-    if (!base) return res.status(500).json({ error: 'PORTAL_URL_BASE が未設定です' });
-    const url = `${base}?token=${encodeURIComponent(token)}`;
-    res.json({ url, token, expiresIn: '30d' });
+    const { threads } = await resolvePortalThread(req.portal, req.query);
+    const page = parsePageQuery(req.query, { defaultLimit: 50, maxLimit: 200 });
+    const rows = await messages.list(req.portal.caseId, { threads, ...pageArgs(page) });
+    const { items, nextCursor } = toPage(rows, page);
+    res.json({
+      messages: items.map((m) => toPortalMessageJson(req.portal, m)),
+      nextCursor,
+      unread: await messages.unreadCounts(req.portal.caseId, { reader: 'debtor', threads }),
+    });
   } catch (e) {
-    res.status(500).json({ error: e.message || 'failed to issue portal link' });
+    if (!e.status) console.error('portal/messages error:', e);
+    sendError(res, e, 'メッセージの取得に失敗しました');
   }
 });
 
-// ==========================================================
-// 9) 債務者ポータル API
-// GET /portal/info, GET /portal/structure, POST /portal/upload, GET /portal/files
-// （この環境ではアップロード直後に公開化）
-// ==========================================================
-app.get('/portal/info', requireDebtor, (req, res) => {
-  const { debtorName, docTypes, rootId, exp } = req.portal;
-  res.json({ debtorName, docTypes, rootId, exp });
+app.post('/portal/messages', requireDebtor('upload'), async (req, res) => {
+  try {
+    const { body, fileIds } = normalizeMessageInput(req.body);
+    const { document } = await resolvePortalThread(req.portal, { docType: req.body?.docType, thread: 'case' });
+    const attachments = await messages.resolveAttachments(req.portal.caseId, fileIds, { docTypes: req.portal.docTypes });
+    const c = { id: req.portal.caseId, rootId: req.portal.rootId };
+    const m = await postMessage(req, c, { document, body, attachments });
+    res.status(201).json(toPortalMessageJson(req.portal, m));
+  } catch (e) {
+    if (!e.status) console.error('portal/messages post error:', e);
+    sendError(res, e, 'メッセージの投稿に失敗しました');
+  }
 });
 
-app.get('/portal/structure', requireDebtor, async (req, res) => {
+app.post('/portal/messages/read', requireDebtor('list'), async (req, res) => {
   try {
-    const { rootId } = req.portal;
-    const statuses = await listChildFolders(rootId);
-    const pending = statuses.find(s => s.name === '01_提出物');
-    if (!pending) return res.json({ pending: {} });
-    const children = await listChildFolders(pending.id);
-    const map = Object.fromEntries(children.map(c => [c.name, c.id])); // docType -> folderId
-    res.json({ pending: map });
-  } catch (e) { res.status(500).json({ error: e.message }); }
+    const { threads } = await resolvePortalThread(req.portal, req.body || {});
+    const read = await messages.markRead(req.portal.caseId, {
+      reader: 'debtor', readBy: req.portal.tokenId, threads, upToId: parseUpToId(req.body?.upToId),
+    });
+    const scope = await resolvePortalThread(req.portal);
+    res.json({ read, unread: await messages.unreadCounts(req.portal.caseId, { reader: 'debtor', threads: scope.threads }) });
+  } catch (e) {
+    if (!e.status) console.error('portal/messages/read error:', e);
+    sendError(res, e, '既読の記録に失敗しました');
+  }
 });
 
-app.post('/portal/upload', requireDebtor, upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ error: 'file 必須' });
-    const { docType } = req.body || {};
-    if (!docType) return res.status(400).json({ error: 'docType 必須' });
+// ==========================================================
+// 隔離ファイルの管理（審査者）
+// GET    /quarantine?rootId=&status=quarantined|released|deleted|all（既定 quarantined）&limit=&cursor=
+// POST   /quarantine/:id/release { force? } … 提出先フォルダへ戻す（公開は FILE_SHARING=anyone のときだけ。infected は force 必須）
+// DELETE /quarantine/:id                    … ストレージから削除
+// ==========================================================
+const toQuarantineJson = (q) => ({
+  id: String(q.id),
+  caseId: q.caseId != null ? String(q.caseId) : null,
+  rootId: q.rootId,
+  fileId: q.fileId,
+  fileName: q.fileName,
+  docType: q.docType,
+  uploader: q.uploader,
+  verdict: q.verdict,
+  signature: q.signature,
+  message: q.message,
+  status: q.status,
+  createdAt: q.createdAt,
+  resolvedAt: q.resolvedAt,
+  resolvedById: q.resolvedById != null ? String(q.resolvedById) : null,
+});
 
-    const { rootId } = req.portal;
-    const statuses = await listChildFolders(rootId);
-    const pending = statuses.find(s => s.name === '01_提出物');
-    if (!pending) return res.status(400).json({ error: '提出物フォルダがありません' });
-    const children = await listChildFolders(pending.id);
-    const folder = children.find(c => c.name === docType);
-    if (!folder) return res.status(400).json({ error: `docType フォルダがありません: ${docType}` });
+const isNotFound = (e) => (e?.code || e?.response?.status) === 404;
+
+// id → QuarantineItem（担当外は 403、見つからなければ 404 の httpError）
+async function loadQuarantineItem(req) {
+  const id = /^\d+$/.test(req.params.id) ? BigInt(req.params.id) : null;
+  const item = id && (await prisma.quarantineItem.findUnique({ where: { id }, include: { case: true } }));
+  if (!item) throw httpError(404, 'quarantine item not found');
+  if (item.case) {
+    if (!canAccessCase(req, item.case)) throw httpError(403, 'forbidden: 担当外の案件です', 'CASE_ACCESS_DENIED');
+  } else {
+    await assertCaseAccess(req, item.rootId);
+  }
+  return item;
+}
 
-    const stamp = new Date().toISOString().replace(/[:-]/g,'').slice(0,15);
-    const safeName = sanitize(Buffer.from(req.file.originalname, 'latin1').toString('utf8'));
-    const finalName = `${docType}_${stamp}_${safeName}`;
+// status を quarantined から遷移させる（同時操作は 409）
+async function claimQuarantineItem(item, status, reviewer) {
+  const { count } = await prisma.quarantineItem.updateMany({
+    where: { id: item.id, status: 'quarantined' },
+    data: { status, resolvedById: reviewer.id, resolvedAt: new Date() },
+  });
+  if (!count) throw httpError(409, 'この隔離ファイルは既に処理済みです');
+}
 
-    const response = await drive.files.create({
-      resource: { name: finalName, parents: [folder.id] },
-      media: { mimeType: req.file.mimetype, body: Readable.from(req.file.buffer) },
-      fields: 'id,name,webViewLink,parents'
-    });
+const unclaimQuarantineItem = (item) =>
+  prisma.quarantineItem
+    .update({ where: { id: item.id }, data: { status: 'quarantined', resolvedById: null, resolvedAt: null } })
+    .catch(() => {});
 
-    // 公開（リンクを知っている全員）
-    const fileId = response.data.id;
-    await grantPublic(fileId);
-    const links = buildPublicLinks(fileId, response.data.webViewLink);
+app.get('/quarantine', requireReviewer, async (req, res) => {
+  try {
+    const { rootId, status = 'quarantined' } = req.query;
+    const where = status === 'all' ? {} : { status: String(status) };
+    if (rootId) {
+      if (!(await authorizeCaseAccess(req, res, rootId))) return;
+      where.rootId = String(rootId);
+    } else if (req.reviewer.role !== 'admin') {
+      where.case = { reviewerId: req.reviewer.id };
+    }
+    const page = parsePageQuery(req.query, { defaultLimit: 100, maxLimit: 500 });
+    const rows = await prisma.quarantineItem.findMany({ where, orderBy: { id: 'desc' }, ...pageArgs(page) });
+    const { items, nextCursor } = toPage(rows, page);
+    res.json({ items: items.map(toQuarantineJson), nextCursor });
+  } catch (e) {
+    if (!e.status) console.error('/quarantine error:', e);
+    sendError(res, e, 'quarantine list failed');
+  }
+});
 
-    res.json({
-      message: 'アップロード成功（公開化済み）',
-      file: { ...response.data, isPublic: true, ...links }
+app.post('/quarantine/:id/release', requireReviewer, async (req, res) => {
+  try {
+    const item = await loadQuarantineItem(req);
+    if (item.verdict === 'infected' && req.body?.force !== true) {
+      return res.status(409).json({ error: 'ウイルス検出済みのファイルです（解除するには force: true）' });
+    }
+    await claimQuarantineItem(item, 'released', req.reviewer);
+
+    let file;
+    try {
+      const current = await storage.get(item.fileId, { fields: 'id,name,parents,webViewLink' });
+      await storage.update(item.fileId, {
+        addParents: item.targetFolderId,
+        removeParents: (current.parents || []).join(','),
+      });
+      file = await finishPortalUpload(
+        { rootId: item.rootId, debtorName: item.uploader },
+        item.docType,
+        { ...current, parents: [item.targetFolderId] }
+      );
+    } catch (e) {
+      await unclaimQuarantineItem(item);
+      throw e;
+    }
+    const updated = await prisma.quarantineItem.findUnique({ where: { id: item.id } });
+    const target = { caseId: item.caseId ?? undefined, rootId: item.rootId, fileId: item.fileId };
+    await audit.record(req, 'quarantine.release', {
+      ...target,
+      details: { quarantineId: String(item.id), name: item.fileName, verdict: item.verdict, force: item.verdict === 'infected' },
     });
-  } catch (e) { res.status(500).json({ error: e.message || 'portal upload failed' }); }
+    if (file.isPublic) {
+      await audit.record(req, 'permission.grant', { ...target, details: { type: 'anyone', role: 'reader' } });
+    }
+    const message = file.isPublic ? '隔離を解除しました（公開化済み）' : '隔離を解除しました';
+    res.json({ message, item: toQuarantineJson(updated), file });
+  } catch (e) {
+    if (!e.status) console.error('/quarantine/release error:', e?.response?.data || e);
+    sendError(res, e, 'release failed');
+  }
 });
 
-app.get('/portal/files', requireDebtor, async (req, res) => {
+app.delete('/quarantine/:id', requireReviewer, async (req, res) => {
   try {
-    const { docType } = req.query;
-    const { rootId } = req.portal;
-    const statuses = await listChildFolders(rootId);
-    const pending = statuses.find(s => s.name === '01_提出物');
-    if (!pending) return res.json({ files: [] });
-    const children = await listChildFolders(pending.id);
-    const folder = children.find(c => c.name === docType);
-    if (!folder) return res.json({ files: [] });
-
-    const { data } = await drive.files.list({
-      q: `'${folder.id}' in parents and trashed=false`,
-      fields: 'files(id,name,webViewLink,modifiedTime)',
-      orderBy: 'modifiedTime desc',
-      pageSize: 50
+    const item = await loadQuarantineItem(req);
+    await claimQuarantineItem(item, 'deleted', req.reviewer);
+    try {
+      await storage.remove(item.fileId);
+    } catch (e) {
+      if (!isNotFound(e)) {
+        await unclaimQuarantineItem(item);
+        throw e;
+      }
+    }
+    await audit.record(req, 'quarantine.delete', {
+      caseId: item.caseId ?? undefined,
+      rootId: item.rootId,
+      fileId: item.fileId,
+      details: { quarantineId: String(item.id), name: item.fileName, verdict: item.verdict },
     });
-
-    const files = (data.files || []).map(f => ({
-      ...f,
-      viewUrl: toViewUrl(f.id, f.webViewLink),
-      previewUrl: toPreviewUrl(f.id, f.webViewLink),
-      downloadUrl: `https://drive.google.com/uc?export=download&id=${f.id}`,
-    }));
-
-    res.json({ files });
-  } catch (e) { res.status(500).json({ error: e.message || 'portal files failed' }); }
+    res.json({ message: '削除しました', id: String(item.id) });
+  } catch (e) {
+    if (!e.status) console.error('/quarantine/delete error:', e?.response?.data || e);
+    sendError(res, e, 'delete failed');
+  }
 });
 
 // ==========================================================
-// 審査者 or 債務者（preview/list 権限）の簡易認可
+// 審査者 or 債務者（preview 権限）の認可
+// 署名 URL（?exp=&sig=。トークン不要で署名した fileId のみ）→ 審査者トークン（JWT_SECRET）
+// → ポータルトークン（PORTAL_JWT_SECRET + DB）の順に検証
+// 審査者トークンは Authorization ヘッダのみ（?token= はポータルトークンとしてだけ扱う）
 // ==========================================================
-function reviewerOrDebtor(req, res, next) {
-  const m = (req.headers.authorization || '').match(/^Bearer (.+)$/);
-  if (!m) return res.status(401).json({ error: 'missing token' });
-  try {
-    const p = jwt.verify(m[1], process.env.JWT_SECRET);
-    // 審査者は許可
-    if (p.role === 'reviewer') { req.reviewer = p; return next(); }
-    // 債務者は scope と rootId を要求
-    if (p.role === 'debtor') {
-      const sc = Array.isArray(p.scope) ? p.scope : [];
-      if (!sc.includes('preview') && !sc.includes('list')) {
-        return res.status(403).json({ error: 'forbidden: scope' });
-      }
-      req.portal = p; // { rootId など }
-      return next();
+async function reviewerOrDebtor(req, res, next) {
+  if (linkSigner.isSigned(req.query)) {
+    try {
+      req.signedLink = linkSigner.verify(req.params.fileId, req.query);
+    } catch (e) {
+      return sendError(res, e);
     }
-    return res.status(403).json({ error: 'forbidden' });
-  } catch {
-    return res.status(401).json({ error: 'invalid token' });
+    return afterAuth(req, res, next);
+  }
+
+  const token = extractToken(req);
+  if (!token) return res.status(401).json({ error: 'missing token', code: 'AUTH_REQUIRED' });
+
+  let staff = null;
+  if ((req.headers.authorization || '').startsWith('Bearer ')) {
+    try { staff = verifyReviewerToken(token); } catch { /* ポータルトークンとして再検証 */ }
+  }
+  // 審査者は requireReviewer と同じく DB の有効状態・ロールで判定（担当案件かどうかはルート側で確認）
+  if (staff) return requireReviewer(req, res, next);
+
+  try {
+    req.portal = toPortalContext(await portalTokens.verify(token));
+  } catch (e) {
+    return sendPortalTokenError(res, e);
+  }
+  if (!req.portal.scope.includes('preview')) {
+    return res.status(403).json({ error: 'forbidden: scope（preview が必要です）', code: 'SCOPE_REQUIRED' });
   }
+  afterAuth(req, res, next);
 }
 
 // 指定 fileId が JWT の rootId 配下か（最大10階層）ゆるく確認
-async function belongsToRoot(driveClient, fileId, allowedRootId) {
+// 確認できた経路上の id はキャッシュし、同じフォルダ内の別ファイルは 1 回の files.get で済ませる
+async function belongsToRoot(fileId, allowedRootId) {
   if (!allowedRootId) return true; // 審査者はスキップ可
+  const visited = [];
   let cur = fileId;
   for (let i = 0; i < 10; i++) {
-    const meta = await driveClient.files.get({ fileId: cur, fields: 'id,parents' });
-    const parents = meta.data.parents || [];
-    if (parents.includes(allowedRootId)) return true;
+    if (ancestry.has(cur, allowedRootId)) {
+      ancestry.add(visited, allowedRootId);
+      return true;
+    }
+    visited.push(cur);
+    const meta = await storage.get(cur, { fields: 'id,parents' });
+    const parents = meta.parents || [];
+    if (parents.includes(allowedRootId)) {
+      ancestry.add(visited, allowedRootId);
+      return true;
+    }
     if (!parents.length) break;
     cur = parents[0];
   }
   return false;
 }
 
+// プレビュー / サムネイル共通の認可 → { quarantined }（NG なら応答済みで null）
+// 隔離中のファイルは債務者・署名 URL には見せない
+async function authorizeFileRead(req, res, fileId) {
+  const allowedRootId = req.portal?.rootId || req.portal?.debtorFolderId;
+  if (allowedRootId) {
+    const ok = await belongsToRoot(fileId, allowedRootId);
+    if (!ok) {
+      res.status(403).json({ error: 'forbidden: outside of case root', code: 'CASE_ACCESS_DENIED' });
+      return null;
+    }
+  } else if (!req.signedLink && !(await authorizeCaseAccess(req, res, fileId))) {
+    return null;
+  }
+
+  const held = await prisma.quarantineItem.findUnique({ where: { fileId }, select: { status: true } });
+  const quarantined = held?.status === 'quarantined';
+  if (quarantined && !req.reviewer) {
+    res.status(403).json({ error: 'forbidden: quarantined', code: 'QUARANTINED' });
+    return null;
+  }
+  return { quarantined };
+}
+
 // --- プレビュー本体 ---
+// Range（単一範囲）に 206 / 416、If-None-Match・If-Modified-Since に 304 で応答する
+// 監査ログは先頭からの取得のみ記録（動画のシーク等で細切れの Range が続くため）
 app.get('/files/preview/:fileId', reviewerOrDebtor, async (req, res) => {
   try {
     const { fileId } = req.params;
-    const allowedRootId = req.portal?.rootId || req.portal?.debtorFolderId;
-
-    if (allowedRootId) {
-      const ok = await belongsToRoot(drive, fileId, allowedRootId);
-      if (!ok) return res.status(403).json({ error: 'forbidden: outside of case root' });
-    }
+    const access = await authorizeFileRead(req, res, fileId);
+    if (!access) return;
+    // 隔離中のファイルは審査者にも添付（ダウンロード）でのみ返す
+    const { quarantined } = access;
 
     // メタ情報
-    const meta = await drive.files.get({
-      fileId,
-      fields: 'mimeType,name,size,md5Checksum'
-    });
-    const mime = meta.data.mimeType || 'application/octet-stream';
-    const name = meta.data.name || 'file';
-       const size = Number(meta.data.size || 0);
+    const meta = await storage.get(fileId, { fields: 'mimeType,name,size,md5Checksum,modifiedTime' });
+    const mime = meta.mimeType || 'application/octet-stream';
+    const name = meta.name || 'file';
+    const size = Number(meta.size || 0);
+    const etag = meta.md5Checksum ? `"${meta.md5Checksum}"` : undefined;
+    const lastModified = meta.modifiedTime ? new Date(meta.modifiedTime).toUTCString() : undefined;
+
+    const disposition = req.query.download || quarantined ? 'attachment' : 'inline';
+    res.setHeader('Cache-Control', 'private, max-age=600');
+    if (etag) res.setHeader('ETag', etag);
+    if (lastModified) res.setHeader('Last-Modified', lastModified);
+    if (size > 0) res.setHeader('Accept-Ranges', 'bytes');
+
+    if (isNotModified(req.headers, { etag, lastModified })) return res.status(304).end();
+
+    const range = parseRange(req.headers, size, etag);
+    if (range === 'unsatisfiable') {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).json({ error: 'range not satisfiable', code: 'RANGE_NOT_SATISFIABLE' });
+    }
+    const length = range ? range.end - range.start + 1 : size;
     const max  = Number(process.env.PREVIEW_MAX_BYTES || 0);
-    if (max > 0 && size > max) {
-      return res.status(413).json({ error: 'file too large for preview' });
+    if (max > 0 && length > max) {
+      return res.status(413).json({ error: 'file too large for preview', code: 'FILE_TOO_LARGE', details: { maxBytes: max } });
     }
 
-    // Drive からストリーム
-    const gRes = await drive.files.get(
-      { fileId, alt: 'media' },
-      { responseType: 'stream' }
-    );
+    // ストレージからストリーム
+    const body = await storage.read(fileId, range ? { range } : {});
 
+    if (!range || range.start === 0) {
+      await audit.record(req, disposition === 'attachment' ? 'file.download' : 'file.preview', {
+        caseId: req.portal?.caseId ?? undefined,
+        rootId: req.portal?.rootId,
+        fileId,
+        details: { name, size, ...(req.signedLink ? { via: 'signed_link' } : {}) },
+      });
+    }
     res.setHeader('Content-Type', mime);
-    res.setHeader('Content-Disposition', `inline; filename*=UTF-8''${encodeURIComponent(name)}`);
-    res.setHeader('Cache-Control', 'private, max-age=600');
-    if (meta.data.md5Checksum) res.setHeader('ETag', meta.data.md5Checksum);
+    res.setHeader('Content-Disposition', `${disposition}; filename*=UTF-8''${encodeURIComponent(name)}`);
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    }
+    if (size > 0) res.setHeader('Content-Length', String(length));
+
+    body.on('error', () => res.destroy());
+    body.pipe(res);
+  } catch (e) {
+    if ((e?.code || e?.response?.status) !== 404) console.error('preview error:', e?.response?.data || e);
+    sendError(res, e, 'preview failed');
+  }
+});
 
-    gRes.data.on('error', () => res.destroy());
-    gRes.data.pipe(res);
+// --- サムネイル ---
+// GET /files/thumbnail/:fileId?w=256（w は 128 / 256 / 512 / 1024 に切り上げ）
+// 画像と PDF（1 ページ目）を WebP で返す。生成結果はサーバにキャッシュし、ETag で 304 を返す
+app.get('/files/thumbnail/:fileId', reviewerOrDebtor, async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const width = snapWidth(req.query.w);
+    const access = await authorizeFileRead(req, res, fileId);
+    if (!access) return;
+    // 隔離中のファイル（ウイルス検出を含む）は中身を処理しない
+    if (access.quarantined) return res.status(403).json({ error: 'forbidden: quarantined', code: 'QUARANTINED' });
+
+    const thumb = await thumbnails.get(fileId, { width });
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    res.setHeader('ETag', thumb.etag);
+    if (isNotModified(req.headers, { etag: thumb.etag })) return res.status(304).end();
+    res.type(thumb.contentType);
+    res.sendFile(thumb.path, { cacheControl: false, etag: false, lastModified: false }, (err) => {
+      if (err && !res.headersSent) res.status(500).json({ error: 'thumbnail failed' });
+    });
   } catch (e) {
-    const code = e?.code || e?.response?.status || 500;
-    res.status(code === 404 ? 404 : 502).json({ error: 'preview failed' });
+    if (!(e instanceof ThumbnailError) && (e?.code || e?.response?.status) !== 404) {
+      console.error('thumbnail error:', e?.response?.data || e);
+    }
+    sendError(res, e, 'thumbnail failed');
   }
 });
 
@@ -598,11 +3501,13 @@ app.get('/healthz', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`✅ drive-folder-api listening on :${PORT}`);
+  // 複数台構成で送信を 1 台に寄せる場合は NOTIFY_WORKER=false（outbox は DB なのでどこからでも積める）
+  if (process.env.NOTIFY_WORKER !== 'false') notifier.start();
+  if (driveSync) driveSync.start();
 });
 
 // 例: src/index.js
 const { customAlphabet } = require('nanoid');
-const { prisma } = require('./lib/prisma');
 
 // JSONボディ
 app.use(express.json());
@@ -617,7 +3522,7 @@ app.use(
   cors({
     origin: allowList.length ? allowList : '*',
     credentials: true,
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Request-Id'],
   })
 );
 
@@ -634,36 +3539,341 @@ const nanoid = customAlphabet(
 /**
  * POST /api/cases
  * 案件を作成し、公開ID/URLを返す
- * body: { debtorName?: string }
+ * body: { debtorName?: string, debtorEmail?: string, caseType?: string,
+ *         provisionFolders?: boolean, rootName?: string, template?: string,
+ *         docTypes?: (string | { docType, required?, dueDate?, notes? })[],
+ *         parentId?: string, makePublic?: boolean, createManifest?: boolean, reviewerId?: string }
+ * docTypes はチェックリスト（CaseDocument）として登録する。未指定ならテンプレートの既定書類
+ * provisionFolders=true ならテンプレート（未指定は既定）のフォルダ一式を生成して Case に紐付ける
+ * （フォルダ生成に失敗したら案件も作らなかったことにして 500 PROVISIONING_FAILED（details.rolledBack: true））
+ * 担当者は作成した審査者（admin は reviewerId で指定可）
+ * Idempotency-Key ヘッダ対応（再送には最初の応答を返す）
  */
-app.post('/api/cases', async (req, res) => {
+app.post('/api/cases', requireReviewer, idempotent('api/cases', { format: 'message' }), async (req, res) => {
   try {
     const debtorName = req.body && typeof req.body.debtorName === 'string'
       ? req.body.debtorName
       : null;
+    const { provisionFolders = false, rootName, template: templateName, docTypes, parentId, makePublic, createManifest = true } = req.body || {};
+    if (provisionFolders && !(rootName || debtorName)) {
+      return res.status(400).json({ message: 'rootName or debtorName is required to provision folders' });
+    }
+    let template;
+    let checklist;
+    let contact;
+    try {
+      template = await resolveTemplate(templateName);
+      checklist = normalizeChecklist(docTypes ?? template.docTypes);
+      contact = normalizeCaseContact(req.body || {});
+    } catch (e) {
+      if (e.status === 400 || e.status === 404) return sendError(res, e);
+      throw e;
+    }
+    const { reviewerId: requestedReviewerId } = req.body || {};
+    if (requestedReviewerId != null && !/^\d+$/.test(String(requestedReviewerId))) {
+      return res.status(400).json({ message: 'invalid reviewerId' });
+    }
+    const reviewerId = req.reviewer.role === 'admin'
+      ? (requestedReviewerId != null ? BigInt(requestedReviewerId) : null)
+      : req.reviewer.id;
 
     const result = await prisma.$transaction(async (tx) => {
-      const c = await tx.case.create({ data: { debtorName } });
+      const c = await tx.case.create({ data: { debtorName, reviewerId, templateId: template.id, ...contact } });
       const publicId = nanoid();
       await tx.casePublicLink.create({
         data: { caseId: c.id, publicId }
       });
+      await tx.caseDocument.createMany({
+        data: checklist.map((i) => ({ caseId: c.id, status: 'missing', ...i })),
+      });
       return { caseId: c.id, publicId };
     });
 
+    // フォルダ生成は Drive 呼び出しを伴うのでトランザクション外で
+    // 失敗したらフォルダ（provisionCaseFolders 内で削除済み）と作成した案件を取り消して 500
+    let tree = null;
+    if (provisionFolders) {
+      try {
+        tree = await provisionCaseFolders({
+          rootName: rootName || debtorName,
+          template,
+          docTypes: checklist.map((i) => i.docType),
+          parentId,
+          makePublic,
+          createManifest,
+          onProgress: progressReporter(req),
+        });
+        await bindCaseFolders(result.caseId, tree, checklist, template);
+      } catch (err) {
+        if (tree) await discardCaseFolders(tree.root.id);
+        await prisma.case.delete({ where: { id: result.caseId } }).catch((e) => console.error('POST /api/cases rollback error:', e));
+        console.error('POST /api/cases provisioning error:', err?.response?.data || err);
+        return sendError(res, provisioningFailed(true));
+      }
+    }
+    await audit.record(req, 'case.create', {
+      caseId: result.caseId,
+      details: { debtorName, reviewerId: reviewerId != null ? String(reviewerId) : null },
+    });
+    if (tree) await auditProvision(req, tree);
+
     const publicUrl = `${PORTAL_URL_BASE}/cases/${result.publicId}`;
-    res.json({ caseId: String(result.caseId), publicUrl });
+    res.json({
+      caseId: String(result.caseId),
+      reviewerId: reviewerId != null ? String(reviewerId) : null,
+      publicUrl,
+      ...(tree ? { rootId: tree.root.id, folders: tree } : {}),
+    });
   } catch (err) {
     console.error('POST /api/cases error:', err);
-    res.status(500).json({ message: 'failed to create case' });
+    sendError(res, err, 'failed to create case');
+  }
+});
+
+/**
+ * PATCH /api/cases/:id
+ * 債務者名・通知先メール・案件種別（通知テンプレートの切り替え）の更新
+ * body: { debtorName?: string|null, debtorEmail?: string|null, caseType?: string }
+ */
+app.patch('/api/cases/:id', requireReviewer, async (req, res) => {
+  try {
+    let data;
+    try {
+      data = normalizeCaseContact(req.body || {});
+    } catch (e) {
+      return res.status(400).json({ message: e.message });
+    }
+    const { debtorName } = req.body || {};
+    if (debtorName !== undefined) {
+      if (debtorName !== null && typeof debtorName !== 'string') {
+        return res.status(400).json({ message: 'debtorName must be a string' });
+      }
+      data.debtorName = debtorName;
+    }
+    const c = await loadAccessibleCase(req);
+    const updated = await prisma.case.update({ where: { id: c.id }, data });
+    res.json({
+      caseId: String(updated.id),
+      debtorName: updated.debtorName,
+      debtorEmail: updated.debtorEmail,
+      caseType: updated.caseType,
+    });
+  } catch (err) {
+    if (!err.status) console.error('PATCH /api/cases/:id error:', err);
+    sendError(res, err, 'failed to update case');
+  }
+});
+
+/**
+ * PUT /api/cases/:id/reviewer
+ * 担当審査者の割り当て（admin のみ）
+ * body: { reviewerId: string | null }
+ */
+app.put('/api/cases/:id/reviewer', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reviewerId } = req.body || {};
+    if (!/^\d+$/.test(id)) return res.status(400).json({ message: 'invalid case id' });
+    if (reviewerId != null && !/^\d+$/.test(String(reviewerId))) {
+      return res.status(400).json({ message: 'invalid reviewerId' });
+    }
+    if (reviewerId != null) {
+      const r = await prisma.reviewer.findUnique({ where: { id: BigInt(reviewerId) } });
+      if (!r || !r.isActive) return res.status(404).json({ message: 'reviewer not found' });
+    }
+
+    const c = await prisma.case.update({
+      where: { id: BigInt(id) },
+      data: { reviewerId: reviewerId != null ? BigInt(reviewerId) : null },
+    });
+    await audit.record(req, 'case.assign', { caseId: c.id, details: { reviewerId: reviewerId != null ? String(reviewerId) : null } });
+    res.json({ caseId: String(c.id), reviewerId: c.reviewerId != null ? String(c.reviewerId) : null });
+  } catch (err) {
+    if (err?.code === 'P2025') return res.status(404).json({ message: 'not found' });
+    console.error('PUT /api/cases/:id/reviewer error:', err);
+    sendError(res, err, 'failed to assign reviewer');
+  }
+});
+
+/**
+ * GET /api/cases/:id/portal-links?limit=&cursor=
+ * 案件に発行済みのポータルトークン一覧（token 文字列自体は保存していない）
+ * limit 既定 100（最大 500）。続きは nextCursor を cursor に渡す
+ */
+app.get('/api/cases/:id/portal-links', requireReviewer, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!/^\d+$/.test(id)) return res.status(400).json({ message: 'invalid case id' });
+    let page;
+    try {
+      page = parsePageQuery(req.query, { defaultLimit: 100, maxLimit: 500 });
+    } catch (e) {
+      return res.status(400).json({ message: e.message });
+    }
+    const c = await prisma.case.findUnique({ where: { id: BigInt(id) }, include: { publicLink: true } });
+    if (!c) return res.status(404).json({ message: 'not found', code: 'CASE_NOT_FOUND' });
+    if (!canAccessCase(req, c)) return res.status(403).json({ message: 'forbidden', code: 'CASE_ACCESS_DENIED' });
+
+    const rows = await prisma.portalToken.findMany({
+      where: { OR: [{ caseId: c.id }, ...(c.rootId ? [{ rootId: c.rootId }] : [])] },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      ...pageArgs(page, (cursor) => ({ id: cursor })),
+    });
+    const { items, nextCursor } = toPage(rows, page);
+    res.json({
+      publicLinkActive: c.publicLink ? c.publicLink.isActive : null,
+      links: items.map(toPortalTokenJson),
+      nextCursor,
+    });
+  } catch (err) {
+    console.error('GET /api/cases/:id/portal-links error:', err);
+    sendError(res, err, 'failed to list portal links');
+  }
+});
+
+/**
+ * PUT /api/cases/:id/public-link
+ * 案件の共有（CasePublicLink.isActive）を停止/再開
+ * 停止時は発行済みポータルトークンもすべて失効させる
+ * body: { isActive: boolean }
+ */
+app.put('/api/cases/:id/public-link', requireReviewer, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { isActive } = req.body || {};
+    if (!/^\d+$/.test(id)) return res.status(400).json({ message: 'invalid case id' });
+    if (typeof isActive !== 'boolean') return res.status(400).json({ message: 'isActive must be boolean' });
+    const c = await prisma.case.findUnique({ where: { id: BigInt(id) } });
+    if (!c) return res.status(404).json({ message: 'not found', code: 'CASE_NOT_FOUND' });
+    if (!canAccessCase(req, c)) return res.status(403).json({ message: 'forbidden', code: 'CASE_ACCESS_DENIED' });
+    if (isActive && isCaseClosed(c)) return res.status(409).json({ message: 'case is closed', code: 'CASE_CLOSED' });
+
+    const [link, revoked] = await prisma.$transaction([
+      prisma.casePublicLink.update({ where: { caseId: c.id }, data: { isActive } }),
+      ...(isActive ? [] : [
+        prisma.portalToken.updateMany({
+          where: { caseId: c.id, revokedAt: null },
+          data: { revokedAt: new Date() },
+        }),
+      ]),
+    ]);
+    await audit.record(req, 'public_link.update', {
+      caseId: c.id,
+      details: { isActive: link.isActive, revokedTokens: revoked?.count ?? 0 },
+    });
+    res.json({ caseId: String(c.id), isActive: link.isActive, revokedTokens: revoked?.count ?? 0 });
+  } catch (err) {
+    if (err?.code === 'P2025') return res.status(404).json({ message: 'public link not found' });
+    console.error('PUT /api/cases/:id/public-link error:', err);
+    sendError(res, err, 'failed to update public link');
+  }
+});
+
+// トークン id → 案件の権限確認込みで取得
+async function findPortalTokenFor(req, res) {
+  const t = await prisma.portalToken.findUnique({ where: { id: req.params.tokenId }, include: { case: true } });
+  if (!t) {
+    res.status(404).json({ message: 'not found' });
+    return null;
+  }
+  const allowed = t.case
+    ? canAccessCase(req, t.case)
+    : req.reviewer.role === 'admin' || t.createdById === req.reviewer.id;
+  if (!allowed) {
+    res.status(403).json({ message: 'forbidden', code: 'CASE_ACCESS_DENIED' });
+    return null;
+  }
+  return t;
+}
+
+/**
+ * POST /api/portal-links/:tokenId/revoke
+ * 個別トークンの失効
+ */
+app.post('/api/portal-links/:tokenId/revoke', requireReviewer, async (req, res) => {
+  try {
+    const t = await findPortalTokenFor(req, res);
+    if (!t) return;
+    const updated = t.revokedAt ? t : await portalTokens.revoke(t.id);
+    if (!t.revokedAt) {
+      await audit.record(req, 'portal_link.revoke', { caseId: t.caseId ?? undefined, rootId: t.rootId, details: { tokenId: t.id } });
+    }
+    res.json({ link: toPortalTokenJson(updated) });
+  } catch (err) {
+    console.error('POST /api/portal-links/:tokenId/revoke error:', err);
+    sendError(res, err, 'failed to revoke portal link');
+  }
+});
+
+/**
+ * POST /api/portal-links/:tokenId/extend
+ * 有効期限の延長（失効済みは不可）
+ * body: { expiresIn?: string|number, expiresAt?: string }（expiresIn は現在時刻から）
+ */
+app.post('/api/portal-links/:tokenId/extend', requireReviewer, async (req, res) => {
+  try {
+    const { expiresIn, expiresAt } = req.body || {};
+    if (expiresIn == null && !expiresAt) {
+      return res.status(400).json({ message: 'expiresIn or expiresAt is required' });
+    }
+    const expiry = resolveExpiry({ expiresIn, expiresAt });
+    if (!expiry) return res.status(400).json({ message: 'invalid expiresIn / expiresAt' });
+
+    const t = await findPortalTokenFor(req, res);
+    if (!t) return;
+    if (t.revokedAt) return res.status(409).json({ message: 'token is revoked' });
+    const updated = await portalTokens.extend(t.id, expiry);
+    await audit.record(req, 'portal_link.extend', {
+      caseId: t.caseId ?? undefined,
+      rootId: t.rootId,
+      details: { tokenId: t.id, from: t.expiresAt, to: updated.expiresAt },
+    });
+    res.json({ link: toPortalTokenJson(updated) });
+  } catch (err) {
+    console.error('POST /api/portal-links/:tokenId/extend error:', err);
+    sendError(res, err, 'failed to extend portal link');
   }
 });
 
+// 公開ページ API のレート制限（IP ごと・publicId ごと・存在しない publicId の総当たり）
+const publicLimitOpts = { format: 'message' };
+
+// 存在しない publicId を引いた回数（IP ごと）が上限に達していれば、それ以降は 429（総当たり対策）
+async function publicMissGuard(req, res, next) {
+  if (!limiters.publicMissIp) return next();
+  try {
+    const r = await limiters.publicMissIp.peek(req.ip);
+    if (r.allowed) return next();
+    console.warn(`rate limited: ${r.name} ${req.ip} ${req.method} ${req.path}`);
+    sendRateLimited(res, new RateLimitError('too many requests', r), publicLimitOpts);
+  } catch (err) {
+    console.error('rate limit store error:', err);
+    next();
+  }
+}
+
+async function recordPublicMiss(req) {
+  if (!limiters.publicMissIp) return;
+  try {
+    const r = await limiters.publicMissIp.hit(req.ip);
+    if (!r.allowed) await recordRateLimitBlock(req, r, req.ip);
+  } catch (err) {
+    console.error('rate limit store error:', err);
+  }
+}
+
+const publicCaseLimits = [
+  rateLimit(limiters.publicIp, (req) => req.ip || null, publicLimitOpts),
+  publicMissGuard,
+  rateLimit(limiters.publicId, (req) => hashKey(req.params.publicId), publicLimitOpts),
+];
+
 /**
  * GET /api/public/cases/:publicId
  * 公開IDから案件の公開用データを返す
+ * 要求が多すぎる場合は 429（Retry-After 付き。RATE_LIMIT_PUBLIC_*）
  */
-app.get('/api/public/cases/:publicId', async (req, res) => {
+app.get('/api/public/cases/:publicId', publicCaseLimits, async (req, res) => {
   try {
     const { publicId } = req.params;
 
@@ -673,6 +3883,7 @@ app.get('/api/public/cases/:publicId', async (req, res) => {
     });
 
     if (!link || !link.isActive) {
+      await recordPublicMiss(req);
       return res.status(404).json({ message: 'not found' });
     }
 
@@ -681,18 +3892,23 @@ app.get('/api/public/cases/:publicId', async (req, res) => {
       case: {
         debtorName: c.debtorName,
         status: c.status,
-        createdAt: c.createdAt
+        createdAt: c.createdAt,
+        hasFolders: Boolean(c.rootId)
       },
       documents: c.documents.map(d => ({
         id: String(d.id),
         docType: d.docType,
         status: d.status,
-        submittedAt: d.submittedAt
+        required: d.required,
+        dueDate: d.dueDate,
+        submittedAt: d.submittedAt,
+        decidedAt: d.decidedAt,
+        reason: d.status === 'rejected' ? d.reason : null
       }))
     });
   } catch (err) {
     console.error('GET /api/public/cases/:publicId error:', err);
-    res.status(500).json({ message: 'failed to fetch public case' });
+    sendError(res, err, 'failed to fetch public case');
   }
 });
 
@@ -703,4 +3919,24 @@ app.get('/api/public/cases/:publicId', async (req, res) => {
 //   console.log(`server running on :${PORT}`);
 // });
 
+// ==========================================================
+// どのルートにも当たらない要求・ルートで処理されなかったエラー（JSON 本文の解析失敗など）も共通形式で返す
+// ==========================================================
+app.use((req, res) => {
+  res.status(404).json({ error: `${req.method} ${req.path} は存在しません`, code: 'ROUTE_NOT_FOUND' });
+});
+
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (!err?.status) console.error(`${req.method} ${req.path} error:`, err?.response?.data || err);
+  sendError(res, err);
+});
+
+// 登録済みのルートと API 定義のずれ（lib/api/spec.js の更新漏れ）
+{
+  const { undocumented, unrouted } = findUndocumentedRoutes(app, openApiSpec);
+  if (undocumented.length) console.warn('⚠️  OpenAPI に定義の無いルート:', undocumented.join(', '));
+  if (unrouted.length) console.warn('⚠️  OpenAPI にだけあるルート:', unrouted.join(', '));
+}
+
 module.exports = app; // RenderのAuto–Server-Startで不要なら省略可